@@ -0,0 +1,118 @@
+/**
+ * Alertas sem rede: AlertParser + avaliação do AlertManager com executor falso
+ * Execute com: npm run test:offline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const AlertParser = require('../../src/alerts/alert-parser');
+const AlertManager = require('../../src/alerts/alert-manager');
+
+test('AlertParser interpreta limites fixos', () => {
+    const parser = new AlertParser();
+
+    assert.deepStrictEqual(parser.parse('me avisa se qualified_leads passar de 500 hoje'), {
+        condition: 'above',
+        threshold: 500,
+        table: 'qualified_leads',
+        metric: { type: 'count' },
+        window: 'today',
+        baseline: null
+    });
+
+    const below = parser.parse('me avisa quando o total de leads ficar abaixo de 1.500');
+    assert.strictEqual(below.condition, 'below');
+    assert.strictEqual(below.threshold, 1500);
+    assert.strictEqual(below.table, 'leads');
+    assert.strictEqual(below.window, 'total');
+
+    assert.strictEqual(parser.parse('me avisa se leads passar de 2,5').threshold, 2.5);
+});
+
+test('AlertParser interpreta variações e COUNT DISTINCT', () => {
+    const parser = new AlertParser();
+
+    const drop = parser.parse('alerta se aula_views cair 30% vs ontem');
+    assert.strictEqual(drop.condition, 'drop_pct');
+    assert.strictEqual(drop.threshold, 30);
+    assert.strictEqual(drop.window, 'today');
+    assert.strictEqual(drop.baseline, 'yesterday');
+
+    const rise = parser.parse('me notifica se emails distintos em leads subir 20% vs semana passada');
+    assert.strictEqual(rise.condition, 'rise_pct');
+    assert.strictEqual(rise.table, 'leads');
+    assert.deepStrictEqual(rise.metric, { type: 'count_distinct', column: 'emails' });
+    assert.strictEqual(rise.baseline, 'last_week');
+});
+
+test('AlertParser ignora perguntas comuns', () => {
+    const parser = new AlertParser();
+
+    assert.strictEqual(parser.isAlertRequest('quantos leads temos hoje?'), false);
+    assert.strictEqual(parser.isAlertRequest('me avisa se leads passar de 100'), true);
+    assert.strictEqual(parser.parse('quantos leads temos hoje?'), null);
+});
+
+function createManager(access) {
+    const sent = [];
+    const measured = [];
+    const manager = new AlertManager({
+        filePath: path.join(os.tmpdir(), `alerts-test-${process.pid}.json`),
+        userRegistry: { resolve: () => access },
+        supabaseExecutor: {
+            async countRecords(table) {
+                measured.push(table);
+                return { success: true, data: { count: 10 } };
+            }
+        },
+        sendMessage: async (chatId, text) => {
+            sent.push(text);
+            return true;
+        }
+    });
+    return { manager, sent, measured };
+}
+
+function rule(overrides = {}) {
+    return {
+        id: 'abc123',
+        chatId: 'chat-1',
+        number: '+5511999999999',
+        table: 'leads',
+        metric: { type: 'count' },
+        condition: 'above',
+        threshold: 5,
+        window: 'total',
+        baseline: null,
+        dateColumn: null,
+        lastFiredKey: null,
+        ...overrides
+    };
+}
+
+test('AlertManager dispara uma vez por período', async () => {
+    const { manager, sent } = createManager({ role: 'admin', tables: '*' });
+    const alert = rule();
+
+    assert.strictEqual((await manager.evaluate(alert)).triggered, true);
+    await manager.evaluate(alert);
+    assert.strictEqual(sent.length, 1);
+    assert.match(sent[0], /Alerta disparado/);
+});
+
+test('AlertManager não mede tabelas fora do perfil do dono', async () => {
+    const { manager, sent, measured } = createManager({ role: 'viewer', tables: ['aula_views'] });
+
+    assert.strictEqual(await manager.evaluate(rule()), null);
+    assert.deepStrictEqual(measured, []);
+    assert.deepStrictEqual(sent, []);
+});
+
+test('AlertManager não mede regras de números sem acesso', async () => {
+    const { manager, measured } = createManager(null);
+
+    assert.strictEqual(await manager.evaluate(rule()), null);
+    assert.deepStrictEqual(measured, []);
+});
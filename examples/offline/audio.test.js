@@ -0,0 +1,100 @@
+/**
+ * Fluxo de voice notes sem rede: StubTranscriber + MessageHandler
+ * Execute com: npm run test:offline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createTranscriber, StubTranscriber } = require('../../src/audio');
+const MessageHandler = require('../../src/channels/message-handler');
+
+function createChannel() {
+    const sent = [];
+    return {
+        name: 'test',
+        sent,
+        onMessage() {},
+        async sendTyping() {},
+        async sendText(chatId, text) {
+            sent.push(text);
+            return { id: `out-${sent.length}` };
+        }
+    };
+}
+
+function createHandler(transcriber, questions) {
+    const aiAgent = {
+        detectLanguage: () => 'pt',
+        async processMessage(text) {
+            questions.push(text);
+            return { response: `resposta para: ${text}` };
+        }
+    };
+    const responseFormatter = { format: result => result.response, splitMessage: text => [text] };
+    return new MessageHandler(aiAgent, responseFormatter, { transcriber });
+}
+
+function audioMessage(overrides = {}) {
+    return {
+        id: 'audio-1',
+        channel: 'test',
+        chatId: 'chat-1',
+        sender: { id: 'chat-1', number: '5511999999999', name: 'Ana' },
+        type: 'audio',
+        text: '',
+        quoted: null,
+        group: null,
+        downloadMedia: async () => ({ buffer: Buffer.from('ogg'), mimetype: 'audio/ogg; codecs=opus' }),
+        ...overrides
+    };
+}
+
+test('StubTranscriber devolve o texto configurado ou o da função customizada', async () => {
+    assert.strictEqual(await new StubTranscriber({ text: 'quantos clientes?' }).transcribe({}), 'quantos clientes?');
+
+    const custom = new StubTranscriber({ handler: async media => `  ${media.mimetype}  ` });
+    assert.strictEqual(await custom.transcribe({ mimetype: 'audio/ogg' }), 'audio/ogg');
+});
+
+test('createTranscriber escolhe o provedor pelo nome', () => {
+    assert.strictEqual(createTranscriber('stub').name, 'stub');
+    assert.strictEqual(createTranscriber('none'), null);
+});
+
+test('áudio é transcrito, ecoado e processado como pergunta', async () => {
+    const questions = [];
+    const channel = createChannel();
+    const handler = createHandler(new StubTranscriber({ text: 'quantos leads tem?' }), questions);
+    handler.addChannel(channel);
+
+    await handler.handleMessage(audioMessage());
+
+    assert.deepStrictEqual(questions, ['quantos leads tem?']);
+    assert.match(channel.sent[0], /quantos leads tem\?/);
+    assert.strictEqual(channel.sent[1], 'resposta para: quantos leads tem?');
+});
+
+test('áudio sem transcrição avisa o usuário e não chama a IA', async () => {
+    const questions = [];
+    const channel = createChannel();
+    const handler = createHandler(new StubTranscriber({ handler: async () => '' }), questions);
+    handler.addChannel(channel);
+
+    await handler.handleMessage(audioMessage());
+
+    assert.deepStrictEqual(questions, []);
+    assert.strictEqual(channel.sent.length, 1);
+    assert.match(channel.sent[0], /Não consegui entender o áudio/);
+});
+
+test('áudio que não baixa é tratado como falha de transcrição', async () => {
+    const questions = [];
+    const channel = createChannel();
+    const handler = createHandler(new StubTranscriber(), questions);
+    handler.addChannel(channel);
+
+    await handler.handleMessage(audioMessage({ downloadMedia: async () => null }));
+
+    assert.deepStrictEqual(questions, []);
+    assert.match(channel.sent[0], /Não consegui entender o áudio/);
+});
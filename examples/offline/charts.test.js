@@ -0,0 +1,76 @@
+/**
+ * Detecção de gráficos sem rede: ChartDetector
+ * Execute com: npm run test:offline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ChartDetector = require('../../src/charts/chart-detector');
+
+const detector = new ChartDetector();
+
+function queryResult(rows, sql = null) {
+    return {
+        success: true,
+        sql_strategy: { sql_query: sql },
+        results: [{ success: true, data: rows }]
+    };
+}
+
+test('listagem de registros não vira gráfico', () => {
+    const rows = [
+        { id: 3, email: 'c@x.com', name: 'Carla', created_at: '2025-01-03T10:00:00Z' },
+        { id: 2, email: 'b@x.com', name: 'Bruno', created_at: '2025-01-02T10:00:00Z' },
+        { id: 1, email: 'a@x.com', name: 'Ana', created_at: '2025-01-01T10:00:00Z' }
+    ];
+
+    assert.strictEqual(detector.detect(queryResult(rows, 'SELECT * FROM leads ORDER BY created_at DESC LIMIT 3'), 'mostra os 3 últimos leads'), null);
+    assert.strictEqual(detector.detect(queryResult(rows), 'mostra os 3 últimos leads'), null);
+});
+
+test('colunas id e *_id não são métricas', () => {
+    const rows = [
+        { email: 'a@x.com', lead_id: 10 },
+        { email: 'b@x.com', lead_id: 11 }
+    ];
+
+    assert.strictEqual(detector.detect(queryResult(rows, 'SELECT email, lead_id FROM vendas GROUP BY email, lead_id')), null);
+});
+
+test('listagem com coluna numérica sem agregação não vira gráfico', () => {
+    const rows = [
+        { nome: 'Ana', idade: 30 },
+        { nome: 'Bruno', idade: 25 }
+    ];
+
+    assert.strictEqual(detector.detect(queryResult(rows, 'SELECT nome, idade FROM leads')), null);
+    assert.strictEqual(detector.detect(queryResult(rows)), null);
+});
+
+test('resultado agrupado vira barras ou pizza', () => {
+    const rows = [
+        { status: 'ativo', count: 120 },
+        { status: 'inativo', count: 30 },
+        { status: 'novo', count: 50 }
+    ];
+
+    const chart = detector.detect(queryResult(rows, 'SELECT status, COUNT(*) FROM leads GROUP BY status'), 'leads por status');
+    assert.strictEqual(chart.type, 'bar');
+    assert.strictEqual(chart.labelColumn, 'status');
+    assert.deepStrictEqual(chart.labels, ['ativo', 'inativo', 'novo']);
+    assert.deepStrictEqual(chart.series, [{ name: 'count', values: [120, 30, 50] }]);
+
+    assert.strictEqual(detector.detect(queryResult(rows, 'SELECT status, COUNT(*) FROM leads GROUP BY status'), 'distribuição de leads por status').type, 'pie');
+});
+
+test('série temporal agregada vira linha, mesmo sem SQL único', () => {
+    const rows = [
+        { dia: '2025-01-01', total: 10 },
+        { dia: '2025-01-02', total: 14 },
+        { dia: '2025-01-03', total: 9 }
+    ];
+
+    const chart = detector.detect(queryResult(rows), 'leads por dia');
+    assert.strictEqual(chart.type, 'line');
+    assert.deepStrictEqual(chart.labels, ['01/01', '02/01', '03/01']);
+});
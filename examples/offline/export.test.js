@@ -0,0 +1,42 @@
+/**
+ * Exportação sem rede: ResultExporter
+ * Execute com: npm run test:offline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ExcelJS = require('exceljs');
+const ResultExporter = require('../../src/export/result-exporter');
+
+const exporter = new ResultExporter({ csvDelimiter: ';', maxRows: 100 });
+
+test('CSV com cabeçalho, BOM e valores escapados', async () => {
+    const { buffer, filename, rowCount } = await exporter.export([
+        { nome: 'Ana; Maria', obs: 'disse "oi"', idade: 30 },
+        { nome: 'Bruno', extra: { a: 1 } }
+    ], 'csv', 'leads');
+
+    assert.match(filename, /^leads_\d{12}\.csv$/);
+    assert.strictEqual(rowCount, 2);
+    assert.strictEqual(buffer.toString('utf8'), '\uFEFFnome;obs;idade;extra\r\n"Ana; Maria";"disse ""oi""";30;\r\nBruno;;;"{""a"":1}"');
+});
+
+test('textos que viram fórmula são exportados como texto', async () => {
+    const rows = [
+        { nome: '=HYPERLINK("http://x","clique")', tel: '+5511999999999', obs: '@soma', saldo: -5, ok: 'a=b' }
+    ];
+
+    const csv = exporter.toCSV(rows).toString('utf8');
+    assert.strictEqual(csv.split('\r\n')[1], `"'=HYPERLINK(""http://x"",""clique"")";'+5511999999999;'@soma;-5;a=b`);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(await exporter.toXLSX(rows, 'leads'));
+    const row = workbook.getWorksheet('leads').getRow(2);
+    assert.strictEqual(row.getCell(1).value, `'=HYPERLINK("http://x","clique")`);
+    assert.strictEqual(row.getCell(4).value, -5);
+});
+
+test('detectFormat usa xlsx por padrão', () => {
+    assert.strictEqual(exporter.detectFormat('exporta em csv'), 'csv');
+    assert.strictEqual(exporter.detectFormat('exporta isso'), 'xlsx');
+});
@@ -0,0 +1,54 @@
+/**
+ * Idiomas sem rede: detectLanguage, ResponseFormatter e ChartDetector
+ * Execute com: npm run test:offline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectLanguage } = require('../../src/i18n');
+const ResponseFormatter = require('../../src/formatters/response');
+const ChartDetector = require('../../src/charts/chart-detector');
+
+test('identificadores e termos de SQL não decidem o idioma', () => {
+    assert.strictEqual(detectLanguage('count de leads'), null);
+    assert.strictEqual(detectLanguage('top 10 emails'), null);
+    assert.strictEqual(detectLanguage('quantos registros de access_by_day'), 'pt');
+    assert.strictEqual(detectLanguage('mostra os leads de ana@empresa.com'), 'pt');
+});
+
+test('trocar o idioma da conversa exige vantagem clara', () => {
+    assert.strictEqual(detectLanguage('show leads', 'pt'), null);
+    assert.strictEqual(detectLanguage('show leads'), 'en');
+    assert.strictEqual(detectLanguage('how many leads are there?', 'pt'), 'en');
+    assert.strictEqual(detectLanguage('¿cuántos leads hay?', 'pt'), 'es');
+    assert.strictEqual(detectLanguage('quantos leads tem?', 'pt'), 'pt');
+});
+
+test('ResponseFormatter usa o idioma em tabelas, valores e operadores', () => {
+    const formatter = new ResponseFormatter();
+
+    const tables = formatter.formatTablesList({ data: [{ table_name: 'leads', columns: ['id', 'email'] }], count: 1 }, null, 'en');
+    assert.match(tables, /Available Tables\* \(1 found\)/);
+    assert.match(tables, /\(2 columns\)/);
+
+    assert.strictEqual(formatter.formatValue(true, 'es'), '✅ Sí');
+    assert.strictEqual(formatter.formatValue(1234.5, 'en'), '1,234.5');
+    assert.strictEqual(formatter.formatValue(1234.5, 'pt'), '1.234,5');
+    assert.strictEqual(formatter.getOperatorSymbol('ilike', 'en'), 'contains');
+    assert.match(formatter.formatGeneric({ data: [1] }, null, 'en'), /^🤖 \*Result\*/);
+});
+
+test('ChartDetector traduz título, rótulos vazios e datas', () => {
+    const detector = new ChartDetector();
+    const result = {
+        success: true,
+        sql_strategy: { sql_query: 'SELECT dia, COUNT(*) AS total FROM leads GROUP BY dia' },
+        results: [{ success: true, data: [{ dia: '2025-01-02', total: 3 }, { dia: '2025-01-03', total: 5 }] }]
+    };
+
+    const chart = detector.detect(result, '', 'en');
+    assert.strictEqual(chart.title, 'total by dia');
+    assert.deepStrictEqual(chart.labels, ['01/02', '01/03']);
+    assert.strictEqual(chart.language, 'en');
+    assert.strictEqual(detector.formatLabel(null, false, 'es'), '(vacío)');
+});
@@ -0,0 +1,90 @@
+/**
+ * Agendamentos sem rede: CronExpression + ScheduleParser
+ * Execute com: npm run test:offline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const CronExpression = require('../../src/scheduler/cron-expression');
+const ScheduleParser = require('../../src/scheduler/schedule-parser');
+
+const TZ = 'America/Sao_Paulo';
+
+function next(expression, from, timeZone = TZ) {
+    const date = new CronExpression(expression).next(new Date(from), timeZone);
+    return date ? date.toISOString() : null;
+}
+
+test('next() encontra o próximo horário no fuso (São Paulo = UTC-3)', () => {
+    assert.strictEqual(next('0 8 * * *', '2025-01-31T12:00:00Z'), '2025-02-01T11:00:00.000Z');
+    assert.strictEqual(next('0 8 * * *', '2025-01-31T10:00:00Z'), '2025-01-31T11:00:00.000Z');
+    assert.strictEqual(next('*/15 * * * *', '2025-01-31T12:07:30Z'), '2025-01-31T12:15:00.000Z');
+    assert.strictEqual(next('0 */2 * * *', '2025-01-31T12:00:00Z'), '2025-01-31T13:00:00.000Z');
+});
+
+test('next() respeita dias úteis, dia do mês e mês', () => {
+    // 01/02/2025 é sábado
+    assert.strictEqual(next('30 9 * * 1-5', '2025-02-01T12:00:00Z'), '2025-02-03T12:30:00.000Z');
+    assert.strictEqual(next('0 0 1 * *', '2025-01-31T12:00:00Z'), '2025-02-01T03:00:00.000Z');
+    assert.strictEqual(next('0 9 15 6 *', '2025-01-31T12:00:00Z'), '2025-06-15T12:00:00.000Z');
+    // 28/02 do ano seguinte
+    assert.strictEqual(next('0 0 28 2 *', '2025-03-01T12:00:00Z'), '2026-02-28T03:00:00.000Z');
+});
+
+test('next() atravessa mudanças de horário de verão', () => {
+    // Nova York adianta 1h em 09/03/2025
+    assert.strictEqual(next('0 9 * * *', '2025-03-08T20:00:00Z', 'America/New_York'), '2025-03-09T13:00:00.000Z');
+    // São Paulo 2018: a meia-noite de 04/11 não existiu
+    assert.strictEqual(next('0 1 * * *', '2018-11-03T12:00:00Z'), '2018-11-04T03:00:00.000Z');
+});
+
+test('datas impossíveis são rejeitadas sem travar a busca', () => {
+    assert.strictEqual(CronExpression.isValid('0 0 31 2 *'), false);
+    assert.strictEqual(CronExpression.isValid('0 0 30 2 *'), false);
+    assert.strictEqual(CronExpression.isValid('0 0 29 2 *'), false);
+    assert.strictEqual(CronExpression.isValid('0 0 31 4,6 *'), false);
+    assert.strictEqual(CronExpression.isValid('0 0 31 2,3 *'), true);
+    assert.strictEqual(CronExpression.isValid('0 0 31 * *'), true);
+
+    // Com dia da semana restrito basta um dos dois casar: segundas de fevereiro
+    const started = Date.now();
+    assert.strictEqual(next('0 0 31 2 1', '2025-01-01T00:00:00Z'), '2025-02-03T03:00:00.000Z');
+    assert.ok(Date.now() - started < 1000);
+});
+
+test('expressões inválidas', () => {
+    assert.strictEqual(CronExpression.isValid('0 8 * *'), false);
+    assert.strictEqual(CronExpression.isValid('60 8 * * *'), false);
+    assert.strictEqual(CronExpression.isValid('0 8 * * 1-9'), false);
+    assert.strictEqual(CronExpression.isValid('0 8-6 * * *'), false);
+});
+
+test('ScheduleParser interpreta recorrência, horário e pergunta', () => {
+    const parser = new ScheduleParser();
+    const cases = [
+        ['todo dia às 8h me manda leads qualificados de ontem', '0 8 * * *', 'leads qualificados de ontem'],
+        ['me manda todo dia às 7h os leads de ontem', '0 7 * * *', 'leads de ontem'],
+        ['me envia os leads de ontem todo dia às 8h', '0 8 * * *', 'leads de ontem'],
+        ['me mande nos dias úteis às 18h os leads do dia', '0 18 * * 1-5', 'leads do dia'],
+        ['toda segunda me manda o resumo da semana às 9h', '0 9 * * 1', 'resumo da semana'],
+        ['me manda, todo dia 5 do mês às 9h30, o total de vendas', '30 9 5 * *', 'total de vendas'],
+        ['manda a cada 2 horas os leads novos', '0 */2 * * *', 'leads novos'],
+        ['0 8 * * 1-5 leads de ontem', '0 8 * * 1-5', 'leads de ontem']
+    ];
+
+    cases.forEach(([text, cron, question]) => {
+        const parsed = parser.parse(text);
+        assert.ok(parsed, text);
+        assert.strictEqual(parsed.cron, cron, text);
+        assert.strictEqual(parsed.question, question, text);
+    });
+});
+
+test('ScheduleParser recusa pedidos sem pergunta ou sem recorrência', () => {
+    const parser = new ScheduleParser();
+
+    assert.strictEqual(parser.parse('me manda todo dia às 7h'), null);
+    assert.strictEqual(parser.parse('me manda os leads de ontem'), null);
+    assert.strictEqual(parser.isScheduleRequest('todo dia às 8h me manda os leads'), true);
+    assert.strictEqual(parser.isScheduleRequest('quantos leads temos todo dia?'), false);
+});
@@ -0,0 +1,102 @@
+/**
+ * Política de SQL somente leitura sem rede: SqlGuard
+ * Execute com: npm run test:offline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SqlGuard = require('../../src/sql/sql-guard');
+
+// Sem logs de violação na saída dos testes
+const guard = new SqlGuard({ allowedSchemas: 'public', maxRows: 1000 });
+guard.record = () => {};
+
+function blocked(sql) {
+    const result = guard.check(sql, 'test');
+    assert.strictEqual(result.allowed, false, `deveria bloquear: ${sql}`);
+    return result.rule;
+}
+
+function allowed(sql) {
+    const result = guard.check(sql, 'test');
+    assert.strictEqual(result.allowed, true, result.reason);
+    return result.sql;
+}
+
+test('só uma instrução SELECT, mesmo com comentários', () => {
+    assert.strictEqual(blocked('SELECT * FROM leads; DROP TABLE leads'), 'single_statement');
+    assert.strictEqual(blocked('SELECT 1 /* x */; DROP TABLE x'), 'single_statement');
+    assert.strictEqual(blocked('DELETE FROM leads'), 'read_only');
+    assert.strictEqual(blocked("COPY leads TO '/tmp/leads.csv'"), 'read_only');
+
+    // O comentário não engole o LIMIT acrescentado
+    assert.strictEqual(allowed('SELECT 1 -- ; DROP TABLE x'), 'SELECT 1\nLIMIT 1000');
+});
+
+test('escrita disfarçada de consulta não passa no parser', () => {
+    assert.strictEqual(blocked('WITH d AS (DELETE FROM leads RETURNING *) SELECT * FROM d'), 'parse');
+    assert.strictEqual(blocked('SELECT * FROM leads FOR UPDATE'), 'parse');
+    assert.strictEqual(blocked('SELECT * INTO copia FROM leads'), 'parse');
+});
+
+test('catálogos e schemas fora da lista são bloqueados em qualquer ponto do SQL', () => {
+    assert.strictEqual(blocked('SELECT * FROM pg_shadow'), 'table');
+    assert.strictEqual(blocked('SELECT * FROM pg_catalog.pg_user'), 'table');
+    assert.strictEqual(blocked('SELECT * FROM "pg_user"'), 'table');
+    assert.strictEqual(blocked('SELECT * FROM information_schema.tables'), 'table');
+    assert.strictEqual(blocked('SELECT * FROM leads WHERE id IN (SELECT usename FROM pg_user)'), 'table');
+    assert.strictEqual(blocked('SELECT * FROM leads UNION SELECT * FROM pg_authid'), 'table');
+});
+
+test('funções perigosas com schema, maiúsculas, aspas ou em subconsultas', () => {
+    assert.strictEqual(blocked('SELECT pg_sleep(10)'), 'function');
+    assert.strictEqual(blocked('SELECT PG_CATALOG.PG_SLEEP(1)'), 'function');
+    assert.strictEqual(blocked('SELECT "pg_sleep"(1)'), 'function');
+    assert.strictEqual(blocked('SELECT * FROM leads WHERE EXISTS (SELECT 1 FROM pg_sleep(5))'), 'function');
+    assert.strictEqual(blocked("SELECT * FROM pg_ls_dir('.')"), 'function');
+    assert.strictEqual(blocked("SELECT lo_import('/etc/passwd')"), 'function');
+    assert.strictEqual(blocked("SELECT dblink_exec('x', 'y')"), 'function');
+    assert.strictEqual(blocked("SELECT (SELECT current_setting('x'))"), 'function');
+    assert.strictEqual(blocked("SELECT net.http_get('http://x')"), 'function');
+});
+
+test('SQL_ALLOWED_TABLES restringe as tabelas', () => {
+    const restricted = new SqlGuard({ allowedTables: 'leads' });
+    restricted.record = () => {};
+
+    assert.strictEqual(restricted.check('SELECT * FROM vendas').rule, 'table');
+    assert.strictEqual(restricted.check('SELECT * FROM public.leads').allowed, true);
+});
+
+test('LIMIT é acrescentado, mantido ou reduzido', () => {
+    assert.strictEqual(allowed('SELECT * FROM leads'), 'SELECT * FROM leads\nLIMIT 1000');
+    assert.strictEqual(allowed('SELECT * FROM leads LIMIT 10'), 'SELECT * FROM leads LIMIT 10');
+    assert.strictEqual(allowed('SELECT * FROM leads LIMIT 5000'), 'SELECT * FROM (\nSELECT * FROM leads LIMIT 5000\n) AS limited LIMIT 1000');
+});
+
+test('LIMIT ALL conta como maior que o máximo', () => {
+    assert.strictEqual(allowed('SELECT * FROM leads LIMIT ALL'), 'SELECT * FROM (\nSELECT * FROM leads LIMIT ALL\n) AS limited LIMIT 1000');
+    assert.strictEqual(
+        allowed('SELECT * FROM leads ORDER BY id LIMIT ALL OFFSET 5'),
+        'SELECT * FROM (\nSELECT * FROM leads ORDER BY id LIMIT ALL OFFSET 5\n) AS limited LIMIT 1000'
+    );
+
+    // O SQL limitado continua válido para o guard (sem LIMIT duplicado)
+    const limited = allowed('SELECT * FROM leads LIMIT ALL');
+    assert.strictEqual(allowed(limited), limited);
+});
+
+test('withClientTimeout devolve o erro de timeout quando a chamada demora', async () => {
+    const slow = new SqlGuard({ clientTimeout: 20 });
+    slow.record = () => {};
+
+    const request = {
+        abortSignal: signal => new Promise(resolve => {
+            signal.addEventListener('abort', () => resolve({ data: null, error: { message: 'aborted' } }));
+        })
+    };
+
+    const { error } = await slow.withClientTimeout(request, 'SELECT 1', 'test');
+    assert.strictEqual(slow.isTimeout(error), true);
+    assert.strictEqual(slow.getStats().timeouts, 1);
+});
@@ -0,0 +1,91 @@
+/**
+ * SQL → PostgREST sem rede: SqlParser + SqlTranslator
+ * Execute com: npm run test:offline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SqlParser = require('../../src/sql/sql-parser');
+const SqlTranslator = require('../../src/sql/sql-translator');
+
+const translator = new SqlTranslator();
+
+function query(sql) {
+    const result = translator.translate(sql);
+    assert.strictEqual(result.supported, true, result.reason);
+    return result.query;
+}
+
+function reason(sql) {
+    const result = translator.translate(sql);
+    assert.strictEqual(result.supported, false, sql);
+    return result.reason;
+}
+
+test('SqlParser recusa SQL incompleto com a posição do erro', () => {
+    assert.throws(() => new SqlParser().parse('SELECT * FROM leads WHERE'), /SQL inválido/);
+    assert.strictEqual(new SqlParser().parse('SELECT 1; SELECT 2').statements.length, 2);
+});
+
+test('COUNT(*) e COUNT(DISTINCT) viram contagens', () => {
+    assert.deepStrictEqual(query("SELECT COUNT(*) FROM leads WHERE status = 'ativo'"), {
+        operation: 'count_records',
+        table_name: 'leads',
+        filters: [{ column: 'status', operator: 'eq', value: 'ativo' }]
+    });
+
+    const distinct = query('SELECT COUNT(DISTINCT email) FROM aula_views');
+    assert.strictEqual(distinct.operation, 'count_distinct');
+    assert.strictEqual(distinct.column, 'email');
+    assert.deepStrictEqual(distinct.filters, [{ column: 'email', operator: 'not.is', value: null }]);
+});
+
+test('listagens levam colunas, filtros, ordem, limite e offset', () => {
+    assert.deepStrictEqual(
+        query("SELECT id, email FROM leads WHERE status NOT IN ('em andamento', 'a,b') ORDER BY created_at DESC LIMIT 10 OFFSET 20"),
+        {
+            operation: 'query_records',
+            table_name: 'leads',
+            columns: ['id', 'email'],
+            filters: [{ column: 'status', operator: 'not.in', value: ['em andamento', 'a,b'] }],
+            order_by: [{ column: 'created_at', ascending: false }],
+            limit: 10,
+            offset: 20
+        }
+    );
+
+    // Constante à esquerda: lados trocados
+    assert.deepStrictEqual(query('SELECT * FROM leads WHERE 10 < idade').filters, [
+        { column: 'idade', operator: 'gt', value: 10 }
+    ]);
+    assert.deepStrictEqual(query("SELECT * FROM leads WHERE email ILIKE '%gmail%'").filters, [
+        { column: 'email', operator: 'ilike', value: '%gmail%' }
+    ]);
+});
+
+test('OR vira filtro or com valores entre aspas quando preciso', () => {
+    const { filters } = query("SELECT * FROM leads WHERE idade >= 18 AND (cidade = 'São Paulo' OR cidade = 'Rio')");
+    assert.deepStrictEqual(filters, [
+        { column: 'idade', operator: 'gte', value: 18 },
+        { operator: 'or', value: 'cidade.eq."São Paulo",cidade.eq.Rio' }
+    ]);
+});
+
+test('listas de in/not.in têm aspas nos valores com caracteres reservados', () => {
+    assert.strictEqual(SqlTranslator.renderList(['ativo', 'em andamento', 'a,b', 'x"y']), '(ativo,"em andamento","a,b","x\\"y")');
+    assert.strictEqual(SqlTranslator.renderList('ativo'), '(ativo)');
+    assert.strictEqual(SqlTranslator.quote('a.b'), '"a.b"');
+    assert.strictEqual(SqlTranslator.quote('simples'), 'simples');
+});
+
+test('construções sem equivalente na API REST são recusadas com o motivo', () => {
+    assert.match(reason('SELECT * FROM leads l JOIN vendas v ON v.lead_id = l.id'), /JOIN/);
+    assert.match(reason('SELECT status, COUNT(*) FROM leads GROUP BY status'), /GROUP BY/);
+    assert.match(reason('SELECT * FROM leads; DROP TABLE leads'), /2 instruções/);
+});
+
+test('extractTables ignora nomes de CTE', () => {
+    const tables = translator.extractTables('WITH x AS (SELECT * FROM a) SELECT * FROM x JOIN b ON b.id = x.id');
+    assert.deepStrictEqual(tables.sort(), ['a', 'b']);
+    assert.deepStrictEqual(translator.extractTables('isso não é SQL'), []);
+});
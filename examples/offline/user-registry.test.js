@@ -0,0 +1,44 @@
+/**
+ * Usuários e papéis sem rede: UserRegistry
+ * Execute com: npm run test:offline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const UserRegistry = require('../../src/auth/user-registry');
+
+const NO_FILE = path.join(__dirname, 'nao-existe.json');
+
+test('sem usuários configurados o modo aberto usa o papel viewer', () => {
+    const registry = new UserRegistry({ filePath: NO_FILE, authorizedNumbers: '' });
+    const access = registry.resolve('5511999999999@c.us');
+
+    assert.strictEqual(registry.isOpen(), true);
+    assert.strictEqual(access.role, 'viewer');
+    assert.strictEqual(UserRegistry.can(access, 'read'), true);
+    assert.strictEqual(UserRegistry.can(access, 'sql'), false);
+    assert.strictEqual(UserRegistry.can(access, 'export'), false);
+});
+
+test('AUTH_OPEN_ROLE escolhe o papel do modo aberto', () => {
+    const registry = new UserRegistry({ filePath: NO_FILE, authorizedNumbers: '', openRole: 'analyst' });
+    assert.strictEqual(registry.resolve('+5511999999999').role, 'analyst');
+
+    const unknown = new UserRegistry({ filePath: NO_FILE, authorizedNumbers: '', openRole: 'root' });
+    assert.strictEqual(unknown.resolve('+5511999999999').role, 'viewer');
+});
+
+test('números cadastrados casam exatamente, sem substring', () => {
+    const registry = new UserRegistry({
+        filePath: NO_FILE,
+        authorizedNumbers: '5511999999999',
+        config: { users: [{ number: '+5511988888888', role: 'viewer' }] }
+    });
+
+    assert.strictEqual(registry.isOpen(), false);
+    assert.strictEqual(registry.resolve('5511999999999@c.us').role, 'analyst');
+    assert.strictEqual(registry.resolve('+5511988888888').role, 'viewer');
+    assert.strictEqual(registry.resolve('+551199999999'), null);
+    assert.strictEqual(registry.resolve('+55119999999990'), null);
+});
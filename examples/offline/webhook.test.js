@@ -0,0 +1,25 @@
+/**
+ * Autenticação do canal webhook sem rede: WebhookChannel
+ * Execute com: npm run test:offline
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const WebhookChannel = require('../../src/channels/webhook-channel');
+
+const channel = new WebhookChannel({ token: 'segredo-123' });
+
+function request(headers) {
+    return { headers };
+}
+
+test('aceita o token por Bearer ou x-webhook-token', () => {
+    assert.strictEqual(channel.isAuthorized(request({ authorization: 'Bearer segredo-123' })), true);
+    assert.strictEqual(channel.isAuthorized(request({ 'x-webhook-token': 'segredo-123' })), true);
+});
+
+test('recusa token errado, de outro tamanho ou ausente', () => {
+    assert.strictEqual(channel.isAuthorized(request({ authorization: 'Bearer segredo-124' })), false);
+    assert.strictEqual(channel.isAuthorized(request({ authorization: 'Bearer segredo' })), false);
+    assert.strictEqual(channel.isAuthorized(request({})), false);
+});
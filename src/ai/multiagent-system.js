@@ -1,4 +1,15 @@
 const Anthropic = require('@anthropic-ai/sdk');
+const SessionStore = require('./session-store');
+const ChartDetector = require('../charts/chart-detector');
+const ResultExporter = require('../export/result-exporter');
+const ResponseFormatter = require('../formatters/response');
+const Helpers = require('../utils/helpers');
+const UserRegistry = require('../auth/user-registry');
+const SqlTranslator = require('../sql/sql-translator');
+const SqlGuard = require('../sql/sql-guard');
+const QueryPlan = require('./query-plan');
+const AnswerCache = require('../cache/answer-cache');
+const { DEFAULT_LANGUAGE, LANGUAGE_NAMES, MESSAGES, detectLanguage, translate } = require('../i18n');
 
 /**
  * Sistema Multiagentes para Análise de Dados Supabase
@@ -133,7 +144,22 @@ class MultiAgentSystem {
             { pattern: /^(teste|test|ping|status)\s*[!?.]*$/i, type: 'status' },
             
             // Ajuda genérica
-            { pattern: /^(help|ajuda|socorro|\?)\s*[!?.]*$/i, type: 'help' }
+            { pattern: /^(help|ajuda|socorro|\?)\s*[!?.]*$/i, type: 'help' },
+
+            // Espanhol
+            { pattern: /qu[eé] (puedes|sabes) hacer/i, type: 'capabilities' },
+            { pattern: /cu[aá]les (son )?(tus )?(capacidades|funciones)/i, type: 'capabilities' },
+            { pattern: /c[oó]mo funcionas/i, type: 'capabilities' },
+            { pattern: /^(hola|buenos d[ií]as|buenas tardes|buenas noches)\s*[!?.]*$/i, type: 'greeting' },
+            { pattern: /^(gracias|muchas gracias)\s*[!?.]*$/i, type: 'thanks' },
+            { pattern: /^(ayuda|ay[uú]dame)\s*[!?.]*$/i, type: 'help' },
+
+            // Inglês
+            { pattern: /what (can|do) you (do|know)/i, type: 'capabilities' },
+            { pattern: /what are your (capabilities|features)/i, type: 'capabilities' },
+            { pattern: /how do you work/i, type: 'capabilities' },
+            { pattern: /^(good (morning|afternoon|evening))\s*[!?.]*$/i, type: 'greeting' },
+            { pattern: /^(thx|thanks a lot|many thanks)\s*[!?.]*$/i, type: 'thanks' }
         ];
         
         // Cache de metadados para otimização
@@ -145,13 +171,41 @@ class MultiAgentSystem {
         this.tablesCacheTimestamp = null;
         this.tablesCacheTTL = 300000; // 5 minutos de cache
         
-        // Contexto de conversa para melhor interpretação
-        this.conversationContext = {
-            lastEmail: null,
-            lastTable: null,
-            lastOperation: null,
-            recentQueries: []
-        };
+        // Sessões de conversa por chat (contexto, histórico e resultados)
+        this.sessions = new SessionStore();
+
+        // Cache multinível das respostas (memória + arquivo), ver CACHE_MULTINIVEL.md
+        this.answerCache = new AnswerCache();
+        // Mensagem inteira: "atualizar" refaz a última pergunta sem cache; "atualizar tudo" limpa o cache
+        this.REFRESH_PATTERN = /^(?:atualiz(?:ar|a|e)|actualiz(?:ar|a)|refresh|update)(?:\s+(?:tudo|todo|all|(?:os\s+)?dados|(?:los\s+)?datos|(?:the\s+)?data))?\s*[!?.]*$/i;
+
+        // Parser de SQL: tabelas usadas e tradução para a API REST quando não há RPC
+        this.sqlTranslator = new SqlTranslator();
+        // Política de SQL somente leitura, aplicada antes de qualquer execução
+        this.sqlGuard = new SqlGuard({ translator: this.sqlTranslator });
+        // Novas tentativas do Agente SQL quando a query falha (0 desativa)
+        this.queryMaxRetries = parseInt(process.env.QUERY_MAX_RETRIES || '2');
+        // Consultas por plano do Agente SQL (funis, comparações entre períodos)
+        this.queryPlanMaxSteps = parseInt(process.env.QUERY_PLAN_MAX_STEPS) || 5;
+
+        // Detecção de resultados que podem ser enviados como gráfico
+        this.chartsEnabled = process.env.CHARTS_ENABLED !== 'false';
+        this.chartDetector = new ChartDetector();
+
+        // Exportação do último resultado em CSV/XLSX
+        this.resultExporter = new ResultExporter();
+        this.responseFormatter = new ResponseFormatter();
+        this.pageSize = parseInt(process.env.PAGINATION_PAGE_SIZE) || this.responseFormatter.maxRecordsToShow;
+        // Mensagem inteira: "mais", "próxima página", "página 3", "página anterior"
+        // (também "más", "siguiente", "more", "next page", "page 3")
+        this.PAGINATION_PATTERN = /^(?:(?:mostra|manda|ver|quero|muestra|show)\s+)?(?:mais(?:\s+(?:resultados|registros|linhas))?|m[aá]s|more|pr[oó]xim[ao]s?(?:\s+p[aá]gina)?|siguiente(?:\s+p[aá]gina)?|next(?:\s+page)?|p[aá]gina\s+(?:seguinte|siguiente|anterior|\d+)|page\s+\d+|previous(?:\s+page)?|anterior)\s*[!?.]*$/i;
+        // Pergunta de esclarecimento quando o Coordinator não tem certeza da tabela
+        this.clarifyThreshold = parseFloat(process.env.CLARIFY_CONFIDENCE_THRESHOLD || '0.6');
+        this.clarifyMaxOptions = parseInt(process.env.CLARIFY_MAX_OPTIONS) || 4;
+        this.clarifyTTL = parseInt(process.env.CLARIFY_TTL) || 600000; // 10 min
+        this.EXPORT_PATTERN = /\b(export[ae]r?|baix[ae]r?|gera[r]?|manda[r]?)\b.*\b(planilha|excel|xlsx|csv|arquivo)\b|^(planilha|excel|xlsx|csv)\s*[!?.]*$/i;
+        // Mensagem inteira que aponta para a última resposta: "exporta isso", "exportar resultado", "em planilha"
+        this.EXPORT_LAST_PATTERN = /^(?:(?:me\s+)?(?:export[ae]r?|baix[ae]r?|gera[r]?|manda[r]?|envia[r]?)(?:\s+(?:isso|isto|tudo|(?:(?:o|os|a|as|esse|esses|essa|essas|este|estes|esta|estas)\s+)?(?:resultados?|dados|registros|lista|tabela|consulta)))?(?:\s+(?:(?:em|como|pra|para|num|numa)\s+)?(?:(?:uma?|a)\s+)?(?:planilha|excel|xlsx|csv|arquivo))?|(?:(?:em|como|pra|para|num|numa)\s+)?(?:(?:uma?|a)\s+)?(?:planilha|excel|xlsx|csv|arquivo))\s*[!?.]*$/i;
         
         // Inicializa servidor MCP interno
         this.initializeMCPServer();
@@ -177,16 +231,79 @@ class MultiAgentSystem {
      * 1. FAST PATH - Perguntas meta/conversacionais (< 50ms, sem banco)
      * 2. COORDINATOR - Analisa intenção e decide se precisa de dados
      * 3. FULL PATH - Schema → Query → Analyst → Formatter
+     *
+     * options.onProgress(stage, detail) é chamado no início de cada agente do
+     * FULL PATH (coordinator, schema, query, analyst, formatter), para o canal
+     * mostrar o andamento em execuções longas
      */
-    async processMessage(messageText, userContext) {
+    async processMessage(messageText, userContext, options = {}) {
+        const progress = (stage, detail = {}) => {
+            if (!options.onProgress) return;
+            try {
+                options.onProgress(stage, detail);
+            } catch (error) {
+                console.error('❌ Erro no callback de progresso:', error);
+            }
+        };
+
+        let language = DEFAULT_LANGUAGE;
+
         try {
             console.log(`🧠 Coordenador processando: "${messageText}"`);
 
+            const session = this.sessions.get(userContext?.chatId);
+            const access = userContext?.access || null;
+            // Idioma da mensagem ou, sem pistas ("2", "mais"), o último usado na conversa
+            language = this.resolveLanguage(session, messageText);
+
+            // Resposta a uma pergunta de esclarecimento ("2"): retoma a pergunta pendente
+            const resumed = this.resolveClarification(session, messageText);
+            if (resumed) {
+                console.log(`🔁 Retomando pergunta pendente com a tabela ${resumed.intention.tables_needed[0]}`);
+                messageText = resumed.question;
+            }
+
+            // Perfis sem a permissão read não consultam os dados
+            if (!UserRegistry.can(access, 'read')) {
+                return this.accessDeniedResponse(translate(language, 'denied_read'), userContext);
+            }
+
+            // ========================================
+            // EXPORTAÇÃO - Reexecuta a última consulta sem limite de exibição
+            // ========================================
+            let exportFormat = null;
+            const exportsLast = this.EXPORT_LAST_PATTERN.test(messageText.trim());
+            if (exportsLast || this.EXPORT_PATTERN.test(messageText.trim())) {
+                if (!UserRegistry.can(access, 'export')) {
+                    return this.accessDeniedResponse(translate(language, 'denied_export'), userContext);
+                }
+                exportFormat = this.resultExporter.detectFormat(messageText);
+                if (exportsLast) {
+                    return await this.exportLastResult(session, exportFormat, userContext, language);
+                }
+                // Pergunta nova com pedido de arquivo ("exporta os leads de ontem em planilha"):
+                // responde pelo pipeline e exporta o resultado dela
+            }
+
+            // ========================================
+            // PAGINAÇÃO - Próxima página da última listagem, sem LLM
+            // ========================================
+            if (this.PAGINATION_PATTERN.test(messageText.trim())) {
+                return await this.paginateLastResult(session, messageText, userContext, language);
+            }
+
+            // ========================================
+            // ATUALIZAR - Invalida o cache e refaz a última pergunta
+            // ========================================
+            if (this.REFRESH_PATTERN.test(messageText.trim())) {
+                return await this.refreshLastResult(session, messageText, userContext, options, language);
+            }
+
             // ========================================
             // FAST PATH - Perguntas meta/conversacionais
             // Responde INSTANTANEAMENTE sem consultar banco
             // ========================================
-            const fastPathResponse = this.handleFastPath(messageText);
+            const fastPathResponse = this.handleFastPath(messageText, language);
             if (fastPathResponse) {
                 console.log(`⚡ Fast Path ativado: ${fastPathResponse.type}`);
                 return {
@@ -203,12 +320,40 @@ class MultiAgentSystem {
             // FULL PATH - Consultas que precisam de dados
             // ========================================
             
+            // Resposta citada (quote) a uma mensagem anterior: a consulta de origem vira contexto
+            const context = userContext?.quotedContext
+                ? { ...session.context, quoted: userContext.quotedContext }
+                : session.context;
+
             // 1. Agente Coordenador analisa a intenção
-            const intention = await this.coordinatorAgent(messageText);
+            progress('coordinator');
+            const intention = resumed
+                ? resumed.intention
+                : await this.coordinatorAgent(messageText, context, access);
             console.log(`🎯 Intenção identificada:`, intention);
 
+            // Baixa confiança ou várias tabelas possíveis: pergunta antes de consultar
+            if (!resumed) {
+                const clarification = await this.buildClarification(messageText, intention, access);
+                if (clarification) {
+                    session.pendingClarification = clarification;
+                    return {
+                        intention: { ...intention, type: 'clarification' },
+                        response: this.formatClarification(clarification, language),
+                        userContext
+                    };
+                }
+            }
+
+            // Bloqueia tabelas fora do perfil do usuário
+            const deniedTables = (intention.tables_needed || []).filter(table => !UserRegistry.canAccessTable(access, table));
+            if (deniedTables.length > 0) {
+                console.log(`🚫 Tabelas negadas para ${access.role}: ${deniedTables.join(', ')}`);
+                return this.accessDeniedResponse(translate(language, 'denied_tables', { role: access.role, tables: deniedTables.join(', ') }), userContext);
+            }
+
             // Atualiza contexto de conversa
-            this.updateConversationContext(intention, messageText);
+            this.updateConversationContext(intention, messageText, session);
 
             // FAST PATH: Se o Coordinator já tem a resposta direta (metadata_query)
             if (intention.direct_answer || (intention.operations?.includes('metadata_query') && intention.tables_needed?.length === 0)) {
@@ -227,36 +372,80 @@ class MultiAgentSystem {
                 };
             }
 
+            const tables = intention.tables_needed || [];
+
+            // Mesma pergunta, mesma intenção e mesma versão dos dados: resposta do cache
+            const cacheKey = this.answerCacheKey(messageText, intention, context, language, access);
+            const cached = this.answerCache.get(cacheKey);
+            if (cached) {
+                const fromCache = this.respondFromCache(cached, session, userContext, language);
+                return exportFormat
+                    ? await this.exportLastResult(session, exportFormat, userContext, language)
+                    : fromCache;
+            }
+
             // 2. Agente Schema descobre estrutura necessária
-            const schema = await this.schemaAgent(intention.tables_needed || []);
+            progress('schema', { tables });
+            const schema = await this.schemaAgent(tables);
             console.log(`📋 Schema obtido para ${schema.length} tabelas`);
 
             // 3. Agente Query constrói e executa consultas
-            const queryResult = await this.queryAgent(intention, schema);
+            progress('query', { tables });
+            const queryResult = await this.queryAgent(intention, schema, context, access);
             console.log(`🔍 Query executada:`, queryResult.success ? 'Sucesso' : 'Erro');
 
             // 4. Agente Analyst analisa os resultados
-            const analysis = await this.analystAgent(queryResult, intention, messageText);
+            progress('analyst', { tables });
+            const analysis = await this.analystAgent(queryResult, intention, messageText, language);
             console.log(`📊 Análise concluída`);
 
             // 5. Agente Formatter cria resposta para WhatsApp
-            const response = await this.formatterAgent(analysis, queryResult, messageText);
+            progress('formatter', { tables });
+            const response = await this.formatterAgent(analysis, queryResult, messageText, language);
             console.log(`💬 Resposta formatada: ${response.length} caracteres`);
 
-            return {
+            // 6. Detecta se o resultado pode ser enviado como gráfico
+            const chart = this.chartsEnabled ? this.chartDetector.detect(queryResult, messageText, language) : null;
+            if (chart) {
+                console.log(`📈 Resultado chartable: ${chart.type} (${chart.labels.length} pontos)`);
+            }
+
+            const result = {
                 intention: intention,
                 schema: schema,
                 queryResult: queryResult,
                 analysis: analysis,
                 response: response,
+                chart: chart,
+                replyContext: this.buildReplyContext(messageText, intention, queryResult, analysis),
                 userContext: userContext
             };
 
+            this.sessions.recordResult(session, result);
+
+            // Só respostas completas: consultas com erro são refeitas na próxima vez
+            if (queryResult.success && !queryResult.error) {
+                this.answerCache.set(cacheKey, {
+                    intention,
+                    queryResult,
+                    analysis,
+                    response,
+                    chart,
+                    replyContext: result.replyContext
+                });
+            }
+
+            if (exportFormat && queryResult.success) {
+                return await this.exportLastResult(session, exportFormat, userContext, language);
+            }
+
+            return result;
+
         } catch (error) {
             console.error('❌ Erro no sistema multiagentes:', error);
             return {
                 intention: { error: true },
-                response: `🤖 Desculpe, encontrei um erro ao analisar sua solicitação: ${error.message}`,
+                response: translate(language, 'processing_error', { error: error.message }),
                 userContext: userContext
             };
         }
@@ -266,7 +455,7 @@ class MultiAgentSystem {
      * FAST PATH - Responde perguntas meta/conversacionais SEM consultar banco
      * Retorna null se não for uma pergunta meta (deve seguir para Full Path)
      */
-    handleFastPath(messageText) {
+    handleFastPath(messageText, language = DEFAULT_LANGUAGE) {
         const text = messageText.toLowerCase().trim();
         
         // Verifica padrões meta
@@ -274,7 +463,7 @@ class MultiAgentSystem {
             if (pattern.test(text)) {
                 return {
                     type,
-                    response: this.generateMetaResponse(type)
+                    response: this.generateMetaResponse(type, language)
                 };
             }
         }
@@ -285,31 +474,66 @@ class MultiAgentSystem {
     /**
      * Gera respostas para perguntas meta baseado no SYSTEM_IDENTITY
      */
-    generateMetaResponse(type) {
+    generateMetaResponse(type, language = DEFAULT_LANGUAGE) {
         switch (type) {
             case 'capabilities':
             case 'help':
-                return this.formatCapabilitiesResponse();
+                return this.formatCapabilitiesResponse(language);
             
             case 'greeting':
-                return this.formatGreetingResponse();
+                return this.formatGreetingResponse(language);
             
             case 'thanks':
-                return this.formatThanksResponse();
+                return this.formatThanksResponse(language);
             
             case 'status':
-                return this.formatStatusResponse();
+                return this.formatStatusResponse(language);
             
             default:
-                return this.formatCapabilitiesResponse();
+                return this.formatCapabilitiesResponse(language);
+        }
+    }
+
+    /**
+     * SYSTEM_IDENTITY com os textos exibidos traduzidos (pt = original)
+     */
+    getIdentity(language = DEFAULT_LANGUAGE) {
+        const translated = MESSAGES[language]?.identity;
+        if (!translated) {
+            return this.SYSTEM_IDENTITY;
         }
+
+        return {
+            ...this.SYSTEM_IDENTITY,
+            ...translated,
+            businessContext: { ...this.SYSTEM_IDENTITY.businessContext, focus: translated.focus }
+        };
+    }
+
+    /**
+     * Idioma da conversa: definido na primeira mensagem com pistas suficientes
+     * e trocado só quando outro idioma tem vantagem clara (detectLanguage)
+     */
+    resolveLanguage(session, messageText) {
+        const detected = detectLanguage(messageText, session.language);
+        if (detected) {
+            session.language = detected;
+        }
+        return session.language || DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Idioma de um chat a partir da nova mensagem (usado pelos canais)
+     */
+    detectLanguage(chatId, messageText) {
+        return this.resolveLanguage(this.sessions.get(chatId), messageText || '');
     }
 
     /**
      * Formata resposta de capacidades do sistema
      */
-    formatCapabilitiesResponse() {
-        const { name, description, capabilities, examples, knownTables, businessContext } = this.SYSTEM_IDENTITY;
+    formatCapabilitiesResponse(language = DEFAULT_LANGUAGE) {
+        const { name, description, capabilities, examples, knownTables, businessContext } = this.getIdentity(language);
         
         let response = `🤖 *${name}*\n\n`;
         response += `${description}\n\n`;
@@ -328,21 +552,20 @@ class MultiAgentSystem {
         
         // Adiciona tabelas conhecidas
         response += `---\n\n`;
-        response += `🗄️ *TABELAS DISPONÍVEIS:*\n\n`;
+        response += `${translate(language, 'capabilities_tables')}\n\n`;
         for (const [table, desc] of Object.entries(knownTables)) {
             response += `• *${table}*: ${desc}\n`;
         }
         
         response += `\n---\n\n`;
-        response += `💡 *EXEMPLOS DO QUE VOCÊ PODE ME PEDIR:*\n\n`;
+        response += `${translate(language, 'capabilities_examples')}\n\n`;
         
         examples.forEach((ex, i) => {
             response += `${i + 1}️⃣ "${ex}"\n`;
         });
         
         response += `\n---\n\n`;
-        response += `🎯 *DICA:* Faça perguntas em linguagem natural sobre alunos, leads ou engajamento!\n\n`;
-        response += `É só mandar sua pergunta que eu analiso os dados pra você! 🚀`;
+        response += translate(language, 'capabilities_tip');
         
         return response;
     }
@@ -350,46 +573,43 @@ class MultiAgentSystem {
     /**
      * Formata resposta de saudação
      */
-    formatGreetingResponse() {
-        const greetings = [
-            `👋 Olá! Sou o *${this.SYSTEM_IDENTITY.name}*!\n\n${this.SYSTEM_IDENTITY.description}\n\n💡 Pergunte "o que você pode fazer?" para ver todas as minhas capacidades!`,
-            `🤖 Oi! Estou pronto para ajudar com análise de dados!\n\nDigite sua pergunta ou peça "ajuda" para ver o que posso fazer.`,
-            `👋 E aí! Sou seu assistente de dados.\n\nMe pergunte qualquer coisa sobre seus dados ou digite "ajuda" para começar!`
-        ];
-        return greetings[Math.floor(Math.random() * greetings.length)];
+    formatGreetingResponse(language = DEFAULT_LANGUAGE) {
+        const { name, description } = this.getIdentity(language);
+        const greetings = translate(language, 'greetings');
+        const greeting = greetings[Math.floor(Math.random() * greetings.length)];
+        return greeting.replace('{name}', name).replace('{description}', description);
     }
 
     /**
      * Formata resposta de agradecimento
      */
-    formatThanksResponse() {
-        const thanks = [
-            `😊 Por nada! Estou aqui para ajudar.\n\nSe precisar de mais alguma análise, é só perguntar!`,
-            `🙏 Disponha! Qualquer dúvida sobre os dados, pode mandar!`,
-            `✨ Fico feliz em ajudar! Manda mais perguntas quando precisar!`
-        ];
+    formatThanksResponse(language = DEFAULT_LANGUAGE) {
+        const thanks = translate(language, 'thanks');
         return thanks[Math.floor(Math.random() * thanks.length)];
     }
 
     /**
      * Formata resposta de status
      */
-    formatStatusResponse() {
+    formatStatusResponse(language = DEFAULT_LANGUAGE) {
         const tablesCount = this.tablesCache?.length || 0;
-        return `✅ *Sistema Operacional*\n\n` +
-               `🤖 Modelo: ${this.model}\n` +
-               `📊 Tabelas em cache: ${tablesCount}\n` +
+        const cacheStats = this.answerCache.getStats();
+        return `${translate(language, 'status_title')}\n\n` +
+               `${translate(language, 'status_model', { model: this.model })}\n` +
+               `${translate(language, 'status_tables', { count: tablesCount })}\n` +
                `⏱️ Cache TTL: ${this.tablesCacheTTL / 1000}s\n` +
-               `🔧 MCP Server: ${this.mcpServer ? 'Ativo' : 'Inativo'}\n\n` +
-               `Pronto para processar suas consultas! 🚀`;
+               `${translate(language, 'status_sessions', { count: this.sessions.getStats().active })}\n` +
+               `${translate(language, 'status_answer_cache', { count: cacheStats.memoryEntries + cacheStats.fileEntries, rate: cacheStats.hitRate })}\n` +
+               `${translate(language, 'status_mcp', { state: translate(language, this.mcpServer ? 'status_active' : 'status_inactive') })}\n\n` +
+               translate(language, 'status_ready');
     }
 
     /**
      * AGENTE COORDENADOR - Analisa intenção e planeja execução
      */
-    async coordinatorAgent(messageText) {
-        // Primeiro descobre as tabelas disponíveis dinamicamente
-        const availableTables = await this.discoverAvailableTables();
+    async coordinatorAgent(messageText, context, access = null) {
+        // Primeiro descobre as tabelas disponíveis dinamicamente (apenas as permitidas ao usuário)
+        const availableTables = UserRegistry.filterTables(access, await this.discoverAvailableTables());
         
         // Detecta referências contextuais
         const contextualInfo = this.extractContextualReferences(messageText);
@@ -408,9 +628,10 @@ ${availableTables.map(table =>
 ).join('\n')}
 
 CONTEXTO DA CONVERSA:
-${this.conversationContext.lastEmail ? `- Último email consultado: ${this.conversationContext.lastEmail}` : ''}
-${this.conversationContext.lastTable ? `- Última tabela consultada: ${this.conversationContext.lastTable}` : ''}
-${this.conversationContext.lastOperation ? `- Última operação: ${this.conversationContext.lastOperation}` : ''}
+${context.lastEmail ? `- Último email consultado: ${context.lastEmail}` : ''}
+${context.lastTable ? `- Última tabela consultada: ${context.lastTable}` : ''}
+${context.lastOperation ? `- Última operação: ${context.lastOperation}` : ''}
+${this.formatQuotedContext(context.quoted)}
 
 REFERÊNCIAS DETECTADAS NA MENSAGEM:
 ${contextualInfo.email ? `- Email mencionado: ${contextualInfo.email}` : ''}
@@ -428,8 +649,8 @@ Ao buscar tabelas por tipo de coluna, considere TODOS os sinônimos:
 IMPORTANTE: Quando o usuário pedir "tabelas com whatsapp", inclua tabelas que tenham colunas como "phone", "telefone", "celular" etc.
 
 INSTRUÇÕES CRÍTICAS:
-1. Se detectar "mesmo email", "esse email", use: ${this.conversationContext.lastEmail || 'email anterior'}
-2. Se detectar "mesma tabela", "essa tabela", use: ${this.conversationContext.lastTable || 'tabela anterior'}
+1. Se detectar "mesmo email", "esse email", use: ${context.lastEmail || 'email anterior'}
+2. Se detectar "mesma tabela", "essa tabela", use: ${context.lastTable || 'tabela anterior'}
 3. Para busca de email específico, use analysis_type: "list" e operations: ["filter"]
 4. Para contagens, use analysis_type: "count" e operations: ["count"]
 5. Para listagem de tabelas por tipo de coluna, analise os sinônimos acima
@@ -446,9 +667,15 @@ RESPONDA APENAS EM JSON VÁLIDO (sem markdown, sem explicações extras):
   "operations": ["count", "filter", "join", "group_by", "metadata_query"],
   "complexity": "simple|medium|complex",
   "explanation": "Explicação do que será feito",
-  "confidence": 0.95
+  "confidence": 0.95,
+  "candidate_tables": []
 }
 
+CONFIANÇA E AMBIGUIDADE:
+- "confidence" é a sua certeza (0 a 1) de que tables_needed é a tabela certa
+- Se a pergunta puder se referir a mais de uma tabela e não der para decidir (ex: "quantos leads?" com qualified_leads e engaged_leads), preencha "candidate_tables" com as opções (mais provável primeiro) e use confidence abaixo de ${this.clarifyThreshold}
+- Se não houver dúvida, deixe "candidate_tables" vazio
+
 SOLICITAÇÃO DO USUÁRIO: "${messageText}"`;
 
         try {
@@ -460,20 +687,13 @@ SOLICITAÇÃO DO USUÁRIO: "${messageText}"`;
             });
 
             const analysisText = response.content[0].text;
-            return this.parseJSON(analysisText, {
-                analysis_type: "list",
-                tables_needed: availableTables.length > 0 ? [availableTables[0].table_name] : [],
-                operations: ["count"],
-                complexity: "simple",
-                explanation: "Análise básica com descoberta dinâmica",
-                confidence: 0.5
-            });
+            return this.parseJSON(analysisText, this.createSmartFallback(messageText, availableTables, contextualInfo, context));
 
         } catch (error) {
             console.error('❌ Erro no Agente Coordenador:', error);
             
             // Fallback inteligente baseado em contexto
-            const smartFallback = this.createSmartFallback(messageText, availableTables, contextualInfo);
+            const smartFallback = this.createSmartFallback(messageText, availableTables, contextualInfo, context);
             return smartFallback;
         }
     }
@@ -511,7 +731,7 @@ SOLICITAÇÃO DO USUÁRIO: "${messageText}"`;
         return null;
     }
 
-    createSmartFallback(messageText, availableTables, contextualInfo) {
+    createSmartFallback(messageText, availableTables, contextualInfo, context) {
         const text = messageText.toLowerCase();
         
         // Detecta tipo de operação baseado em palavras-chave
@@ -530,8 +750,10 @@ SOLICITAÇÃO DO USUÁRIO: "${messageText}"`;
         // Detecta tabela
         if (contextualInfo.table) {
             tables_needed = [contextualInfo.table];
-        } else if (contextualInfo.sameTable && this.conversationContext.lastTable) {
-            tables_needed = [this.conversationContext.lastTable];
+        } else if (contextualInfo.sameTable && context.lastTable) {
+            tables_needed = [context.lastTable];
+        } else if (context.quoted?.tables?.length > 0) {
+            tables_needed = [context.quoted.tables[0]];
         } else if (availableTables.length > 0) {
             // Se menciona email, provavelmente quer qualified_leads ou engaged_leads
             if (contextualInfo.email || contextualInfo.sameEmail) {
@@ -540,7 +762,18 @@ SOLICITAÇÃO DO USUÁRIO: "${messageText}"`;
                 );
                 tables_needed = emailTables.length > 0 ? [emailTables[0].table_name] : [availableTables[0].table_name];
             } else {
-                tables_needed = [availableTables[0].table_name];
+                // Sem pista da tabela: chute de baixa confiança, com as opções mais prováveis
+                const candidates = this.rankCandidateTables(messageText, availableTables);
+                tables_needed = [candidates[0] || availableTables[0].table_name];
+                return {
+                    analysis_type,
+                    tables_needed,
+                    operations,
+                    complexity: "simple",
+                    explanation: `Fallback inteligente: ${analysis_type} em ${tables_needed.join(', ')}`,
+                    confidence: 0.3,
+                    candidate_tables: candidates
+                };
             }
         }
         
@@ -554,6 +787,131 @@ SOLICITAÇÃO DO USUÁRIO: "${messageText}"`;
         };
     }
 
+    /**
+     * Tabelas mais prováveis para a mensagem: palavras da pergunta que aparecem
+     * no nome da tabela (peso 2) ou nas colunas (peso 1); empate pelo tamanho
+     */
+    rankCandidateTables(messageText, availableTables) {
+        const words = messageText.toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9_]+/)
+            .filter(word => word.length >= 3)
+            .map(word => word.replace(/s$/, ''));
+
+        return availableTables
+            .map(table => {
+                const nameParts = table.table_name.toLowerCase().split('_').map(part => part.replace(/s$/, ''));
+                const columns = (table.columns || []).map(col => col.toLowerCase());
+                let score = 0;
+                words.forEach(word => {
+                    if (nameParts.includes(word)) score += 2;
+                    if (columns.some(col => col.includes(word))) score += 1;
+                });
+                return { name: table.table_name, score, rows: table.row_count || 0 };
+            })
+            .filter(table => table.score > 0)
+            .sort((a, b) => b.score - a.score || b.rows - a.rows)
+            .map(table => table.name);
+    }
+
+    /**
+     * Decide se precisa perguntar qual tabela usar
+     * Retorna { question, intention, options: [{ table, rows }], createdAt } ou null
+     */
+    async buildClarification(messageText, intention, access) {
+        if (intention.direct_answer || intention.operations?.includes('metadata_query')) {
+            return null;
+        }
+
+        const candidates = intention.candidate_tables || [];
+        const lowConfidence = typeof intention.confidence === 'number' && intention.confidence < this.clarifyThreshold;
+        if (!lowConfidence && candidates.length < 2) {
+            return null;
+        }
+
+        const availableTables = UserRegistry.filterTables(access, await this.discoverAvailableTables());
+        const byName = new Map(availableTables.map(table => [table.table_name, table]));
+
+        // Opções sugeridas pelo Coordinator, completadas pelo ranking local
+        const names = [...new Set([
+            ...candidates,
+            ...(intention.tables_needed || []),
+            ...this.rankCandidateTables(messageText, availableTables)
+        ])].filter(name => byName.has(name));
+
+        const options = names.slice(0, this.clarifyMaxOptions).map(name => ({
+            table: name,
+            rows: byName.get(name).row_count ?? null
+        }));
+
+        if (options.length < 2) {
+            return null;
+        }
+
+        console.log(`🤔 Coordinator sem certeza (confiança ${intention.confidence}): opções ${names.slice(0, this.clarifyMaxOptions).join(', ')}`);
+        return { question: messageText, intention, options, createdAt: Date.now() };
+    }
+
+    formatClarification(clarification, language = DEFAULT_LANGUAGE) {
+        let text = `${translate(language, 'clarify_title')}\n_${clarification.question}_\n\n`;
+        clarification.options.forEach((option, index) => {
+            text += `${this.optionEmoji(index + 1)} *${option.table}*`;
+            if (typeof option.rows === 'number') {
+                text += ` (${option.rows.toLocaleString(translate(language, 'locale'))} ${translate(language, 'records')})`;
+            }
+            text += '\n';
+        });
+        text += `\n${translate(language, 'clarify_hint')}`;
+        return text;
+    }
+
+    optionEmoji(number) {
+        return number === 10 ? '🔟' : `${number}\uFE0F\u20E3`;
+    }
+
+    /**
+     * Se há pergunta pendente e a mensagem escolhe uma opção ("2", "2️⃣", "opção 2"
+     * ou o nome da tabela), devolve { question, intention } com a tabela escolhida.
+     * Qualquer outra mensagem descarta a pendência (segue como pergunta nova).
+     */
+    resolveClarification(session, messageText) {
+        const pending = session.pendingClarification;
+        if (!pending) {
+            return null;
+        }
+
+        session.pendingClarification = null;
+        if (Date.now() - pending.createdAt > this.clarifyTTL) {
+            return null;
+        }
+
+        const text = messageText.replace(/\uFE0F|\u20E3/g, '').trim().toLowerCase();
+        const numberMatch = text.match(/^(?:op[cç][aã]o|opci[oó]n|option)?\s*(\d+)\s*[.!]*$/);
+
+        let option = null;
+        if (numberMatch) {
+            option = pending.options[parseInt(numberMatch[1]) - 1] || null;
+        } else {
+            option = pending.options.find(o => o.table.toLowerCase() === text) || null;
+        }
+
+        if (!option) {
+            return null;
+        }
+
+        return {
+            question: pending.question,
+            intention: {
+                ...pending.intention,
+                tables_needed: [option.table],
+                candidate_tables: [],
+                confidence: 1,
+                explanation: `${pending.intention.explanation || ''} (tabela escolhida pelo usuário: ${option.table})`.trim()
+            }
+        };
+    }
+
     /**
      * AGENTE SCHEMA - Descobre estrutura das tabelas necessárias
      */
@@ -607,7 +965,7 @@ SOLICITAÇÃO DO USUÁRIO: "${messageText}"`;
     /**
      * AGENTE SQL - Constrói queries SQL precisas e inteligentes
      */
-    async queryAgent(intention, schemas) {
+    async queryAgent(intention, schemas, context, access = null) {
         const prompt = `Você é um Agente SQL Expert que constrói queries PostgreSQL perfeitas para Supabase.
 
 SCHEMAS DISPONÍVEIS:
@@ -619,14 +977,15 @@ Amostra: ${JSON.stringify(s.sample_data?.slice(0, 1) || [])}
 `).join('\n')}
 
 CONTEXTO DA CONVERSA:
-${this.conversationContext.lastEmail ? `- Email em contexto: ${this.conversationContext.lastEmail}` : ''}
-${this.conversationContext.lastTable ? `- Tabela em contexto: ${this.conversationContext.lastTable}` : ''}
+${context.lastEmail ? `- Email em contexto: ${context.lastEmail}` : ''}
+${context.lastTable ? `- Tabela em contexto: ${context.lastTable}` : ''}
+${this.formatQuotedContext(context.quoted)}
 
 INTENÇÃO ANALISADA:
 ${JSON.stringify(intention, null, 2)}
 
 INSTRUÇÕES CRÍTICAS:
-1. Se intention.operations inclui "filter" e há email em contexto, USE WHERE email = '${this.conversationContext.lastEmail || 'email_contexto'}'
+1. Se intention.operations inclui "filter" e há email em contexto, USE WHERE email = '${context.lastEmail || 'email_contexto'}'
 2. Para "quantidade distintas" ou "emails únicos" → USE COUNT(DISTINCT coluna)
 3. Para "últimos registros" → USE ORDER BY timestamp/created_at DESC LIMIT N
 4. Para "filtros" → USE WHERE com condições apropriadas
@@ -634,8 +993,23 @@ INSTRUÇÕES CRÍTICAS:
 6. Para "joins" → USE INNER/LEFT JOIN quando necessário
 
 EXEMPLOS CONTEXTUAIS:
-- Se buscar dados do "mesmo email" → USE WHERE email = '${this.conversationContext.lastEmail || 'email_anterior'}'
-- Se buscar na "mesma tabela" → USE FROM ${this.conversationContext.lastTable || 'tabela_anterior'}
+- Se buscar dados do "mesmo email" → USE WHERE email = '${context.lastEmail || 'email_anterior'}'
+- Se buscar na "mesma tabela" → USE FROM ${context.lastTable || 'tabela_anterior'}
+
+CONSULTAS EM VÁRIAS ETAPAS:
+Se a pergunta precisa de mais de uma consulta (funil entre tabelas, comparação entre períodos, top N de uma tabela detalhado em outra), responda com "queries" no lugar de "sql_query":
+{
+  "queries": [
+    { "name": "esta_semana", "description": "Leads desta semana", "sql_query": "SELECT COUNT(*) FROM leads WHERE created_at >= date_trunc('week', now())", "depends_on": [] },
+    { "name": "semana_anterior", "description": "Leads da semana anterior", "sql_query": "SELECT COUNT(*) FROM leads WHERE created_at >= date_trunc('week', now()) - interval '7 days' AND created_at < date_trunc('week', now())", "depends_on": [] }
+  ],
+  "query_type": "multi_step",
+  "explanation": "Comparação entre as duas semanas"
+}
+- No máximo ${this.queryPlanMaxSteps} consultas, com nomes curtos em snake_case
+- Consultas sem dependência entre si rodam em paralelo
+- Para usar o resultado de outra consulta, declare-a em "depends_on" e escreva {{nome.coluna}}: vira a lista de valores da coluna, pronta para IN (...). Ex: WHERE email IN ({{top_emails.email}}). {{nome.count}} vira o total de um COUNT
+- Se uma consulta basta, responda só com "sql_query"
 
 RESPONDA APENAS EM JSON VÁLIDO (sem markdown):
 {
@@ -644,49 +1018,262 @@ RESPONDA APENAS EM JSON VÁLIDO (sem markdown):
   "explanation": "Query SQL construída baseada no contexto",
   "expected_result": "dados do email específico"
 }`;
-try {
-    const response = await this.anthropic.messages.create({
-        model: this.model,
-        max_tokens: 800,
-        temperature: 0.1,
-        messages: [{ role: 'user', content: prompt }]
-    });
-
-    const sqlResponseText = response.content[0].text;
-    const sqlStrategy = this.parseJSON(sqlResponseText, {
-        sql_query: `SELECT COUNT(*) FROM ${intention.tables_needed[0] || 'qualified_leads'}`,
-        query_type: "simple_count",
-        explanation: "Query básica de fallback",
-        expected_result: "contagem simples"
-    });
-
-    console.log(`🔍 SQL gerado: ${sqlStrategy.sql_query}`);
-
-    // Executa a query SQL diretamente
-    const result = await this.executeSQLQuery(sqlStrategy.sql_query);
-
-    return {
-        success: true,
-        sql_strategy: sqlStrategy,
-        results: [result],
-        total_queries: 1
-    };
-
-} catch (error) {
-    console.error('❌ Erro no Agente SQL:', error);
-    return {
-        success: false,
-        error: error.message,
-        sql_strategy: null,
-        results: []
-    };
-}
+        let sqlStrategy = null;
+
+        try {
+            sqlStrategy = await this.generateSQL(prompt, {
+                sql_query: `SELECT COUNT(*) FROM ${intention.tables_needed[0] || 'qualified_leads'}`,
+                query_type: "simple_count",
+                explanation: "Query básica de fallback",
+                expected_result: "contagem simples"
+            });
+
+            const plan = QueryPlan.fromStrategy(sqlStrategy, { maxSteps: this.queryPlanMaxSteps });
+            if (plan.isMultiStep) {
+                return await this.executeQueryPlan(plan, sqlStrategy, { intention, schemas, access });
+            }
+
+            const { sqlStrategy: finalStrategy, outcome, attempts } = await this.executeWithRetries(
+                { ...sqlStrategy, sql_query: plan.steps[0].sql_query },
+                { intention, schemas, access }
+            );
+            sqlStrategy = finalStrategy;
+
+            if (outcome.error) {
+                return {
+                    success: false,
+                    error: outcome.error,
+                    sql_strategy: sqlStrategy,
+                    sql_analysis: outcome.analysis,
+                    attempts,
+                    results: outcome.result ? [outcome.result] : []
+                };
+            }
+
+            return {
+                success: true,
+                sql_strategy: sqlStrategy,
+                sql_analysis: outcome.analysis,
+                attempts,
+                results: [outcome.result],
+                // Uma consulta; as correções contam à parte
+                total_queries: 1,
+                retries: attempts.length - 1
+            };
+
+        } catch (error) {
+            console.error('❌ Erro no Agente SQL:', error);
+            return {
+                success: false,
+                error: error.message,
+                sql_strategy: sqlStrategy,
+                results: []
+            };
+        }
+    }
+
+    /**
+     * Executa um SQL do Agente SQL; se falhar, pede a correção com o erro e as
+     * colunas reais, até queryMaxRetries vezes
+     * step: etapa do plano, quando o SQL faz parte de um plano com várias consultas
+     */
+    async executeWithRetries(sqlStrategy, { intention, schemas, access, step = null }) {
+        const attempts = [];
+        let outcome = null;
+
+        for (let attempt = 1; attempt <= this.queryMaxRetries + 1; attempt++) {
+            if (attempt > 1) {
+                // Colunas reais das tabelas que o SQL tentou usar (além das da intenção)
+                schemas = await this.refreshSchemas(schemas, outcome.analysis, access);
+                const corrected = await this.generateSQL(this.buildCorrectionPrompt(intention, schemas, attempts, step), null);
+                if (!corrected || !corrected.sql_query) {
+                    console.warn('⚠️ Agente SQL não devolveu uma correção');
+                    break;
+                }
+                if (attempts.some(previous => previous.sql.trim() === corrected.sql_query.trim())) {
+                    console.warn('⚠️ Agente SQL repetiu um SQL que já falhou');
+                    break;
+                }
+                sqlStrategy = corrected;
+                console.log(`🔁 Tentativa ${attempt}${step ? ` (${step.name})` : ''}: ${sqlStrategy.fix || 'SQL corrigido'}`);
+            }
+
+            outcome = await this.runGeneratedSQL(sqlStrategy.sql_query, access);
+            attempts.push({
+                attempt,
+                sql: sqlStrategy.sql_query,
+                success: !outcome.error,
+                error: outcome.error,
+                fix: attempt > 1 ? sqlStrategy.fix || null : null
+            });
+
+            if (!outcome.error || !outcome.retryable) {
+                break;
+            }
+            console.warn(`⚠️ SQL falhou (tentativa ${attempt}): ${outcome.error}`);
+        }
+
+        if (!outcome.error && attempts.length > 1) {
+            console.log(`✅ SQL corrigido após ${attempts.length} tentativas`);
+        }
+
+        return { sqlStrategy, outcome, attempts };
+    }
+
+    /**
+     * Plano com várias consultas: etapas independentes em paralelo, cada uma
+     * com as próprias correções; resultados rotulados pelo nome da etapa
+     */
+    async executeQueryPlan(plan, sqlStrategy, { intention, schemas, access }) {
+        console.log(`🗺️ Plano com ${plan.steps.length} consultas: ${plan.order.map(step => step.name).join(' → ')}`);
+
+        const outcomes = await plan.execute(async (step, sql) => {
+            const run = await this.executeWithRetries(
+                { sql_query: sql, explanation: step.description },
+                { intention, schemas, access, step }
+            );
+            return {
+                success: !run.outcome.error,
+                error: run.outcome.error,
+                result: run.outcome.result,
+                sql: run.sqlStrategy.sql_query,
+                attempts: run.attempts
+            };
+        });
+
+        const steps = plan.steps.map(step => {
+            const outcome = outcomes.get(step.name);
+            return {
+                name: step.name,
+                description: step.description,
+                depends_on: step.depends_on,
+                sql: outcome.sql || step.sql_query,
+                success: outcome.success,
+                skipped: !!outcome.skipped,
+                error: outcome.error || null,
+                attempts: outcome.attempts || []
+            };
+        });
+
+        const results = plan.steps.map(step => {
+            const outcome = outcomes.get(step.name);
+            return {
+                name: step.name,
+                description: step.description,
+                ...(outcome.result || { success: false, error: outcome.error, data: null })
+            };
+        });
+
+        const failed = steps.filter(step => !step.success);
+        failed.forEach(step => console.warn(`⚠️ Consulta "${step.name}" do plano falhou: ${step.error}`));
+
+        return {
+            success: failed.length < steps.length,
+            error: failed.length > 0 ? failed.map(step => `${step.name}: ${step.error}`).join('; ') : undefined,
+            // Sem um SQL único: paginação e exportação usam só os resultados
+            sql_strategy: { ...sqlStrategy, sql_query: null, query_type: 'multi_step' },
+            plan: steps,
+            attempts: steps.flatMap(step => step.attempts.map(attempt => ({ step: step.name, ...attempt }))),
+            results,
+            total_queries: steps.filter(step => step.attempts.length > 0).length,
+            retries: steps.reduce((total, step) => total + Math.max(step.attempts.length - 1, 0), 0)
+        };
+    }
+
+    /**
+     * Pede o SQL ao modelo; fallback quando a resposta não é JSON
+     */
+    async generateSQL(prompt, fallback) {
+        const response = await this.anthropic.messages.create({
+            model: this.model,
+            max_tokens: 800,
+            temperature: 0.1,
+            messages: [{ role: 'user', content: prompt }]
+        });
+
+        const sqlStrategy = this.parseJSON(response.content[0].text, fallback);
+        if (sqlStrategy?.sql_query) {
+            console.log(`🔍 SQL gerado: ${sqlStrategy.sql_query}`);
+        }
+        return sqlStrategy;
+    }
+
+    /**
+     * Valida (parser e permissões) e executa um SQL do Agente SQL
+     * Retorna { result, analysis, error, retryable }; error null quando deu certo
+     */
+    async runGeneratedSQL(sql, access) {
+        const translation = this.sqlTranslator.translate(sql);
+        if (!translation.analysis) {
+            return { result: null, analysis: null, error: translation.reason, retryable: true };
+        }
+        console.log(`🧩 SQL usa: ${translation.analysis.tables.join(', ') || '-'} [${translation.analysis.constructs.join(', ') || 'select simples'}]`);
+
+        // JOINs e subconsultas: todas as tabelas lidas precisam ser permitidas
+        const deniedTable = translation.analysis.tables.find(table => !UserRegistry.canAccessTable(access, table));
+        if (deniedTable) {
+            // Permissão não se corrige reescrevendo o SQL
+            return { result: null, analysis: translation.analysis, error: `Acesso negado à tabela ${deniedTable}`, retryable: false };
+        }
+
+        // Executa a query SQL diretamente
+        const result = await this.executeSQLQuery(sql);
+        if (!result.success) {
+            // Bloqueio da política de SQL não é erro a corrigir: só erros do banco e timeouts voltam ao Agente SQL
+            return { result, analysis: translation.analysis, error: result.error || 'Erro na consulta', retryable: !result.blocked };
+        }
+
+        return { result, analysis: translation.analysis, error: null, retryable: false };
+    }
+
+    /**
+     * Schemas atuais + os das tabelas permitidas que o SQL usou e ainda não estavam na lista
+     */
+    async refreshSchemas(schemas, analysis, access) {
+        const known = new Set(schemas.map(schema => schema.table_name));
+        const missing = (analysis?.tables || [])
+            .filter(table => !known.has(table) && UserRegistry.canAccessTable(access, table));
+
+        if (missing.length === 0) {
+            return schemas;
+        }
+        return [...schemas, ...await this.schemaAgent(missing)];
+    }
+
+    /**
+     * Prompt de correção: erro do banco, SQL tentado e colunas reais de cada tabela
+     */
+    buildCorrectionPrompt(intention, schemas, attempts, step = null) {
+        return `Você é o Agente SQL corrigindo uma query PostgreSQL que falhou no Supabase.
+
+INTENÇÃO ANALISADA:
+${JSON.stringify(intention, null, 2)}
+${step ? `\nETAPA DO PLANO: ${step.name}${step.description ? ` - ${step.description}` : ''} (valores de outras etapas já foram substituídos no SQL)\n` : ''}
+COLUNAS REAIS (use somente estas):
+${schemas.map(s => `- ${s.table_name}: ${s.columns.join(', ')}`).join('\n') || '- (nenhum schema disponível)'}
+
+TENTATIVAS QUE FALHARAM:
+${attempts.map(a => `${a.attempt}. SQL: ${a.sql}\n   Erro: ${a.error}`).join('\n')}
+
+INSTRUÇÕES:
+1. Leia o erro e corrija a causa: coluna ou tabela inexistente → use o nome real da lista acima; tipo incompatível → use CAST ou compare com o tipo certo; sintaxe → reescreva
+2. Se o erro disser que a construção não é suportada (JOIN, GROUP BY, SUM...), reescreva como consulta de uma tabela só, com colunas simples ou COUNT, se isso ainda responder à intenção
+3. Apenas uma instrução SELECT, sem alterar dados
+4. Não repita um SQL que já falhou
+
+RESPONDA APENAS EM JSON VÁLIDO (sem markdown):
+{
+  "sql_query": "SELECT ...",
+  "query_type": "count_distinct|simple_count|list|aggregation|complex",
+  "explanation": "Query SQL construída baseada no contexto",
+  "fix": "o que foi corrigido em relação à tentativa anterior"
+}`;
     }
 
     /**
      * AGENTE ANALYST - Analisa resultados e gera insights
      */
-    async analystAgent(queryResult, intention, originalMessage) {
+    async analystAgent(queryResult, intention, originalMessage, language = DEFAULT_LANGUAGE) {
         if (!queryResult.success) {
             return {
                 insights: [],
@@ -711,6 +1298,8 @@ REGRAS ESTRITAS:
 4. Máximo de 3 insights por análise
 5. Máximo de 2 recomendações por análise
 6. NÃO use linguagem subjetiva ou emocional
+7. Escreva summary, insights e recomendações em ${LANGUAGE_NAMES[language]} (chaves do JSON continuam em inglês)
+8. Com vários resultados nomeados (campo "name"), compare-os entre si: conversão entre etapas de um funil, variação entre períodos
 
 RESPONDA EM JSON:
 {
@@ -778,7 +1367,7 @@ RESPONDA EM JSON:
     /**
      * AGENTE FORMATTER - Formata resposta para WhatsApp
      */
-    async formatterAgent(analysis, queryResult, originalMessage) {
+    async formatterAgent(analysis, queryResult, originalMessage, language = DEFAULT_LANGUAGE) {
         const prompt = `Você é o Agente Formatter especialista em comunicação via WhatsApp.
 
 ANÁLISE GERADA:
@@ -798,6 +1387,8 @@ DIRETRIZES:
 - Máximo 4000 caracteres
 - Estruture com títulos e listas
 - Inclua insights de negócio
+- Se listar só parte dos registros, diga que o usuário pode enviar *mais* para ver os próximos
+- IDIOMA: responda em ${LANGUAGE_NAMES[language]}, o idioma do usuário (nomes de tabelas e colunas ficam como estão)
 
 RESPONDA APENAS O TEXTO FORMATADO (sem JSON):`;
 
@@ -857,14 +1448,27 @@ RESPONDA APENAS O TEXTO FORMATADO (sem JSON):`;
     async executeSQLQuery(sqlQuery) {
         try {
             console.log(`🔍 Executando SQL: ${sqlQuery}`);
+
+            // Daqui em diante só roda o SQL validado (com LIMIT); cada chamada ao
+            // banco passa pelo withClientTimeout do guard (aqui, no MCP ou no executor)
+            const guarded = this.sqlGuard.check(sqlQuery, 'agent');
+            if (!guarded.allowed) {
+                return {
+                    success: false,
+                    error: `SQL bloqueado: ${guarded.reason}`,
+                    blocked: true,
+                    data: null
+                };
+            }
             
-            // Para COUNT DISTINCT, usa fetch direto para SQL real
-            if (sqlQuery.toLowerCase().includes('count(distinct')) {
-                return await this.executeCountDistinctSQL(sqlQuery);
+            // Para COUNT DISTINCT, usa a RPC de contagem (ou o executor com filtros)
+            const plan = this.convertSQLToMCPQuery(guarded.sql);
+            if (plan && plan.operation === 'count_distinct') {
+                return await this.executeCountDistinctSQL(guarded.sql, plan);
             }
             
             // Para outras queries, converte para operação Supabase
-            const result = await this.convertSQLToSupabaseOperation(sqlQuery);
+            const result = await this.convertSQLToSupabaseOperation(guarded.sql, sqlQuery);
             
             console.log(`✅ SQL convertido e executado:`, result);
             return result;
@@ -879,50 +1483,56 @@ RESPONDA APENAS O TEXTO FORMATADO (sem JSON):`;
         }
     }
 
-    async executeCountDistinctSQL(sqlQuery) {
+    async executeCountDistinctSQL(sqlQuery, plan) {
+        // A RPC só conta a coluna inteira; com WHERE conta pelo executor com os filtros
+        const whereFilters = plan.filters.filter(filter => !(filter.column === plan.column && filter.operator === 'not.is'));
+        if (whereFilters.length > 0) {
+            return await this.executeCountDistinctFallback(sqlQuery, plan);
+        }
+
         try {
-            // Executa SQL direto via fetch para COUNT DISTINCT preciso
-            const response = await fetch(`${this.supabaseExecutor.supabaseUrl}/rest/v1/rpc/count_distinct_emails`, {
-                method: 'POST',
-                headers: {
-                    'apikey': this.supabaseExecutor.supabaseKey,
-                    'Authorization': `Bearer ${this.supabaseExecutor.supabaseKey}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    table_name: this.extractTableFromSQL(sqlQuery),
-                    column_name: this.extractColumnFromSQL(sqlQuery)
-                })
-            });
+            // RPC de COUNT DISTINCT preciso, com o tempo máximo da política de SQL
+            const { data, error } = await this.sqlGuard.withClientTimeout(
+                this.supabaseExecutor.supabase.rpc('count_distinct_emails', {
+                    table_name: plan.table_name,
+                    column_name: plan.column
+                }),
+                sqlQuery,
+                'agent'
+            );
 
-            if (response.ok) {
-                const result = await response.json();
+            if (!error) {
                 return {
                     success: true,
-                    data: { count: result },
+                    data: { count: data },
                     sql_query: sqlQuery
                 };
-            } else {
-                // Fallback: usa método JavaScript mas com ALL records
-                return await this.executeCountDistinctFallback(sqlQuery);
             }
+            if (this.sqlGuard.isTimeout(error)) {
+                return { success: false, error: error.message, data: null };
+            }
+
+            // Fallback: usa método JavaScript mas com ALL records
+            return await this.executeCountDistinctFallback(sqlQuery, plan);
 
         } catch (error) {
             console.error('❌ Erro SQL direto, usando fallback:', error);
-            return await this.executeCountDistinctFallback(sqlQuery);
+            return await this.executeCountDistinctFallback(sqlQuery, plan);
         }
     }
 
-    async executeCountDistinctFallback(sqlQuery) {
-        const table = this.extractTableFromSQL(sqlQuery);
-        const column = this.extractColumnFromSQL(sqlQuery);
+    async executeCountDistinctFallback(sqlQuery, plan) {
+        const table = plan.table_name;
+        const column = plan.column;
         
         console.log(`🔍 COUNT DISTINCT fallback: ${table}.${column}`);
         
-        // Usa o método corrigido do executor com paginação
+        // Usa o método corrigido do executor com paginação (cada página com o
+        // tempo máximo do SqlGuard do executor)
         const result = await this.supabaseExecutor.performAggregation(table, {
             type: 'count_distinct',
-            column: column
+            column: column,
+            filters: plan.filters
         });
         
         if (result.success) {
@@ -945,24 +1555,28 @@ RESPONDA APENAS O TEXTO FORMATADO (sem JSON):`;
         };
     }
 
+    /**
+     * Primeira tabela lida pelo SQL ('unknown' se o SQL não pôde ser lido)
+     */
     extractTableFromSQL(sql) {
-        const match = sql.toLowerCase().match(/from\s+(\w+)/);
-        return match ? match[1] : 'unknown';
+        return this.extractTablesFromSQL(sql)[0] || 'unknown';
     }
 
-    extractColumnFromSQL(sql) {
-        const match = sql.toLowerCase().match(/count\(distinct\s+(\w+)\)/);
-        return match ? match[1] : 'email';
+    /**
+     * Todas as tabelas lidas pelo SQL (FROM, JOINs e subconsultas, sem CTEs)
+     */
+    extractTablesFromSQL(sql) {
+        return this.sqlTranslator.extractTables(sql);
     }
 
-    async convertSQLToSupabaseOperation(sqlQuery) {
+    async convertSQLToSupabaseOperation(sqlQuery, originalSql = sqlQuery) {
         // REMOVIDO: Hardcode de parsing SQL
         // NOVA ABORDAGEM: Usar MCP diretamente para execução SQL
         console.log(`🔄 Executando SQL via MCP: ${sqlQuery}`);
         
         try {
             // Usa o servidor MCP para executar SQL diretamente
-            const result = await this.executeSQLViaMCP(sqlQuery);
+            const result = await this.executeSQLViaMCP(sqlQuery, originalSql);
             return result;
         } catch (error) {
             console.error('❌ Erro ao executar SQL via MCP:', error);
@@ -974,7 +1588,12 @@ RESPONDA APENAS O TEXTO FORMATADO (sem JSON):`;
         }
     }
 
-    async executeSQLViaMCP(sqlQuery) {
+    /**
+     * sqlQuery já validado pelo SqlGuard; a tradução para a API REST usa o SQL
+     * original quando o guard envolveu a consulta numa subconsulta com LIMIT
+     * (sem tradução), e convertSQLToMCPQuery aplica o mesmo teto de linhas
+     */
+    async executeSQLViaMCP(sqlQuery, originalSql = sqlQuery) {
         try {
             console.log(`🔧 Executando via MCP: ${sqlQuery}`);
             
@@ -993,13 +1612,20 @@ RESPONDA APENAS O TEXTO FORMATADO (sem JSON):`;
             }
 
             // Fallback: Converte SQL para operação MCP apropriada
-            const mcpQuery = this.convertSQLToMCPQuery(sqlQuery);
+            let translation = this.sqlTranslator.translate(sqlQuery);
+            if (!translation.supported && originalSql !== sqlQuery) {
+                translation = this.sqlTranslator.translate(originalSql);
+            }
+            const mcpQuery = this.convertSQLToMCPQuery(sqlQuery, translation);
             if (mcpQuery) {
                 let result;
                 
                 // Usa a operação MCP apropriada baseada no tipo de query
                 if (mcpQuery.operation === 'count_records') {
                     result = await this.callMCPTool('count_records', mcpQuery);
+                } else if (mcpQuery.operation === 'count_distinct') {
+                    result = await this.callMCPTool('aggregate_data', mcpQuery);
+                    result = { count: result.result, ...result };
                 } else {
                     result = await this.callMCPTool('query_records', mcpQuery);
                 }
@@ -1012,7 +1638,7 @@ RESPONDA APENAS O TEXTO FORMATADO (sem JSON):`;
                 };
             }
 
-            throw new Error('Não foi possível executar a query via MCP');
+            throw new Error(`SQL não suportado sem a RPC execute_custom_query: ${translation.reason}`);
 
         } catch (error) {
             console.error('❌ Erro na execução MCP:', error);
@@ -1061,65 +1687,21 @@ RESPONDA APENAS O TEXTO FORMATADO (sem JSON):`;
         }
     }
 
-    convertSQLToMCPQuery(sqlQuery) {
-        const sql = sqlQuery.toLowerCase();
-        
-        // Extrai informações básicas da SQL
-        const tableMatch = sql.match(/from\s+(\w+)/);
-        if (!tableMatch) return null;
-        
-        const table = tableMatch[1];
-        const query = { table_name: table };
-        
-        // Para COUNT queries, usa count_records do MCP
-        if (sql.includes('count(')) {
-            // Detecta WHERE simples para filtros
-            if (sql.includes('where')) {
-                const whereMatch = sql.match(/where\s+(\w+)\s*=\s*'([^']+)'/);
-                if (whereMatch) {
-                    query.filters = [{
-                        column: whereMatch[1],
-                        operator: 'eq',
-                        value: whereMatch[2]
-                    }];
-                }
-            }
-            return { operation: 'count_records', ...query };
-        }
-        
-        // Para SELECT simples
-        const selectMatch = sql.match(/select\s+(.*?)\s+from/);
-        if (selectMatch && selectMatch[1] !== '*') {
-            const columns = selectMatch[1].split(',').map(col => col.trim());
-            // Remove funções SQL complexas que o Supabase não suporta
-            const validColumns = columns.filter(col =>
-                !col.includes('(') && !col.includes('case') && !col.includes('when')
-            );
-            if (validColumns.length > 0) {
-                query.columns = validColumns;
-            }
-        }
-        
-        // Detecta WHERE simples
-        if (sql.includes('where')) {
-            const whereMatch = sql.match(/where\s+(\w+)\s*=\s*'([^']+)'/);
-            if (whereMatch) {
-                query.filters = [{
-                    column: whereMatch[1],
-                    operator: 'eq',
-                    value: whereMatch[2]
-                }];
-            }
+    /**
+     * SQL → operação MCP equivalente (count_records, count_distinct ou query_records)
+     * null quando o SQL não tem tradução exata para a API REST (JOIN, GROUP BY, SUM...)
+     */
+    convertSQLToMCPQuery(sqlQuery, translation = this.sqlTranslator.translate(sqlQuery)) {
+        if (!translation.supported) {
+            console.log(`⚠️ SQL sem tradução para a API REST: ${translation.reason}`);
+            return null;
         }
-        
-        // Detecta LIMIT
-        const limitMatch = sql.match(/limit\s+(\d+)/);
-        if (limitMatch) {
-            query.limit = parseInt(limitMatch[1]);
-        } else {
-            query.limit = 100; // Limite padrão
+
+        const query = { ...translation.query };
+        if (query.operation === 'query_records') {
+            // Limite padrão, sem passar do teto da política de SQL
+            query.limit = Math.min(query.limit === undefined ? 100 : query.limit, this.sqlGuard.maxRows);
         }
-        
         return query;
     }
 
@@ -1205,32 +1787,344 @@ RESPONDA APENAS O TEXTO FORMATADO (sem JSON):`;
         }
     }
 
-    updateConversationContext(intention, messageText) {
+    updateConversationContext(intention, messageText, session) {
+        const { context } = session;
+
         // Atualiza contexto baseado na intenção identificada
         if (intention.tables_needed && intention.tables_needed.length > 0) {
-            this.conversationContext.lastTable = intention.tables_needed[0];
+            context.lastTable = intention.tables_needed[0];
         }
         
         if (intention.operations && intention.operations.length > 0) {
-            this.conversationContext.lastOperation = intention.operations[0];
+            context.lastOperation = intention.operations[0];
         }
         
         // Extrai email da mensagem
         const email = this.extractEmailFromText(messageText.toLowerCase());
         if (email) {
-            this.conversationContext.lastEmail = email;
+            context.lastEmail = email;
         }
         
-        // Mantém histórico das últimas 5 queries
-        this.conversationContext.recentQueries.unshift({
-            message: messageText,
-            intention: intention,
-            timestamp: Date.now()
+        // Mantém histórico das últimas queries da sessão
+        this.sessions.recordQuery(session, messageText, intention);
+    }
+
+    /**
+     * Resumo da consulta que gerou uma resposta, guardado junto ao id da
+     * mensagem enviada para servir de contexto quando o usuário citá-la
+     */
+    buildReplyContext(messageText, intention, queryResult, analysis) {
+        const rows = Helpers.extractRows(queryResult.results?.[0]);
+        return {
+            question: messageText,
+            tables: intention.tables_needed || [],
+            operations: intention.operations || [],
+            sql: queryResult.sql_strategy?.sql_query || null,
+            rowCount: rows.length,
+            summary: String(analysis?.summary || '').substring(0, 500) || null
+        };
+    }
+
+    /**
+     * Bloco de prompt com a consulta da mensagem citada (vazio se não houver)
+     */
+    formatQuotedContext(quoted) {
+        if (!quoted) {
+            return '';
+        }
+
+        const lines = ['', 'MENSAGEM CITADA - o usuário respondeu a uma resposta anterior; trate a nova pergunta como continuação dela (mesma tabela e filtros, mudando só o que foi pedido):'];
+        if (quoted.question) lines.push(`- Pergunta original: "${quoted.question}"`);
+        if (quoted.tables?.length > 0) lines.push(`- Tabelas: ${quoted.tables.join(', ')}`);
+        if (quoted.sql) lines.push(`- SQL executado: ${quoted.sql}`);
+        if (quoted.rowCount) lines.push(`- Linhas retornadas: ${quoted.rowCount}`);
+        if (quoted.summary) lines.push(`- Resumo do resultado: ${quoted.summary}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Exporta o último resultado da sessão como arquivo CSV/XLSX
+     * Consultas simples (tabela + filtros) são reexecutadas sem limite de exibição,
+     * paginando pelo SupabaseExecutor; o LIMIT do próprio SQL ("últimos 10 leads")
+     * é mantido. Agregações exportam as linhas já obtidas
+     */
+    async exportLastResult(session, format, userContext, language = DEFAULT_LANGUAGE) {
+        const last = session.lastResult;
+        const intention = { type: 'export', format };
+
+        if (!last || !last.queryResult?.success) {
+            return {
+                intention,
+                response: translate(language, 'export_no_result'),
+                userContext
+            };
+        }
+
+        try {
+            let rows = [];
+            let truncated = false;
+            let baseName = last.intention?.tables_needed?.[0] || 'consulta';
+
+            const translation = last.sql ? this.sqlTranslator.translate(last.sql) : null;
+            const plan = translation ? this.convertSQLToMCPQuery(last.sql, translation) : null;
+
+            if (plan && plan.operation === 'query_records') {
+                // LIMIT do SQL, sem o limite padrão de exibição que convertSQLToMCPQuery aplica
+                const sqlLimit = translation.query.limit ?? null;
+                const maxRows = sqlLimit !== null ? Math.min(sqlLimit, this.resultExporter.maxRows) : this.resultExporter.maxRows;
+
+                console.log(`📁 Reexecutando consulta sem limite de exibição: ${plan.table_name} (máx ${maxRows})`);
+                const result = await this.supabaseExecutor.getAllRecords(plan.table_name, {
+                    filters: plan.filters || [],
+                    columns: plan.columns,
+                    orderBy: plan.order_by,
+                    maxRows
+                });
+
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+
+                rows = result.data;
+                // Chegar ao LIMIT do SQL não é corte
+                truncated = result.truncated && (sqlLimit === null || sqlLimit > maxRows);
+                baseName = plan.table_name;
+            } else {
+                rows = Helpers.extractRows(last.queryResult.results?.[0]);
+            }
+
+            if (rows.length === 0) {
+                return {
+                    intention,
+                    response: translate(language, 'export_empty'),
+                    userContext
+                };
+            }
+
+            const attachment = await this.resultExporter.export(rows, format, baseName);
+            console.log(`📁 Arquivo gerado: ${attachment.filename} (${attachment.rowCount} linhas)`);
+
+            const locale = translate(language, 'locale');
+            let response = translate(language, 'export_done', {
+                count: attachment.rowCount.toLocaleString(locale),
+                format: format.toUpperCase()
+            });
+            if (truncated) {
+                response += `\n${translate(language, 'export_truncated', { max: this.resultExporter.maxRows.toLocaleString(locale) })}`;
+            }
+
+            return {
+                intention,
+                queryResult: { success: true, results: [] },
+                response,
+                attachment,
+                userContext
+            };
+
+        } catch (error) {
+            console.error('❌ Erro ao exportar resultado:', error);
+            return {
+                intention,
+                response: translate(language, 'export_error', { error: error.message }),
+                userContext
+            };
+        }
+    }
+
+    /**
+     * Chave do cache de respostas: pergunta + intenção resolvida + contexto que
+     * o Agente SQL usa (email em contexto nos filtros, mensagem citada) + idioma e papel
+     */
+    answerCacheKey(messageText, intention, context, language, access) {
+        const tables = intention.tables_needed || [];
+        return this.answerCache.buildKey({
+            question: messageText,
+            intent: {
+                type: intention.analysis_type || null,
+                tables: [...tables].sort(),
+                operations: [...(intention.operations || [])].sort()
+            },
+            email: intention.operations?.includes('filter') ? context.lastEmail || null : null,
+            quoted: context.quoted?.question || null,
+            language,
+            role: access?.role || null
+        }, tables);
+    }
+
+    /**
+     * Resposta guardada no cache, registrada na sessão como uma consulta nova
+     * (paginação e exportação continuam funcionando)
+     */
+    respondFromCache(cached, session, userContext, language = DEFAULT_LANGUAGE) {
+        const age = Date.now() - cached.createdAt;
+        console.log(`💾 Resposta do cache (${cached.layer}, ${cached.type}, ${Math.round(age / 1000)}s)`);
+
+        // Mais de um minuto: avisa que dá para buscar de novo
+        const hint = age >= 60000
+            ? `\n\n${translate(language, 'cache_hint', { minutes: Math.round(age / 60000) })}`
+            : '';
+
+        const result = {
+            ...cached.value,
+            schema: [],
+            response: `${cached.value.response}${hint}`,
+            cached: true,
+            userContext
+        };
+        this.sessions.recordResult(session, result);
+        return result;
+    }
+
+    /**
+     * "atualizar": invalida as tabelas da última pergunta e a refaz
+     * "atualizar tudo" (ou sem pergunta anterior): limpa todo o cache
+     */
+    async refreshLastResult(session, messageText, userContext, options = {}, language = DEFAULT_LANGUAGE) {
+        const last = session.context.recentQueries[0];
+
+        if (!last || /\b(tudo|todo|all)\b/i.test(messageText)) {
+            const removed = this.answerCache.invalidate();
+            return {
+                intention: { type: 'cache_refresh' },
+                response: translate(language, 'cache_cleared', { count: removed }),
+                userContext
+            };
+        }
+
+        this.answerCache.invalidate(last.intention?.tables_needed);
+        console.log(`🔄 Refazendo a última pergunta: "${last.message}"`);
+        return this.processMessage(last.message, userContext, options);
+    }
+
+    /**
+     * Pagina a última listagem da sessão ("mais", "página 3")
+     * O cursor nasce da SQL da última consulta (tabela, filtros, colunas e ordem)
+     * e busca cada página com offset no SupabaseExecutor
+     */
+    async paginateLastResult(session, messageText, userContext, language = DEFAULT_LANGUAGE) {
+        const intention = { type: 'pagination' };
+
+        if (!session.cursor) {
+            session.cursor = await this.createCursor(session.lastResult);
+        }
+
+        const cursor = session.cursor;
+        if (!cursor) {
+            return {
+                intention,
+                response: translate(language, 'page_no_listing'),
+                userContext
+            };
+        }
+
+        if (!UserRegistry.canAccessTable(userContext?.access || null, cursor.table)) {
+            return this.accessDeniedResponse(translate(language, 'denied_table', { table: cursor.table }), userContext);
+        }
+
+        const page = this.resolvePageNumber(messageText, cursor.page);
+        const offset = (page - 1) * cursor.pageSize;
+
+        if (cursor.total !== null && offset >= cursor.total) {
+            return {
+                intention,
+                response: translate(language, 'page_out_of_range', {
+                    table: cursor.table,
+                    pages: Math.max(1, Math.ceil(cursor.total / cursor.pageSize))
+                }),
+                userContext
+            };
+        }
+
+        console.log(`📄 Paginação: ${cursor.table} página ${page} (offset ${offset})`);
+        const result = await this.supabaseExecutor.listRecords(cursor.table, {
+            filters: cursor.filters,
+            columns: cursor.columns,
+            orderBy: cursor.orderBy,
+            limit: cursor.pageSize,
+            offset
         });
-        
-        if (this.conversationContext.recentQueries.length > 5) {
-            this.conversationContext.recentQueries.pop();
+
+        if (!result.success) {
+            return {
+                intention,
+                response: translate(language, 'page_error', { page, error: result.error }),
+                userContext
+            };
+        }
+
+        cursor.page = page;
+
+        return {
+            intention,
+            queryResult: { success: true, results: [result] },
+            response: this.responseFormatter.formatPage(result.data, {
+                table: cursor.table,
+                number: page,
+                size: cursor.pageSize,
+                offset,
+                total: cursor.total
+            }, language),
+            userContext
+        };
+    }
+
+    /**
+     * Cursor a partir do último resultado; null se não era uma listagem simples
+     * (agregações, JOINs e GROUP BY não são paginados)
+     */
+    async createCursor(last) {
+        if (!last || !last.sql || !last.queryResult?.success) {
+            return null;
+        }
+
+        const plan = this.convertSQLToMCPQuery(last.sql);
+        if (!plan || plan.operation !== 'query_records') {
+            return null;
         }
+
+        const filters = plan.filters || [];
+        const count = await this.supabaseExecutor.countRecords(plan.table_name, filters);
+
+        return {
+            table: plan.table_name,
+            filters,
+            columns: plan.columns || null,
+            orderBy: plan.order_by || null,
+            // A primeira página é a resposta original (LIMIT da consulta, até o tamanho de página)
+            pageSize: Math.min(plan.limit || this.pageSize, this.pageSize),
+            page: 1,
+            total: count.success ? count.data.count : null
+        };
+    }
+
+    /**
+     * "página 3" → 3, "anterior" → página atual - 1, "mais" → página atual + 1
+     */
+    resolvePageNumber(messageText, currentPage) {
+        const text = messageText.toLowerCase();
+        const explicit = text.match(/(?:p[aá]gina|page)\s+(\d+)/);
+        if (explicit) {
+            return Math.max(1, parseInt(explicit[1]));
+        }
+        if (/anterior|previous/.test(text)) {
+            return Math.max(1, currentPage - 1);
+        }
+        return currentPage + 1;
+    }
+
+    accessDeniedResponse(message, userContext) {
+        return {
+            intention: { type: 'access_denied' },
+            response: message,
+            userContext
+        };
+    }
+
+    /**
+     * Descarta a sessão de um chat (contexto, histórico e resultados)
+     */
+    resetSession(chatId) {
+        return this.sessions.reset(chatId);
     }
 
     async testAI() {
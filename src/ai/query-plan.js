@@ -0,0 +1,182 @@
+const Helpers = require('../utils/helpers');
+
+// {{etapa.coluna}} no SQL de uma etapa: valores vindos do resultado de outra
+const PARAMETER_PATTERN = /\{\{\s*([a-z_]\w*)\.([a-z_]\w*)\s*\}\}/gi;
+
+/**
+ * Plano de consultas do Agente SQL
+ *
+ * Uma pergunta pode precisar de várias consultas nomeadas ("funil lead →
+ * qualificado → engajado", "esta semana x anterior"). Cada etapa tem
+ * { name, description, sql_query, depends_on } e pode usar o resultado de
+ * uma etapa anterior com {{etapa.coluna}}:
+ *   - {{top_emails.email}} → 'a@x.com', 'b@y.com' (lista pronta para IN (...))
+ *   - {{total.count}}      → 42 (resultado de COUNT)
+ *
+ * Etapas sem dependência entre si rodam em paralelo. O plano é validado
+ * antes de executar: nomes únicos, dependências existentes e sem ciclos.
+ */
+class QueryPlan {
+    constructor(steps, options = {}) {
+        this.maxSteps = options.maxSteps || 5;
+        this.maxValues = options.maxValues || 1000;
+        this.steps = this.normalize(steps);
+        this.order = this.sortSteps();
+    }
+
+    /**
+     * Plano a partir da resposta do Agente SQL: "queries" (várias etapas)
+     * ou "sql_query" (uma etapa só)
+     */
+    static fromStrategy(sqlStrategy, options = {}) {
+        if (Array.isArray(sqlStrategy?.queries) && sqlStrategy.queries.length > 0) {
+            return new QueryPlan(sqlStrategy.queries, options);
+        }
+
+        return new QueryPlan([{
+            name: 'resultado',
+            description: sqlStrategy?.explanation || null,
+            sql_query: sqlStrategy?.sql_query,
+            depends_on: []
+        }], options);
+    }
+
+    get isMultiStep() {
+        return this.steps.length > 1;
+    }
+
+    normalize(steps) {
+        if (steps.length > this.maxSteps) {
+            throw new Error(`Plano com ${steps.length} consultas; o máximo é ${this.maxSteps}`);
+        }
+
+        const names = new Set();
+        return steps.map((step, index) => {
+            const name = String(step.name || `consulta_${index + 1}`).trim().toLowerCase().replace(/\W+/g, '_');
+            if (names.has(name)) {
+                throw new Error(`Plano com duas consultas chamadas "${name}"`);
+            }
+            names.add(name);
+
+            if (!step.sql_query || typeof step.sql_query !== 'string') {
+                throw new Error(`Consulta "${name}" do plano sem SQL`);
+            }
+
+            // Parâmetros {{etapa.coluna}} também são dependências
+            const referenced = [...step.sql_query.matchAll(PARAMETER_PATTERN)].map(match => match[1].toLowerCase());
+            const dependsOn = [...new Set([...(step.depends_on || []).map(dep => String(dep).toLowerCase()), ...referenced])];
+
+            return {
+                name,
+                description: step.description || null,
+                sql_query: step.sql_query,
+                depends_on: dependsOn
+            };
+        });
+    }
+
+    /**
+     * Ordem topológica (dependências antes); lança Error em dependência desconhecida ou ciclo
+     */
+    sortSteps() {
+        const byName = new Map(this.steps.map(step => [step.name, step]));
+        const order = [];
+        const state = new Map(); // name → 'visiting' | 'done'
+
+        const visit = (step, path) => {
+            if (state.get(step.name) === 'done') return;
+            if (state.get(step.name) === 'visiting') {
+                throw new Error(`Plano com dependência circular: ${[...path, step.name].join(' → ')}`);
+            }
+
+            state.set(step.name, 'visiting');
+            for (const dep of step.depends_on) {
+                if (!byName.has(dep)) {
+                    throw new Error(`Consulta "${step.name}" depende de "${dep}", que não está no plano`);
+                }
+                visit(byName.get(dep), [...path, step.name]);
+            }
+            state.set(step.name, 'done');
+            order.push(step);
+        };
+
+        this.steps.forEach(step => visit(step, []));
+        return order;
+    }
+
+    /**
+     * Executa o plano: cada etapa começa assim que suas dependências terminam
+     * runStep(step, sql) → { success, ... } ; retorna Map name → resultado
+     */
+    async execute(runStep) {
+        const pending = new Map();
+
+        for (const step of this.order) {
+            const dependencies = step.depends_on.map(dep => pending.get(dep));
+
+            pending.set(step.name, Promise.all(dependencies).then(async results => {
+                const failed = step.depends_on.filter((dep, index) => !results[index].success);
+                if (failed.length > 0) {
+                    return { success: false, skipped: true, error: `Dependência falhou: ${failed.join(', ')}` };
+                }
+
+                const done = new Map(step.depends_on.map((dep, index) => [dep, results[index]]));
+                let sql;
+                try {
+                    sql = this.resolveParameters(step.sql_query, done);
+                } catch (error) {
+                    return { success: false, skipped: true, error: error.message };
+                }
+                return runStep(step, sql);
+            }));
+        }
+
+        const names = [...pending.keys()];
+        const results = await Promise.all(names.map(name => pending.get(name)));
+        return new Map(names.map((name, index) => [name, results[index]]));
+    }
+
+    /**
+     * Troca {{etapa.coluna}} pelos valores do resultado da etapa, como literais SQL
+     */
+    resolveParameters(sql, results) {
+        return sql.replace(PARAMETER_PATTERN, (match, stepName, column) => {
+            const outcome = results.get(stepName.toLowerCase());
+            const result = outcome?.result;
+            if (!result) {
+                throw new Error(`Parâmetro ${match} sem resultado da consulta "${stepName}"`);
+            }
+
+            // {{etapa.count}} de um COUNT
+            if (result.data && typeof result.data.count === 'number' && !Array.isArray(result.data)) {
+                if (column.toLowerCase() !== 'count') {
+                    throw new Error(`Parâmetro ${match}: a consulta "${stepName}" só tem count`);
+                }
+                return String(result.data.count);
+            }
+
+            const rows = Helpers.extractRows(result);
+            if (rows.length > 0 && !(column in rows[0])) {
+                throw new Error(`Parâmetro ${match}: a consulta "${stepName}" não tem a coluna ${column}`);
+            }
+
+            const values = [...new Set(rows.map(row => row[column]).filter(value => value !== null && value !== undefined))]
+                .slice(0, this.maxValues);
+            // Lista vazia: IN (NULL) não casa com nada
+            return values.length > 0 ? values.map(value => this.literal(value)).join(', ') : 'NULL';
+        });
+    }
+
+    literal(value) {
+        if (typeof value === 'number' && Number.isFinite(value)) {
+            return String(value);
+        }
+        if (typeof value === 'boolean') {
+            return value ? 'TRUE' : 'FALSE';
+        }
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return `'${text.replace(/'/g, "''")}'`;
+    }
+}
+
+module.exports = QueryPlan;
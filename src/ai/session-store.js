@@ -0,0 +1,140 @@
+/**
+ * Armazenamento de sessões de conversa por chat
+ *
+ * Cada chat do WhatsApp (message.from) tem sua própria sessão com
+ * contexto (último email, tabela, operação), histórico de queries e
+ * últimos resultados. Sessões ociosas expiram e o número de sessões
+ * simultâneas é limitado (a mais antiga é descartada).
+ */
+class SessionStore {
+    constructor(options = {}) {
+        this.idleTimeout = options.idleTimeout
+            || parseInt(process.env.SESSION_IDLE_TIMEOUT) || 1800000; // 30 minutos
+        this.maxSessions = options.maxSessions
+            || parseInt(process.env.SESSION_MAX_CONCURRENT) || 200;
+        this.maxRecentQueries = options.maxRecentQueries || 5;
+
+        // Map mantém ordem de inserção: a primeira entrada é a menos recente
+        this.sessions = new Map();
+    }
+
+    /**
+     * Retorna a sessão do chat, criando uma nova se não existir ou se expirou
+     * Sem chatId a sessão é descartável: não é guardada, para o contexto de um
+     * remetente não vazar para outro
+     */
+    get(chatId) {
+        const now = Date.now();
+
+        if (!chatId) {
+            return this.createSession(null, now);
+        }
+
+        this.pruneExpired(now);
+
+        let session = this.sessions.get(chatId);
+        if (session) {
+            // Move para o fim (mais recente)
+            this.sessions.delete(chatId);
+        } else {
+            session = this.createSession(chatId, now);
+            console.log(`🗂️ Nova sessão criada para ${chatId}`);
+        }
+
+        session.lastActivity = now;
+        this.sessions.set(chatId, session);
+        this.enforceLimit();
+
+        return session;
+    }
+
+    has(chatId) {
+        const session = this.sessions.get(chatId);
+        return !!session && !this.isExpired(session, Date.now());
+    }
+
+    createSession(id, now) {
+        return {
+            id,
+            createdAt: now,
+            lastActivity: now,
+            context: {
+                lastEmail: null,
+                lastTable: null,
+                lastOperation: null,
+                recentQueries: []
+            },
+            lastResult: null,
+            // Página atual da última listagem ("mais", "página 3")
+            cursor: null,
+            // Pergunta aguardando a escolha da tabela (esclarecimento)
+            pendingClarification: null,
+            // Idioma da conversa (pt, es, en) detectado nas mensagens
+            language: null
+        };
+    }
+
+    /**
+     * Registra uma query processada no histórico da sessão
+     */
+    recordQuery(session, messageText, intention) {
+        session.context.recentQueries.unshift({
+            message: messageText,
+            intention: intention,
+            timestamp: Date.now()
+        });
+
+        if (session.context.recentQueries.length > this.maxRecentQueries) {
+            session.context.recentQueries.pop();
+        }
+    }
+
+    /**
+     * Guarda o último resultado (intenção, SQL e dados) da sessão
+     */
+    recordResult(session, result) {
+        session.lastResult = {
+            intention: result.intention,
+            sql: result.queryResult?.sql_strategy?.sql_query || null,
+            queryResult: result.queryResult,
+            timestamp: Date.now()
+        };
+        // Nova consulta: a paginação recomeça a partir dela
+        session.cursor = null;
+    }
+
+    reset(chatId) {
+        return this.sessions.delete(chatId);
+    }
+
+    isExpired(session, now) {
+        return now - session.lastActivity > this.idleTimeout;
+    }
+
+    pruneExpired(now = Date.now()) {
+        for (const [id, session] of this.sessions) {
+            if (this.isExpired(session, now)) {
+                this.sessions.delete(id);
+                console.log(`⌛ Sessão expirada: ${id}`);
+            }
+        }
+    }
+
+    enforceLimit() {
+        while (this.sessions.size > this.maxSessions) {
+            const oldestId = this.sessions.keys().next().value;
+            this.sessions.delete(oldestId);
+            console.log(`🗑️ Limite de sessões atingido, descartando ${oldestId}`);
+        }
+    }
+
+    getStats() {
+        return {
+            active: this.sessions.size,
+            maxSessions: this.maxSessions,
+            idleTimeout: this.idleTimeout
+        };
+    }
+}
+
+module.exports = SessionStore;
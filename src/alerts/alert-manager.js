@@ -0,0 +1,350 @@
+const fs = require('fs');
+const path = require('path');
+const CronExpression = require('../scheduler/cron-expression');
+const UserRegistry = require('../auth/user-registry');
+const { translate, getLocale } = require('../i18n');
+
+// Colunas de data usadas para recortar "hoje"/"ontem" (mesmos sinônimos do Coordinator)
+const DATE_COLUMNS = ['created_at', 'data', 'date', 'timestamp', 'datetime', 'updated_at'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Alertas de métricas por limite
+ *
+ * Cada regra conta registros de uma tabela (countRecords ou COUNT DISTINCT)
+ * e compara com um limite fixo ("passar de 500 hoje") ou com um período de
+ * referência ("cair 30% vs ontem"). As regras são avaliadas a cada
+ * ALERTS_CHECK_INTERVAL e persistidas em ALERTS_FILE (padrão data/alerts.json).
+ *
+ * Deduplicação: uma regra dispara no máximo uma vez por período. Regras
+ * diárias rearmam no dia seguinte; regras sobre o total rearmam quando a
+ * condição deixa de ser verdadeira.
+ */
+class AlertManager {
+    constructor(options = {}) {
+        this.supabaseExecutor = options.supabaseExecutor;
+        this.userRegistry = options.userRegistry || null;
+        // Função de envio (chatId, texto, canal) → Promise<boolean>
+        this.sendMessage = options.sendMessage || (async () => false);
+
+        this.filePath = options.filePath || process.env.ALERTS_FILE || path.join(process.cwd(), 'data', 'alerts.json');
+        this.timeZone = options.timeZone || process.env.SCHEDULER_TIMEZONE || 'America/Sao_Paulo';
+        this.checkInterval = options.checkInterval || parseInt(process.env.ALERTS_CHECK_INTERVAL) || 300000;
+        this.maxPerChat = options.maxPerChat || parseInt(process.env.ALERTS_MAX_PER_CHAT) || 10;
+
+        this.rules = [];
+        this.timer = null;
+        this.evaluating = false;
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.rules = data.rules || [];
+            }
+        } catch (error) {
+            console.error(`❌ Erro ao ler ${this.filePath}:`, error.message);
+            this.rules = [];
+        }
+
+        console.log(`🔔 Alertas: ${this.rules.length} regra(s) carregada(s)`);
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ rules: this.rules }, null, 2));
+        } catch (error) {
+            console.error(`❌ Erro ao salvar ${this.filePath}:`, error.message);
+        }
+    }
+
+    /**
+     * Registra uma regra já interpretada pelo AlertParser
+     * Valida a tabela e descobre a coluna de data quando a regra é diária
+     */
+    async add({ chatId, channel, number, language, description, ...rule }) {
+        if (this.list(chatId).length >= this.maxPerChat) {
+            return { success: false, error: translate(language, 'alert_limit', { max: this.maxPerChat }) };
+        }
+
+        const described = await this.supabaseExecutor.describeTable(rule.table);
+        if (!described.success) {
+            return { success: false, error: translate(language, 'alert_table_not_found', { table: rule.table }) };
+        }
+
+        const columns = described.data.columns;
+
+        if (rule.metric.type === 'count_distinct') {
+            const column = this.findColumn(columns, rule.metric.column);
+            if (!column) {
+                return { success: false, error: translate(language, 'alert_column_not_found', { column: rule.metric.column, table: rule.table }) };
+            }
+            rule.metric = { ...rule.metric, column };
+        }
+
+        let dateColumn = null;
+        if (rule.window === 'today') {
+            dateColumn = DATE_COLUMNS.find(col => columns.includes(col)) || null;
+            if (!dateColumn) {
+                return { success: false, error: translate(language, 'alert_no_date_column', { table: rule.table }) };
+            }
+        }
+
+        const alert = {
+            id: this.generateId(),
+            chatId,
+            channel: channel || null,
+            number: number || null,
+            // Idioma das notificações (o do pedido)
+            language: language || null,
+            description: description || null,
+            table: rule.table,
+            metric: rule.metric,
+            condition: rule.condition,
+            threshold: rule.threshold,
+            window: rule.window,
+            baseline: rule.baseline || null,
+            dateColumn,
+            createdAt: new Date().toISOString(),
+            lastValue: null,
+            lastCheckedAt: null,
+            lastFiredKey: null,
+            lastFiredAt: null
+        };
+
+        this.rules.push(alert);
+        this.save();
+        console.log(`🔔 Alerta ${alert.id} criado para ${chatId}: ${this.describe(alert)}`);
+
+        return { success: true, alert };
+    }
+
+    /**
+     * Aceita "email" para "emails" e vice-versa
+     */
+    findColumn(columns, name) {
+        const candidates = [name, name.replace(/s$/, ''), `${name}s`];
+        return candidates.find(candidate => columns.includes(candidate)) || null;
+    }
+
+    remove(id, chatId) {
+        const index = this.rules.findIndex(r => r.id === id && (!chatId || r.chatId === chatId));
+        if (index === -1) {
+            return false;
+        }
+
+        this.rules.splice(index, 1);
+        this.save();
+        console.log(`🗑️ Alerta ${id} removido`);
+        return true;
+    }
+
+    list(chatId) {
+        return chatId ? this.rules.filter(r => r.chatId === chatId) : [...this.rules];
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.evaluateAll().catch(error => console.error('❌ Erro ao avaliar alertas:', error));
+        }, this.checkInterval);
+        console.log(`🔔 Monitor de alertas iniciado (a cada ${Math.round(this.checkInterval / 1000)}s)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('🔔 Monitor de alertas parado');
+        }
+    }
+
+    async evaluateAll(now = new Date()) {
+        // Uma avaliação lenta não pode sobrepor a próxima
+        if (this.evaluating || this.rules.length === 0) {
+            return;
+        }
+
+        this.evaluating = true;
+        try {
+            for (const rule of [...this.rules]) {
+                await this.evaluate(rule, now);
+            }
+            this.save();
+        } finally {
+            this.evaluating = false;
+        }
+    }
+
+    /**
+     * Avalia uma regra e notifica se a condição for atingida
+     * Retorna { triggered, value, reference } ou null em caso de erro
+     */
+    async evaluate(rule, now = new Date()) {
+        try {
+            // Permissões são verificadas a cada avaliação (usuário pode ter perdido acesso)
+            // Sem número = criado por canal confiável (console local)
+            if (this.userRegistry && rule.number) {
+                const access = this.userRegistry.resolve(rule.number);
+                if (!access || !UserRegistry.canAccessTable(access, rule.table)) {
+                    return null;
+                }
+            }
+
+            const value = await this.measure(rule, this.currentRange(rule, now));
+            let reference = null;
+            let triggered;
+
+            if (rule.condition === 'above') {
+                triggered = value > rule.threshold;
+            } else if (rule.condition === 'below') {
+                triggered = value < rule.threshold;
+            } else {
+                reference = await this.measure(rule, this.baselineRange(rule, now));
+                const change = reference > 0 ? ((value - reference) / reference) * 100 : 0;
+                triggered = rule.condition === 'drop_pct'
+                    ? change <= -rule.threshold
+                    : reference > 0 && change >= rule.threshold;
+            }
+
+            rule.lastValue = value;
+            rule.lastCheckedAt = now.toISOString();
+
+            const periodKey = rule.window === 'today' ? this.dayKey(now) : 'total';
+
+            if (!triggered) {
+                // Regras sobre o total rearmam quando a condição deixa de valer
+                if (rule.window !== 'today') {
+                    rule.lastFiredKey = null;
+                }
+                return { triggered, value, reference };
+            }
+
+            if (rule.lastFiredKey === periodKey) {
+                return { triggered, value, reference };
+            }
+
+            rule.lastFiredKey = periodKey;
+            rule.lastFiredAt = now.toISOString();
+            console.log(`🚨 Alerta ${rule.id} disparado: ${this.describe(rule)} (valor ${value})`);
+            await this.sendMessage(rule.chatId, this.formatNotification(rule, value, reference), rule.channel);
+
+            return { triggered, value, reference };
+        } catch (error) {
+            console.error(`❌ Erro ao avaliar alerta ${rule.id}:`, error);
+            return null;
+        }
+    }
+
+    async measure(rule, range) {
+        const filters = [];
+        if (range && rule.dateColumn) {
+            filters.push({ column: rule.dateColumn, operator: 'gte', value: range.start.toISOString() });
+            filters.push({ column: rule.dateColumn, operator: 'lt', value: range.end.toISOString() });
+        }
+
+        const result = rule.metric.type === 'count_distinct'
+            ? await this.supabaseExecutor.performAggregation(rule.table, {
+                type: 'count_distinct',
+                column: rule.metric.column,
+                filters
+            })
+            : await this.supabaseExecutor.countRecords(rule.table, filters);
+
+        if (!result.success) {
+            throw new Error(result.error || `Erro ao medir ${rule.table}`);
+        }
+
+        return rule.metric.type === 'count_distinct' ? result.data.result : result.data.count;
+    }
+
+    /**
+     * "hoje" = da meia-noite (no fuso) até agora
+     */
+    currentRange(rule, now) {
+        if (rule.window !== 'today') {
+            return null;
+        }
+        return { start: this.startOfDay(now), end: now };
+    }
+
+    /**
+     * Mesmo trecho do dia de referência (ontem ou mesmo dia da semana passada),
+     * para comparar "hoje até 10h" com "ontem até 10h"
+     */
+    baselineRange(rule, now) {
+        const shift = rule.baseline === 'last_week' ? 7 * DAY_MS : DAY_MS;
+        const { start, end } = this.currentRange({ window: 'today' }, now);
+        return { start: new Date(start.getTime() - shift), end: new Date(end.getTime() - shift) };
+    }
+
+    startOfDay(date) {
+        const parts = CronExpression.getZonedParts(date, this.timeZone);
+        const zonedAsUTC = Date.UTC(parts.year, parts.month - 1, parts.dayOfMonth, parts.hour, parts.minute);
+        const offset = zonedAsUTC - Math.floor(date.getTime() / 60000) * 60000;
+        return new Date(Date.UTC(parts.year, parts.month - 1, parts.dayOfMonth) - offset);
+    }
+
+    dayKey(date) {
+        return CronExpression.minuteKey(date, this.timeZone).split(' ')[0];
+    }
+
+    /**
+     * Regra em texto, no idioma pedido ou no da regra
+     */
+    describe(rule, language = rule.language) {
+        const subject = rule.metric.type === 'count_distinct'
+            ? translate(language, 'alert_subject_distinct', { column: rule.metric.column, table: rule.table })
+            : rule.table;
+        const period = rule.window === 'today' ? translate(language, 'alert_today') : '';
+        const baseline = translate(language, rule.baseline === 'last_week' ? 'alert_last_week' : 'alert_yesterday');
+        const threshold = Number(rule.threshold).toLocaleString(getLocale(language));
+        const key = { above: 'alert_above', below: 'alert_below', drop_pct: 'alert_drop' }[rule.condition] || 'alert_rise';
+
+        return translate(language, key, { subject, period, threshold, baseline });
+    }
+
+    formatNotification(rule, value, reference) {
+        const language = rule.language;
+        const locale = getLocale(language);
+
+        let text = `${translate(language, 'alert_fired')}\n\n`;
+        text += `🔔 ${this.describe(rule)}\n`;
+        text += `${translate(language, 'alert_value', { value: Number(value).toLocaleString(locale) })}\n`;
+
+        if (reference !== null && reference !== undefined) {
+            const change = reference > 0 ? ((value - reference) / reference) * 100 : 0;
+            const baseline = translate(language, rule.baseline === 'last_week' ? 'alert_last_week' : 'alert_yesterday');
+            text += `${translate(language, 'alert_reference', { baseline, value: Number(reference).toLocaleString(locale) })}\n`;
+            text += `${translate(language, 'alert_change', { change: `${change >= 0 ? '+' : ''}${change.toFixed(1)}` })}\n`;
+        }
+
+        text += `\n${translate(language, 'alert_disable_hint', { id: rule.id })}`;
+        return text;
+    }
+
+    generateId() {
+        let id;
+        do {
+            id = Math.random().toString(36).substring(2, 8);
+        } while (this.rules.some(r => r.id === id));
+        return id;
+    }
+
+    getStats() {
+        return {
+            total: this.rules.length,
+            active: !!this.timer
+        };
+    }
+}
+
+module.exports = AlertManager;
@@ -0,0 +1,90 @@
+/**
+ * Interpreta pedidos de alerta em linguagem natural
+ *
+ * "me avisa se qualified_leads passar de 500 hoje"
+ *   → { table: 'qualified_leads', condition: 'above', threshold: 500, window: 'today' }
+ * "alerta se aula_views cair 30% vs ontem"
+ *   → { table: 'aula_views', condition: 'drop_pct', threshold: 30, window: 'today', baseline: 'yesterday' }
+ */
+
+// Pedido de notificação ("me avisa se", "alerta quando"...)
+const TRIGGER_PATTERN = /\b(me avis[ae]|avis[ae]-me|me alert[ae]|alert[ae]|alerta|me notifi(?:ca|que)|notifi(?:ca|que))\b.*\b(se|quando|caso)\b/;
+
+// Verbo da condição → tipo de regra (ordem importa: "cair abaixo de" antes de "cair N%")
+const CONDITIONS = [
+    { pattern: /(?:ficar|estiver|for|cair)\s+(?:abaixo|menor|para menos)\s+(?:de|que|do que)\s+([\d.,]+)/, condition: 'below' },
+    { pattern: /(?:passar|ultrapassar|superar|ficar acima|estiver acima|for maior|passar de|chegar a)\s*(?:de|que|do que|a)?\s+([\d.,]+)(?!\s*%)/, condition: 'above' },
+    { pattern: /(?:cair|caiu|diminuir|reduzir|baixar)\s+(?:mais de\s+)?([\d.,]+)\s*%/, condition: 'drop_pct' },
+    { pattern: /(?:subir|crescer|aumentar|dobrar)\s+(?:mais de\s+)?([\d.,]+)\s*%/, condition: 'rise_pct' }
+];
+
+class AlertParser {
+    isAlertRequest(text) {
+        const normalized = this.normalize(text);
+        return TRIGGER_PATTERN.test(normalized) && CONDITIONS.some(({ pattern }) => pattern.test(normalized));
+    }
+
+    /**
+     * Retorna a regra { table, metric, condition, threshold, window, baseline } ou null
+     */
+    parse(text) {
+        const normalized = this.normalize(text);
+
+        const tableMatch = normalized.match(/\b(?:se|quando|caso)\s+(?:(?:o|a|os|as)\s+)?(?:(?:total|numero|quantidade)\s+de\s+)?(?:([a-z_][a-z0-9_]*)\s+(?:unic[oa]s|distint[oa]s)\s+(?:de|em|na|no)\s+)?([a-z_][a-z0-9_]*)/);
+        if (!tableMatch) {
+            return null;
+        }
+
+        let rule = null;
+        for (const { pattern, condition } of CONDITIONS) {
+            const match = normalized.match(pattern);
+            if (match) {
+                const threshold = this.parseNumber(match[1]);
+                if (threshold === null) {
+                    return null;
+                }
+                rule = { condition, threshold };
+                break;
+            }
+        }
+
+        if (!rule) {
+            return null;
+        }
+
+        const isChange = rule.condition === 'drop_pct' || rule.condition === 'rise_pct';
+
+        rule.table = tableMatch[2];
+        rule.metric = tableMatch[1]
+            ? { type: 'count_distinct', column: tableMatch[1] }
+            : { type: 'count' };
+        // Variações sempre comparam o dia de hoje com a referência
+        rule.window = isChange || /\bhoje\b|\bdo dia\b|\bpor dia\b/.test(normalized) ? 'today' : 'total';
+        rule.baseline = isChange
+            ? (/semana passada|ultima semana|7 dias/.test(normalized) ? 'last_week' : 'yesterday')
+            : null;
+
+        return rule;
+    }
+
+    /**
+     * "1.500" → 1500, "2,5" → 2.5
+     */
+    parseNumber(text) {
+        const cleaned = String(text).replace(/[.,]$/, '');
+        const value = /^\d{1,3}(\.\d{3})+$/.test(cleaned)
+            ? parseFloat(cleaned.replace(/\./g, ''))
+            : parseFloat(cleaned.replace(',', '.'));
+        return Number.isFinite(value) ? value : null;
+    }
+
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .trim();
+    }
+}
+
+module.exports = AlertParser;
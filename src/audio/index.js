@@ -0,0 +1,33 @@
+const OpenAITranscriber = require('./openai-transcriber');
+const StubTranscriber = require('./stub-transcriber');
+
+/**
+ * Cria o transcritor configurado em TRANSCRIPTION_PROVIDER
+ * - openai: Whisper via API (padrão quando OPENAI_API_KEY existe)
+ * - stub: texto fixo, para testes offline
+ * - none: desativa transcrição (áudios são ignorados)
+ */
+function createTranscriber(provider = process.env.TRANSCRIPTION_PROVIDER) {
+    const selected = provider || (process.env.OPENAI_API_KEY ? 'openai' : 'none');
+
+    switch (selected) {
+        case 'openai':
+            return new OpenAITranscriber();
+
+        case 'stub':
+            return new StubTranscriber();
+
+        case 'none':
+            return null;
+
+        default:
+            console.warn(`⚠️ Provedor de transcrição desconhecido: ${selected} - transcrição desativada`);
+            return null;
+    }
+}
+
+module.exports = {
+    createTranscriber,
+    OpenAITranscriber,
+    StubTranscriber
+};
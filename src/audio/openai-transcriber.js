@@ -0,0 +1,47 @@
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+
+/**
+ * Transcritor de áudio via OpenAI Whisper
+ * Recebe o áudio em Buffer (ogg/opus dos voice notes do WhatsApp)
+ */
+class OpenAITranscriber {
+    constructor(options = {}) {
+        this.name = 'openai';
+        this.model = options.model || process.env.TRANSCRIPTION_MODEL || 'whisper-1';
+        this.language = options.language || process.env.TRANSCRIPTION_LANGUAGE || 'pt';
+
+        this.openai = new OpenAI({
+            apiKey: options.apiKey || process.env.OPENAI_API_KEY,
+        });
+    }
+
+    async transcribe({ buffer, mimetype }) {
+        const extension = this.getExtension(mimetype);
+        const file = await toFile(buffer, `audio.${extension}`, { type: mimetype });
+
+        const result = await this.openai.audio.transcriptions.create({
+            file,
+            model: this.model,
+            language: this.language
+        });
+
+        return (result.text || '').trim();
+    }
+
+    getExtension(mimetype = '') {
+        const type = mimetype.split(';')[0].trim();
+        const extensions = {
+            'audio/ogg': 'ogg',
+            'audio/mpeg': 'mp3',
+            'audio/mp4': 'm4a',
+            'audio/aac': 'aac',
+            'audio/wav': 'wav',
+            'audio/webm': 'webm'
+        };
+
+        return extensions[type] || 'ogg';
+    }
+}
+
+module.exports = OpenAITranscriber;
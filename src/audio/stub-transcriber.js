@@ -0,0 +1,22 @@
+/**
+ * Transcritor local (stub) para testes offline
+ * Não envia o áudio para nenhum serviço: devolve um texto fixo
+ * (TRANSCRIPTION_STUB_TEXT) ou o resultado de uma função customizada.
+ */
+class StubTranscriber {
+    constructor(options = {}) {
+        this.name = 'stub';
+        this.text = options.text || process.env.TRANSCRIPTION_STUB_TEXT || 'quantos leads tem?';
+        this.handler = options.handler || null;
+    }
+
+    async transcribe(media) {
+        if (this.handler) {
+            return (await this.handler(media)).trim();
+        }
+
+        return this.text;
+    }
+}
+
+module.exports = StubTranscriber;
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Perfis padrão
+ * - permissions: read (consultas), session (/reset), export (planilhas),
+ *   sql (SQL direto via /sql), schedule (relatórios agendados),
+ *   alert (alertas de métricas), admin (gestão do bot)
+ * - tables / commands: '*' libera tudo, ou lista explícita
+ */
+const DEFAULT_ROLES = {
+    admin: {
+        permissions: ['read', 'session', 'export', 'sql', 'schedule', 'alert', 'admin'],
+        tables: '*',
+        commands: '*'
+    },
+    analyst: {
+        permissions: ['read', 'session', 'export', 'sql', 'schedule', 'alert'],
+        tables: '*',
+        commands: '*'
+    },
+    viewer: {
+        permissions: ['read', 'session'],
+        tables: '*',
+        commands: ['tabelas', 'schema', 'contar', 'reset', 'ajuda']
+    }
+};
+
+/**
+ * Registro de usuários do bot com papéis (RBAC)
+ *
+ * Usuários vêm do arquivo JSON em USERS_FILE (padrão config/users.json):
+ *   { "roles": { ... }, "users": [{ "number": "+5511999999999", "name": "Ana", "role": "admin" }] }
+ * Números em AUTHORIZED_NUMBERS continuam aceitos com o papel AUTH_DEFAULT_ROLE.
+ * A comparação é EXATA no formato E.164 (+55119...), nunca por substring.
+ * Sem nenhum usuário ou grupo configurado, o bot fica aberto com o papel
+ * AUTH_OPEN_ROLE (padrão viewer: só consultas, sem SQL direto nem exportação).
+ *
+ * Grupos do WhatsApp precisam ser liberados pelo id (AUTHORIZED_GROUPS ou
+ * "groups" no JSON): { "id": "1203...@g.us", "role": "viewer", "participants": "all" }
+ * Com participants "registered" (padrão) só usuários cadastrados falam com o
+ * bot no grupo, cada um com o próprio papel; com "all", qualquer participante
+ * usa o papel do grupo.
+ */
+class UserRegistry {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.USERS_FILE || path.join(process.cwd(), 'config', 'users.json');
+        this.defaultRole = options.defaultRole || process.env.AUTH_DEFAULT_ROLE || 'analyst';
+        this.openRole = options.openRole || process.env.AUTH_OPEN_ROLE || 'viewer';
+        this.roles = { ...DEFAULT_ROLES };
+        this.users = new Map();
+        this.groups = new Map();
+
+        this.load(options);
+    }
+
+    load(options = {}) {
+        const config = options.config || this.readFile();
+
+        if (config.roles) {
+            Object.entries(config.roles).forEach(([name, role]) => {
+                this.roles[name] = { ...(this.roles[name] || {}), ...role };
+            });
+        }
+
+        (config.users || []).forEach(user => this.addUser(user));
+
+        // Compatibilidade com AUTHORIZED_NUMBERS
+        const envNumbers = options.authorizedNumbers !== undefined
+            ? options.authorizedNumbers
+            : (process.env.AUTHORIZED_NUMBERS || '');
+        envNumbers.split(',').map(n => n.trim()).filter(Boolean).forEach(number => {
+            if (!this.users.has(UserRegistry.normalizeNumber(number))) {
+                this.addUser({ number, role: this.defaultRole });
+            }
+        });
+
+        (config.groups || []).forEach(group => this.addGroup(group));
+
+        const envGroups = options.authorizedGroups !== undefined
+            ? options.authorizedGroups
+            : (process.env.AUTHORIZED_GROUPS || '');
+        envGroups.split(',').map(id => id.trim()).filter(Boolean).forEach(id => {
+            if (!this.groups.has(UserRegistry.normalizeGroupId(id))) {
+                this.addGroup({ id });
+            }
+        });
+
+        if (!this.roles[this.openRole]) {
+            console.warn(`⚠️ Papel desconhecido "${this.openRole}" em AUTH_OPEN_ROLE, usando viewer`);
+            this.openRole = 'viewer';
+        }
+
+        console.log(`🔐 Registro de usuários: ${this.users.size} usuário(s), ${this.groups.size} grupo(s)${this.isOpen() ? ` (modo aberto, papel ${this.openRole})` : ''}`);
+    }
+
+    readFile() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            }
+        } catch (error) {
+            console.error(`❌ Erro ao ler ${this.filePath}:`, error.message);
+        }
+        return {};
+    }
+
+    addUser({ number, name, role }) {
+        const normalized = UserRegistry.normalizeNumber(number);
+        if (!normalized) {
+            console.warn(`⚠️ Número inválido no registro de usuários: ${number}`);
+            return;
+        }
+
+        if (!this.roles[role]) {
+            console.warn(`⚠️ Papel desconhecido "${role}" para ${normalized}, usando ${this.defaultRole}`);
+            role = this.defaultRole;
+        }
+
+        this.users.set(normalized, { number: normalized, name: name || null, role });
+    }
+
+    addGroup({ id, name, role, participants }) {
+        const normalized = UserRegistry.normalizeGroupId(id);
+        if (!normalized) {
+            console.warn(`⚠️ Grupo inválido no registro de usuários: ${id}`);
+            return;
+        }
+
+        if (role && !this.roles[role]) {
+            console.warn(`⚠️ Papel desconhecido "${role}" para o grupo ${normalized}, usando ${this.defaultRole}`);
+            role = null;
+        }
+
+        this.groups.set(normalized, {
+            id: normalized,
+            name: name || null,
+            role: role || this.defaultRole,
+            participants: participants === 'all' ? 'all' : 'registered'
+        });
+    }
+
+    isOpen() {
+        return this.users.size === 0 && this.groups.size === 0;
+    }
+
+    /**
+     * Retorna o objeto de acesso do número ou null se não autorizado
+     */
+    resolve(number) {
+        const normalized = UserRegistry.normalizeNumber(number);
+        const user = this.users.get(normalized);
+
+        if (!user) {
+            return this.isOpen() && normalized ? this.buildAccess({ number: normalized, role: this.openRole }) : null;
+        }
+
+        return this.buildAccess(user);
+    }
+
+    /**
+     * Acesso de um participante num grupo ou null se o grupo ou o
+     * participante não estão autorizados
+     */
+    resolveGroup(groupId, number) {
+        if (this.isOpen()) {
+            return this.resolve(number);
+        }
+
+        const group = this.groups.get(UserRegistry.normalizeGroupId(groupId));
+        if (!group) {
+            return null;
+        }
+
+        const normalized = UserRegistry.normalizeNumber(number);
+        const member = this.users.get(normalized);
+        if (member) {
+            return this.buildAccess(member);
+        }
+
+        return group.participants === 'all' && normalized
+            ? this.buildAccess({ number: normalized, role: group.role })
+            : null;
+    }
+
+    buildAccess(user) {
+        const role = this.roles[user.role] || this.roles[this.defaultRole];
+        return {
+            number: user.number,
+            name: user.name || null,
+            role: user.role,
+            permissions: role.permissions || [],
+            tables: Array.isArray(role.tables) ? role.tables.map(t => t.toLowerCase()) : '*',
+            commands: role.commands || '*'
+        };
+    }
+
+    /**
+     * Normaliza para E.164: "5511999999999@c.us" → "+5511999999999"
+     */
+    static normalizeNumber(number) {
+        if (!number) return null;
+        const digits = String(number).split('@')[0].replace(/\D/g, '');
+        return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+    }
+
+    /**
+     * Aceita o id completo ("1203...@g.us") ou só a parte numérica
+     */
+    static normalizeGroupId(id) {
+        if (!id) return null;
+        const value = String(id).trim();
+        const base = value.split('@')[0];
+        return /^[\d-]+$/.test(base) ? `${base}@g.us` : null;
+    }
+
+    /**
+     * VERIFICAÇÕES DE ACESSO
+     * access ausente = chamada interna do sistema (sem restrição)
+     */
+    static can(access, permission) {
+        if (!access || !permission) return true;
+        return access.permissions.includes(permission);
+    }
+
+    static canUseCommand(access, commandName) {
+        if (!access) return true;
+        return access.commands === '*' || access.commands.includes(commandName);
+    }
+
+    static canAccessTable(access, tableName) {
+        if (!access || !tableName) return true;
+        return access.tables === '*' || access.tables.includes(tableName.toLowerCase());
+    }
+
+    static filterTables(access, tables) {
+        return tables.filter(table => UserRegistry.canAccessTable(access, table.table_name || table));
+    }
+}
+
+module.exports = UserRegistry;
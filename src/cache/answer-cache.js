@@ -0,0 +1,367 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE = 60000;
+const HOUR = 60 * MINUTE;
+
+// TTL por tipo de consulta: memória (curto) e arquivo (longo)
+const DEFAULT_TTLS = {
+    // SQL com now()/current_date: a janela muda a cada minuto
+    realtime: { memory: 2 * MINUTE, file: 10 * MINUTE },
+    // Listagens mostram registros novos assim que entram
+    list: { memory: 5 * MINUTE, file: 30 * MINUTE },
+    count: { memory: 10 * MINUTE, file: HOUR },
+    // Agregações, JOINs e planos com várias consultas: mais caros de refazer
+    aggregation: { memory: 30 * MINUTE, file: 2 * HOUR }
+};
+
+const REALTIME_SQL = /\b(now\s*\(|current_date|current_timestamp|localtimestamp|clock_timestamp)/i;
+
+// Entradas maiores ficam só na memória
+const MAX_FILE_ENTRY_BYTES = 1024 * 1024;
+
+/**
+ * Cache multinível das respostas do pipeline multiagentes (CACHE_MULTINIVEL.md)
+ *
+ * Chave: hash da pergunta normalizada + intenção resolvida pelo Coordinator
+ * (tabelas, operações, contexto usado) + versão dos dados das tabelas.
+ * - memória: LRU com até ANSWER_CACHE_MAX_ENTRIES respostas e TTL curto
+ * - arquivo: um JSON por resposta em ANSWER_CACHE_DIR (padrão
+ *   data/answer-cache), TTL longo, sobrevive a reinicializações
+ *
+ * O TTL depende do tipo da consulta (DEFAULT_TTLS). invalidate(tabelas)
+ * incrementa a versão das tabelas: respostas antigas deixam de casar com a
+ * chave e são removidas das duas camadas. Acertos e falhas ficam em getStats().
+ */
+class AnswerCache {
+    constructor(options = {}) {
+        this.enabled = options.enabled ?? process.env.ANSWER_CACHE_ENABLED !== 'false';
+        this.dir = options.dir || process.env.ANSWER_CACHE_DIR || path.join(process.cwd(), 'data', 'answer-cache');
+        this.maxMemoryEntries = options.maxMemoryEntries || parseInt(process.env.ANSWER_CACHE_MAX_ENTRIES) || 200;
+        this.maxFileEntries = options.maxFileEntries || parseInt(process.env.ANSWER_CACHE_MAX_FILES) || 1000;
+        this.ttls = { ...DEFAULT_TTLS, ...(options.ttls || {}) };
+
+        // Map mantém ordem de inserção: a primeira entrada é a menos usada
+        this.memory = new Map();
+        this.versions = { global: 0, tables: {} };
+        this.fileCount = 0;
+        this.stats = { memoryHits: 0, fileHits: 0, misses: 0, stores: 0, evictions: 0, invalidations: 0 };
+
+        if (this.enabled) {
+            this.loadVersions();
+            this.prune();
+            console.log(`💾 Cache de respostas: ${this.fileCount} resposta(s) em arquivo`);
+        }
+    }
+
+    get versionsPath() {
+        return path.join(this.dir, 'versions.json');
+    }
+
+    entryPath(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    loadVersions() {
+        try {
+            if (fs.existsSync(this.versionsPath)) {
+                const data = JSON.parse(fs.readFileSync(this.versionsPath, 'utf8'));
+                this.versions = { global: data.global || 0, tables: data.tables || {} };
+            }
+        } catch (error) {
+            console.error(`❌ Erro ao ler ${this.versionsPath}:`, error.message);
+        }
+    }
+
+    saveVersions() {
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.writeFileSync(this.versionsPath, JSON.stringify(this.versions, null, 2));
+        } catch (error) {
+            console.error(`❌ Erro ao salvar ${this.versionsPath}:`, error.message);
+        }
+    }
+
+    /**
+     * "Quantos leads?" e "quantos  Leads" → mesma pergunta
+     */
+    normalizeQuestion(question) {
+        return String(question || '')
+            .toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[¿?¡!]+/g, ' ')
+            .replace(/[.,;:]+(\s|$)/g, '$1')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    normalizeTables(tables) {
+        return [...new Set((tables || []).map(table => String(table).toLowerCase()))].sort();
+    }
+
+    /**
+     * Versão dos dados: global (atualizar tudo) + a de cada tabela usada
+     */
+    dataVersion(tables) {
+        const perTable = this.normalizeTables(tables).map(table => `${table}@${this.versions.tables[table] || 0}`);
+        return [`*@${this.versions.global}`, ...perTable].join(',');
+    }
+
+    /**
+     * Chave da resposta
+     * parts = { question, intent, ...} (tudo que muda a resposta); tables = tabelas da intenção
+     */
+    buildKey(parts, tables = []) {
+        const material = JSON.stringify({
+            ...parts,
+            question: this.normalizeQuestion(parts.question),
+            version: this.dataVersion(tables)
+        });
+        return crypto.createHash('sha256').update(material).digest('hex').substring(0, 32);
+    }
+
+    /**
+     * Tipo da consulta para o TTL: SQL com data relativa, contagem, listagem ou agregação
+     */
+    classify(value) {
+        const queryResult = value.queryResult || {};
+        const sqls = [
+            queryResult.sql_strategy?.sql_query,
+            ...(queryResult.plan || []).map(step => step.sql)
+        ].filter(Boolean);
+
+        if (sqls.some(sql => REALTIME_SQL.test(sql))) {
+            return 'realtime';
+        }
+
+        const type = queryResult.sql_strategy?.query_type || value.intention?.analysis_type;
+        if (['simple_count', 'count'].includes(type)) {
+            return 'count';
+        }
+        if (type === 'list') {
+            return 'list';
+        }
+        return 'aggregation';
+    }
+
+    /**
+     * Resposta em cache ou null
+     * Retorna { value, layer: 'memory'|'file', type, createdAt }
+     */
+    get(key) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const now = Date.now();
+        const entry = this.memory.get(key);
+        if (entry) {
+            this.memory.delete(key);
+            if (entry.memoryExpiresAt > now) {
+                // Move para o fim (mais recente)
+                this.memory.set(key, entry);
+                this.stats.memoryHits++;
+                return { value: entry.value, layer: 'memory', type: entry.type, createdAt: entry.createdAt };
+            }
+        }
+
+        const stored = this.readFile(key);
+        if (stored && stored.expiresAt > now) {
+            this.remember(key, stored, now);
+            this.stats.fileHits++;
+            return { value: stored.value, layer: 'file', type: stored.type, createdAt: stored.createdAt };
+        }
+
+        this.stats.misses++;
+        return null;
+    }
+
+    /**
+     * Guarda a resposta nas duas camadas com o TTL do tipo da consulta
+     */
+    set(key, value) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const now = Date.now();
+        const type = this.classify(value);
+        const ttl = this.ttls[type];
+        const entry = {
+            key,
+            type,
+            tables: this.normalizeTables(value.intention?.tables_needed),
+            createdAt: now,
+            expiresAt: now + ttl.file,
+            value
+        };
+
+        this.remember(key, entry, now);
+        this.writeFile(entry);
+        this.stats.stores++;
+
+        console.log(`💾 Resposta em cache (${type}, ${Math.round(ttl.memory / MINUTE)}min memória / ${Math.round(ttl.file / MINUTE)}min arquivo)`);
+        return entry;
+    }
+
+    remember(key, entry, now) {
+        this.memory.delete(key);
+        this.memory.set(key, {
+            ...entry,
+            memoryExpiresAt: Math.min(now + this.ttls[entry.type].memory, entry.expiresAt)
+        });
+
+        while (this.memory.size > this.maxMemoryEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+            this.stats.evictions++;
+        }
+    }
+
+    readFile(key) {
+        const filePath = this.entryPath(key);
+        try {
+            if (!fs.existsSync(filePath)) {
+                return null;
+            }
+            const entry = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            return entry.key === key && this.ttls[entry.type] ? entry : null;
+        } catch (error) {
+            console.error(`❌ Erro ao ler ${filePath}:`, error.message);
+            this.removeFile(key);
+            return null;
+        }
+    }
+
+    writeFile(entry) {
+        const filePath = this.entryPath(entry.key);
+        try {
+            const content = JSON.stringify(entry);
+            if (Buffer.byteLength(content) > MAX_FILE_ENTRY_BYTES) {
+                return;
+            }
+
+            fs.mkdirSync(this.dir, { recursive: true });
+            if (!fs.existsSync(filePath)) {
+                this.fileCount++;
+            }
+            fs.writeFileSync(filePath, content);
+
+            if (this.fileCount > this.maxFileEntries) {
+                this.prune();
+            }
+        } catch (error) {
+            console.error(`❌ Erro ao salvar ${filePath}:`, error.message);
+        }
+    }
+
+    removeFile(key) {
+        try {
+            fs.unlinkSync(this.entryPath(key));
+            this.fileCount = Math.max(0, this.fileCount - 1);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`❌ Erro ao remover ${this.entryPath(key)}:`, error.message);
+            }
+        }
+    }
+
+    /**
+     * Chaves e metadados das respostas em arquivo (sem o valor)
+     */
+    listFiles() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.dir)
+            .filter(name => name.endsWith('.json') && name !== 'versions.json')
+            .map(name => {
+                const key = name.slice(0, -'.json'.length);
+                const entry = this.readFile(key);
+                return entry
+                    ? { key, tables: entry.tables || [], createdAt: entry.createdAt, expiresAt: entry.expiresAt }
+                    : { key, tables: [], createdAt: 0, expiresAt: 0 };
+            });
+    }
+
+    /**
+     * Remove respostas vencidas e, acima de ANSWER_CACHE_MAX_FILES, as mais antigas
+     */
+    prune(now = Date.now()) {
+        let files;
+        try {
+            files = this.listFiles();
+        } catch (error) {
+            console.error(`❌ Erro ao listar ${this.dir}:`, error.message);
+            return;
+        }
+
+        const valid = files.filter(file => file.expiresAt > now);
+        files.filter(file => file.expiresAt <= now).forEach(file => this.removeFile(file.key));
+
+        valid.sort((a, b) => a.createdAt - b.createdAt);
+        while (valid.length > this.maxFileEntries) {
+            this.removeFile(valid.shift().key);
+            this.stats.evictions++;
+        }
+
+        this.fileCount = valid.length;
+    }
+
+    /**
+     * Invalida as respostas que usam as tabelas (sem tabelas: todas)
+     * Retorna quantas respostas foram removidas
+     */
+    invalidate(tables = null) {
+        const targets = this.normalizeTables(tables);
+        const matches = entryTables => targets.length === 0 || entryTables.some(table => targets.includes(table));
+
+        if (targets.length === 0) {
+            this.versions.global++;
+        } else {
+            targets.forEach(table => {
+                this.versions.tables[table] = (this.versions.tables[table] || 0) + 1;
+            });
+        }
+        this.saveVersions();
+        this.stats.invalidations++;
+
+        const removed = new Set();
+        for (const [key, entry] of this.memory) {
+            if (matches(entry.tables)) {
+                this.memory.delete(key);
+                removed.add(key);
+            }
+        }
+
+        try {
+            this.listFiles()
+                .filter(file => matches(file.tables))
+                .forEach(file => {
+                    this.removeFile(file.key);
+                    removed.add(file.key);
+                });
+        } catch (error) {
+            console.error(`❌ Erro ao invalidar ${this.dir}:`, error.message);
+        }
+
+        console.log(`🧹 Cache de respostas invalidado (${targets.length > 0 ? targets.join(', ') : 'tudo'}): ${removed.size} resposta(s)`);
+        return removed.size;
+    }
+
+    getStats() {
+        const hits = this.stats.memoryHits + this.stats.fileHits;
+        const lookups = hits + this.stats.misses;
+        return {
+            enabled: this.enabled,
+            ...this.stats,
+            hits,
+            hitRate: lookups > 0 ? Math.round((hits / lookups) * 100) : 0,
+            memoryEntries: this.memory.size,
+            fileEntries: this.fileCount
+        };
+    }
+}
+
+module.exports = AnswerCache;
@@ -0,0 +1,88 @@
+/**
+ * Interface de canal de comunicação (WhatsApp, console, webhook HTTP...)
+ *
+ * Um canal só transporta mensagens: recebe do front end, converte para o
+ * formato comum abaixo e entrega ao handler registrado em onMessage(). Toda
+ * a lógica (acesso, comandos, IA, formatação) fica no MessageHandler, que
+ * atende vários canais ao mesmo tempo.
+ *
+ * Mensagem recebida (formato comum):
+ * {
+ *   id,                 // id da mensagem no canal (pode ser null)
+ *   channel,            // nome do canal ("whatsapp", "console", "webhook")
+ *   chatId,             // conversa para onde a resposta deve ir
+ *   sender: { id, number, name, trusted },   // em grupos, o participante
+ *   type,               // "text" | "audio" | "reaction" | outro tipo não suportado
+ *   text,
+ *   quoted,             // { id, text, fromMe } da mensagem citada (reply) ou null
+ *   reaction,           // { emoji, messageId } quando type = "reaction"
+ *   group,              // { id, mentioned } em mensagens de grupo, senão null
+ *   timestamp,
+ *   downloadMedia(),    // → { buffer, mimetype, filename } ou null
+ *   raw                 // objeto original do canal
+ * }
+ *
+ * sender.trusted = true libera o acesso sem consultar o registro de usuários
+ * (ex: console local).
+ */
+class Channel {
+    constructor(name) {
+        this.name = name;
+        this.isReady = false;
+        this.messageHandler = null;
+    }
+
+    async initialize() {
+        throw new Error(`Canal ${this.name}: initialize() não implementado`);
+    }
+
+    async destroy() {
+        this.isReady = false;
+    }
+
+    /**
+     * Registra a função que processa as mensagens recebidas
+     */
+    onMessage(handler) {
+        this.messageHandler = handler;
+    }
+
+    async emitMessage(incoming) {
+        if (!this.messageHandler) {
+            console.warn(`⚠️ Canal ${this.name}: mensagem recebida sem handler registrado`);
+            return;
+        }
+        await this.messageHandler({ channel: this.name, ...incoming });
+    }
+
+    /**
+     * Envia texto. options.replyTo = mensagem recebida a ser citada (quando o canal suporta)
+     */
+    async sendText(chatId, text, options = {}) {
+        throw new Error(`Canal ${this.name}: sendText() não implementado`);
+    }
+
+    /**
+     * Envia mídia { buffer, mimetype, filename }
+     * options: { caption, asDocument, replyTo }
+     */
+    async sendMedia(chatId, media, options = {}) {
+        throw new Error(`Canal ${this.name}: sendMedia() não implementado`);
+    }
+
+    /**
+     * Indicador de "digitando..." (opcional)
+     */
+    async sendTyping(chatId) {
+        // Canais sem indicador simplesmente ignoram
+    }
+
+    getStatus() {
+        return {
+            channel: this.name,
+            ready: this.isReady
+        };
+    }
+}
+
+module.exports = Channel;
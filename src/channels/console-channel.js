@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const Channel = require('./channel');
+
+/**
+ * Canal de terminal: cada linha digitada vira uma mensagem e as respostas
+ * são impressas no console. Útil para testar o pipeline sem WhatsApp.
+ *
+ * Mídias (gráficos, planilhas) são gravadas em CONSOLE_MEDIA_DIR.
+ * Sem CONSOLE_USER_NUMBER o operador local tem acesso total; com ele,
+ * o acesso segue o papel desse número no registro de usuários.
+ */
+class ConsoleChannel extends Channel {
+    constructor(options = {}) {
+        super('console');
+        this.input = options.input || process.stdin;
+        this.output = options.output || process.stdout;
+        this.chatId = 'console';
+        this.userNumber = options.userNumber || process.env.CONSOLE_USER_NUMBER || null;
+        this.mediaDir = options.mediaDir || process.env.CONSOLE_MEDIA_DIR || path.join(process.cwd(), 'data', 'console');
+        this.rl = null;
+        this.sequence = 0;
+    }
+
+    async initialize() {
+        this.rl = readline.createInterface({ input: this.input, output: this.output, terminal: false });
+
+        this.rl.on('line', line => {
+            const text = line.trim();
+            if (!text) return;
+
+            this.emitMessage({
+                id: `console-${++this.sequence}`,
+                chatId: this.chatId,
+                sender: {
+                    id: this.chatId,
+                    number: this.userNumber,
+                    name: 'Console',
+                    trusted: !this.userNumber
+                },
+                type: 'text',
+                text,
+                timestamp: new Date().toISOString(),
+                downloadMedia: async () => null,
+                raw: null
+            }).catch(error => console.error('❌ Erro no canal console:', error));
+        });
+
+        // Sem listener, o readline engole o Ctrl+C e o sistema não encerra
+        this.rl.on('SIGINT', () => process.emit('SIGINT'));
+
+        this.isReady = true;
+        console.log('⌨️ Canal console pronto: digite sua pergunta e pressione Enter');
+    }
+
+    async destroy() {
+        if (this.rl) {
+            this.rl.close();
+            this.rl = null;
+        }
+        this.isReady = false;
+    }
+
+    async sendText(chatId, text) {
+        this.write(`\n🤖 ${text}\n`);
+        return { id: `console-out-${++this.sequence}` };
+    }
+
+    async sendMedia(chatId, media, options = {}) {
+        fs.mkdirSync(this.mediaDir, { recursive: true });
+        const filePath = path.join(this.mediaDir, `${Date.now()}-${media.filename || 'arquivo'}`);
+        fs.writeFileSync(filePath, media.buffer);
+
+        if (options.caption) {
+            this.write(`\n🤖 ${options.caption}\n`);
+        }
+        this.write(`📎 Arquivo salvo em ${filePath}\n`);
+
+        return { id: `console-out-${++this.sequence}` };
+    }
+
+    async sendTyping() {
+        this.write('💭 ...\n');
+    }
+
+    write(text) {
+        this.output.write(text);
+    }
+}
+
+module.exports = ConsoleChannel;
@@ -0,0 +1,42 @@
+/**
+ * Filtro de mensagens de grupo
+ *
+ * Num grupo o bot só responde quando a mensagem é dirigida a ele:
+ * - menção ao bot (message.group.mentioned, o canal já remove o "@bot" do texto)
+ * - texto começando com um prefixo de GROUP_PREFIXES (ex: "!bot quantos leads?")
+ * - resposta citando uma mensagem do próprio bot (follow-up, "errado")
+ *
+ * As demais mensagens do grupo são ignoradas sem aviso.
+ */
+class GroupFilter {
+    constructor(options = {}) {
+        const prefixes = options.prefixes || process.env.GROUP_PREFIXES || '!bot';
+        this.prefixes = (Array.isArray(prefixes) ? prefixes : prefixes.split(','))
+            .map(prefix => prefix.trim().toLowerCase())
+            .filter(Boolean)
+            // Prefixo mais longo primeiro ("!bot" antes de "!")
+            .sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Texto da pergunta (sem o prefixo) ou null se a mensagem não é para o bot
+     */
+    extract(message) {
+        const text = (message.text || '').trim();
+
+        // "!bot" não casa com "!botão"
+        const prefix = this.prefixes.find(candidate => text.toLowerCase().startsWith(candidate)
+            && !/[\p{L}\d]/u.test(text.charAt(candidate.length)));
+        if (prefix) {
+            return text.substring(prefix.length).replace(/^[\s,:]+/, '');
+        }
+
+        if (message.group?.mentioned || message.quoted?.fromMe) {
+            return text;
+        }
+
+        return null;
+    }
+}
+
+module.exports = GroupFilter;
@@ -0,0 +1,49 @@
+const Channel = require('./channel');
+const MessageHandler = require('./message-handler');
+const ConsoleChannel = require('./console-channel');
+const WebhookChannel = require('./webhook-channel');
+const WhatsAppBot = require('../whatsapp/bot');
+
+/**
+ * Cria os canais listados em CHANNELS (separados por vírgula)
+ * - whatsapp: WhatsApp Web (padrão)
+ * - console: terminal local
+ * - webhook: HTTP genérico no servidor Express (exige WEBHOOK_TOKEN)
+ */
+function createChannels(names = process.env.CHANNELS, options = {}) {
+    const selected = (names || 'whatsapp')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+
+    const channels = [];
+    [...new Set(selected)].forEach(name => {
+        switch (name) {
+            case 'whatsapp':
+                channels.push(new WhatsAppBot());
+                break;
+
+            case 'console':
+                channels.push(new ConsoleChannel());
+                break;
+
+            case 'webhook':
+                channels.push(new WebhookChannel({ app: options.app }));
+                break;
+
+            default:
+                console.warn(`⚠️ Canal desconhecido: ${name} - ignorado`);
+        }
+    });
+
+    return channels;
+}
+
+module.exports = {
+    createChannels,
+    Channel,
+    MessageHandler,
+    ConsoleChannel,
+    WebhookChannel,
+    WhatsAppBot
+};
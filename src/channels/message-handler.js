@@ -0,0 +1,623 @@
+const Helpers = require('../utils/helpers');
+const MessageQueue = require('./message-queue');
+const ReplyContextStore = require('./reply-context-store');
+const ProgressReporter = require('./progress-reporter');
+const GroupFilter = require('./group-filter');
+const { DEFAULT_LANGUAGE, detectLanguage, translate } = require('../i18n');
+const FeedbackParser = require('../feedback/feedback-parser');
+
+// Limite de caracteres para legenda de imagem/documento
+const CAPTION_LIMIT = 1024;
+
+/**
+ * Pipeline de mensagens independente de canal
+ *
+ * Recebe mensagens no formato comum (ver channels/channel.js) de qualquer
+ * canal registrado e faz todo o fluxo: controle de acesso, transcrição de
+ * áudio, comandos, MultiAgentSystem, formatação e envio da resposta
+ * (texto em partes, gráfico ou documento) pelo mesmo canal de origem.
+ * As mensagens passam por uma fila por chat (ordem garantida e limite
+ * global de processamentos simultâneos).
+ *
+ * Em grupos o chatId é o do grupo: a sessão (contexto, última consulta,
+ * paginação) é compartilhada pelos participantes e cada resposta cita
+ * a mensagem de quem perguntou.
+ */
+class MessageHandler {
+    constructor(aiAgent, responseFormatter, options = {}) {
+        this.aiAgent = aiAgent;
+        this.responseFormatter = responseFormatter;
+        this.transcriber = options.transcriber || null;
+        this.chartRenderer = options.chartRenderer || null;
+        this.commandRouter = options.commandRouter || null;
+        this.userRegistry = options.userRegistry || null;
+        // Consulta que gerou cada resposta enviada (para replies/citações)
+        this.replyContexts = options.replyContexts || new ReplyContextStore();
+        // Avaliações das respostas (reações e "errado"); opcional
+        this.feedbackStore = options.feedbackStore || null;
+        this.feedbackParser = options.feedbackParser || new FeedbackParser();
+        // Opções do aviso de andamento (noticeDelay, maxNotices, typingInterval)
+        this.progressOptions = options.progress || {};
+        // Atendimento humano ("falar com humano"); opcional
+        this.handoff = options.handoff || null;
+        // Em grupos, só mensagens com menção/prefixo chegam ao pipeline
+        this.groupFilter = options.groupFilter || new GroupFilter();
+
+        this.channels = new Map();
+        this.queue = new MessageQueue({
+            worker: message => this.handleMessage(message),
+            onBusy: message => this.sendBusyNotice(message),
+            ...options.queue
+        });
+
+        // Última negativa enviada por número (evita repetir a mensagem)
+        this.deniedNotices = new Map();
+        this.deniedNoticeInterval = 3600000; // 1 hora
+        this.maxAudioBytes = parseInt(process.env.TRANSCRIPTION_MAX_BYTES) || 25 * 1024 * 1024; // limite do Whisper
+        this.chunkDelay = parseInt(process.env.WHATSAPP_CHUNK_DELAY) || 800; // ms entre partes
+    }
+
+    /**
+     * Registra um canal: mensagens recebidas por ele passam por este pipeline
+     */
+    addChannel(channel) {
+        this.channels.set(channel.name, channel);
+        channel.onMessage(message => this.receive(message));
+        console.log(`🔌 Canal registrado: ${channel.name}`);
+    }
+
+    /**
+     * Entrada de todos os canais: descarta conversa de grupo que não é com o
+     * bot antes da fila (nem aviso de "ocupado" nem negativa de acesso)
+     */
+    async receive(message) {
+        if (message.group && message.type !== 'reaction' && !(this.handoff && this.handoff.isOperator(message))) {
+            const text = this.groupFilter.extract(message);
+            if (text === null) {
+                return { accepted: false, reason: 'ignored' };
+            }
+            message = { ...message, text };
+        }
+        return this.queue.enqueue(message);
+    }
+
+    getChannel(name) {
+        return name ? this.channels.get(name) || null : this.channels.values().next().value || null;
+    }
+
+    async handleMessage(message) {
+        const channel = this.getChannel(message.channel);
+        if (!channel) {
+            console.error(`❌ Canal desconhecido: ${message.channel}`);
+            return;
+        }
+
+        // Reações não geram resposta: só registram a avaliação
+        if (message.type === 'reaction') {
+            this.recordReaction(message);
+            return;
+        }
+
+        let language = DEFAULT_LANGUAGE;
+        try {
+            console.log(`📨 PROCESSANDO MENSAGEM (${channel.name})...`);
+
+            // Operador do atendimento humano respondendo a um usuário (ou /retomar)
+            if (this.handoff && this.handoff.isOperator(message)) {
+                const operatorReply = await this.handoff.handleOperatorMessage(message);
+                if (operatorReply !== false) {
+                    if (operatorReply) {
+                        await channel.sendText(message.chatId, operatorReply, { replyTo: message });
+                    }
+                    return;
+                }
+            }
+
+            // FILTRO DE SEGURANÇA: Só processa mensagens de usuários registrados (número E.164 exato)
+            const access = this.resolveAccess(message);
+            if (!access) {
+                await this.sendAccessDenied(channel, message);
+                return;
+            }
+
+            language = this.getLanguage(message.chatId, message.text);
+
+            const senderName = message.sender.name || message.sender.number;
+            console.log(`📨 Mensagem recebida de ${senderName}: "${message.text}"`);
+            console.log(`📋 Tipo da mensagem: ${message.type}`);
+
+            // Voice notes passam pela transcrição antes do pipeline
+            const isAudio = message.type === 'audio';
+
+            // Verifica se é uma mensagem de texto (ou áudio com transcrição ativa)
+            if (message.type !== 'text' && !(isAudio && this.transcriber)) {
+                console.log(`⚠️ Tipo de mensagem não suportado: ${message.type} - ignorando silenciosamente`);
+                return;
+            }
+
+            // Mostra que está processando
+            console.log('⏳ Iniciando processamento da mensagem...');
+            try {
+                await channel.sendTyping(message.chatId);
+            } catch (e) {
+                // Ignora erro de typing - não é crítico
+            }
+
+            let messageText = message.text;
+
+            if (isAudio) {
+                messageText = await this.transcribeAudioMessage(message);
+                if (!messageText) {
+                    await channel.sendText(message.chatId, translate(language, 'audio_failed'), { replyTo: message });
+                    return;
+                }
+
+                language = this.getLanguage(message.chatId, messageText);
+
+                // Ecoa o texto reconhecido para o usuário conferir
+                await channel.sendText(message.chatId, translate(language, 'audio_heard', { text: messageText }), { replyTo: message });
+            }
+
+            // Chat em atendimento humano: repassa ao operador em vez de responder
+            if (this.handoff && this.handoff.isActive(message)) {
+                if (this.handoff.isResume(messageText)) {
+                    await this.handoff.resumeChat(message);
+                } else {
+                    await this.handoff.relayFromUser(message, messageText);
+                }
+                return;
+            }
+
+            // "errado" / "certo" citando uma resposta do bot é avaliação, não pergunta
+            if (await this.handleFeedbackReply(channel, message, messageText, language)) {
+                return;
+            }
+
+            const userContext = this.buildUserContext(message, access);
+            userContext.quotedContext = this.resolveQuotedContext(message);
+            userContext.language = language;
+
+            if (this.handoff && this.handoff.isRequest(messageText)) {
+                await this.requestHandoff(channel, message, userContext);
+                return;
+            }
+
+            // Comandos (/tabelas, /sql, agendamentos...) não passam pelo pipeline de IA
+            let result;
+            const commandText = this.commandRouter ? this.commandRouter.toCommand(messageText, userContext) : null;
+            if (commandText) {
+                console.log('⌨️ Comando detectado, executando sem IA...');
+                result = await this.commandRouter.execute(commandText, userContext);
+            } else {
+                // Processa mensagem com IA (com "digitando..." e avisos de andamento)
+                console.log('🧠 Enviando para IA...');
+                const progress = new ProgressReporter(channel, message, { ...this.progressOptions, language });
+                progress.start();
+                try {
+                    result = await this.processMessageWithAI(messageText, userContext, progress.onProgress);
+                } finally {
+                    progress.stop();
+                }
+            }
+
+            const sentIds = await this.deliver(channel, message, result, language);
+            this.replyContexts.remember(channel.name, sentIds, result.replyContext);
+            console.log(`✅ Resposta enviada com sucesso para ${senderName}`);
+
+        } catch (error) {
+            console.error('❌ Erro ao processar mensagem:', error);
+            console.error('Stack trace:', error.stack);
+            try {
+                await channel.sendText(message.chatId, translate(language, 'error_generic'), { replyTo: message });
+            } catch (replyError) {
+                console.error('❌ Erro ao enviar mensagem de erro:', replyError);
+            }
+        }
+    }
+
+    /**
+     * Aviso quando a pergunta entra na fila atrás de outra do mesmo chat
+     */
+    async sendBusyNotice(message) {
+        const channel = this.getChannel(message.channel);
+        if (!channel || message.type === 'reaction' || !this.resolveAccess(message)) {
+            return;
+        }
+
+        await channel.sendText(
+            message.chatId,
+            translate(this.getLanguage(message.chatId, message.text), 'busy'),
+            { replyTo: message }
+        );
+    }
+
+    /**
+     * Idioma da conversa (pt, es, en) segundo o agente de IA
+     * Mensagens sem pistas ("2", "ok") mantêm o idioma já usado no chat
+     */
+    getLanguage(chatId, text) {
+        if (this.aiAgent && typeof this.aiAgent.detectLanguage === 'function') {
+            return this.aiAgent.detectLanguage(chatId, text);
+        }
+        return DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * "Falar com humano": abre o atendimento com o contexto da última consulta
+     */
+    async requestHandoff(channel, message, userContext) {
+        let reply;
+        if (!this.handoff.isEnabled()) {
+            reply = 'handoff_unavailable';
+        } else if (this.handoff.isActive(message)) {
+            reply = 'handoff_already';
+        } else {
+            await this.handoff.open(message, userContext, this.describeLastAttempt(message.chatId));
+            reply = 'handoff_started';
+        }
+        await channel.sendText(message.chatId, translate(userContext.language, reply), { replyTo: message });
+    }
+
+    /**
+     * Pergunta, SQL e erro da última consulta do chat (para o operador)
+     */
+    describeLastAttempt(chatId) {
+        const sessions = this.aiAgent?.sessions;
+        if (!sessions || !sessions.has(chatId)) {
+            return {};
+        }
+
+        const session = sessions.get(chatId);
+        const queryResult = session.lastResult?.queryResult;
+        const failed = queryResult?.results?.find(result => result && result.success === false);
+
+        return {
+            question: session.context.recentQueries[0]?.message || null,
+            // Plano com várias consultas: um SQL por etapa
+            sql: session.lastResult?.sql
+                || queryResult?.plan?.map(step => `-- ${step.name}\n${step.sql}`).join('\n\n')
+                || null,
+            error: queryResult?.error || failed?.error || null
+        };
+    }
+
+    /**
+     * Envia o resultado { text, chart, attachment } respondendo à mensagem original
+     * Retorna os ids das mensagens enviadas
+     */
+    async deliver(channel, message, { text: response, chart, attachment }, language = DEFAULT_LANGUAGE) {
+        if (attachment) {
+            return this.replyWithDocument(channel, message, response, attachment);
+        }
+
+        if (response) {
+            console.log(`📤 Enviando resposta: "${response.substring(0, 100)}..."`);
+            const sentWithChart = chart ? await this.replyWithChart(channel, message, response, chart) : false;
+            return sentWithChart || this.replyInChunks(channel, message, response);
+        }
+
+        console.log('⚠️ Nenhuma resposta gerada pela IA');
+        await channel.sendText(message.chatId, translate(language, 'no_response'), { replyTo: message });
+        return [];
+    }
+
+    /**
+     * Contexto da mensagem citada: a consulta que gerou a resposta do bot ou,
+     * se ela não é conhecida (reinício, mensagem de outra pessoa), o texto citado
+     */
+    resolveQuotedContext(message) {
+        if (!message.quoted) {
+            return null;
+        }
+
+        const context = this.replyContexts.lookup(message.channel, message.quoted.id);
+        if (context) {
+            console.log(`↩️ Resposta citando mensagem anterior (${context.tables.join(', ') || 'sem tabela'})`);
+            return context;
+        }
+
+        return message.quoted.text ? { summary: message.quoted.text.substring(0, 500) } : null;
+    }
+
+    /**
+     * Reação a uma resposta do bot: 👍/👎 registrados, reação removida apaga a avaliação
+     */
+    recordReaction(message) {
+        if (!this.feedbackStore || !message.reaction || !this.resolveAccess(message)) {
+            return;
+        }
+
+        const { emoji, messageId } = message.reaction;
+        if (!emoji) {
+            this.feedbackStore.remove(message.channel, messageId, message.sender.number);
+            return;
+        }
+
+        const rating = this.feedbackParser.parseReaction(emoji);
+        const context = this.replyContexts.lookup(message.channel, messageId);
+        if (rating === null || !context) {
+            return;
+        }
+
+        this.feedbackStore.record({
+            channel: message.channel,
+            chatId: message.chatId,
+            number: message.sender.number,
+            messageId,
+            rating,
+            source: 'reaction',
+            comment: null,
+            context
+        });
+    }
+
+    /**
+     * Resposta curta citando uma resposta do bot ("errado", "perfeito")
+     * Retorna true se a mensagem foi tratada como avaliação
+     */
+    async handleFeedbackReply(channel, message, text, language = DEFAULT_LANGUAGE) {
+        if (!this.feedbackStore || !message.quoted) {
+            return false;
+        }
+
+        const feedback = this.feedbackParser.parseText(text);
+        const context = feedback ? this.replyContexts.lookup(message.channel, message.quoted.id) : null;
+        if (!context) {
+            return false;
+        }
+
+        this.feedbackStore.record({
+            channel: message.channel,
+            chatId: message.chatId,
+            number: message.sender.number,
+            messageId: message.quoted.id,
+            rating: feedback.rating,
+            source: 'reply',
+            comment: feedback.comment,
+            context
+        });
+
+        const reply = translate(language, feedback.rating < 0 ? 'feedback_negative' : 'feedback_positive');
+        await channel.sendText(message.chatId, reply, { replyTo: message });
+        return true;
+    }
+
+    /**
+     * Baixa o áudio da mensagem e transcreve com o transcritor configurado
+     * Retorna null se não foi possível obter texto
+     */
+    async transcribeAudioMessage(message) {
+        try {
+            console.log('🎙️ Baixando áudio...');
+            const media = message.downloadMedia ? await message.downloadMedia() : null;
+
+            if (!media || !media.buffer) {
+                console.log('⚠️ Não foi possível baixar o áudio');
+                return null;
+            }
+
+            if (media.buffer.length > this.maxAudioBytes) {
+                console.log(`⚠️ Áudio muito grande (${media.buffer.length} bytes) - ignorando`);
+                return null;
+            }
+
+            console.log(`📝 Transcrevendo com ${this.transcriber.name}...`);
+            const text = await this.transcriber.transcribe(media);
+
+            console.log(`✅ Transcrição: "${text}"`);
+            return text || null;
+
+        } catch (error) {
+            console.error('❌ Erro ao transcrever áudio:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Resolve o acesso (papel e permissões) do remetente
+     * Sem registro configurado, todos têm acesso (comportamento anterior)
+     */
+    resolveAccess(message) {
+        if (!this.userRegistry || message.sender.trusted) {
+            return { unrestricted: true };
+        }
+        // Grupo: o grupo precisa estar liberado e o participante também
+        if (message.group) {
+            return this.userRegistry.resolveGroup(message.group.id, message.sender.number);
+        }
+        return this.userRegistry.resolve(message.sender.number);
+    }
+
+    async sendAccessDenied(channel, message) {
+        const number = message.sender.number || message.sender.id;
+        console.log(`🚫 Mensagem de número não autorizado: ${number} (${channel.name})`);
+
+        const lastNotice = this.deniedNotices.get(number);
+        if (lastNotice && Date.now() - lastNotice < this.deniedNoticeInterval) {
+            return;
+        }
+        this.deniedNotices.set(number, Date.now());
+
+        try {
+            // Idioma só pelo texto: números sem acesso não ganham sessão no agente
+            const language = detectLanguage(message.text) || DEFAULT_LANGUAGE;
+            await channel.sendText(message.chatId, translate(language, 'access_restricted'), { replyTo: message });
+        } catch (error) {
+            console.error('❌ Erro ao enviar aviso de acesso negado:', error);
+        }
+    }
+
+    buildUserContext(message, access = null) {
+        return {
+            name: message.sender.name || access?.name || 'Usuário',
+            number: message.sender.number,
+            chatId: message.chatId,
+            channel: message.channel,
+            role: access?.role || null,
+            access: access && !access.unrestricted ? access : null,
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    async processMessageWithAI(messageText, userContext, onProgress = null) {
+        try {
+            console.log('🧠 Iniciando processamento com IA...');
+            console.log('👤 Contexto do usuário:', userContext);
+
+            // Verifica se aiAgent existe
+            if (!this.aiAgent) {
+                console.error('❌ aiAgent não está inicializado!');
+                return { text: translate(userContext.language, 'ai_unavailable') };
+            }
+
+            console.log('🔄 Chamando aiAgent.processMessage...');
+            // Processa com IA
+            const aiResponse = await this.aiAgent.processMessage(messageText, userContext, { onProgress });
+            console.log('✅ Resposta da IA recebida:', aiResponse ? 'Sucesso' : 'Vazia');
+
+            // Verifica se responseFormatter existe
+            if (!this.responseFormatter) {
+                console.error('❌ responseFormatter não está inicializado!');
+                return { text: aiResponse?.response || translate(userContext.language, 'format_error'), chart: aiResponse?.chart, attachment: aiResponse?.attachment };
+            }
+
+            console.log('🎨 Formatando resposta...');
+            // Formata resposta
+            const formattedResponse = this.responseFormatter.format(aiResponse, userContext.language);
+            console.log('✅ Resposta formatada:', formattedResponse ? 'Sucesso' : 'Vazia');
+
+            return {
+                text: formattedResponse,
+                chart: aiResponse?.chart || null,
+                attachment: aiResponse?.attachment || null,
+                replyContext: aiResponse?.replyContext || null
+            };
+
+        } catch (error) {
+            console.error('❌ Erro no processamento IA:', error);
+            console.error('Stack trace completo:', error.stack);
+            return { text: translate(userContext.language, 'ai_error') };
+        }
+    }
+
+    /**
+     * Envia o gráfico como imagem com o texto na legenda
+     * Se o texto não couber na legenda, envia o gráfico e depois o texto em partes
+     * Retorna os ids enviados ou false se não foi possível renderizar
+     * (o chamador envia só o texto)
+     */
+    async replyWithChart(channel, message, text, chart) {
+        if (!this.chartRenderer || !this.chartRenderer.isAvailable()) {
+            return false;
+        }
+
+        try {
+            console.log(`📈 Renderizando gráfico (${chart.type}): ${chart.title}`);
+            const image = await this.chartRenderer.renderPNG(chart);
+            const media = { buffer: image, mimetype: 'image/png', filename: 'grafico.png' };
+
+            if (text.length <= CAPTION_LIMIT) {
+                const sent = await channel.sendMedia(message.chatId, media, { caption: text, replyTo: message });
+                return [sent?.id];
+            }
+
+            const sent = await channel.sendMedia(message.chatId, media, { caption: `📊 ${chart.title}`, replyTo: message });
+            await Helpers.delay(this.chunkDelay);
+            return [sent?.id, ...await this.replyInChunks(channel, message, text)];
+
+        } catch (error) {
+            console.error('❌ Erro ao enviar gráfico, enviando apenas texto:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Envia um arquivo (CSV/XLSX) como documento com o texto na legenda
+     */
+    async replyWithDocument(channel, message, text, attachment) {
+        console.log(`📁 Enviando documento: ${attachment.filename}`);
+        const sent = await channel.sendMedia(message.chatId, attachment, {
+            asDocument: true,
+            caption: text ? text.substring(0, CAPTION_LIMIT) : undefined,
+            replyTo: message
+        });
+        return [sent?.id];
+    }
+
+    /**
+     * Divide a resposta em partes e envia em ordem
+     * A primeira parte responde (quote) a mensagem original
+     * Retorna os ids das partes enviadas
+     */
+    async replyInChunks(channel, message, text) {
+        const chunks = this.splitResponse(text);
+        const ids = [];
+
+        for (let i = 0; i < chunks.length; i++) {
+            if (i > 0) {
+                await Helpers.delay(this.chunkDelay);
+            }
+            const sent = await channel.sendText(message.chatId, chunks[i], i === 0 ? { replyTo: message } : {});
+            ids.push(sent?.id);
+        }
+
+        if (chunks.length > 1) {
+            console.log(`📦 Resposta enviada em ${chunks.length} partes`);
+        }
+
+        return ids;
+    }
+
+    splitResponse(text) {
+        if (this.responseFormatter && typeof this.responseFormatter.splitMessage === 'function') {
+            return this.responseFormatter.splitMessage(text);
+        }
+        return [text];
+    }
+
+    /**
+     * Envia uma mensagem ativa (relatórios, alertas) para um chat de um canal
+     * Sem canal informado, usa o primeiro canal registrado
+     * Canais offline podem enfileirar a mensagem (ex: WhatsApp reconectando)
+     * Retorna os ids das partes enviadas ou false em caso de erro
+     */
+    async sendMessage(chatId, text, channelName = null) {
+        const channel = this.getChannel(channelName);
+
+        try {
+            if (!channel) {
+                throw new Error(`Canal ${channelName || 'padrão'} não encontrado`);
+            }
+
+            const ids = [];
+            const chunks = this.splitResponse(text);
+            for (let i = 0; i < chunks.length; i++) {
+                if (i > 0) {
+                    await Helpers.delay(this.chunkDelay);
+                }
+                const sent = await channel.sendText(chatId, chunks[i]);
+                ids.push(sent?.id || null);
+            }
+
+            return ids;
+        } catch (error) {
+            console.error('❌ Erro ao enviar mensagem:', error);
+            return false;
+        }
+    }
+
+    getStatus() {
+        return {
+            channels: [...this.channels.values()].map(channel => channel.getStatus()),
+            queue: this.queue.getStats(),
+            replyContexts: this.replyContexts.getStats(),
+            feedback: this.feedbackStore ? this.feedbackStore.getStats() : null,
+            handoff: this.handoff ? this.handoff.getStats() : null,
+            sqlGuard: this.aiAgent.sqlGuard ? this.aiAgent.sqlGuard.getStats() : null,
+            answerCache: this.aiAgent.answerCache ? this.aiAgent.answerCache.getStats() : null,
+            transcription: this.transcriber ? this.transcriber.name : 'disabled'
+        };
+    }
+}
+
+module.exports = MessageHandler;
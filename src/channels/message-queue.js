@@ -0,0 +1,141 @@
+/**
+ * Fila de mensagens por conversa
+ *
+ * - FIFO por chat: a próxima pergunta só começa quando a anterior terminou,
+ *   então as respostas chegam na ordem em que as perguntas foram feitas
+ * - Limite global de chats processados em paralelo (chamadas à IA)
+ * - Descarta mensagens repetidas (mesmo id reentregue pelo canal)
+ *
+ * enqueue() devolve uma Promise resolvida quando a mensagem foi processada,
+ * para canais que respondem de forma síncrona (webhook).
+ */
+class MessageQueue {
+    constructor(options = {}) {
+        this.worker = options.worker;
+        // Chamado quando a mensagem entra na fila atrás de outra do mesmo chat
+        this.onBusy = options.onBusy || null;
+        this.concurrency = options.concurrency || parseInt(process.env.MESSAGE_QUEUE_CONCURRENCY) || 4;
+        this.maxPerChat = options.maxPerChat || parseInt(process.env.MESSAGE_QUEUE_MAX_PER_CHAT) || 10;
+        this.dedupTTL = options.dedupTTL || parseInt(process.env.MESSAGE_DEDUP_TTL) || 600000; // 10 min
+
+        this.queues = new Map();
+        this.activeChats = new Set();
+        this.notifiedChats = new Set();
+        this.seen = new Map();
+        this.running = 0;
+        this.stats = { processed: 0, duplicates: 0, dropped: 0 };
+    }
+
+    chatKey(message) {
+        return `${message.channel}:${message.chatId}`;
+    }
+
+    async enqueue(message) {
+        if (this.isDuplicate(message)) {
+            this.stats.duplicates++;
+            console.log(`🔁 Mensagem repetida ignorada: ${message.id}`);
+            return { accepted: false, reason: 'duplicate' };
+        }
+
+        const key = this.chatKey(message);
+        const queue = this.queues.get(key) || [];
+
+        if (queue.length >= this.maxPerChat) {
+            this.stats.dropped++;
+            console.warn(`⚠️ Fila do chat ${key} cheia (${queue.length}) - mensagem descartada`);
+            return { accepted: false, reason: 'full' };
+        }
+
+        const done = new Promise((resolve) => {
+            queue.push({ message, resolve });
+        });
+        this.queues.set(key, queue);
+
+        // Avisa uma vez por rodada quando a pergunta fica esperando a anterior
+        if (this.activeChats.has(key) && !this.notifiedChats.has(key) && this.onBusy) {
+            this.notifiedChats.add(key);
+            Promise.resolve(this.onBusy(message, queue.length))
+                .catch(error => console.error('❌ Erro ao avisar fila:', error));
+        }
+
+        this.drain();
+        await done;
+        return { accepted: true };
+    }
+
+    /**
+     * Inicia o processamento enquanto houver vaga e chats livres com mensagens
+     */
+    drain() {
+        for (const [key, queue] of this.queues) {
+            if (this.running >= this.concurrency) {
+                return;
+            }
+            if (this.activeChats.has(key) || queue.length === 0) {
+                continue;
+            }
+
+            const item = queue.shift();
+            if (queue.length === 0) {
+                this.queues.delete(key);
+            }
+
+            this.run(key, item);
+        }
+    }
+
+    async run(key, { message, resolve }) {
+        this.running++;
+        this.activeChats.add(key);
+
+        try {
+            await this.worker(message);
+            this.stats.processed++;
+        } catch (error) {
+            console.error(`❌ Erro ao processar mensagem do chat ${key}:`, error);
+        } finally {
+            this.running--;
+            this.activeChats.delete(key);
+            if (!this.queues.has(key)) {
+                this.notifiedChats.delete(key);
+            }
+            resolve();
+            this.drain();
+        }
+    }
+
+    isDuplicate(message) {
+        if (!message.id) {
+            return false;
+        }
+
+        const now = Date.now();
+        for (const [id, seenAt] of this.seen) {
+            if (now - seenAt <= this.dedupTTL) break;
+            this.seen.delete(id);
+        }
+
+        const id = `${message.channel}:${message.id}`;
+        if (this.seen.has(id)) {
+            return true;
+        }
+        this.seen.set(id, now);
+        return false;
+    }
+
+    getStats() {
+        let queued = 0;
+        this.queues.forEach(queue => {
+            queued += queue.length;
+        });
+
+        return {
+            running: this.running,
+            queued,
+            concurrency: this.concurrency,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = MessageQueue;
@@ -0,0 +1,114 @@
+const { DEFAULT_LANGUAGE, translate } = require('../i18n');
+
+// Texto do aviso para cada etapa do MultiAgentSystem (schema é rápida, sem aviso)
+const STAGE_MESSAGES = {
+    coordinator: (detail, language) => translate(language, 'progress_coordinator'),
+    query: ({ tables }, language) => translate(language, 'progress_query', { tables: formatTables(tables, language) }),
+    analyst: (detail, language) => translate(language, 'progress_analyst'),
+    formatter: (detail, language) => translate(language, 'progress_formatter')
+};
+
+function formatTables(tables, language) {
+    return tables && tables.length > 0 ? tables.join(', ') : translate(language, 'progress_any_table');
+}
+
+/**
+ * Andamento de uma pergunta em processamento
+ *
+ * - Mantém o "digitando..." ativo durante toda a execução (o WhatsApp
+ *   descarta o estado depois de ~25s)
+ * - Se a execução passar de PROGRESS_NOTICE_DELAY, envia um aviso curto com
+ *   a etapa atual ("🔍 Consultando aula_views...") e, a cada nova etapa,
+ *   outro aviso até PROGRESS_MAX_NOTICES
+ *
+ * onProgress é passado ao MultiAgentSystem.processMessage.
+ */
+class ProgressReporter {
+    constructor(channel, message, options = {}) {
+        this.channel = channel;
+        this.message = message;
+        // 0 = sem avisos (só mantém o "digitando...")
+        this.noticeDelay = options.noticeDelay !== undefined
+            ? options.noticeDelay
+            : parseInt(process.env.PROGRESS_NOTICE_DELAY || '8000');
+        this.maxNotices = options.maxNotices || parseInt(process.env.PROGRESS_MAX_NOTICES) || 2;
+        this.typingInterval = options.typingInterval || parseInt(process.env.TYPING_REFRESH_INTERVAL) || 20000;
+        this.language = options.language || DEFAULT_LANGUAGE;
+
+        this.stage = null;
+        this.detail = {};
+        this.notifiedStage = null;
+        this.notices = 0;
+        this.thresholdReached = false;
+        this.stopped = false;
+        this.noticeTimer = null;
+        this.typingTimer = null;
+
+        this.onProgress = (stage, detail) => this.update(stage, detail);
+    }
+
+    start() {
+        this.typingTimer = setInterval(() => this.keepTyping(), this.typingInterval);
+
+        if (this.noticeDelay > 0) {
+            this.noticeTimer = setTimeout(() => {
+                this.noticeTimer = null;
+                this.thresholdReached = true;
+                this.notify();
+            }, this.noticeDelay);
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+        clearInterval(this.typingTimer);
+        clearTimeout(this.noticeTimer);
+        this.typingTimer = null;
+        this.noticeTimer = null;
+    }
+
+    update(stage, detail = {}) {
+        this.stage = stage;
+        this.detail = detail;
+        console.log(`⏱️ Etapa: ${stage}`);
+
+        if (this.thresholdReached) {
+            this.notify();
+        }
+    }
+
+    /**
+     * Envia o aviso da etapa atual (uma vez por etapa, até o limite)
+     */
+    async notify() {
+        const format = STAGE_MESSAGES[this.stage];
+        if (this.stopped || !format || this.stage === this.notifiedStage || this.notices >= this.maxNotices) {
+            return;
+        }
+
+        this.notifiedStage = this.stage;
+        this.notices++;
+
+        try {
+            await this.channel.sendText(this.message.chatId, format(this.detail, this.language));
+            // Enviar uma mensagem encerra o "digitando..."
+            await this.keepTyping();
+        } catch (error) {
+            console.error('❌ Erro ao enviar aviso de progresso:', error);
+        }
+    }
+
+    async keepTyping() {
+        if (this.stopped) {
+            return;
+        }
+
+        try {
+            await this.channel.sendTyping(this.message.chatId);
+        } catch (error) {
+            // Ignora erro de typing - não é crítico
+        }
+    }
+}
+
+module.exports = ProgressReporter;
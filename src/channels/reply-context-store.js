@@ -0,0 +1,68 @@
+/**
+ * Contexto das respostas enviadas, por id de mensagem
+ *
+ * Guarda qual pergunta/consulta gerou cada mensagem enviada pelo bot. Quando
+ * o usuário responde (cita) uma delas, o MessageHandler recupera a consulta
+ * de origem e a passa como contexto ("e por dispositivo?" sobre aquele
+ * resultado, e não sobre a última pergunta da conversa).
+ *
+ * Em memória, com limite de itens (os mais antigos saem primeiro) e validade.
+ */
+class ReplyContextStore {
+    constructor(options = {}) {
+        this.maxEntries = options.maxEntries || parseInt(process.env.REPLY_CONTEXT_MAX) || 1000;
+        this.ttl = options.ttl || parseInt(process.env.REPLY_CONTEXT_TTL) || 24 * 60 * 60 * 1000; // 24h
+
+        this.entries = new Map();
+    }
+
+    key(channel, messageId) {
+        return `${channel}:${messageId}`;
+    }
+
+    /**
+     * Associa o contexto a todas as mensagens de uma resposta (partes, gráfico...)
+     */
+    remember(channel, messageIds, context) {
+        if (!context) {
+            return;
+        }
+
+        const storedAt = Date.now();
+        for (const id of messageIds) {
+            if (!id) continue;
+            const key = this.key(channel, id);
+            this.entries.delete(key);
+            this.entries.set(key, { context, storedAt });
+        }
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    lookup(channel, messageId) {
+        if (!messageId) {
+            return null;
+        }
+
+        const key = this.key(channel, messageId);
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return null;
+        }
+
+        if (Date.now() - entry.storedAt > this.ttl) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return entry.context;
+    }
+
+    getStats() {
+        return { entries: this.entries.size, maxEntries: this.maxEntries };
+    }
+}
+
+module.exports = ReplyContextStore;
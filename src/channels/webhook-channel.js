@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const Channel = require('./channel');
+
+/**
+ * Canal HTTP genérico (webhook) montado no servidor Express
+ *
+ * POST {WEBHOOK_PATH}/messages
+ *   Authorization: Bearer <WEBHOOK_TOKEN>
+ *   { "from": "+5511999999999", "name": "Ana", "chatId": "opcional", "id": "opcional",
+ *     "text": "quantos leads tem?" }
+ *   Áudio: { "from": ..., "type": "audio", "media": { "data": "<base64>", "mimetype": "audio/ogg" } }
+ *   Resposta a uma mensagem anterior: { ..., "quotedMessageId": "<id de messages[]>", "quotedText": "opcional" }
+ *   Reação (avaliação): { "from": ..., "reaction": "👍", "reactionMessageId": "<id de messages[]>" }
+ *
+ * As respostas geradas durante a requisição voltam no corpo da resposta HTTP
+ * ({ success, messages: [...] }). Requisições do mesmo chat são atendidas uma
+ * de cada vez, para que cada resposta leve só as suas mensagens. Mensagens
+ * ativas (relatórios, alertas) são enviadas por POST para
+ * WEBHOOK_CALLBACK_URL, quando configurada.
+ */
+class WebhookChannel extends Channel {
+    constructor(options = {}) {
+        super('webhook');
+        this.app = options.app;
+        this.path = options.path || process.env.WEBHOOK_PATH || '/webhook';
+        this.token = options.token || process.env.WEBHOOK_TOKEN || null;
+        this.callbackUrl = options.callbackUrl || process.env.WEBHOOK_CALLBACK_URL || null;
+
+        // Respostas sendo coletadas por chat durante uma requisição
+        this.collectors = new Map();
+        // Fila por chat: promise que resolve quando a requisição anterior termina
+        this.chatLocks = new Map();
+        this.sequence = 0;
+    }
+
+    async initialize() {
+        if (!this.app) {
+            throw new Error('Canal webhook precisa do servidor Express');
+        }
+        // O remetente vem no corpo da requisição: sem token qualquer um se passaria por um usuário
+        if (!this.token) {
+            throw new Error('WEBHOOK_TOKEN não configurado - canal webhook desativado por segurança');
+        }
+
+        this.app.post(`${this.path}/messages`, (req, res) => this.handleRequest(req, res));
+
+        this.isReady = true;
+        console.log(`🌐 Canal webhook pronto em POST ${this.path}/messages`);
+    }
+
+    async handleRequest(req, res) {
+        if (!this.isAuthorized(req)) {
+            return res.status(401).json({ success: false, error: 'Token inválido' });
+        }
+
+        const body = req.body || {};
+        const isReaction = body.reactionMessageId !== undefined;
+        if (!body.from || (!body.text && !body.media && !isReaction)) {
+            return res.status(400).json({ success: false, error: 'Campos obrigatórios: from e text (ou media ou reaction)' });
+        }
+
+        const chatId = String(body.chatId || body.from);
+        const release = await this.acquire(chatId);
+        const messages = [];
+        this.collectors.set(chatId, messages);
+
+        try {
+            await this.emitMessage({
+                id: body.id || `webhook-${++this.sequence}`,
+                chatId,
+                sender: {
+                    id: String(body.from),
+                    number: String(body.from),
+                    name: body.name || null
+                },
+                type: isReaction ? 'reaction' : body.type || (body.media ? 'audio' : 'text'),
+                text: isReaction ? body.reaction || '' : body.text || '',
+                reaction: isReaction ? { emoji: body.reaction || '', messageId: String(body.reactionMessageId) } : null,
+                quoted: body.quotedMessageId ? { id: String(body.quotedMessageId), text: body.quotedText || null } : null,
+                timestamp: new Date().toISOString(),
+                downloadMedia: async () => (body.media && body.media.data ? {
+                    buffer: Buffer.from(body.media.data, 'base64'),
+                    mimetype: body.media.mimetype,
+                    filename: body.media.filename
+                } : null),
+                raw: body
+            });
+
+            res.json({ success: true, chatId, messages });
+        } catch (error) {
+            console.error('❌ Erro no canal webhook:', error);
+            res.status(500).json({ success: false, error: error.message });
+        } finally {
+            if (this.collectors.get(chatId) === messages) {
+                this.collectors.delete(chatId);
+            }
+            release();
+        }
+    }
+
+    /**
+     * Espera as requisições anteriores do chat; retorna a função que libera a vez
+     */
+    async acquire(chatId) {
+        const previous = this.chatLocks.get(chatId) || Promise.resolve();
+        let release;
+        const current = new Promise(resolve => {
+            release = resolve;
+        });
+        const queued = previous.then(() => current);
+        this.chatLocks.set(chatId, queued);
+
+        await previous;
+        return () => {
+            release();
+            if (this.chatLocks.get(chatId) === queued) {
+                this.chatLocks.delete(chatId);
+            }
+        };
+    }
+
+    isAuthorized(req) {
+        const header = req.headers.authorization || '';
+        const provided = header.startsWith('Bearer ') ? header.substring(7) : req.headers['x-webhook-token'];
+        if (typeof provided !== 'string' || !this.token) {
+            return false;
+        }
+
+        // Comparação em tempo constante (timingSafeEqual exige buffers do mesmo tamanho)
+        const expected = Buffer.from(this.token);
+        const received = Buffer.from(provided);
+        return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+    }
+
+    async sendText(chatId, text) {
+        return this.push(chatId, { type: 'text', text });
+    }
+
+    async sendMedia(chatId, media, options = {}) {
+        return this.push(chatId, {
+            type: options.asDocument ? 'document' : 'media',
+            mimetype: media.mimetype,
+            filename: media.filename,
+            caption: options.caption || null,
+            data: media.buffer.toString('base64')
+        });
+    }
+
+    /**
+     * Adiciona a mensagem à resposta em andamento ou envia ao callback
+     */
+    async push(chatId, payload) {
+        const id = `webhook-out-${++this.sequence}`;
+        const message = { id, ...payload, timestamp: new Date().toISOString() };
+
+        const collector = this.collectors.get(String(chatId));
+        if (collector) {
+            collector.push(message);
+            return { id };
+        }
+
+        if (!this.callbackUrl) {
+            throw new Error('WEBHOOK_CALLBACK_URL não configurada para mensagens fora de uma requisição');
+        }
+
+        const response = await fetch(this.callbackUrl, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Bearer ${this.token}`
+            },
+            body: JSON.stringify({ chatId, ...message })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Callback do webhook respondeu ${response.status}`);
+        }
+        return { id };
+    }
+
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            path: `${this.path}/messages`,
+            callback: !!this.callbackUrl
+        };
+    }
+}
+
+module.exports = WebhookChannel;
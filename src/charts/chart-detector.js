@@ -0,0 +1,154 @@
+const Helpers = require('../utils/helpers');
+const { DEFAULT_LANGUAGE, translate, getLocale } = require('../i18n');
+
+// SQL agrupado ou com agregação (COUNT/SUM/AVG...)
+const AGGREGATE_SQL = /\bgroup\s+by\b|\b(count|sum|avg|min|max)\s*\(/i;
+
+// Nomes de colunas de métricas quando não há SQL (ex.: plano com várias consultas)
+const AGGREGATE_COLUMN = /^(count|sum|avg|min|max|total|soma|media|quantidade|qtd|contagem)($|_)|_(count|sum|avg|total|qtd)$/i;
+
+/**
+ * Detecta resultados de query que podem virar gráfico
+ *
+ * Um resultado é "chartable" quando é agrupado ou agregado: entre 2 e 50
+ * linhas com uma única coluna de rótulo (texto ou data) e colunas de métricas
+ * (COUNT, SUM, AVG...). Listagens de registros e colunas id/*_id nunca viram
+ * gráfico. Séries temporais
+ * viram gráfico de linha, distribuições com poucas categorias viram pizza
+ * e o restante vira gráfico de barras.
+ */
+class ChartDetector {
+    constructor(options = {}) {
+        this.minRows = options.minRows || 2;
+        this.maxRows = options.maxRows || 50;
+        this.maxSeries = options.maxSeries || 4;
+        this.maxPieSlices = options.maxPieSlices || 8;
+    }
+
+    /**
+     * Retorna a especificação do gráfico ou null se o resultado não for chartable
+     * language: idioma dos textos e números do gráfico (título, rótulos, eixos)
+     */
+    detect(queryResult, messageText = '', language = DEFAULT_LANGUAGE) {
+        if (!queryResult || !queryResult.success) {
+            return null;
+        }
+
+        const rows = Helpers.extractRows(queryResult.results?.[0]);
+        if (rows.length < this.minRows || rows.length > this.maxRows) {
+            return null;
+        }
+
+        const columns = Object.keys(rows[0] || {});
+        const numericColumns = columns.filter(col => !this.isIdColumn(col) && rows.every(row => this.isNumeric(row[col])));
+
+        // Listagem (email, nome, id...): mais de uma coluna além das métricas
+        const otherColumns = columns.filter(col => !numericColumns.includes(col));
+        if (otherColumns.length > 1) {
+            return null;
+        }
+
+        const labelColumn = otherColumns[0]
+            || (numericColumns.length > 1 && this.isTimeColumn(numericColumns[0], rows) ? numericColumns[0] : null);
+
+        const valueColumns = numericColumns.filter(col => col !== labelColumn).slice(0, this.maxSeries);
+        if (!labelColumn || valueColumns.length === 0 || !this.isAggregate(queryResult, valueColumns)) {
+            return null;
+        }
+
+        const isTimeSeries = this.isTimeColumn(labelColumn, rows);
+        const labels = rows.map(row => this.formatLabel(row[labelColumn], isTimeSeries, language));
+        const series = valueColumns.map(col => ({
+            name: col,
+            values: rows.map(row => Number(row[col]))
+        }));
+
+        return {
+            type: this.chooseType(messageText, isTimeSeries, labels.length, series),
+            title: this.buildTitle(messageText, labelColumn, valueColumns, language),
+            labelColumn,
+            labels,
+            series,
+            language
+        };
+    }
+
+    chooseType(messageText, isTimeSeries, labelCount, series) {
+        const text = messageText.toLowerCase();
+
+        // Pedido explícito do usuário tem prioridade
+        if (/gr[aá]fico de (pizza|torta)|\bpizza\b/.test(text)) return 'pie';
+        if (/gr[aá]fico de linhas?/.test(text)) return 'line';
+        if (/gr[aá]fico de barras?/.test(text)) return 'bar';
+
+        if (isTimeSeries) {
+            return 'line';
+        }
+
+        const isDistribution = /distribui|propor|percentu|participa|fatia|share/.test(text);
+        const canBePie = series.length === 1
+            && labelCount <= this.maxPieSlices
+            && series[0].values.every(value => value >= 0);
+
+        return isDistribution && canBePie ? 'pie' : 'bar';
+    }
+
+    buildTitle(messageText, labelColumn, valueColumns, language = DEFAULT_LANGUAGE) {
+        const question = messageText.trim().replace(/[?!.]+$/, '');
+        if (question.length > 0 && question.length <= 70) {
+            return question.charAt(0).toUpperCase() + question.slice(1);
+        }
+        return translate(language, 'chart_title', { values: valueColumns.join(', '), label: labelColumn });
+    }
+
+    /**
+     * Agrupado/agregado pelo SQL executado ou, sem SQL, pelos nomes das métricas
+     */
+    isAggregate(queryResult, valueColumns) {
+        const sql = queryResult.sql_strategy?.sql_query;
+        if (sql) {
+            return AGGREGATE_SQL.test(sql);
+        }
+        return valueColumns.every(col => AGGREGATE_COLUMN.test(col));
+    }
+
+    isIdColumn(column) {
+        return /^id$|_id$/i.test(column);
+    }
+
+    isNumeric(value) {
+        if (typeof value === 'number') return Number.isFinite(value);
+        return typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim());
+    }
+
+    isTimeColumn(column, rows) {
+        if (/(^|_)(date|data|dia|day|mes|month|semana|week|hora|hour|ano|year|periodo|timestamp)($|_)|_at$/i.test(column)) {
+            // "dia_da_semana" com nomes (segunda, terça...) é categórico
+            return rows.every(row => this.isDateLike(row[column]) || this.isNumeric(row[column]));
+        }
+        return rows.every(row => this.isDateLike(row[column]));
+    }
+
+    isDateLike(value) {
+        return typeof value === 'string' && /^\d{4}-\d{2}(-\d{2})?([T ]\d{2}:\d{2}.*)?$/.test(value.trim());
+    }
+
+    formatLabel(value, isTimeSeries, language = DEFAULT_LANGUAGE) {
+        if (value === null || value === undefined) return translate(language, 'chart_empty');
+
+        if (isTimeSeries && this.isDateLike(value)) {
+            const [datePart] = String(value).split(/[T ]/);
+            const [year, month, day] = datePart.split('-');
+            if (!day) {
+                return `${month}/${year}`;
+            }
+            // Dia e mês na ordem do idioma (01/02 em pt/es, 02/01 em en)
+            return new Date(`${datePart}T00:00:00Z`).toLocaleDateString(getLocale(language), { day: '2-digit', month: '2-digit', timeZone: 'UTC' });
+        }
+
+        const text = String(value);
+        return text.length > 18 ? text.substring(0, 17) + '…' : text;
+    }
+}
+
+module.exports = ChartDetector;
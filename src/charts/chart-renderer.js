@@ -0,0 +1,216 @@
+/**
+ * Renderizador de gráficos (barra, linha e pizza) em PNG
+ *
+ * O gráfico é montado como SVG em JavaScript puro e rasterizado pelo
+ * Chromium que o whatsapp-web.js já mantém aberto (Puppeteer), sem
+ * dependência de canvas nativo ou de outro navegador.
+ */
+
+const { getLocale } = require('../i18n');
+
+const PALETTE = ['#2563eb', '#f97316', '#16a34a', '#dc2626', '#9333ea', '#0891b2', '#ca8a04', '#db2777'];
+
+class ChartRenderer {
+    constructor(options = {}) {
+        // Função que retorna o browser Puppeteer (ex: client.pupBrowser)
+        this.getBrowser = options.getBrowser || (() => null);
+        this.width = options.width || 800;
+        this.height = options.height || 500;
+        this.margin = { top: 60, right: 30, bottom: 80, left: 70 };
+    }
+
+    isAvailable() {
+        return !!this.getBrowser();
+    }
+
+    /**
+     * Renderiza o gráfico como PNG e retorna o Buffer
+     */
+    async renderPNG(spec) {
+        const browser = this.getBrowser();
+        if (!browser) {
+            throw new Error('Navegador não disponível para renderizar gráfico');
+        }
+
+        const svg = this.renderSVG(spec);
+        const page = await browser.newPage();
+
+        try {
+            await page.setViewport({ width: this.width, height: this.height });
+            await page.setContent(
+                `<html><body style="margin:0;background:#fff">${svg}</body></html>`,
+                { waitUntil: 'load' }
+            );
+            const element = await page.$('svg');
+            const image = await element.screenshot({ type: 'png' });
+            return Buffer.from(image);
+        } finally {
+            await page.close();
+        }
+    }
+
+    renderSVG(spec) {
+        let body;
+        switch (spec.type) {
+            case 'pie':
+                body = this.renderPie(spec);
+                break;
+            case 'line':
+                body = this.renderAxesChart(spec, 'line');
+                break;
+            default:
+                body = this.renderAxesChart(spec, 'bar');
+        }
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" ` +
+               `viewBox="0 0 ${this.width} ${this.height}" font-family="Arial, Helvetica, sans-serif">` +
+               `<rect width="100%" height="100%" fill="#ffffff"/>` +
+               `<text x="${this.width / 2}" y="32" text-anchor="middle" font-size="20" font-weight="bold" fill="#111827">${this.escape(spec.title)}</text>` +
+               body +
+               `</svg>`;
+    }
+
+    renderAxesChart(spec, kind) {
+        const { top, right, bottom, left } = this.margin;
+        const plotWidth = this.width - left - right;
+        const plotHeight = this.height - top - bottom;
+
+        const allValues = spec.series.flatMap(s => s.values);
+        const minValue = Math.min(0, ...allValues);
+        const maxValue = this.niceMax(Math.max(...allValues, 0));
+        const range = maxValue - minValue || 1;
+        const y = value => top + plotHeight - ((value - minValue) / range) * plotHeight;
+
+        const step = plotWidth / spec.labels.length;
+        let svg = '';
+
+        // Grade e eixo Y
+        const ticks = 5;
+        for (let i = 0; i <= ticks; i++) {
+            const value = minValue + (range * i) / ticks;
+            const yPos = y(value);
+            svg += `<line x1="${left}" y1="${yPos}" x2="${left + plotWidth}" y2="${yPos}" stroke="#e5e7eb"/>`;
+            svg += `<text x="${left - 8}" y="${yPos + 4}" text-anchor="end" font-size="12" fill="#6b7280">${this.formatNumber(value, spec.language)}</text>`;
+        }
+        svg += `<line x1="${left}" y1="${y(0)}" x2="${left + plotWidth}" y2="${y(0)}" stroke="#9ca3af"/>`;
+
+        // Rótulos do eixo X (pula rótulos quando há muitos pontos)
+        const labelEvery = Math.ceil(spec.labels.length / 15);
+        spec.labels.forEach((label, i) => {
+            if (i % labelEvery !== 0) return;
+            const x = left + step * i + step / 2;
+            const yPos = top + plotHeight + 16;
+            svg += `<text x="${x}" y="${yPos}" text-anchor="end" font-size="12" fill="#374151" ` +
+                   `transform="rotate(-35 ${x} ${yPos})">${this.escape(label)}</text>`;
+        });
+
+        if (kind === 'bar') {
+            const groupWidth = step * 0.8;
+            const barWidth = groupWidth / spec.series.length;
+            spec.series.forEach((serie, s) => {
+                serie.values.forEach((value, i) => {
+                    const x = left + step * i + (step - groupWidth) / 2 + barWidth * s;
+                    const yPos = Math.min(y(value), y(0));
+                    const height = Math.abs(y(value) - y(0));
+                    svg += `<rect x="${x}" y="${yPos}" width="${Math.max(barWidth - 2, 1)}" height="${height}" fill="${this.color(s)}"/>`;
+                    if (spec.labels.length <= 12 && spec.series.length === 1) {
+                        svg += `<text x="${x + barWidth / 2}" y="${yPos - 6}" text-anchor="middle" font-size="12" fill="#111827">${this.formatNumber(value, spec.language)}</text>`;
+                    }
+                });
+            });
+        } else {
+            spec.series.forEach((serie, s) => {
+                const points = serie.values.map((value, i) => `${left + step * i + step / 2},${y(value)}`);
+                svg += `<polyline points="${points.join(' ')}" fill="none" stroke="${this.color(s)}" stroke-width="3"/>`;
+                if (serie.values.length <= 31) {
+                    points.forEach(point => {
+                        const [cx, cy] = point.split(',');
+                        svg += `<circle cx="${cx}" cy="${cy}" r="4" fill="${this.color(s)}"/>`;
+                    });
+                }
+            });
+        }
+
+        if (spec.series.length > 1) {
+            svg += this.renderLegend(spec.series.map(s => s.name), left, this.height - 18, 'row');
+        }
+
+        return svg;
+    }
+
+    renderPie(spec) {
+        const values = spec.series[0].values;
+        const total = values.reduce((sum, value) => sum + value, 0) || 1;
+        const radius = Math.min(this.width * 0.5, this.height - 100) / 2;
+        const cx = this.width * 0.32;
+        const cy = (this.height + 40) / 2;
+
+        let svg = '';
+        let angle = -Math.PI / 2;
+
+        values.forEach((value, i) => {
+            const slice = (value / total) * Math.PI * 2;
+            const color = this.color(i);
+
+            if (slice >= Math.PI * 2 - 1e-6) {
+                svg += `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="${color}"/>`;
+            } else if (slice > 0) {
+                const x1 = cx + radius * Math.cos(angle);
+                const y1 = cy + radius * Math.sin(angle);
+                const x2 = cx + radius * Math.cos(angle + slice);
+                const y2 = cy + radius * Math.sin(angle + slice);
+                const largeArc = slice > Math.PI ? 1 : 0;
+                svg += `<path d="M${cx},${cy} L${x1},${y1} A${radius},${radius} 0 ${largeArc} 1 ${x2},${y2} Z" fill="${color}" stroke="#ffffff" stroke-width="2"/>`;
+            }
+            angle += slice;
+        });
+
+        const legend = spec.labels.map((label, i) =>
+            `${label} - ${this.formatNumber(values[i], spec.language)} (${((values[i] / total) * 100).toFixed(1)}%)`
+        );
+        svg += this.renderLegend(legend, this.width * 0.62, cy - (legend.length * 26) / 2, 'column');
+
+        return svg;
+    }
+
+    renderLegend(items, x, y, direction) {
+        let svg = '';
+        let offset = 0;
+
+        items.forEach((item, i) => {
+            const itemX = direction === 'row' ? x + offset : x;
+            const itemY = direction === 'row' ? y : y + i * 26;
+            svg += `<rect x="${itemX}" y="${itemY - 11}" width="14" height="14" fill="${this.color(i)}"/>`;
+            svg += `<text x="${itemX + 20}" y="${itemY}" font-size="13" fill="#374151">${this.escape(item)}</text>`;
+            offset += 40 + String(item).length * 7;
+        });
+
+        return svg;
+    }
+
+    niceMax(value) {
+        if (value <= 0) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+        const normalized = value / magnitude;
+        const nice = normalized <= 1 ? 1 : normalized <= 2 ? 2 : normalized <= 5 ? 5 : 10;
+        return nice * magnitude;
+    }
+
+    formatNumber(value, language) {
+        return Number(value).toLocaleString(getLocale(language), { maximumFractionDigits: 1 });
+    }
+
+    color(index) {
+        return PALETTE[index % PALETTE.length];
+    }
+
+    escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+module.exports = ChartRenderer;
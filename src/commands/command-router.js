@@ -0,0 +1,619 @@
+const Helpers = require('../utils/helpers');
+const UserRegistry = require('../auth/user-registry');
+const ScheduleParser = require('../scheduler/schedule-parser');
+const AlertParser = require('../alerts/alert-parser');
+const { translate, getLocale } = require('../i18n');
+
+// Operadores aceitos nos filtros de /contar (ordem importa: >= antes de >)
+const FILTER_OPERATORS = [
+    { token: '>=', operator: 'gte' },
+    { token: '<=', operator: 'lte' },
+    { token: '!=', operator: 'neq' },
+    { token: '=', operator: 'eq' },
+    { token: '>', operator: 'gt' },
+    { token: '<', operator: 'lt' },
+    { token: '~', operator: 'ilike' }
+];
+
+/**
+ * Roteador de comandos determinísticos (/tabelas, /schema, /sql...)
+ *
+ * Comandos começam com "/" e são tratados ANTES do pipeline multiagentes:
+ * chamam o SupabaseExecutor / servidor MCP diretamente, sem custo de LLM.
+ * Cada comando declara a permissão necessária, verificada pelo papel do
+ * usuário (userContext.access) no UserRegistry. Uso e descrição de cada
+ * comando ficam em src/i18n/messages.js (commands), no idioma do usuário.
+ */
+class CommandRouter {
+    constructor(options = {}) {
+        this.supabaseExecutor = options.supabaseExecutor;
+        this.aiAgent = options.aiAgent;
+        this.responseFormatter = options.responseFormatter;
+        this.reportScheduler = options.reportScheduler || null;
+        this.scheduleParser = options.scheduleParser || new ScheduleParser();
+        this.alertManager = options.alertManager || null;
+        this.alertParser = options.alertParser || new AlertParser();
+        this.feedbackStore = options.feedbackStore || null;
+
+        this.COMMANDS = [
+            {
+                name: 'tabelas',
+                aliases: ['tables'],
+                permission: 'read',
+                handler: (args, ctx) => this.listTables(args, ctx)
+            },
+            {
+                name: 'schema',
+                aliases: ['colunas'],
+                permission: 'read',
+                minArgs: 1,
+                handler: (args, ctx) => this.describeTable(args, ctx)
+            },
+            {
+                name: 'sql',
+                aliases: [],
+                permission: 'sql',
+                rawArgs: true,
+                minArgs: 1,
+                handler: (args, ctx) => this.runSQL(args, ctx)
+            },
+            {
+                name: 'contar',
+                aliases: ['count'],
+                permission: 'read',
+                minArgs: 1,
+                handler: (args, ctx) => this.countRecords(args, ctx)
+            },
+            {
+                name: 'reset',
+                aliases: ['limpar'],
+                permission: 'session',
+                handler: (args, ctx) => this.resetSession(args, ctx)
+            },
+            {
+                name: 'export',
+                aliases: ['exportar'],
+                permission: 'export',
+                handler: (args, ctx) => this.exportResult(args, ctx)
+            },
+            {
+                name: 'agendar',
+                aliases: ['agenda'],
+                permission: 'schedule',
+                rawArgs: true,
+                minArgs: 1,
+                handler: (args, ctx) => this.scheduleReport(args, ctx)
+            },
+            {
+                name: 'agendamentos',
+                aliases: ['relatorios'],
+                permission: 'schedule',
+                handler: (args, ctx) => this.listSchedules(args, ctx)
+            },
+            {
+                name: 'cancelar',
+                aliases: ['desagendar'],
+                permission: 'schedule',
+                minArgs: 1,
+                handler: (args, ctx) => this.cancelSchedule(args, ctx)
+            },
+            {
+                name: 'alertar',
+                aliases: ['alerta'],
+                permission: 'alert',
+                rawArgs: true,
+                minArgs: 1,
+                handler: (args, ctx) => this.createAlert(args, ctx)
+            },
+            {
+                name: 'alertas',
+                aliases: [],
+                permission: 'alert',
+                handler: (args, ctx) => this.listAlerts(args, ctx)
+            },
+            {
+                name: 'cancelaralerta',
+                aliases: ['removeralerta'],
+                permission: 'alert',
+                minArgs: 1,
+                handler: (args, ctx) => this.cancelAlert(args, ctx)
+            },
+            {
+                name: 'avaliacoes',
+                aliases: ['feedback', 'piores'],
+                permission: 'admin',
+                handler: (args, ctx) => this.feedbackReport(args, ctx)
+            },
+            {
+                name: 'ajuda',
+                aliases: ['help', 'comandos'],
+                permission: null,
+                handler: (args, ctx) => this.help(args, ctx)
+            }
+        ];
+    }
+
+    isCommand(text) {
+        return typeof text === 'string' && /^\/[a-zà-ú]/i.test(text.trim());
+    }
+
+    /**
+     * Converte pedidos em linguagem natural que têm comando equivalente
+     * ("todo dia às 8h me manda...") no texto do comando. Retorna null se não houver.
+     * Sem permissão para o comando, o pedido segue como pergunta normal para a IA
+     */
+    toCommand(text, userContext = {}) {
+        if (this.isCommand(text)) {
+            return text;
+        }
+        if (this.reportScheduler && this.scheduleParser.isScheduleRequest(text)
+            && this.authorize(userContext, this.findCommand('agendar'))) {
+            return `/agendar ${text.trim()}`;
+        }
+        if (this.alertManager && this.alertParser.isAlertRequest(text)
+            && this.authorize(userContext, this.findCommand('alertar'))) {
+            return `/alertar ${text.trim()}`;
+        }
+        return null;
+    }
+
+    findCommand(name) {
+        const lower = (name || '').toLowerCase().replace(/^\//, '');
+        return this.COMMANDS.find(cmd => cmd.name === lower || cmd.aliases.includes(lower)) || null;
+    }
+
+    /**
+     * Executa um comando e retorna { text, attachment? }
+     */
+    async execute(text, userContext = {}) {
+        const { name, rawArgs } = this.parseCommandLine(text);
+        const command = this.findCommand(name);
+
+        const language = userContext.language;
+
+        if (!command) {
+            return { text: `${translate(language, 'cmd_unknown', { name })}\n\n${translate(language, 'cmd_unknown_hint')}` };
+        }
+
+        if (!this.authorize(userContext, command)) {
+            console.log(`🚫 Comando /${command.name} negado para ${userContext.number}`);
+            return { text: translate(language, 'cmd_denied', { name: command.name }) };
+        }
+
+        const args = command.rawArgs ? (rawArgs ? [rawArgs] : []) : this.tokenize(rawArgs);
+        if (args.length < (command.minArgs || 0)) {
+            return { text: this.formatUsage(command, language) };
+        }
+
+        try {
+            console.log(`⌨️ Executando comando /${command.name}`, args);
+            return await command.handler(args, userContext);
+        } catch (error) {
+            console.error(`❌ Erro no comando /${command.name}:`, error);
+            return { text: translate(language, 'cmd_error', { name: command.name, error: error.message }) };
+        }
+    }
+
+    parseCommandLine(text) {
+        const trimmed = text.trim();
+        const match = trimmed.match(/^\/(\S+)\s*([\s\S]*)$/);
+        return {
+            name: match ? match[1].toLowerCase() : '',
+            rawArgs: match ? match[2].trim() : ''
+        };
+    }
+
+    /**
+     * Divide argumentos por espaço respeitando aspas: status="em andamento"
+     */
+    tokenize(rawArgs) {
+        const tokens = [];
+        const pattern = /(\S*?)"([^"]*)"|(\S*?)'([^']*)'|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(rawArgs)) !== null) {
+            if (match[2] !== undefined) {
+                tokens.push(match[1] + match[2]);
+            } else if (match[4] !== undefined) {
+                tokens.push(match[3] + match[4]);
+            } else {
+                tokens.push(match[5]);
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Converte "coluna=valor" no formato de filtro do executor
+     * Retorna null se o token não for um filtro válido
+     */
+    parseFilter(token) {
+        for (const { token: symbol, operator } of FILTER_OPERATORS) {
+            const index = token.indexOf(symbol);
+            if (index > 0) {
+                const column = token.substring(0, index).trim();
+                const value = token.substring(index + symbol.length).trim();
+
+                if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(column) || value === '') {
+                    return null;
+                }
+
+                return {
+                    column,
+                    operator,
+                    value: operator === 'ilike' ? `%${value}%` : value
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * { usage, description } do comando no idioma (ou em português)
+     */
+    describeCommand(command, language) {
+        return translate(language, 'commands')[command.name] || translate('pt', 'commands')[command.name];
+    }
+
+    formatUsage(command, language) {
+        return translate(language, 'cmd_usage', this.describeCommand(command, language));
+    }
+
+    authorize(userContext, command) {
+        if (!command.permission) {
+            return true;
+        }
+        return UserRegistry.can(userContext.access, command.permission)
+            && UserRegistry.canUseCommand(userContext.access, command.name);
+    }
+
+    denyTable(table, language) {
+        return { text: translate(language, 'denied_table', { table }) };
+    }
+
+    /**
+     * HANDLERS
+     */
+    async listTables(args, userContext) {
+        const tables = UserRegistry.filterTables(userContext.access, await this.aiAgent.discoverAvailableTables());
+        return {
+            text: this.responseFormatter.formatTablesList({ data: tables, count: tables.length }, null, userContext.language)
+        };
+    }
+
+    async describeTable([tableName], userContext) {
+        const table = Helpers.sanitizeTableName(tableName);
+        if (!table) {
+            return { text: translate(userContext.language, 'table_invalid', { table: tableName }) };
+        }
+        if (!UserRegistry.canAccessTable(userContext.access, table)) {
+            return this.denyTable(table, userContext.language);
+        }
+
+        const result = await this.supabaseExecutor.describeTable(table);
+        if (!result.success) {
+            const explanation = translate(userContext.language, 'attempt_describe', { table });
+            return { text: this.responseFormatter.formatError(result, { explanation }, userContext.language) };
+        }
+
+        const { columns, row_count } = result.data;
+        let text = `📋 *${table}*\n\n`;
+        text += `${translate(userContext.language, 'table_rows', { count: row_count.toLocaleString(getLocale(userContext.language)) })}\n`;
+        text += `${translate(userContext.language, 'table_columns', { count: columns.length })}\n`;
+        text += columns.map(col => `• ${col}`).join('\n');
+
+        return { text };
+    }
+
+    async runSQL([sql], userContext) {
+        // JOINs e subconsultas: todas as tabelas lidas precisam ser permitidas
+        const tables = this.aiAgent.extractTablesFromSQL(sql);
+        const denied = tables.find(name => !UserRegistry.canAccessTable(userContext.access, name));
+        if (denied) {
+            return this.denyTable(denied, userContext.language);
+        }
+        const table = tables[0] || 'unknown';
+
+        const result = await this.aiAgent.executeSQLQuery(sql);
+
+        if (!result.success) {
+            const explanation = translate(userContext.language, 'attempt_sql');
+            return { text: this.responseFormatter.formatError(result, { explanation }, userContext.language) };
+        }
+
+        // Guarda na sessão para permitir /export em seguida
+        this.recordResult(userContext, sql, table, result);
+
+        if (result.data && typeof result.data.count === 'number' && !Array.isArray(result.data)) {
+            return { text: this.responseFormatter.formatCount(result, { table, filters: [] }, userContext.language) };
+        }
+
+        const rows = Helpers.extractRows(result);
+        return {
+            text: this.responseFormatter.formatRecords({ data: rows, count: rows.length }, { table, filters: [] }, userContext.language)
+        };
+    }
+
+    async countRecords([tableName, ...filterTokens], userContext) {
+        const table = Helpers.sanitizeTableName(tableName);
+        if (!table) {
+            return { text: translate(userContext.language, 'table_invalid', { table: tableName }) };
+        }
+        if (!UserRegistry.canAccessTable(userContext.access, table)) {
+            return this.denyTable(table, userContext.language);
+        }
+
+        const filters = [];
+        for (const token of filterTokens) {
+            const filter = this.parseFilter(token);
+            if (!filter) {
+                const usage = this.formatUsage(this.findCommand('contar'), userContext.language);
+                return { text: `${translate(userContext.language, 'filter_invalid', { filter: token })}\n\n${usage}` };
+            }
+            filters.push(filter);
+        }
+
+        const result = await this.supabaseExecutor.countRecords(table, filters);
+        if (!result.success) {
+            const explanation = translate(userContext.language, 'attempt_count', { table });
+            return { text: this.responseFormatter.formatError(result, { explanation }, userContext.language) };
+        }
+
+        return { text: this.responseFormatter.formatCount(result, { table, filters }, userContext.language) };
+    }
+
+    async resetSession(args, userContext) {
+        this.aiAgent.resetSession(userContext.chatId);
+        return { text: translate(userContext.language, 'session_reset') };
+    }
+
+    async exportResult([format], userContext) {
+        const session = this.aiAgent.sessions.get(userContext.chatId);
+        const exportFormat = format && format.toLowerCase() === 'csv' ? 'csv' : 'xlsx';
+        const result = await this.aiAgent.exportLastResult(session, exportFormat, userContext, userContext.language);
+
+        return { text: result.response, attachment: result.attachment };
+    }
+
+    async scheduleReport([text], userContext) {
+        const language = userContext.language;
+        if (!this.reportScheduler) {
+            return { text: translate(language, 'schedule_unavailable') };
+        }
+
+        const parsed = this.scheduleParser.parse(text);
+        if (!parsed) {
+            return { text: translate(language, 'schedule_not_understood') };
+        }
+
+        const result = this.reportScheduler.add({
+            chatId: userContext.chatId,
+            channel: userContext.channel,
+            number: userContext.number,
+            language,
+            question: parsed.question,
+            cron: parsed.cron,
+            description: parsed.description
+        });
+
+        if (!result.success) {
+            return { text: `❌ ${result.error}` };
+        }
+
+        const { schedule } = result;
+        const next = this.reportScheduler.nextRun(schedule);
+        let response = `${translate(language, 'schedule_created')}\n\n`;
+        response += `🆔 ${schedule.id}\n`;
+        response += `❓ ${schedule.question}\n`;
+        response += `🔁 \`${schedule.cron}\`\n`;
+        if (next) {
+            response += `${translate(language, 'schedule_next_run', { date: this.formatDate(next, language) })}\n`;
+        }
+        response += `\n${translate(language, 'schedule_cancel_hint', { id: schedule.id })}`;
+
+        return { text: response };
+    }
+
+    async listSchedules(args, userContext) {
+        const language = userContext.language;
+        if (!this.reportScheduler) {
+            return { text: translate(language, 'schedule_unavailable') };
+        }
+
+        const schedules = this.reportScheduler.list(userContext.chatId);
+        if (schedules.length === 0) {
+            return { text: translate(language, 'schedules_none') };
+        }
+
+        let text = `${translate(language, 'schedules_title', { count: schedules.length })}\n\n`;
+        schedules.forEach(schedule => {
+            const next = this.reportScheduler.nextRun(schedule);
+            text += `🆔 *${schedule.id}* - ${schedule.question}\n`;
+            text += `   🔁 \`${schedule.cron}\``;
+            if (next) {
+                text += translate(language, 'schedule_next', { date: this.formatDate(next, language) });
+            }
+            text += '\n';
+        });
+        text += `\n${translate(language, 'schedule_cancel_hint', { id: '<id>' })}`;
+
+        return { text };
+    }
+
+    async cancelSchedule([id], userContext) {
+        const language = userContext.language;
+        if (!this.reportScheduler) {
+            return { text: translate(language, 'schedule_unavailable') };
+        }
+
+        if (!this.reportScheduler.remove(id, userContext.chatId)) {
+            return { text: translate(language, 'schedule_not_found', { id }) };
+        }
+        return { text: translate(language, 'schedule_cancelled', { id }) };
+    }
+
+    async createAlert([text], userContext) {
+        const language = userContext.language;
+        if (!this.alertManager) {
+            return { text: translate(language, 'alert_unavailable') };
+        }
+
+        // "/alertar se x passar de 10" também vale, sem o "me avisa"
+        const rule = this.alertParser.parse(/^\s*(se|quando|caso)\b/i.test(text) ? `alerta ${text}` : text);
+        if (!rule) {
+            return { text: translate(language, 'alert_not_understood') };
+        }
+
+        if (!UserRegistry.canAccessTable(userContext.access, rule.table)) {
+            return this.denyTable(rule.table, language);
+        }
+
+        const result = await this.alertManager.add({
+            ...rule,
+            chatId: userContext.chatId,
+            channel: userContext.channel,
+            number: userContext.number,
+            language,
+            description: text
+        });
+
+        if (!result.success) {
+            return { text: `❌ ${result.error}` };
+        }
+
+        const { alert } = result;
+        const minutes = Math.round(this.alertManager.checkInterval / 60000);
+        let response = `${translate(language, 'alert_created')}\n\n`;
+        response += `🆔 ${alert.id}\n`;
+        response += `📋 ${this.alertManager.describe(alert, language)}\n`;
+        response += `${translate(language, 'alert_check_interval', { minutes })}\n`;
+        response += `\n${translate(language, 'alert_remove_hint', { id: alert.id })}`;
+
+        return { text: response };
+    }
+
+    async listAlerts(args, userContext) {
+        const language = userContext.language;
+        if (!this.alertManager) {
+            return { text: translate(language, 'alert_unavailable') };
+        }
+
+        const alerts = this.alertManager.list(userContext.chatId);
+        if (alerts.length === 0) {
+            return { text: translate(language, 'alerts_none') };
+        }
+
+        let text = `${translate(language, 'alerts_title', { count: alerts.length })}\n\n`;
+        alerts.forEach(alert => {
+            text += `🆔 *${alert.id}* - ${this.alertManager.describe(alert, language)}\n`;
+            if (alert.lastValue !== null) {
+                const value = Number(alert.lastValue).toLocaleString(getLocale(language));
+                text += `   ${translate(language, 'alert_last_value', { value })}`;
+                text += alert.lastFiredAt
+                    ? `${translate(language, 'alert_last_fired', { date: this.formatDate(new Date(alert.lastFiredAt), language) })}\n`
+                    : '\n';
+            }
+        });
+        text += `\n${translate(language, 'alert_remove_hint', { id: '<id>' })}`;
+
+        return { text };
+    }
+
+    async cancelAlert([id], userContext) {
+        const language = userContext.language;
+        if (!this.alertManager) {
+            return { text: translate(language, 'alert_unavailable') };
+        }
+
+        if (!this.alertManager.remove(id, userContext.chatId)) {
+            return { text: translate(language, 'alert_not_found', { id }) };
+        }
+        return { text: translate(language, 'alert_removed', { id }) };
+    }
+
+    async feedbackReport([limit], userContext) {
+        const language = userContext.language;
+        if (!this.feedbackStore) {
+            return { text: translate(language, 'feedback_unavailable') };
+        }
+
+        const stats = this.feedbackStore.getStats();
+        const worst = this.feedbackStore.worstRated(Math.min(parseInt(limit) || 5, 20));
+        if (worst.length === 0) {
+            return { text: translate(language, 'feedback_none', { positive: stats.positive }) };
+        }
+
+        let text = `${translate(language, 'feedback_title', { negative: stats.negative, positive: stats.positive })}\n\n`;
+        worst.forEach((item, index) => {
+            text += `*${index + 1}.* ${item.question}\n`;
+            text += `   👎 ${item.negative} · 👍 ${item.positive}`;
+            if (item.tables.length > 0) {
+                text += ` · 📋 ${item.tables.join(', ')}`;
+            }
+            text += '\n';
+            if (item.sql) {
+                text += `   \`${item.sql.substring(0, 200)}\`\n`;
+            }
+            if (item.comments.length > 0) {
+                text += `   💬 _${item.comments[item.comments.length - 1]}_\n`;
+            }
+            text += '\n';
+        });
+
+        return { text: text.trim() };
+    }
+
+    formatDate(date, language) {
+        return date.toLocaleString(getLocale(language), {
+            timeZone: (this.reportScheduler || this.alertManager).timeZone,
+            weekday: 'short',
+            day: '2-digit',
+            month: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
+    async help([name], userContext) {
+        const language = userContext.language;
+        if (name) {
+            const command = this.findCommand(name);
+            if (!command) {
+                return { text: translate(language, 'cmd_unknown', { name: name.replace(/^\//, '') }) };
+            }
+
+            const { usage, description } = this.describeCommand(command, language);
+            let text = `⌨️ */${command.name}*\n\n${description}\n\n${translate(language, 'help_usage', { usage })}`;
+            if (command.aliases.length > 0) {
+                text += `\n${translate(language, 'help_aliases', { aliases: command.aliases.map(a => `/${a}`).join(', ') })}`;
+            }
+            return { text };
+        }
+
+        let text = `${translate(language, 'help_title')}\n\n`;
+        this.COMMANDS
+            .filter(cmd => this.authorize(userContext, cmd))
+            .forEach(cmd => {
+                const { usage, description } = this.describeCommand(cmd, language);
+                text += `• *${usage}*\n  ${description}\n`;
+            });
+        text += `\n${translate(language, 'help_hint')}`;
+
+        return { text };
+    }
+
+    recordResult(userContext, sql, table, result) {
+        const session = this.aiAgent.sessions.get(userContext.chatId);
+        this.aiAgent.sessions.recordResult(session, {
+            intention: { type: 'command', tables_needed: table ? [table] : [] },
+            queryResult: {
+                success: true,
+                sql_strategy: { sql_query: sql },
+                results: [result]
+            }
+        });
+    }
+}
+
+module.exports = CommandRouter;
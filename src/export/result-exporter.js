@@ -0,0 +1,125 @@
+const ExcelJS = require('exceljs');
+
+const MIME_TYPES = {
+    csv: 'text/csv',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Texto que o Excel/Sheets interpretaria como fórmula (=, +, -, @, tab, CR)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Gera arquivos CSV/XLSX a partir de linhas de resultado
+ */
+class ResultExporter {
+    constructor(options = {}) {
+        this.csvDelimiter = options.csvDelimiter || process.env.EXPORT_CSV_DELIMITER || ';'; // padrão do Excel pt-BR
+        this.maxRows = options.maxRows || parseInt(process.env.EXPORT_MAX_ROWS) || 50000;
+    }
+
+    /**
+     * Detecta o formato pedido na mensagem (padrão: xlsx)
+     */
+    detectFormat(text = '') {
+        return /\bcsv\b/i.test(text) ? 'csv' : 'xlsx';
+    }
+
+    /**
+     * Gera o arquivo e retorna { buffer, filename, mimetype, rowCount }
+     */
+    async export(rows, format = 'xlsx', baseName = 'export') {
+        const fileFormat = MIME_TYPES[format] ? format : 'xlsx';
+        const timestamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+        const filename = `${this.sanitizeName(baseName)}_${timestamp}.${fileFormat}`;
+
+        const buffer = fileFormat === 'csv'
+            ? this.toCSV(rows)
+            : await this.toXLSX(rows, baseName);
+
+        return {
+            buffer,
+            filename,
+            mimetype: MIME_TYPES[fileFormat],
+            rowCount: rows.length
+        };
+    }
+
+    getColumns(rows) {
+        const columns = [];
+        rows.forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (!columns.includes(key)) {
+                    columns.push(key);
+                }
+            });
+        });
+        return columns;
+    }
+
+    toCSV(rows) {
+        const columns = this.getColumns(rows);
+        const lines = [columns.map(col => this.escapeCSV(this.neutralizeFormula(col))).join(this.csvDelimiter)];
+
+        rows.forEach(row => {
+            lines.push(columns.map(col => this.escapeCSV(this.serialize(this.neutralizeFormula(row[col])))).join(this.csvDelimiter));
+        });
+
+        // BOM para o Excel reconhecer UTF-8 (acentos)
+        return Buffer.from('\uFEFF' + lines.join('\r\n'), 'utf8');
+    }
+
+    async toXLSX(rows, sheetName) {
+        const workbook = new ExcelJS.Workbook();
+        workbook.created = new Date();
+
+        const sheet = workbook.addWorksheet(this.sanitizeName(sheetName).substring(0, 31) || 'dados');
+        const columns = this.getColumns(rows);
+
+        sheet.columns = columns.map(col => ({
+            header: this.neutralizeFormula(col),
+            key: col,
+            width: Math.min(Math.max(col.length + 2, 12), 50)
+        }));
+        sheet.getRow(1).font = { bold: true };
+        sheet.views = [{ state: 'frozen', ySplit: 1 }];
+
+        rows.forEach(row => {
+            const values = {};
+            columns.forEach(col => {
+                const value = row[col];
+                values[col] = value !== null && typeof value === 'object' ? JSON.stringify(value) : this.neutralizeFormula(value);
+            });
+            sheet.addRow(values);
+        });
+
+        return Buffer.from(await workbook.xlsx.writeBuffer());
+    }
+
+    /**
+     * Dados vindos dos leads não podem virar fórmula na planilha:
+     * prefixa com ' os textos que começam como fórmula
+     */
+    neutralizeFormula(value) {
+        return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+    }
+
+    serialize(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    }
+
+    escapeCSV(value) {
+        const text = String(value);
+        if (text.includes(this.csvDelimiter) || /["\r\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+
+    sanitizeName(name) {
+        return String(name || 'export').replace(/[^a-zA-Z0-9_-]/g, '_');
+    }
+}
+
+module.exports = ResultExporter;
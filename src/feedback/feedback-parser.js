@@ -0,0 +1,67 @@
+/**
+ * Reconhece avaliações das respostas do bot
+ *
+ * - Reações: 👍 ❤️ 🙏 👏 ✅ → positiva; 👎 ❌ 😡 → negativa
+ * - Respostas curtas citando a mensagem do bot: "errado", "não é isso",
+ *   "valor incorreto" → negativa; "certo", "perfeito", "isso mesmo" → positiva
+ *
+ * Retorna rating 1 (positiva) / -1 (negativa) ou null quando não é avaliação.
+ */
+
+const POSITIVE_REACTIONS = ['👍', '❤️', '❤', '🙏', '👏', '✅', '💯'];
+const NEGATIVE_REACTIONS = ['👎', '❌', '😡', '🤦', '🤦‍♂️', '🤦‍♀️'];
+
+// Texto longo é pergunta nova, não avaliação
+const MAX_FEEDBACK_LENGTH = 80;
+
+const NEGATIVE_PATTERN = /^(?:(?:ta|esta|isso (?:ta|esta)|resposta|valor|numero|dado)\s+)?(?:errad[oa]s?|incorret[oa]s?|invalid[oa]s?|nao (?:e|eh) (?:isso|bem isso|esse)|nao bate|nao confere|nada a ver)\b/;
+// Positiva só quando é a mensagem inteira ("certo, e por mês?" é pergunta nova)
+const POSITIVE_PATTERN = /^(?:(?:ta|esta|isso)\s+)?(?:cert[oa]|corret[oa]|perfeito|isso mesmo|exato|bateu|confere|obrigad[oa]|valeu)(?:[\s,]+(?:obrigad[oa]|valeu))?$/;
+
+class FeedbackParser {
+    parseReaction(emoji) {
+        const value = String(emoji || '').trim();
+        // Remove variações de tom de pele (👍🏽 → 👍)
+        const base = value.replace(/[\u{1F3FB}-\u{1F3FF}]/gu, '');
+
+        if (POSITIVE_REACTIONS.includes(base)) return 1;
+        if (NEGATIVE_REACTIONS.includes(base)) return -1;
+        return null;
+    }
+
+    /**
+     * Retorna { rating, comment } ou null
+     * comment é o texto completo ("errado, faltou filtrar por junho")
+     */
+    parseText(text) {
+        const trimmed = String(text || '').trim();
+        if (!trimmed || trimmed.length > MAX_FEEDBACK_LENGTH || trimmed.endsWith('?')) {
+            return null;
+        }
+
+        const reaction = this.parseReaction(trimmed);
+        if (reaction !== null) {
+            return { rating: reaction, comment: null };
+        }
+
+        const normalized = this.normalize(trimmed);
+        if (NEGATIVE_PATTERN.test(normalized)) {
+            return { rating: -1, comment: trimmed };
+        }
+        if (POSITIVE_PATTERN.test(normalized)) {
+            return { rating: 1, comment: trimmed };
+        }
+        return null;
+    }
+
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[!?.…]+$/, '')
+            .trim();
+    }
+}
+
+module.exports = FeedbackParser;
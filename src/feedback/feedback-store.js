@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Registro de avaliações das respostas (👍/👎, "errado"...)
+ *
+ * Cada avaliação fica ligada à pergunta, às tabelas, ao SQL gerado e ao
+ * resumo do resultado da resposta avaliada (contexto guardado pelo
+ * ReplyContextStore), para revisar os prompts do coordinatorAgent e do
+ * queryAgent a partir das perguntas com pior avaliação.
+ *
+ * Persistência em JSON (FEEDBACK_FILE, padrão data/feedback.json). Uma nova
+ * avaliação do mesmo usuário para a mesma mensagem substitui a anterior.
+ */
+class FeedbackStore {
+    constructor(options = {}) {
+        this.filePath = options.filePath || process.env.FEEDBACK_FILE || path.join(process.cwd(), 'data', 'feedback.json');
+        this.maxEntries = options.maxEntries || parseInt(process.env.FEEDBACK_MAX_ENTRIES) || 5000;
+
+        this.entries = [];
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.entries = data.feedback || [];
+            }
+        } catch (error) {
+            console.error(`❌ Erro ao ler ${this.filePath}:`, error.message);
+            this.entries = [];
+        }
+
+        console.log(`📝 Avaliações: ${this.entries.length} registro(s) carregado(s)`);
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ feedback: this.entries }, null, 2));
+        } catch (error) {
+            console.error(`❌ Erro ao salvar ${this.filePath}:`, error.message);
+        }
+    }
+
+    /**
+     * Registra uma avaliação
+     * context = { question, tables, sql, rowCount, summary } da resposta avaliada
+     */
+    record({ channel, chatId, number, messageId, rating, source, comment, context }) {
+        const entry = {
+            channel,
+            chatId,
+            number: number || null,
+            messageId,
+            rating,
+            source,
+            comment: comment || null,
+            question: context?.question || null,
+            tables: context?.tables || [],
+            sql: context?.sql || null,
+            rowCount: context?.rowCount ?? null,
+            summary: context?.summary || null,
+            createdAt: new Date().toISOString()
+        };
+
+        this.removeEntry(channel, messageId, number);
+        this.entries.push(entry);
+
+        while (this.entries.length > this.maxEntries) {
+            this.entries.shift();
+        }
+
+        this.save();
+        console.log(`📝 Avaliação ${rating > 0 ? '👍' : '👎'} (${source}) para "${entry.question || messageId}"`);
+        return entry;
+    }
+
+    /**
+     * Remove a avaliação de um usuário (ex: reação retirada)
+     */
+    remove(channel, messageId, number) {
+        if (!this.removeEntry(channel, messageId, number)) {
+            return false;
+        }
+        this.save();
+        return true;
+    }
+
+    removeEntry(channel, messageId, number) {
+        const index = this.entries.findIndex(e =>
+            e.channel === channel && e.messageId === messageId && e.number === (number || null)
+        );
+        if (index === -1) {
+            return false;
+        }
+        this.entries.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * Perguntas com mais avaliações negativas (agrupadas pelo texto da pergunta)
+     * Retorna [{ question, negative, positive, tables, sql, comments, lastAt }]
+     */
+    worstRated(limit = 10) {
+        const groups = new Map();
+
+        for (const entry of this.entries) {
+            if (!entry.question) continue;
+
+            const key = entry.question.toLowerCase().replace(/\s+/g, ' ').trim();
+            const group = groups.get(key) || {
+                question: entry.question,
+                negative: 0,
+                positive: 0,
+                tables: [],
+                sql: null,
+                comments: [],
+                lastAt: null
+            };
+
+            if (entry.rating < 0) {
+                group.negative++;
+                // SQL e tabelas da última resposta mal avaliada
+                group.sql = entry.sql || group.sql;
+                group.tables = entry.tables.length > 0 ? entry.tables : group.tables;
+                if (entry.comment) group.comments.push(entry.comment);
+            } else {
+                group.positive++;
+            }
+            group.lastAt = entry.createdAt;
+            groups.set(key, group);
+        }
+
+        return [...groups.values()]
+            .filter(group => group.negative > 0)
+            .sort((a, b) =>
+                b.negative - a.negative ||
+                (a.positive - a.negative) - (b.positive - b.negative) ||
+                String(b.lastAt).localeCompare(String(a.lastAt))
+            )
+            .slice(0, limit);
+    }
+
+    getStats() {
+        const negative = this.entries.filter(e => e.rating < 0).length;
+        return {
+            total: this.entries.length,
+            positive: this.entries.length - negative,
+            negative
+        };
+    }
+}
+
+module.exports = FeedbackStore;
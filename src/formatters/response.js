@@ -1,14 +1,17 @@
+const { DEFAULT_LANGUAGE, translate, getLocale } = require('../i18n');
+
 class ResponseFormatter {
     constructor() {
         this.maxMessageLength = 4000; // Limite do WhatsApp
         this.maxRecordsToShow = 20;
+        this.maxChunks = 10; // Evita flood de mensagens
     }
 
-    format(aiResponse) {
+    format(aiResponse, language = DEFAULT_LANGUAGE) {
         try {
             // O novo agente Claude já retorna a resposta formatada
             if (aiResponse.response) {
-                return this.truncateMessage(aiResponse.response);
+                return aiResponse.response;
             }
 
             // Fallback para formato antigo
@@ -16,118 +19,118 @@ class ResponseFormatter {
             const operation = analysis?.operation || intent?.operation;
 
             if (!result.success) {
-                return this.formatError(result, analysis || intent);
+                return this.formatError(result, analysis || intent, language);
             }
 
             switch (operation) {
                 case 'list_tables':
-                    return this.formatTablesList(result, analysis || intent);
+                    return this.formatTablesList(result, analysis || intent, language);
                 
                 case 'count':
                 case 'count_records':
-                    return this.formatCount(result, analysis || intent);
+                    return this.formatCount(result, analysis || intent, language);
                 
                 case 'list':
                 case 'list_records':
                 case 'filter':
                 case 'search':
-                    return this.formatRecords(result, analysis || intent);
+                    return this.formatRecords(result, analysis || intent, language);
                 
                 default:
-                    return this.formatGeneric(result, analysis || intent);
+                    return this.formatGeneric(result, analysis || intent, language);
             }
 
         } catch (error) {
             console.error('❌ Erro ao formatar resposta:', error);
-            return '🤖 Desculpe, ocorreu um erro ao formatar a resposta.';
+            return translate(language, 'format_error');
         }
     }
 
-    formatTablesList(result, intent) {
+    formatTablesList(result, intent, language = DEFAULT_LANGUAGE) {
         const { data, count } = result;
         
         if (!data || data.length === 0) {
-            return '📊 Nenhuma tabela encontrada no banco de dados.';
+            return translate(language, 'tables_none');
         }
 
-        let message = `📊 *Tabelas Disponíveis* (${count} encontradas)\n\n`;
+        let message = `${translate(language, 'tables_title', { count })}\n\n`;
         
         data.forEach((table, index) => {
             message += `${index + 1}. *${table.table_name}*`;
             
             if (table.columns && table.columns.length > 0) {
                 const columnCount = table.columns.length;
-                message += ` (${columnCount} colunas)`;
+                message += ` (${translate(language, 'tables_columns', { count: columnCount })})`;
                 
                 // Mostra algumas colunas principais
                 if (columnCount <= 5) {
                     message += `\n   � ${table.columns.join(', ')}`;
                 } else {
-                    message += `\n   � ${table.columns.slice(0, 3).join(', ')}... (+${columnCount - 3} mais)`;
+                    message += `\n   � ${table.columns.slice(0, 3).join(', ')}... (${translate(language, 'tables_more_columns', { count: columnCount - 3 })})`;
                 }
             }
             
             message += '\n\n';
         });
 
-        message += '💡 *Dica:* Você pode perguntar sobre qualquer uma dessas tabelas!';
+        message += translate(language, 'tables_tip');
         
-        return this.truncateMessage(message);
+        return message;
     }
 
-    formatCount(result, intent) {
+    formatCount(result, intent, language = DEFAULT_LANGUAGE) {
         const { data } = result;
         const tableName = intent.table;
         const count = data.count;
 
-        let message = `📊 *Contagem - ${tableName}*\n\n`;
-        message += `🔢 Total de registros: *${count.toLocaleString('pt-BR')}*\n\n`;
+        let message = `${translate(language, 'count_title', { table: tableName })}\n\n`;
+        message += `${translate(language, 'count_total', { count: count.toLocaleString(getLocale(language)) })}\n\n`;
 
         if (intent.filters && intent.filters.length > 0) {
-            message += '🔍 *Filtros aplicados:*\n';
+            message += `${translate(language, 'filters_applied')}\n`;
             intent.filters.forEach(filter => {
-                message += `• ${filter.column} ${this.getOperatorSymbol(filter.operator)} ${filter.value}\n`;
+                message += `• ${filter.column} ${this.getOperatorSymbol(filter.operator, language)} ${filter.value}\n`;
             });
             message += '\n';
         }
 
         if (count === 0) {
-            message += '💡 Nenhum registro encontrado com os critérios especificados.';
+            message += translate(language, 'count_none');
         } else if (count === 1) {
-            message += '💡 Encontrado apenas 1 registro.';
+            message += translate(language, 'count_one');
         } else {
-            message += `💡 Use "mostra os ${Math.min(10, count)} ${tableName}" para ver os registros.`;
+            message += translate(language, 'count_hint', { limit: Math.min(10, count), table: tableName });
         }
 
         return message;
     }
 
-    formatRecords(result, intent) {
+    formatRecords(result, intent, language = DEFAULT_LANGUAGE) {
         const { data, count } = result;
         const tableName = intent.table;
 
         if (!data || data.length === 0) {
-            let message = `📋 *${tableName}* - Nenhum registro encontrado\n\n`;
+            let message = `${translate(language, 'records_none', { table: tableName })}\n\n`;
             
             if (intent.filters && intent.filters.length > 0) {
-                message += '🔍 *Filtros aplicados:*\n';
+                message += `${translate(language, 'filters_applied')}\n`;
                 intent.filters.forEach(filter => {
-                    message += `• ${filter.column} ${this.getOperatorSymbol(filter.operator)} ${filter.value}\n`;
+                    message += `• ${filter.column} ${this.getOperatorSymbol(filter.operator, language)} ${filter.value}\n`;
                 });
                 message += '\n';
             }
             
-            message += '💡 Tente ajustar os filtros ou verificar se os dados existem.';
+            message += translate(language, 'records_none_hint');
             return message;
         }
 
-        let message = `📋 *${tableName}* (${count} ${count === 1 ? 'registro' : 'registros'})\n\n`;
+        let message = `📋 *${tableName}* (${count} ${translate(language, count === 1 ? 'record' : 'records')})\n\n`;
 
         // Adiciona informações sobre filtros
         if (intent.filters && intent.filters.length > 0) {
-            message += '🔍 *Filtros:* ';
+            message += translate(language, 'filters');
             const filterTexts = intent.filters.map(filter => 
-                `${filter.column} ${this.getOperatorSymbol(filter.operator)} ${filter.value}`
+                `${filter.column} ${this.getOperatorSymbol(filter.operator, language)} ${filter.value}`
             );
             message += filterTexts.join(', ') + '\n\n';
         }
@@ -137,19 +140,49 @@ class ResponseFormatter {
         
         for (let i = 0; i < recordsToShow; i++) {
             const record = data[i];
-            message += `*${i + 1}.* ${this.formatRecord(record)}\n\n`;
+            message += `*${i + 1}.* ${this.formatRecord(record, language)}\n\n`;
         }
 
         // Aviso se há mais registros
         if (data.length > this.maxRecordsToShow) {
-            message += `⚠️ Mostrando apenas ${this.maxRecordsToShow} de ${data.length} registros.\n`;
-            message += `💡 Use filtros mais específicos para refinar a busca.`;
+            message += `${translate(language, 'records_truncated', { shown: this.maxRecordsToShow, total: data.length })}\n`;
+            message += translate(language, 'records_more_hint');
         }
 
-        return this.truncateMessage(message);
+        return message;
+    }
+
+    /**
+     * Página de uma listagem ("mais", "página 3")
+     * page = { table, number, size, offset, total }
+     */
+    formatPage(rows, page, language = DEFAULT_LANGUAGE) {
+        const totalPages = page.total !== null ? Math.max(1, Math.ceil(page.total / page.size)) : null;
+
+        let message = translate(language, 'page_title', { table: page.table, number: page.number });
+        message += `${totalPages ? translate(language, 'page_of', { total: totalPages }) : ''}\n\n`;
+
+        if (rows.length === 0) {
+            return message + translate(language, 'page_empty');
+        }
+
+        rows.forEach((record, index) => {
+            message += `*${page.offset + index + 1}.* ${this.formatRecord(record, language)}\n\n`;
+        });
+
+        const last = page.offset + rows.length;
+        message += translate(language, 'page_range', { from: page.offset + 1, to: last });
+        message += `${page.total !== null ? translate(language, 'page_of', { total: page.total.toLocaleString(getLocale(language)) }) : ''}\n`;
+
+        const hasMore = page.total !== null ? last < page.total : rows.length === page.size;
+        if (hasMore) {
+            message += translate(language, 'page_hint');
+        }
+
+        return message;
     }
 
-    formatRecord(record) {
+    formatRecord(record, language = DEFAULT_LANGUAGE) {
         const keys = Object.keys(record);
         const importantFields = this.getImportantFields(keys);
         
@@ -157,7 +190,7 @@ class ResponseFormatter {
         
         // Mostra campos importantes primeiro
         importantFields.forEach(key => {
-            const value = this.formatValue(record[key]);
+            const value = this.formatValue(record[key], language);
             if (value) {
                 recordText += `${this.formatFieldName(key)}: ${value}\n`;
             }
@@ -167,7 +200,7 @@ class ResponseFormatter {
         const otherFields = keys.filter(key => !importantFields.includes(key));
         if (otherFields.length > 0 && recordText.length < 200) {
             otherFields.slice(0, 3).forEach(key => {
-                const value = this.formatValue(record[key]);
+                const value = this.formatValue(record[key], language);
                 if (value) {
                     recordText += `${this.formatFieldName(key)}: ${value}\n`;
                 }
@@ -212,7 +245,7 @@ class ResponseFormatter {
             .replace(/\b\w/g, l => l.toUpperCase());
     }
 
-    formatValue(value) {
+    formatValue(value, language = DEFAULT_LANGUAGE) {
         if (value === null || value === undefined) {
             return '';
         }
@@ -223,17 +256,17 @@ class ResponseFormatter {
         }
 
         if (typeof value === 'number') {
-            return value.toLocaleString('pt-BR');
+            return value.toLocaleString(getLocale(language));
         }
 
         if (typeof value === 'boolean') {
-            return value ? '✅ Sim' : '❌ Não';
+            return translate(language, value ? 'value_yes' : 'value_no');
         }
 
         if (value instanceof Date || (typeof value === 'string' && value.match(/^\d{4}-\d{2}-\d{2}/))) {
             try {
                 const date = new Date(value);
-                return date.toLocaleDateString('pt-BR');
+                return date.toLocaleDateString(getLocale(language));
             } catch {
                 return value;
             }
@@ -242,7 +275,7 @@ class ResponseFormatter {
         return String(value);
     }
 
-    getOperatorSymbol(operator) {
+    getOperatorSymbol(operator, language = DEFAULT_LANGUAGE) {
         const symbols = {
             'eq': '=',
             'neq': '≠',
@@ -250,44 +283,38 @@ class ResponseFormatter {
             'gte': '≥',
             'lt': '<',
             'lte': '≤',
-            'like': 'contém',
-            'ilike': 'contém',
-            'in': 'em',
-            'is': 'é'
+            'like': translate(language, 'operator_like'),
+            'ilike': translate(language, 'operator_like'),
+            'in': translate(language, 'operator_in'),
+            'is': translate(language, 'operator_is')
         };
 
         return symbols[operator] || operator;
     }
 
-    formatError(result, intent) {
-        let message = '❌ *Erro ao processar solicitação*\n\n';
+    formatError(result, intent, language = DEFAULT_LANGUAGE) {
+        let message = `${translate(language, 'error_title')}\n\n`;
         
         if (intent && intent.explanation) {
-            message += `🎯 *Tentativa:* ${intent.explanation}\n\n`;
+            message += `${translate(language, 'error_attempt', { explanation: intent.explanation })}\n\n`;
         }
 
-        message += `🔍 *Erro:* ${result.error || result.message}\n\n`;
+        message += `${translate(language, 'error_detail', { error: result.error || result.message })}\n\n`;
 
         // Sugestões baseadas no tipo de erro
         if (result.error && result.error.includes('relation') && result.error.includes('does not exist')) {
-            message += '💡 *Sugestão:* A tabela pode não existir. Tente:\n';
-            message += '• "quantas tabelas tem?" para ver tabelas disponíveis\n';
-            message += '• Verificar se o nome da tabela está correto';
+            message += translate(language, 'error_suggest_table');
         } else if (result.error && result.error.includes('column')) {
-            message += '💡 *Sugestão:* Problema com coluna. Tente:\n';
-            message += '• Verificar se o nome da coluna está correto\n';
-            message += '• Usar termos mais simples na busca';
+            message += translate(language, 'error_suggest_column');
         } else {
-            message += '💡 *Sugestão:* Tente reformular sua pergunta ou use:\n';
-            message += '• "quantas tabelas tem?" para ver o que está disponível\n';
-            message += '• Perguntas mais simples como "quantos clientes tem?"';
+            message += translate(language, 'error_suggest_generic');
         }
 
         return message;
     }
 
-    formatGeneric(result, intent) {
-        let message = '🤖 *Resultado*\n\n';
+    formatGeneric(result, intent, language = DEFAULT_LANGUAGE) {
+        let message = `${translate(language, 'generic_title')}\n\n`;
         
         if (intent && intent.explanation) {
             message += `${intent.explanation}\n\n`;
@@ -298,22 +325,142 @@ class ResponseFormatter {
         }
 
         if (result.data) {
-            message += `📊 Dados: ${JSON.stringify(result.data, null, 2)}`;
+            message += translate(language, 'generic_data', { data: JSON.stringify(result.data, null, 2) });
         }
 
-        return this.truncateMessage(message);
+        return message;
     }
 
-    truncateMessage(message) {
-        if (message.length <= this.maxMessageLength) {
-            return message;
+    /**
+     * Divide mensagens longas em partes que cabem no limite do WhatsApp
+     * Quebra preferencialmente em seções (---), parágrafos, linhas e palavras,
+     * mantém a marcação (*negrito*, _itálico_, ~riscado~, ```mono```) fechada
+     * em cada parte e numera as partes ("1/3")
+     */
+    splitMessage(message) {
+        if (!message || message.length <= this.maxMessageLength) {
+            return message ? [message] : [];
         }
 
-        const truncated = message.substring(0, this.maxMessageLength - 100);
-        const lastNewline = truncated.lastIndexOf('\n');
-        
-        return truncated.substring(0, lastNewline) + 
-               '\n\n⚠️ Mensagem truncada devido ao limite do WhatsApp.';
+        // Reserva espaço para numeração e marcadores reabertos/fechados
+        const limit = this.maxMessageLength - 40;
+        const pieces = this.splitText(message, limit, 0);
+        let chunks = this.balanceMarkup(pieces);
+
+        if (chunks.length > this.maxChunks) {
+            chunks = chunks.slice(0, this.maxChunks);
+            chunks[chunks.length - 1] += '\n\n⚠️ Resposta muito longa, partes restantes omitidas.';
+        }
+
+        const total = chunks.length;
+        return chunks.map((chunk, index) => `📄 *${index + 1}/${total}*\n\n${chunk}`);
+    }
+
+    splitText(text, limit, level) {
+        const separators = ['\n---\n', '\n\n', '\n', ' '];
+
+        if (text.length <= limit) {
+            return [text];
+        }
+
+        // Sem separador disponível: corte rígido
+        if (level >= separators.length) {
+            const parts = [];
+            for (let i = 0; i < text.length; i += limit) {
+                parts.push(text.substring(i, i + limit));
+            }
+            return parts;
+        }
+
+        const separator = separators[level];
+        const chunks = [];
+        let current = '';
+
+        for (const part of text.split(separator)) {
+            const candidate = current ? current + separator + part : part;
+
+            if (candidate.length <= limit) {
+                current = candidate;
+                continue;
+            }
+
+            if (current) {
+                chunks.push(current);
+            }
+
+            if (part.length > limit) {
+                const subParts = this.splitText(part, limit, level + 1);
+                current = subParts.pop();
+                chunks.push(...subParts);
+            } else {
+                current = part;
+            }
+        }
+
+        if (current) {
+            chunks.push(current);
+        }
+
+        return chunks.map(chunk => chunk.trim()).filter(chunk => chunk.length > 0);
+    }
+
+    /**
+     * Fecha marcadores abertos no fim de cada parte e os reabre na seguinte
+     */
+    balanceMarkup(pieces) {
+        const balanced = [];
+        let carried = [];
+
+        for (const piece of pieces) {
+            const text = carried.join('') + piece;
+            const open = this.findOpenMarkers(text);
+
+            balanced.push(text + [...open].reverse().join(''));
+            carried = open;
+        }
+
+        return balanced;
+    }
+
+    /**
+     * Retorna os marcadores de formatação que ficaram abertos no texto
+     * (na ordem em que foram abertos)
+     */
+    findOpenMarkers(text) {
+        const open = [];
+
+        // Blocos monoespaçados
+        const fences = (text.match(/```/g) || []).length;
+        if (fences % 2 === 1) {
+            open.push('```');
+        }
+
+        // Marcadores simples fora dos blocos monoespaçados
+        const plain = text.replace(/```[\s\S]*?(```|$)/g, ' ');
+        for (const marker of ['*', '_', '~']) {
+            const escaped = `\\${marker}`;
+            const pattern = new RegExp(
+                `(^|[\\s([{])${escaped}(?=[^\\s${escaped}])|(?<=[^\\s${escaped}])${escaped}(?=$|[\\s.,!?:;)\\]}])`,
+                'g'
+            );
+
+            let isOpen = false;
+            let match;
+            while ((match = pattern.exec(plain)) !== null) {
+                const isOpener = match[1] !== undefined;
+                if (!isOpen && isOpener) {
+                    isOpen = true;
+                } else if (isOpen && !isOpener) {
+                    isOpen = false;
+                }
+            }
+
+            if (isOpen) {
+                open.push(marker);
+            }
+        }
+
+        return open;
     }
 }
 
@@ -0,0 +1,332 @@
+const { DEFAULT_LANGUAGE, translate } = require('../i18n');
+
+// Pedidos de atendimento humano ("falar com humano", "quero um atendente")
+const HANDOFF_PATTERN = /\b(falar|conversar|hablar)\s+co[mn]\s+((um|uma|un|una|o|a|el|la)\s+)?(humano|atendente|pessoa|analista|operador|agente|persona)\b|\batendimento\s+humano\b|\b(talk|speak)\s+to\s+(a\s+)?(human|person|agent|analyst)\b/i;
+
+// Usuário encerrando o atendimento ("voltar ao bot", "/retomar")
+const RESUME_PATTERN = /^\/?(retomar|voltar\s+(ao|pro|para\s+o)\s+bot|encerrar\s+atendimento|volver\s+al\s+bot|back\s+to\s+bot)[.!]*$/i;
+
+/**
+ * Atendimento humano ("falar com humano")
+ *
+ * - Pausa as respostas automáticas do chat e repassa ao operador
+ *   (HANDOFF_OPERATOR: número ou grupo "...@g.us") a pergunta, o SQL tentado
+ *   e o erro da última consulta
+ * - Mensagens seguintes do usuário são repassadas ao operador
+ * - O operador responde citando a mensagem repassada (ou /responder <n> <texto>)
+ *   e o bot entrega a resposta ao usuário
+ * - Automação volta com /retomar <n> (operador), "voltar ao bot" (usuário)
+ *   ou após HANDOFF_TIMEOUT sem mensagens de nenhum dos lados
+ *
+ * Atendimentos ficam só em memória: um reinício devolve todos ao bot.
+ */
+class HandoffManager {
+    constructor(options = {}) {
+        // (chatId, text, channel) → ids enviados ou false (MessageHandler.sendMessage)
+        this.sendMessage = options.sendMessage || (async () => false);
+
+        this.operator = (options.operator || process.env.HANDOFF_OPERATOR || '').trim();
+        this.operatorChannel = options.operatorChannel || process.env.HANDOFF_CHANNEL || 'whatsapp';
+        this.timeout = options.timeout || parseInt(process.env.HANDOFF_TIMEOUT) || 1800000; // 30 min
+        this.checkInterval = options.checkInterval || parseInt(process.env.HANDOFF_CHECK_INTERVAL) || 60000;
+
+        // `${channel}:${chatId}` → atendimento aberto
+        this.handoffs = new Map();
+        // id da mensagem repassada ao operador → chave do atendimento
+        this.forwarded = new Map();
+        this.nextId = 1;
+        this.timer = null;
+        this.stats = { started: 0, resumed: 0, expired: 0 };
+    }
+
+    isEnabled() {
+        return !!this.operator;
+    }
+
+    key(channel, chatId) {
+        return `${channel}:${chatId}`;
+    }
+
+    get operatorChatId() {
+        return this.operator.includes('@') ? this.operator : `${this.operator}@c.us`;
+    }
+
+    isRequest(text) {
+        return typeof text === 'string' && HANDOFF_PATTERN.test(text);
+    }
+
+    isResume(text) {
+        return typeof text === 'string' && RESUME_PATTERN.test(text.trim());
+    }
+
+    /**
+     * Mensagem enviada pelo operador (conversa direta ou grupo configurado)
+     */
+    isOperator(message) {
+        if (!this.isEnabled() || message.channel !== this.operatorChannel) {
+            return false;
+        }
+        if (message.chatId === this.operator || message.chatId === this.operatorChatId) {
+            return true;
+        }
+        // Grupo: só o chat do grupo conta; número: também pelo remetente
+        return !this.operator.includes('@') && message.sender?.number === this.operator.replace(/\D/g, '');
+    }
+
+    isActive(message) {
+        return this.handoffs.has(this.key(message.channel, message.chatId));
+    }
+
+    /**
+     * Abre o atendimento e avisa o operador
+     * details = { question, sql, error } da última consulta do chat
+     */
+    async open(message, userContext = {}, details = {}) {
+        const key = this.key(message.channel, message.chatId);
+        const now = Date.now();
+        const handoff = {
+            id: this.nextId++,
+            channel: message.channel,
+            chatId: message.chatId,
+            name: userContext.name || message.sender?.name || null,
+            number: message.sender?.number || null,
+            language: userContext.language || DEFAULT_LANGUAGE,
+            question: details.question || null,
+            sql: details.sql || null,
+            error: details.error || null,
+            startedAt: now,
+            lastActivity: now
+        };
+
+        this.handoffs.set(key, handoff);
+        this.stats.started++;
+        console.log(`🙋 Atendimento humano #${handoff.id} aberto para ${key}`);
+
+        await this.forward(handoff, this.formatRequest(handoff, message.text));
+        return handoff;
+    }
+
+    /**
+     * Repassa ao operador uma mensagem do usuário em atendimento
+     */
+    async relayFromUser(message, text) {
+        const handoff = this.handoffs.get(this.key(message.channel, message.chatId));
+        if (!handoff) {
+            return false;
+        }
+
+        handoff.lastActivity = Date.now();
+        await this.forward(handoff, `💬 *#${handoff.id} ${this.describeUser(handoff)}:*\n${text}`);
+        return true;
+    }
+
+    /**
+     * Trata uma mensagem do operador
+     * Retorna false se a mensagem não é de atendimento (segue o fluxo normal
+     * do bot); senão o aviso para o operador ou null (nada a responder)
+     */
+    async handleOperatorMessage(message) {
+        const text = (message.text || '').trim();
+        const command = text.match(/^\/(responder|retomar|atendimentos)\b\s*([\s\S]*)$/i);
+
+        if (command) {
+            const name = command[1].toLowerCase();
+            const args = command[2].trim();
+
+            if (name === 'atendimentos') {
+                return this.formatList();
+            }
+
+            const idMatch = args.match(/^#?(\d+)\s*([\s\S]*)$/);
+            const handoff = idMatch
+                ? this.findById(parseInt(idMatch[1]))
+                : this.findByQuoted(message) || this.onlyOpen();
+            if (!handoff) {
+                return '⚠️ Atendimento não encontrado. Envie /atendimentos para ver os abertos.';
+            }
+
+            if (name === 'retomar') {
+                await this.resume(handoff, 'operator');
+                return `✅ Atendimento #${handoff.id} encerrado. O bot voltou a responder ${this.describeUser(handoff)}.`;
+            }
+
+            const reply = idMatch ? idMatch[2].trim() : args;
+            if (!reply) {
+                return '⚠️ *Uso:* /responder <n> <texto>';
+            }
+            return this.relayToUser(handoff, reply);
+        }
+
+        // Outros comandos (/tabelas, /sql...) seguem para o bot
+        if (text.startsWith('/')) {
+            return false;
+        }
+
+        // Resposta citando uma mensagem repassada ou, com um só atendimento aberto, texto livre
+        const handoff = this.findByQuoted(message) || (message.quoted ? null : this.onlyOpen());
+        if (!handoff) {
+            return false;
+        }
+        if (message.type !== 'text' || !text) {
+            return '⚠️ Só mensagens de texto são repassadas ao usuário.';
+        }
+        return this.relayToUser(handoff, text);
+    }
+
+    async relayToUser(handoff, text) {
+        handoff.lastActivity = Date.now();
+        const sent = await this.sendMessage(
+            handoff.chatId,
+            translate(handoff.language, 'handoff_reply', { text }),
+            handoff.channel
+        );
+        return sent ? null : `❌ Não foi possível entregar a resposta para ${this.describeUser(handoff)}.`;
+    }
+
+    /**
+     * Devolve o chat ao bot e avisa o usuário (e o operador, se não foi ele)
+     * reason: operator | user | timeout
+     */
+    async resume(handoff, reason) {
+        const key = this.key(handoff.channel, handoff.chatId);
+        if (this.handoffs.get(key) !== handoff) {
+            return false;
+        }
+
+        this.handoffs.delete(key);
+        for (const [messageId, forwardedKey] of this.forwarded) {
+            if (forwardedKey === key) {
+                this.forwarded.delete(messageId);
+            }
+        }
+
+        this.stats[reason === 'timeout' ? 'expired' : 'resumed']++;
+        console.log(`🤖 Atendimento humano #${handoff.id} encerrado (${reason})`);
+
+        await this.sendMessage(
+            handoff.chatId,
+            translate(handoff.language, reason === 'timeout' ? 'handoff_timeout' : 'handoff_resumed'),
+            handoff.channel
+        );
+
+        if (reason !== 'operator') {
+            const why = reason === 'timeout' ? 'por inatividade' : 'pelo usuário';
+            await this.sendMessage(
+                this.operatorChatId,
+                `🤖 Atendimento #${handoff.id} (${this.describeUser(handoff)}) encerrado ${why}.`,
+                this.operatorChannel
+            );
+        }
+        return true;
+    }
+
+    async resumeChat(message) {
+        const handoff = this.handoffs.get(this.key(message.channel, message.chatId));
+        return handoff ? this.resume(handoff, 'user') : false;
+    }
+
+    /**
+     * Envia ao operador e guarda os ids para reconhecer respostas citadas
+     */
+    async forward(handoff, text) {
+        const sent = await this.sendMessage(this.operatorChatId, text, this.operatorChannel);
+        if (Array.isArray(sent)) {
+            const key = this.key(handoff.channel, handoff.chatId);
+            sent.filter(Boolean).forEach(id => this.forwarded.set(id, key));
+        }
+        return sent;
+    }
+
+    findById(id) {
+        return [...this.handoffs.values()].find(handoff => handoff.id === id) || null;
+    }
+
+    findByQuoted(message) {
+        const key = message.quoted?.id ? this.forwarded.get(message.quoted.id) : null;
+        return key ? this.handoffs.get(key) || null : null;
+    }
+
+    onlyOpen() {
+        return this.handoffs.size === 1 ? this.handoffs.values().next().value : null;
+    }
+
+    describeUser(handoff) {
+        if (handoff.name && handoff.number) {
+            return `${handoff.name} (${handoff.number})`;
+        }
+        return handoff.name || handoff.number || handoff.chatId;
+    }
+
+    formatRequest(handoff, requestText) {
+        let text = `🙋 *Atendimento humano #${handoff.id}*\n\n`;
+        text += `👤 ${this.describeUser(handoff)} - ${handoff.channel}\n`;
+        text += `💬 _${requestText}_\n\n`;
+
+        if (handoff.question) {
+            text += `❓ *Última pergunta:* ${handoff.question}\n`;
+        }
+        if (handoff.sql) {
+            text += `🧾 *SQL tentado:*\n\`\`\`${handoff.sql}\`\`\`\n`;
+        }
+        if (handoff.error) {
+            text += `❌ *Erro:* ${handoff.error}\n`;
+        }
+
+        text += '\n💡 Responda citando esta mensagem ou use /responder ';
+        text += `${handoff.id} <texto>. /retomar ${handoff.id} devolve a conversa ao bot.`;
+        return text;
+    }
+
+    formatList() {
+        if (this.handoffs.size === 0) {
+            return '📭 Nenhum atendimento humano aberto.';
+        }
+
+        const now = Date.now();
+        let text = `🙋 *Atendimentos abertos* (${this.handoffs.size})\n\n`;
+        for (const handoff of this.handoffs.values()) {
+            const minutes = Math.round((now - handoff.startedAt) / 60000);
+            text += `*#${handoff.id}* ${this.describeUser(handoff)} - há ${minutes} min\n`;
+        }
+        return text.trim();
+    }
+
+    start() {
+        if (this.timer || !this.isEnabled()) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.expire().catch(error => console.error('❌ Erro ao encerrar atendimentos:', error));
+        }, this.checkInterval);
+        console.log(`🙋 Atendimento humano ativo (operador ${this.operator}, timeout ${this.timeout}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Devolve ao bot os atendimentos sem mensagens há mais de HANDOFF_TIMEOUT
+     */
+    async expire(now = Date.now()) {
+        const expired = [...this.handoffs.values()].filter(handoff => now - handoff.lastActivity > this.timeout);
+        for (const handoff of expired) {
+            await this.resume(handoff, 'timeout');
+        }
+        return expired.length;
+    }
+
+    getStats() {
+        return {
+            enabled: this.isEnabled(),
+            open: this.handoffs.size,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = HandoffManager;
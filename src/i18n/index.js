@@ -0,0 +1,100 @@
+const MESSAGES = require('./messages');
+
+const SUPPORTED_LANGUAGES = ['pt', 'es', 'en'];
+const DEFAULT_LANGUAGE = SUPPORTED_LANGUAGES.includes(process.env.DEFAULT_LANGUAGE)
+    ? process.env.DEFAULT_LANGUAGE
+    : 'pt';
+
+// Nome do idioma usado nas instruções dos prompts (em português, como os prompts)
+const LANGUAGE_NAMES = {
+    pt: 'português do Brasil',
+    es: 'espanhol',
+    en: 'inglês'
+};
+
+// Palavras que só aparecem (sem acento) em um dos idiomas
+const KEYWORDS = {
+    pt: ['nao', 'voce', 'vc', 'quantos', 'quantas', 'qual', 'quais', 'sao', 'tem', 'isso', 'uma', 'mostra', 'mostre',
+        'obrigado', 'obrigada', 'ola', 'oi', 'hoje', 'ontem', 'ajuda', 'tabela', 'tabelas', 'dos', 'das', 'do', 'da',
+        'pra', 'quero', 'preciso', 'consegue', 'fazer', 'cadastrados'],
+    es: ['cuantos', 'cuantas', 'cuanto', 'cual', 'cuales', 'son', 'tiene', 'tienen', 'hay', 'una', 'muestra', 'muestrame',
+        'gracias', 'hola', 'hoy', 'ayer', 'ayuda', 'tabla', 'tablas', 'usted', 'puedes', 'dame', 'del', 'los', 'las',
+        'el', 'es', 'hacer', 'quiero', 'necesito'],
+    en: ['what', 'how', 'many', 'much', 'which', 'are', 'is', 'the', 'of', 'in', 'for', 'with', 'show', 'please',
+        'thanks', 'thank', 'you', 'hello', 'hi', 'today', 'yesterday', 'week', 'month', 'help', 'table', 'tables',
+        'records', 'can', 'list', 'there', 'have', 'does', 'last', 'from', 'get', 'give']
+};
+
+// Pontos que outro idioma precisa ter a mais para trocar o idioma da conversa
+const SWITCH_MARGIN = 2;
+
+// Caracteres exclusivos de um idioma (peso maior)
+const CHAR_HINTS = {
+    pt: /[ãõç]|ção|ções/,
+    es: /[ñ¿¡]|ción|ciones/
+};
+
+/**
+ * Detecta o idioma de uma mensagem (pt, es ou en)
+ * Retorna null quando não há pistas suficientes ("2", "ok", "mais"), para o
+ * chamador manter o idioma já usado na conversa; com current (idioma atual da
+ * conversa), só troca com SWITCH_MARGIN pontos de vantagem sobre ele
+ */
+function detectLanguage(text, current = null) {
+    // Identificadores (access_by_day, top10, ana@x.com) não contam como palavras
+    const lower = String(text || '').toLowerCase()
+        .split(/\s+/)
+        .filter(token => !/[_@\d]/.test(token))
+        .join(' ');
+    const words = lower
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .split(/[^a-z]+/)
+        .filter(Boolean);
+
+    const scores = {};
+    for (const language of SUPPORTED_LANGUAGES) {
+        scores[language] = words.filter(word => KEYWORDS[language].includes(word)).length;
+        if (CHAR_HINTS[language] && CHAR_HINTS[language].test(lower)) {
+            scores[language] += 2;
+        }
+    }
+
+    const ranked = SUPPORTED_LANGUAGES.slice().sort((a, b) => scores[b] - scores[a]);
+    const [best, second] = ranked;
+    if (scores[best] === 0 || scores[best] === scores[second]) {
+        return null;
+    }
+    if (current && best !== current && scores[best] - (scores[current] || 0) < SWITCH_MARGIN) {
+        return null;
+    }
+    return best;
+}
+
+/**
+ * Texto fixo no idioma pedido (ou em português), com {parâmetros} substituídos
+ * Listas (saudações) são devolvidas como estão
+ */
+function translate(language, key, params = {}) {
+    const messages = MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+    const value = messages[key] !== undefined ? messages[key] : MESSAGES.pt[key];
+
+    if (typeof value !== 'string') {
+        return value;
+    }
+    return value.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+function getLocale(language) {
+    return translate(language, 'locale');
+}
+
+module.exports = {
+    SUPPORTED_LANGUAGES,
+    DEFAULT_LANGUAGE,
+    LANGUAGE_NAMES,
+    MESSAGES,
+    detectLanguage,
+    translate,
+    getLocale
+};
@@ -0,0 +1,733 @@
+/**
+ * Textos fixos do bot por idioma (pt = padrão)
+ *
+ * Chaves ausentes em es/en caem no texto em português. Parâmetros entre
+ * chaves ({table}) são substituídos por translate().
+ *
+ * identity: traduções do SYSTEM_IDENTITY do MultiAgentSystem (o original em
+ * português continua sendo a fonte; aqui só os campos exibidos ao usuário)
+ */
+module.exports = {
+    pt: {
+        locale: 'pt-BR',
+
+        // MessageHandler
+        error_generic: '🤖 Desculpe, ocorreu um erro ao processar sua mensagem. Tente novamente.',
+        no_response: '🤖 Desculpe, não consegui processar sua mensagem no momento.',
+        ai_error: '🤖 Desculpe, não consegui processar sua solicitação. Verifique se sua mensagem está clara e tente novamente.',
+        busy: '⏳ Ainda processando sua pergunta anterior. Esta será respondida em seguida!',
+        audio_failed: '🎙️ Não consegui entender o áudio. Pode repetir ou enviar sua pergunta por texto?',
+        audio_heard: '🎙️ *Entendi:* "{text}"',
+        feedback_negative: '📝 Obrigado por avisar! Registrei que essa resposta não ficou certa.\n\n💡 Se puder, reformule a pergunta com mais detalhes (tabela, período, filtro) que eu tento de novo.',
+        feedback_positive: '📝 Obrigado pelo retorno!',
+
+        // Atendimento humano (HandoffManager)
+        handoff_started: '🙋 Chamei um analista da equipe. A partir de agora ele responde por aqui.\n\n💡 Envie *voltar ao bot* quando quiser que eu volte a responder.',
+        handoff_unavailable: '🙋 O atendimento humano não está disponível no momento. Pode continuar perguntando que eu tento ajudar!',
+        handoff_already: '🙋 Você já está falando com um analista. Suas mensagens estão sendo repassadas.',
+        handoff_reply: '👤 *Analista:* {text}',
+        handoff_resumed: '🤖 Atendimento humano encerrado. Voltei a responder automaticamente!',
+        handoff_timeout: '🤖 O atendimento humano foi encerrado por inatividade. Voltei a responder automaticamente!',
+
+        // Andamento (ProgressReporter)
+        progress_coordinator: '🧠 Entendendo sua pergunta...',
+        progress_query: '🔍 Consultando {tables}...',
+        progress_analyst: '📊 Analisando os resultados...',
+        progress_formatter: '✍️ Preparando a resposta...',
+        progress_any_table: 'os dados',
+
+        // MultiAgentSystem
+        processing_error: '🤖 Desculpe, encontrei um erro ao analisar sua solicitação: {error}',
+        clarify_title: '🤔 Não tenho certeza de qual tabela usar para:',
+        clarify_hint: '💡 Responda com o número da opção.',
+        page_no_listing: '📋 Não encontrei uma listagem recente para continuar.\n\n💡 Peça uma lista primeiro (ex: "mostra os últimos leads") e depois envie *mais*.',
+        page_out_of_range: '📭 A listagem de *{table}* tem só {pages} página(s).',
+        page_error: '❌ *Erro ao buscar a página {page}*\n\n{error}',
+        cache_hint: '💾 Resultado de {minutes} min atrás. Envie *atualizar* para consultar de novo.',
+        cache_cleared: '🧹 Cache de respostas limpo ({count} resposta(s)). As próximas perguntas consultam o banco de novo.',
+
+        // ResponseFormatter
+        records: 'registros',
+        record: 'registro',
+        page_title: '📋 *{table}* - página {number}',
+        page_of: ' de {total}',
+        page_empty: '📭 Não há mais registros nesta listagem.',
+        page_range: '📊 Registros {from}-{to}',
+        page_hint: '💡 Envie *mais* para a próxima página ou *página N* para pular.',
+        records_none: '📋 *{table}* - Nenhum registro encontrado',
+        records_none_hint: '💡 Tente ajustar os filtros ou verificar se os dados existem.',
+        filters_applied: '🔍 *Filtros aplicados:*',
+        filters: '🔍 *Filtros:* ',
+        records_truncated: '⚠️ Mostrando apenas {shown} de {total} registros.',
+        records_more_hint: '💡 Envie *mais* para ver os próximos ou use filtros mais específicos.',
+        count_title: '📊 *Contagem - {table}*',
+        count_total: '🔢 Total de registros: *{count}*',
+        count_none: '💡 Nenhum registro encontrado com os critérios especificados.',
+        count_one: '💡 Encontrado apenas 1 registro.',
+        count_hint: '💡 Use "mostra os {limit} {table}" para ver os registros.',
+        error_title: '❌ *Erro ao processar solicitação*',
+        error_attempt: '🎯 *Tentativa:* {explanation}',
+        error_detail: '🔍 *Erro:* {error}',
+        error_suggest_table: '💡 *Sugestão:* A tabela pode não existir. Tente:\n• "quantas tabelas tem?" para ver tabelas disponíveis\n• Verificar se o nome da tabela está correto',
+        error_suggest_column: '💡 *Sugestão:* Problema com coluna. Tente:\n• Verificar se o nome da coluna está correto\n• Usar termos mais simples na busca',
+        error_suggest_generic: '💡 *Sugestão:* Tente reformular sua pergunta ou use:\n• "quantas tabelas tem?" para ver o que está disponível\n• Perguntas mais simples como "quantos clientes tem?"',
+        tables_none: '📊 Nenhuma tabela encontrada no banco de dados.',
+        tables_title: '📊 *Tabelas Disponíveis* ({count} encontradas)',
+        tables_columns: '{count} colunas',
+        tables_more_columns: '+{count} mais',
+        tables_tip: '💡 *Dica:* Você pode perguntar sobre qualquer uma dessas tabelas!',
+        generic_title: '🤖 *Resultado*',
+        generic_data: '📊 Dados: {data}',
+        format_error: '🤖 Desculpe, ocorreu um erro ao formatar a resposta.',
+        value_yes: '✅ Sim',
+        value_no: '❌ Não',
+        operator_like: 'contém',
+        operator_in: 'em',
+        operator_is: 'é',
+        chart_title: '{values} por {label}',
+        chart_empty: '(vazio)',
+
+        // Fast path
+        capabilities_tables: '🗄️ *TABELAS DISPONÍVEIS:*',
+        capabilities_examples: '💡 *EXEMPLOS DO QUE VOCÊ PODE ME PEDIR:*',
+        capabilities_tip: '🎯 *DICA:* Faça perguntas em linguagem natural sobre alunos, leads ou engajamento!\n\nÉ só mandar sua pergunta que eu analiso os dados pra você! 🚀',
+        greetings: [
+            '👋 Olá! Sou o *{name}*!\n\n{description}\n\n💡 Pergunte "o que você pode fazer?" para ver todas as minhas capacidades!',
+            '🤖 Oi! Estou pronto para ajudar com análise de dados!\n\nDigite sua pergunta ou peça "ajuda" para ver o que posso fazer.',
+            '👋 E aí! Sou seu assistente de dados.\n\nMe pergunte qualquer coisa sobre seus dados ou digite "ajuda" para começar!'
+        ],
+        thanks: [
+            '😊 Por nada! Estou aqui para ajudar.\n\nSe precisar de mais alguma análise, é só perguntar!',
+            '🙏 Disponha! Qualquer dúvida sobre os dados, pode mandar!',
+            '✨ Fico feliz em ajudar! Manda mais perguntas quando precisar!'
+        ],
+        status_title: '✅ *Sistema Operacional*',
+        status_model: '🤖 Modelo: {model}',
+        status_tables: '📊 Tabelas em cache: {count}',
+        status_sessions: '👥 Sessões ativas: {count}',
+        status_answer_cache: '💾 Respostas em cache: {count} ({rate}% de acertos)',
+        status_mcp: '🔧 MCP Server: {state}',
+        status_active: 'Ativo',
+        status_inactive: 'Inativo',
+        status_ready: 'Pronto para processar suas consultas! 🚀',
+
+        // Acesso negado (MessageHandler, MultiAgentSystem, CommandRouter)
+        access_restricted: '🔒 Olá! Este assistente de dados é restrito à equipe autorizada.\n\nSe você precisa de acesso, fale com o administrador do bot.',
+        ai_unavailable: '🤖 Sistema de IA não está disponível. Tente novamente em alguns instantes.',
+        format_error: '🤖 Erro na formatação da resposta.',
+        denied_read: '🔒 Seu perfil não permite consultar os dados.',
+        denied_export: '🔒 Seu perfil não permite exportar planilhas.',
+        denied_tables: '🔒 Seu perfil (*{role}*) não tem acesso a: *{tables}*.',
+        denied_table: '🔒 Seu perfil não tem acesso à tabela *{table}*.',
+
+        // Exportação
+        export_no_result: '📁 Não encontrei uma consulta recente para exportar.\n\n💡 Faça uma pergunta sobre os dados primeiro e depois peça "exporta isso em planilha".',
+        export_empty: '📁 A última consulta não retornou registros para exportar.',
+        export_done: '📁 *Exportação concluída*\n\n📋 {count} registros em {format}',
+        export_truncated: '⚠️ Limite de {max} linhas atingido.',
+        export_error: '❌ *Erro na exportação*\n\n{error}',
+
+        // CommandRouter
+        cmd_unknown: '❓ Comando desconhecido: */{name}*',
+        cmd_unknown_hint: '💡 Envie */ajuda* para ver os comandos disponíveis.',
+        cmd_denied: '🚫 Você não tem permissão para usar */{name}*.',
+        cmd_error: '❌ *Erro em /{name}*\n\n{error}',
+        cmd_usage: '⚠️ *Uso:* {usage}\n\n{description}',
+        table_invalid: '⚠️ Nome de tabela inválido: {table}',
+        table_rows: '🔢 Registros: *{count}*',
+        table_columns: '📑 Colunas ({count}):',
+        filter_invalid: '⚠️ Filtro inválido: *{filter}*',
+        attempt_describe: 'Descrever {table}',
+        attempt_sql: 'Executar SQL',
+        attempt_count: 'Contar {table}',
+        session_reset: '🧹 Contexto da conversa limpo. Pode começar uma nova análise!',
+        help_title: '⌨️ *Comandos disponíveis*',
+        help_hint: '💡 Envie */ajuda <comando>* para detalhes.',
+        help_usage: '*Uso:* {usage}',
+        help_aliases: '*Atalhos:* {aliases}',
+        feedback_unavailable: '⚠️ Registro de avaliações não está disponível.',
+        feedback_none: '📭 Nenhuma resposta mal avaliada até agora ({positive} 👍).',
+        feedback_title: '📝 *Piores avaliações* ({negative} 👎 · {positive} 👍 no total)',
+
+        // Relatórios agendados (CommandRouter, ReportScheduler)
+        schedule_unavailable: '⚠️ Agendamento de relatórios não está disponível.',
+        schedule_not_understood: '🤔 Não entendi a recorrência do relatório.\n\n*Exemplos:*\n• todo dia às 8h me manda leads qualificados de ontem\n• toda segunda às 9h30 me envia o resumo de aula_views\n• /agendar 0 18 * * 1-5 acessos de hoje',
+        schedule_created: '⏰ *Relatório agendado!*',
+        schedule_next_run: '📅 Próximo envio: {date}',
+        schedule_cancel_hint: '💡 Para cancelar: */cancelar {id}*',
+        schedules_none: '📭 Nenhum relatório agendado nesta conversa.\n\n💡 Ex: *todo dia às 8h me manda leads de ontem*',
+        schedules_title: '⏰ *Relatórios agendados* ({count})',
+        schedule_next: ' · próximo: {date}',
+        schedule_not_found: '❓ Agendamento *{id}* não encontrado nesta conversa.',
+        schedule_cancelled: '🗑️ Relatório *{id}* cancelado.',
+        schedule_invalid_cron: 'Expressão cron inválida: {cron}',
+        schedule_no_question: 'Informe a pergunta do relatório',
+        schedule_limit: 'Limite de {max} agendamentos por conversa atingido',
+        report_title: '⏰ *Relatório agendado* ({description})',
+        report_failed: '🤖 Não foi possível gerar o relatório.',
+
+        // Alertas (CommandRouter, AlertManager)
+        alert_unavailable: '⚠️ Alertas não estão disponíveis.',
+        alert_not_understood: '🤔 Não entendi a condição do alerta.\n\n*Exemplos:*\n• me avisa se qualified_leads passar de 500 hoje\n• alerta se aula_views cair 30% vs ontem\n• me avisa se engaged_leads ficar abaixo de 100',
+        alert_created: '🔔 *Alerta criado!*',
+        alert_check_interval: '⏱️ Verificação a cada {minutes} min',
+        alert_remove_hint: '💡 Para remover: */cancelaralerta {id}*',
+        alerts_none: '🔕 Nenhum alerta ativo nesta conversa.\n\n💡 Ex: *me avisa se qualified_leads passar de 500 hoje*',
+        alerts_title: '🔔 *Alertas ativos* ({count})',
+        alert_last_value: '📊 último valor: {value}',
+        alert_last_fired: ' · disparou em {date}',
+        alert_not_found: '❓ Alerta *{id}* não encontrado nesta conversa.',
+        alert_removed: '🔕 Alerta *{id}* removido.',
+        alert_limit: 'Limite de {max} alertas por conversa atingido',
+        alert_table_not_found: 'Tabela {table} não encontrada',
+        alert_column_not_found: 'Coluna {column} não existe em {table}',
+        alert_no_date_column: 'A tabela {table} não tem coluna de data para comparar por dia',
+        alert_subject_distinct: '{column} distintos em {table}',
+        alert_today: ' hoje',
+        alert_yesterday: 'ontem',
+        alert_last_week: 'semana passada',
+        alert_above: '{subject}{period} acima de {threshold}',
+        alert_below: '{subject}{period} abaixo de {threshold}',
+        alert_drop: '{subject} cair {threshold}% vs {baseline}',
+        alert_rise: '{subject} subir {threshold}% vs {baseline}',
+        alert_fired: '🚨 *Alerta disparado!*',
+        alert_value: '📊 Valor atual: *{value}*',
+        alert_reference: '📉 Referência ({baseline}, mesmo horário): {value}',
+        alert_change: '↕️ Variação: *{change}%*',
+        alert_disable_hint: '💡 Para desativar: */cancelaralerta {id}*',
+
+        // Uso e descrição dos comandos (/ajuda); os nomes dos comandos não mudam
+        commands: {
+            tabelas: { usage: '/tabelas', description: 'Lista as tabelas disponíveis' },
+            schema: { usage: '/schema <tabela>', description: 'Mostra colunas e total de registros de uma tabela' },
+            sql: { usage: '/sql <SELECT ...>', description: 'Executa uma query SELECT diretamente' },
+            contar: { usage: '/contar <tabela> [coluna=valor ...]', description: 'Conta registros com filtros opcionais (=, !=, >, >=, <, <=, ~ contém)' },
+            reset: { usage: '/reset', description: 'Limpa o contexto da conversa' },
+            export: { usage: '/export [xlsx|csv]', description: 'Exporta o último resultado como planilha' },
+            agendar: { usage: '/agendar <quando> me manda <pergunta>', description: 'Agenda um relatório recorrente (ex: todo dia às 8h me manda leads de ontem)' },
+            agendamentos: { usage: '/agendamentos', description: 'Lista os relatórios agendados desta conversa' },
+            cancelar: { usage: '/cancelar <id>', description: 'Cancela um relatório agendado' },
+            alertar: { usage: '/alertar se <tabela> <condição>', description: 'Cria um alerta (ex: me avisa se qualified_leads passar de 500 hoje)' },
+            alertas: { usage: '/alertas', description: 'Lista os alertas desta conversa' },
+            cancelaralerta: { usage: '/cancelaralerta <id>', description: 'Remove um alerta' },
+            avaliacoes: { usage: '/avaliacoes [quantidade]', description: 'Perguntas com pior avaliação (👎, "errado") e o SQL gerado' },
+            ajuda: { usage: '/ajuda [comando]', description: 'Lista os comandos ou explica um comando' }
+        }
+    },
+
+    es: {
+        locale: 'es-ES',
+
+        error_generic: '🤖 Lo siento, ocurrió un error al procesar tu mensaje. Inténtalo de nuevo.',
+        no_response: '🤖 Lo siento, no pude procesar tu mensaje en este momento.',
+        ai_error: '🤖 Lo siento, no pude procesar tu solicitud. Verifica que tu mensaje sea claro e inténtalo de nuevo.',
+        busy: '⏳ Todavía estoy procesando tu pregunta anterior. ¡Esta se responderá a continuación!',
+        audio_failed: '🎙️ No pude entender el audio. ¿Puedes repetirlo o enviar tu pregunta por texto?',
+        audio_heard: '🎙️ *Entendí:* "{text}"',
+        feedback_negative: '📝 ¡Gracias por avisar! Registré que esta respuesta no fue correcta.\n\n💡 Si puedes, reformula la pregunta con más detalles (tabla, período, filtro) y lo intento de nuevo.',
+        feedback_positive: '📝 ¡Gracias por tu opinión!',
+
+        handoff_started: '🙋 Llamé a un analista del equipo. A partir de ahora él responde por aquí.\n\n💡 Envía *volver al bot* cuando quieras que vuelva a responder.',
+        handoff_unavailable: '🙋 La atención humana no está disponible en este momento. ¡Puedes seguir preguntando y trato de ayudarte!',
+        handoff_already: '🙋 Ya estás hablando con un analista. Tus mensajes se están reenviando.',
+        handoff_reply: '👤 *Analista:* {text}',
+        handoff_resumed: '🤖 Atención humana finalizada. ¡Volví a responder automáticamente!',
+        handoff_timeout: '🤖 La atención humana se cerró por inactividad. ¡Volví a responder automáticamente!',
+
+        progress_coordinator: '🧠 Entendiendo tu pregunta...',
+        progress_query: '🔍 Consultando {tables}...',
+        progress_analyst: '📊 Analizando los resultados...',
+        progress_formatter: '✍️ Preparando la respuesta...',
+        progress_any_table: 'los datos',
+
+        processing_error: '🤖 Lo siento, encontré un error al analizar tu solicitud: {error}',
+        clarify_title: '🤔 No estoy seguro de qué tabla usar para:',
+        clarify_hint: '💡 Responde con el número de la opción.',
+        page_no_listing: '📋 No encontré un listado reciente para continuar.\n\n💡 Pide un listado primero (ej: "muestra los últimos leads") y después envía *más*.',
+        page_out_of_range: '📭 El listado de *{table}* tiene solo {pages} página(s).',
+        page_error: '❌ *Error al buscar la página {page}*\n\n{error}',
+        cache_hint: '💾 Resultado de hace {minutes} min. Envía *actualizar* para consultar de nuevo.',
+        cache_cleared: '🧹 Caché de respuestas vaciada ({count} respuesta(s)). Las próximas preguntas consultan la base de nuevo.',
+
+        records: 'registros',
+        record: 'registro',
+        page_title: '📋 *{table}* - página {number}',
+        page_of: ' de {total}',
+        page_empty: '📭 No hay más registros en este listado.',
+        page_range: '📊 Registros {from}-{to}',
+        page_hint: '💡 Envía *más* para la página siguiente o *página N* para saltar.',
+        records_none: '📋 *{table}* - Ningún registro encontrado',
+        records_none_hint: '💡 Intenta ajustar los filtros o verificar si los datos existen.',
+        filters_applied: '🔍 *Filtros aplicados:*',
+        filters: '🔍 *Filtros:* ',
+        records_truncated: '⚠️ Mostrando solo {shown} de {total} registros.',
+        records_more_hint: '💡 Envía *más* para ver los siguientes o usa filtros más específicos.',
+        count_title: '📊 *Conteo - {table}*',
+        count_total: '🔢 Total de registros: *{count}*',
+        count_none: '💡 Ningún registro encontrado con los criterios especificados.',
+        count_one: '💡 Se encontró solo 1 registro.',
+        count_hint: '💡 Usa "muestra los {limit} {table}" para ver los registros.',
+        error_title: '❌ *Error al procesar la solicitud*',
+        error_attempt: '🎯 *Intento:* {explanation}',
+        error_detail: '🔍 *Error:* {error}',
+        error_suggest_table: '💡 *Sugerencia:* La tabla puede no existir. Intenta:\n• "¿cuántas tablas hay?" para ver las tablas disponibles\n• Verificar que el nombre de la tabla sea correcto',
+        error_suggest_column: '💡 *Sugerencia:* Problema con una columna. Intenta:\n• Verificar que el nombre de la columna sea correcto\n• Usar términos más simples en la búsqueda',
+        error_suggest_generic: '💡 *Sugerencia:* Intenta reformular tu pregunta o usa:\n• "¿cuántas tablas hay?" para ver lo que está disponible\n• Preguntas más simples como "¿cuántos clientes hay?"',
+        tables_none: '📊 No se encontró ninguna tabla en la base de datos.',
+        tables_title: '📊 *Tablas Disponibles* ({count} encontradas)',
+        tables_columns: '{count} columnas',
+        tables_more_columns: '+{count} más',
+        tables_tip: '💡 *Consejo:* ¡Puedes preguntar sobre cualquiera de estas tablas!',
+        generic_title: '🤖 *Resultado*',
+        generic_data: '📊 Datos: {data}',
+        format_error: '🤖 Lo siento, ocurrió un error al formatear la respuesta.',
+        value_yes: '✅ Sí',
+        value_no: '❌ No',
+        operator_like: 'contiene',
+        operator_in: 'en',
+        operator_is: 'es',
+        chart_title: '{values} por {label}',
+        chart_empty: '(vacío)',
+
+        capabilities_tables: '🗄️ *TABLAS DISPONIBLES:*',
+        capabilities_examples: '💡 *EJEMPLOS DE LO QUE PUEDES PEDIRME:*',
+        capabilities_tip: '🎯 *CONSEJO:* ¡Haz preguntas en lenguaje natural sobre alumnos, leads o engagement!\n\n¡Solo envía tu pregunta y analizo los datos por ti! 🚀',
+        greetings: [
+            '👋 ¡Hola! Soy *{name}*.\n\n{description}\n\n💡 Pregunta "¿qué puedes hacer?" para ver todas mis capacidades.',
+            '🤖 ¡Hola! Estoy listo para ayudarte con el análisis de datos.\n\nEscribe tu pregunta o pide "ayuda" para ver lo que puedo hacer.'
+        ],
+        thanks: [
+            '😊 ¡De nada! Estoy aquí para ayudar.\n\nSi necesitas otro análisis, ¡solo pregunta!',
+            '🙏 ¡Con gusto! Cualquier duda sobre los datos, escríbeme.'
+        ],
+        status_title: '✅ *Sistema Operativo*',
+        status_model: '🤖 Modelo: {model}',
+        status_tables: '📊 Tablas en caché: {count}',
+        status_sessions: '👥 Sesiones activas: {count}',
+        status_answer_cache: '💾 Respuestas en caché: {count} ({rate}% de aciertos)',
+        status_mcp: '🔧 Servidor MCP: {state}',
+        status_active: 'Activo',
+        status_inactive: 'Inactivo',
+        status_ready: '¡Listo para procesar tus consultas! 🚀',
+
+        access_restricted: '🔒 ¡Hola! Este asistente de datos está restringido al equipo autorizado.\n\nSi necesitas acceso, habla con el administrador del bot.',
+        ai_unavailable: '🤖 El sistema de IA no está disponible. Inténtalo de nuevo en unos instantes.',
+        format_error: '🤖 Error al formatear la respuesta.',
+        denied_read: '🔒 Tu perfil no permite consultar los datos.',
+        denied_export: '🔒 Tu perfil no permite exportar hojas de cálculo.',
+        denied_tables: '🔒 Tu perfil (*{role}*) no tiene acceso a: *{tables}*.',
+        denied_table: '🔒 Tu perfil no tiene acceso a la tabla *{table}*.',
+
+        export_no_result: '📁 No encontré una consulta reciente para exportar.\n\n💡 Haz primero una pregunta sobre los datos y después pide "exporta esto en hoja de cálculo".',
+        export_empty: '📁 La última consulta no devolvió registros para exportar.',
+        export_done: '📁 *Exportación finalizada*\n\n📋 {count} registros en {format}',
+        export_truncated: '⚠️ Se alcanzó el límite de {max} filas.',
+        export_error: '❌ *Error en la exportación*\n\n{error}',
+
+        cmd_unknown: '❓ Comando desconocido: */{name}*',
+        cmd_unknown_hint: '💡 Envía */ajuda* para ver los comandos disponibles.',
+        cmd_denied: '🚫 No tienes permiso para usar */{name}*.',
+        cmd_error: '❌ *Error en /{name}*\n\n{error}',
+        cmd_usage: '⚠️ *Uso:* {usage}\n\n{description}',
+        table_invalid: '⚠️ Nombre de tabla no válido: {table}',
+        table_rows: '🔢 Registros: *{count}*',
+        table_columns: '📑 Columnas ({count}):',
+        filter_invalid: '⚠️ Filtro no válido: *{filter}*',
+        attempt_describe: 'Describir {table}',
+        attempt_sql: 'Ejecutar SQL',
+        attempt_count: 'Contar {table}',
+        session_reset: '🧹 Contexto de la conversación borrado. ¡Puedes empezar un nuevo análisis!',
+        help_title: '⌨️ *Comandos disponibles*',
+        help_hint: '💡 Envía */ajuda <comando>* para más detalles.',
+        help_usage: '*Uso:* {usage}',
+        help_aliases: '*Atajos:* {aliases}',
+        feedback_unavailable: '⚠️ El registro de valoraciones no está disponible.',
+        feedback_none: '📭 Ninguna respuesta mal valorada hasta ahora ({positive} 👍).',
+        feedback_title: '📝 *Peores valoraciones* ({negative} 👎 · {positive} 👍 en total)',
+
+        schedule_unavailable: '⚠️ La programación de informes no está disponible.',
+        schedule_not_understood: '🤔 No entendí la recurrencia del informe.\n\n*Ejemplos (en portugués):*\n• todo dia às 8h me manda leads qualificados de ontem\n• toda segunda às 9h30 me envia o resumo de aula_views\n• /agendar 0 18 * * 1-5 accesos de hoy',
+        schedule_created: '⏰ *¡Informe programado!*',
+        schedule_next_run: '📅 Próximo envío: {date}',
+        schedule_cancel_hint: '💡 Para cancelar: */cancelar {id}*',
+        schedules_none: '📭 No hay informes programados en esta conversación.\n\n💡 Ej: */agendar 0 8 * * * leads de ayer*',
+        schedules_title: '⏰ *Informes programados* ({count})',
+        schedule_next: ' · próximo: {date}',
+        schedule_not_found: '❓ Programación *{id}* no encontrada en esta conversación.',
+        schedule_cancelled: '🗑️ Informe *{id}* cancelado.',
+        schedule_invalid_cron: 'Expresión cron no válida: {cron}',
+        schedule_no_question: 'Indica la pregunta del informe',
+        schedule_limit: 'Se alcanzó el límite de {max} programaciones por conversación',
+        report_title: '⏰ *Informe programado* ({description})',
+        report_failed: '🤖 No fue posible generar el informe.',
+
+        alert_unavailable: '⚠️ Las alertas no están disponibles.',
+        alert_not_understood: '🤔 No entendí la condición de la alerta.\n\n*Ejemplos (en portugués):*\n• me avisa se qualified_leads passar de 500 hoje\n• alerta se aula_views cair 30% vs ontem\n• me avisa se engaged_leads ficar abaixo de 100',
+        alert_created: '🔔 *¡Alerta creada!*',
+        alert_check_interval: '⏱️ Verificación cada {minutes} min',
+        alert_remove_hint: '💡 Para eliminar: */cancelaralerta {id}*',
+        alerts_none: '🔕 No hay alertas activas en esta conversación.\n\n💡 Ej: */alertar se qualified_leads passar de 500 hoje*',
+        alerts_title: '🔔 *Alertas activas* ({count})',
+        alert_last_value: '📊 último valor: {value}',
+        alert_last_fired: ' · se disparó el {date}',
+        alert_not_found: '❓ Alerta *{id}* no encontrada en esta conversación.',
+        alert_removed: '🔕 Alerta *{id}* eliminada.',
+        alert_limit: 'Se alcanzó el límite de {max} alertas por conversación',
+        alert_table_not_found: 'Tabla {table} no encontrada',
+        alert_column_not_found: 'La columna {column} no existe en {table}',
+        alert_no_date_column: 'La tabla {table} no tiene columna de fecha para comparar por día',
+        alert_subject_distinct: '{column} distintos en {table}',
+        alert_today: ' hoy',
+        alert_yesterday: 'ayer',
+        alert_last_week: 'la semana pasada',
+        alert_above: '{subject}{period} por encima de {threshold}',
+        alert_below: '{subject}{period} por debajo de {threshold}',
+        alert_drop: '{subject} caer {threshold}% vs {baseline}',
+        alert_rise: '{subject} subir {threshold}% vs {baseline}',
+        alert_fired: '🚨 *¡Alerta disparada!*',
+        alert_value: '📊 Valor actual: *{value}*',
+        alert_reference: '📉 Referencia ({baseline}, misma hora): {value}',
+        alert_change: '↕️ Variación: *{change}%*',
+        alert_disable_hint: '💡 Para desactivar: */cancelaralerta {id}*',
+
+        commands: {
+            tabelas: { usage: '/tabelas', description: 'Lista las tablas disponibles' },
+            schema: { usage: '/schema <tabla>', description: 'Muestra las columnas y el total de registros de una tabla' },
+            sql: { usage: '/sql <SELECT ...>', description: 'Ejecuta una consulta SELECT directamente' },
+            contar: { usage: '/contar <tabla> [columna=valor ...]', description: 'Cuenta registros con filtros opcionales (=, !=, >, >=, <, <=, ~ contiene)' },
+            reset: { usage: '/reset', description: 'Borra el contexto de la conversación' },
+            export: { usage: '/export [xlsx|csv]', description: 'Exporta el último resultado como hoja de cálculo' },
+            agendar: { usage: '/agendar <cron> <pregunta>', description: 'Programa un informe recurrente (ej: /agendar 0 8 * * * leads de ayer)' },
+            agendamentos: { usage: '/agendamentos', description: 'Lista los informes programados de esta conversación' },
+            cancelar: { usage: '/cancelar <id>', description: 'Cancela un informe programado' },
+            alertar: { usage: '/alertar se <tabla> <condición>', description: 'Crea una alerta (ej: /alertar se qualified_leads passar de 500 hoje)' },
+            alertas: { usage: '/alertas', description: 'Lista las alertas de esta conversación' },
+            cancelaralerta: { usage: '/cancelaralerta <id>', description: 'Elimina una alerta' },
+            avaliacoes: { usage: '/avaliacoes [cantidad]', description: 'Preguntas peor valoradas (👎, "incorrecto") y el SQL generado' },
+            ajuda: { usage: '/ajuda [comando]', description: 'Lista los comandos o explica un comando' }
+        },
+
+        identity: {
+            description: 'Soy tu Científico de Datos y Especialista en BI de la plataforma AICODEPRO / AI PRO EXPERT. Actúo como un analista sénior, capaz de ejecutar consultas SQL complejas, generar insights estratégicos y crear análisis avanzados sobre alumnos, leads y engagement de los cursos.',
+            focus: 'Cursos y entrenamientos de Inteligencia Artificial, Automatización y Programación',
+            knownTables: {
+                aula_views: 'Visualizaciones de clases (email, clase, timestamp, dispositivo, session_id)',
+                aula_navigations: 'Navegación entre clases (origen, destino, patrones de estudio)',
+                qualified_leads: 'Leads calificados para conversión (interés real demostrado)',
+                engaged_leads: 'Leads con alto engagement (múltiples interacciones)',
+                unified_leads: 'Base consolidada de todos los leads',
+                script_downloads: 'Descargas de scripts y materiales complementarios',
+                social_actions: 'Interacciones en redes sociales (Facebook, Instagram, LinkedIn)',
+                whatsapp_actions: 'Acciones e interacciones vía WhatsApp'
+            },
+            capabilities: [
+                {
+                    category: '🧪 CIENCIA DE DATOS',
+                    items: [
+                        'Consultas SQL complejas con JOINs, subconsultas y CTEs',
+                        'Análisis estadísticos (medias, medianas, desviación estándar)',
+                        'Segmentación y clustering de usuarios',
+                        'Análisis de cohortes y retención',
+                        'Detección de patrones y anomalías'
+                    ]
+                },
+                {
+                    category: '📊 BUSINESS INTELLIGENCE',
+                    items: [
+                        'Dashboards y KPIs de negocio',
+                        'Análisis del embudo de conversión',
+                        'Métricas de engagement y retención',
+                        'Comparativos período a período',
+                        'ROI de campañas y canales'
+                    ]
+                },
+                {
+                    category: '🎓 ANÁLISIS EDUCATIVO',
+                    items: [
+                        'Rendimiento de alumnos por clase/módulo',
+                        'Patrones de navegación y estudio',
+                        'Tasa de finalización y abandono',
+                        'Identificación de alumnos en riesgo',
+                        'Eficacia del contenido por engagement'
+                    ]
+                },
+                {
+                    category: '🔍 CONSULTAS AVANZADAS',
+                    items: [
+                        'GROUP BY con múltiples dimensiones',
+                        'Window functions (ranking, totales acumulados)',
+                        'Agregaciones condicionales (CASE WHEN)',
+                        'JOINs entre múltiples tablas',
+                        'Filtros temporales y segmentaciones'
+                    ]
+                }
+            ],
+            examples: [
+                '¿Cuál es la tasa de conversión de leads por fuente de adquisición?',
+                'Haz un análisis de cohortes de los alumnos por mes de entrada',
+                '¿Cuáles son los 10 alumnos más comprometidos?',
+                'Compara el engagement de esta semana vs la semana pasada',
+                '¿Cuál es el embudo completo: lead → calificado → comprometido?',
+                'Muestra la distribución de accesos por día de la semana'
+            ]
+        }
+    },
+
+    en: {
+        locale: 'en-US',
+
+        error_generic: '🤖 Sorry, something went wrong while processing your message. Please try again.',
+        no_response: "🤖 Sorry, I couldn't process your message right now.",
+        ai_error: "🤖 Sorry, I couldn't process your request. Please check that your message is clear and try again.",
+        busy: "⏳ Still working on your previous question. This one will be answered next!",
+        audio_failed: "🎙️ I couldn't understand the audio. Could you repeat it or send your question as text?",
+        audio_heard: '🎙️ *I heard:* "{text}"',
+        feedback_negative: "📝 Thanks for letting me know! I've recorded that this answer wasn't right.\n\n💡 If you can, rephrase the question with more detail (table, period, filter) and I'll try again.",
+        feedback_positive: '📝 Thanks for the feedback!',
+
+        handoff_started: "🙋 I've called an analyst from the team. From now on they'll answer here.\n\n💡 Send *back to bot* whenever you want me to answer again.",
+        handoff_unavailable: "🙋 Human support isn't available right now. Keep asking and I'll do my best to help!",
+        handoff_already: "🙋 You're already talking to an analyst. Your messages are being forwarded.",
+        handoff_reply: '👤 *Analyst:* {text}',
+        handoff_resumed: "🤖 Human support ended. I'm answering automatically again!",
+        handoff_timeout: "🤖 Human support was closed due to inactivity. I'm answering automatically again!",
+
+        progress_coordinator: '🧠 Understanding your question...',
+        progress_query: '🔍 Querying {tables}...',
+        progress_analyst: '📊 Analyzing the results...',
+        progress_formatter: '✍️ Preparing the answer...',
+        progress_any_table: 'the data',
+
+        processing_error: '🤖 Sorry, I ran into an error while analyzing your request: {error}',
+        clarify_title: "🤔 I'm not sure which table to use for:",
+        clarify_hint: '💡 Reply with the option number.',
+        page_no_listing: "📋 I couldn't find a recent listing to continue.\n\n💡 Ask for a list first (e.g. \"show the latest leads\") and then send *more*.",
+        page_out_of_range: '📭 The *{table}* listing only has {pages} page(s).',
+        page_error: '❌ *Error fetching page {page}*\n\n{error}',
+        cache_hint: '💾 Result from {minutes} min ago. Send *refresh* to query again.',
+        cache_cleared: '🧹 Answer cache cleared ({count} answer(s)). Next questions will query the database again.',
+
+        records: 'records',
+        record: 'record',
+        page_title: '📋 *{table}* - page {number}',
+        page_of: ' of {total}',
+        page_empty: '📭 There are no more records in this listing.',
+        page_range: '📊 Records {from}-{to}',
+        page_hint: '💡 Send *more* for the next page or *page N* to jump.',
+        records_none: '📋 *{table}* - No records found',
+        records_none_hint: '💡 Try adjusting the filters or check whether the data exists.',
+        filters_applied: '🔍 *Filters applied:*',
+        filters: '🔍 *Filters:* ',
+        records_truncated: '⚠️ Showing only {shown} of {total} records.',
+        records_more_hint: '💡 Send *more* to see the next ones or use more specific filters.',
+        count_title: '📊 *Count - {table}*',
+        count_total: '🔢 Total records: *{count}*',
+        count_none: '💡 No records found matching the given criteria.',
+        count_one: '💡 Only 1 record found.',
+        count_hint: '💡 Use "show the {limit} {table}" to see the records.',
+        error_title: '❌ *Error processing request*',
+        error_attempt: '🎯 *Attempt:* {explanation}',
+        error_detail: '🔍 *Error:* {error}',
+        error_suggest_table: '💡 *Suggestion:* The table may not exist. Try:\n• "how many tables are there?" to see the available tables\n• Checking that the table name is correct',
+        error_suggest_column: '💡 *Suggestion:* Column problem. Try:\n• Checking that the column name is correct\n• Using simpler terms in the search',
+        error_suggest_generic: '💡 *Suggestion:* Try rephrasing your question or use:\n• "how many tables are there?" to see what is available\n• Simpler questions like "how many customers are there?"',
+        tables_none: '📊 No tables found in the database.',
+        tables_title: '📊 *Available Tables* ({count} found)',
+        tables_columns: '{count} columns',
+        tables_more_columns: '+{count} more',
+        tables_tip: '💡 *Tip:* You can ask about any of these tables!',
+        generic_title: '🤖 *Result*',
+        generic_data: '📊 Data: {data}',
+        format_error: '🤖 Sorry, an error occurred while formatting the response.',
+        value_yes: '✅ Yes',
+        value_no: '❌ No',
+        operator_like: 'contains',
+        operator_in: 'in',
+        operator_is: 'is',
+        chart_title: '{values} by {label}',
+        chart_empty: '(empty)',
+
+        capabilities_tables: '🗄️ *AVAILABLE TABLES:*',
+        capabilities_examples: '💡 *EXAMPLES OF WHAT YOU CAN ASK ME:*',
+        capabilities_tip: "🎯 *TIP:* Ask questions in plain language about students, leads or engagement!\n\nJust send your question and I'll analyze the data for you! 🚀",
+        greetings: [
+            '👋 Hi! I am *{name}*.\n\n{description}\n\n💡 Ask "what can you do?" to see everything I can help with!',
+            '🤖 Hello! I am ready to help with data analysis.\n\nType your question or ask for "help" to see what I can do.'
+        ],
+        thanks: [
+            "😊 You're welcome! I'm here to help.\n\nIf you need another analysis, just ask!",
+            '🙏 Anytime! Send me any question about the data.'
+        ],
+        status_title: '✅ *System Operational*',
+        status_model: '🤖 Model: {model}',
+        status_tables: '📊 Cached tables: {count}',
+        status_sessions: '👥 Active sessions: {count}',
+        status_answer_cache: '💾 Cached answers: {count} ({rate}% hit rate)',
+        status_mcp: '🔧 MCP Server: {state}',
+        status_active: 'Active',
+        status_inactive: 'Inactive',
+        status_ready: 'Ready to process your queries! 🚀',
+
+        access_restricted: '🔒 Hi! This data assistant is restricted to the authorized team.\n\nIf you need access, contact the bot administrator.',
+        ai_unavailable: '🤖 The AI system is not available. Please try again in a moment.',
+        format_error: '🤖 Error formatting the response.',
+        denied_read: '🔒 Your profile is not allowed to query the data.',
+        denied_export: '🔒 Your profile is not allowed to export spreadsheets.',
+        denied_tables: '🔒 Your profile (*{role}*) has no access to: *{tables}*.',
+        denied_table: '🔒 Your profile has no access to the table *{table}*.',
+
+        export_no_result: '📁 I could not find a recent query to export.\n\n💡 Ask a question about the data first and then ask "export this as a spreadsheet".',
+        export_empty: '📁 The last query returned no records to export.',
+        export_done: '📁 *Export finished*\n\n📋 {count} records in {format}',
+        export_truncated: '⚠️ Limit of {max} rows reached.',
+        export_error: '❌ *Export error*\n\n{error}',
+
+        cmd_unknown: '❓ Unknown command: */{name}*',
+        cmd_unknown_hint: '💡 Send */help* to see the available commands.',
+        cmd_denied: '🚫 You are not allowed to use */{name}*.',
+        cmd_error: '❌ *Error in /{name}*\n\n{error}',
+        cmd_usage: '⚠️ *Usage:* {usage}\n\n{description}',
+        table_invalid: '⚠️ Invalid table name: {table}',
+        table_rows: '🔢 Records: *{count}*',
+        table_columns: '📑 Columns ({count}):',
+        filter_invalid: '⚠️ Invalid filter: *{filter}*',
+        attempt_describe: 'Describe {table}',
+        attempt_sql: 'Run SQL',
+        attempt_count: 'Count {table}',
+        session_reset: '🧹 Conversation context cleared. You can start a new analysis!',
+        help_title: '⌨️ *Available commands*',
+        help_hint: '💡 Send */help <command>* for details.',
+        help_usage: '*Usage:* {usage}',
+        help_aliases: '*Shortcuts:* {aliases}',
+        feedback_unavailable: '⚠️ Feedback log is not available.',
+        feedback_none: '📭 No badly rated answers so far ({positive} 👍).',
+        feedback_title: '📝 *Worst rated answers* ({negative} 👎 · {positive} 👍 in total)',
+
+        schedule_unavailable: '⚠️ Report scheduling is not available.',
+        schedule_not_understood: '🤔 I did not understand the report schedule.\n\n*Examples (in Portuguese):*\n• todo dia às 8h me manda leads qualificados de ontem\n• toda segunda às 9h30 me envia o resumo de aula_views\n• /agendar 0 18 * * 1-5 today\'s accesses',
+        schedule_created: '⏰ *Report scheduled!*',
+        schedule_next_run: '📅 Next delivery: {date}',
+        schedule_cancel_hint: '💡 To cancel: */cancelar {id}*',
+        schedules_none: '📭 No scheduled reports in this conversation.\n\n💡 E.g.: */agendar 0 8 * * * yesterday\'s leads*',
+        schedules_title: '⏰ *Scheduled reports* ({count})',
+        schedule_next: ' · next: {date}',
+        schedule_not_found: '❓ Schedule *{id}* not found in this conversation.',
+        schedule_cancelled: '🗑️ Report *{id}* cancelled.',
+        schedule_invalid_cron: 'Invalid cron expression: {cron}',
+        schedule_no_question: 'Tell me the report question',
+        schedule_limit: 'Limit of {max} schedules per conversation reached',
+        report_title: '⏰ *Scheduled report* ({description})',
+        report_failed: '🤖 The report could not be generated.',
+
+        alert_unavailable: '⚠️ Alerts are not available.',
+        alert_not_understood: '🤔 I did not understand the alert condition.\n\n*Examples (in Portuguese):*\n• me avisa se qualified_leads passar de 500 hoje\n• alerta se aula_views cair 30% vs ontem\n• me avisa se engaged_leads ficar abaixo de 100',
+        alert_created: '🔔 *Alert created!*',
+        alert_check_interval: '⏱️ Checked every {minutes} min',
+        alert_remove_hint: '💡 To remove: */cancelaralerta {id}*',
+        alerts_none: '🔕 No active alerts in this conversation.\n\n💡 E.g.: */alertar se qualified_leads passar de 500 hoje*',
+        alerts_title: '🔔 *Active alerts* ({count})',
+        alert_last_value: '📊 last value: {value}',
+        alert_last_fired: ' · fired on {date}',
+        alert_not_found: '❓ Alert *{id}* not found in this conversation.',
+        alert_removed: '🔕 Alert *{id}* removed.',
+        alert_limit: 'Limit of {max} alerts per conversation reached',
+        alert_table_not_found: 'Table {table} not found',
+        alert_column_not_found: 'Column {column} does not exist in {table}',
+        alert_no_date_column: 'Table {table} has no date column to compare by day',
+        alert_subject_distinct: 'distinct {column} in {table}',
+        alert_today: ' today',
+        alert_yesterday: 'yesterday',
+        alert_last_week: 'last week',
+        alert_above: '{subject}{period} above {threshold}',
+        alert_below: '{subject}{period} below {threshold}',
+        alert_drop: '{subject} drops {threshold}% vs {baseline}',
+        alert_rise: '{subject} rises {threshold}% vs {baseline}',
+        alert_fired: '🚨 *Alert fired!*',
+        alert_value: '📊 Current value: *{value}*',
+        alert_reference: '📉 Reference ({baseline}, same time): {value}',
+        alert_change: '↕️ Change: *{change}%*',
+        alert_disable_hint: '💡 To disable: */cancelaralerta {id}*',
+
+        commands: {
+            tabelas: { usage: '/tables', description: 'Lists the available tables' },
+            schema: { usage: '/schema <table>', description: 'Shows the columns and record count of a table' },
+            sql: { usage: '/sql <SELECT ...>', description: 'Runs a SELECT query directly' },
+            contar: { usage: '/count <table> [column=value ...]', description: 'Counts records with optional filters (=, !=, >, >=, <, <=, ~ contains)' },
+            reset: { usage: '/reset', description: 'Clears the conversation context' },
+            export: { usage: '/export [xlsx|csv]', description: 'Exports the last result as a spreadsheet' },
+            agendar: { usage: '/agendar <cron> <question>', description: 'Schedules a recurring report (e.g.: /agendar 0 8 * * * yesterday\'s leads)' },
+            agendamentos: { usage: '/agendamentos', description: 'Lists the scheduled reports of this conversation' },
+            cancelar: { usage: '/cancelar <id>', description: 'Cancels a scheduled report' },
+            alertar: { usage: '/alertar se <table> <condition>', description: 'Creates an alert (e.g.: /alertar se qualified_leads passar de 500 hoje)' },
+            alertas: { usage: '/alertas', description: 'Lists the alerts of this conversation' },
+            cancelaralerta: { usage: '/cancelaralerta <id>', description: 'Removes an alert' },
+            avaliacoes: { usage: '/feedback [amount]', description: 'Worst rated questions (👎, "wrong") and the generated SQL' },
+            ajuda: { usage: '/help [command]', description: 'Lists the commands or explains one command' }
+        },
+
+        identity: {
+            description: 'I am your Data Scientist and BI Specialist for the AICODEPRO / AI PRO EXPERT platform. I work like a senior analyst, able to run complex SQL queries, generate strategic insights and build advanced analyses about students, leads and course engagement.',
+            focus: 'Courses and training in Artificial Intelligence, Automation and Programming',
+            knownTables: {
+                aula_views: 'Lesson views (email, lesson, timestamp, device, session_id)',
+                aula_navigations: 'Navigation between lessons (origin, destination, study patterns)',
+                qualified_leads: 'Leads qualified for conversion (real interest shown)',
+                engaged_leads: 'Highly engaged leads (multiple interactions)',
+                unified_leads: 'Consolidated base of all leads',
+                script_downloads: 'Downloads of scripts and supplementary materials',
+                social_actions: 'Social media interactions (Facebook, Instagram, LinkedIn)',
+                whatsapp_actions: 'WhatsApp actions and interactions'
+            },
+            capabilities: [
+                {
+                    category: '🧪 DATA SCIENCE',
+                    items: [
+                        'Complex SQL queries with JOINs, subqueries and CTEs',
+                        'Statistical analysis (means, medians, standard deviation)',
+                        'User segmentation and clustering',
+                        'Cohort and retention analysis',
+                        'Pattern and anomaly detection'
+                    ]
+                },
+                {
+                    category: '📊 BUSINESS INTELLIGENCE',
+                    items: [
+                        'Business dashboards and KPIs',
+                        'Conversion funnel analysis',
+                        'Engagement and retention metrics',
+                        'Period-over-period comparisons',
+                        'Campaign and channel ROI'
+                    ]
+                },
+                {
+                    category: '🎓 EDUCATIONAL ANALYTICS',
+                    items: [
+                        'Student performance by lesson/module',
+                        'Navigation and study patterns',
+                        'Completion and drop-off rates',
+                        'At-risk student identification',
+                        'Content effectiveness by engagement'
+                    ]
+                },
+                {
+                    category: '🔍 ADVANCED QUERIES',
+                    items: [
+                        'GROUP BY with multiple dimensions',
+                        'Window functions (ranking, running totals)',
+                        'Conditional aggregations (CASE WHEN)',
+                        'JOINs across multiple tables',
+                        'Time filters and segmentations'
+                    ]
+                }
+            ],
+            examples: [
+                'What is the lead conversion rate by acquisition source?',
+                'Run a cohort analysis of students by month of entry',
+                'Who are the top 10 most engaged students?',
+                'Compare this week\'s engagement vs last week',
+                'What is the full funnel: lead → qualified → engaged?',
+                'Show the distribution of accesses by day of the week'
+            ]
+        }
+    }
+};
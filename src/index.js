@@ -1,11 +1,17 @@
 const express = require('express');
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const qrcode = require('qrcode-terminal');
 const dotenv = require('dotenv');
-const WhatsAppBot = require('./whatsapp/bot');
+const { createChannels, MessageHandler } = require('./channels');
 const MultiAgentSystem = require('./ai/multiagent-system');
 const SupabaseExecutor = require('./supabase/executor');
 const ResponseFormatter = require('./formatters/response');
+const { createTranscriber } = require('./audio');
+const ChartRenderer = require('./charts/chart-renderer');
+const CommandRouter = require('./commands/command-router');
+const UserRegistry = require('./auth/user-registry');
+const ReportScheduler = require('./scheduler/report-scheduler');
+const AlertManager = require('./alerts/alert-manager');
+const FeedbackStore = require('./feedback/feedback-store');
+const HandoffManager = require('./handoff/handoff-manager');
 
 // Carrega variáveis de ambiente
 dotenv.config();
@@ -26,9 +32,14 @@ class WhatsAppAISystem {
         this.app = express();
         this.port = process.env.PORT || 8080;
         this.whatsappBot = null;
+        this.channels = [];
+        this.messageHandler = null;
         this.aiAgent = null;
         this.supabaseExecutor = null;
         this.responseFormatter = null;
+        this.reportScheduler = null;
+        this.alertManager = null;
+        this.handoffManager = null;
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -52,6 +63,8 @@ class WhatsAppAISystem {
             res.json({
                 status: 'healthy',
                 whatsapp: this.whatsappBot?.isReady || false,
+                channels: this.channels.map(channel => channel.getStatus()),
+                queue: this.messageHandler?.queue.getStats() || null,
                 supabase: this.supabaseExecutor?.isConnected || false,
                 ai: this.aiAgent?.isReady || false
             });
@@ -83,18 +96,78 @@ class WhatsAppAISystem {
             this.aiAgent = new MultiAgentSystem(this.supabaseExecutor);
             console.log('✅ MultiAgentSystem inicializado');
             
-            this.whatsappBot = new WhatsAppBot(this.aiAgent, this.responseFormatter);
-            console.log('✅ WhatsAppBot inicializado');
+            const transcriber = createTranscriber();
+            console.log(`✅ Transcrição de áudio: ${transcriber ? transcriber.name : 'desativada'}`);
+
+            // Gráficos são rasterizados no Chromium do próprio whatsapp-web.js
+            const chartRenderer = new ChartRenderer({
+                getBrowser: () => this.whatsappBot?.client?.pupBrowser
+            });
+
+            const userRegistry = new UserRegistry();
+
+            // Relatórios agendados e alertas voltam pelo canal onde foram criados
+            const sendMessage = (chatId, text, channel) => this.messageHandler.sendMessage(chatId, text, channel);
+
+            this.reportScheduler = new ReportScheduler({
+                aiAgent: this.aiAgent,
+                userRegistry,
+                sendMessage
+            });
+
+            this.alertManager = new AlertManager({
+                supabaseExecutor: this.supabaseExecutor,
+                userRegistry,
+                sendMessage
+            });
+
+            const feedbackStore = new FeedbackStore();
+
+            // "Falar com humano": conversa repassada ao operador (HANDOFF_OPERATOR)
+            this.handoffManager = new HandoffManager({ sendMessage });
+
+            const commandRouter = new CommandRouter({
+                supabaseExecutor: this.supabaseExecutor,
+                aiAgent: this.aiAgent,
+                responseFormatter: this.responseFormatter,
+                reportScheduler: this.reportScheduler,
+                alertManager: this.alertManager,
+                feedbackStore
+            });
+
+            // Pipeline único atendendo todos os canais configurados (CHANNELS)
+            this.messageHandler = new MessageHandler(this.aiAgent, this.responseFormatter, {
+                userRegistry,
+                transcriber,
+                chartRenderer,
+                commandRouter,
+                feedbackStore,
+                handoff: this.handoffManager
+            });
+
+            this.channels = createChannels(process.env.CHANNELS, { app: this.app });
+            if (this.channels.length === 0) {
+                throw new Error('Nenhum canal válido configurado em CHANNELS');
+            }
+            this.channels.forEach(channel => this.messageHandler.addChannel(channel));
+            this.whatsappBot = this.channels.find(channel => channel.name === 'whatsapp') || null;
+            console.log(`✅ Canais: ${this.channels.map(channel => channel.name).join(', ')}`);
 
             // Testa conexão com Supabase
             console.log('🔗 Testando conexão com Supabase...');
             await this.supabaseExecutor.testConnection();
             console.log('✅ Conexão com Supabase estabelecida');
 
-            // Inicializa WhatsApp Bot
-            console.log('📱 Inicializando WhatsApp Bot...');
-            await this.whatsappBot.initialize();
-            console.log('✅ WhatsApp Bot inicializado');
+            // Inicializa os canais
+            for (const channel of this.channels) {
+                console.log(`🔌 Inicializando canal ${channel.name}...`);
+                await channel.initialize();
+                console.log(`✅ Canal ${channel.name} inicializado`);
+            }
+
+            this.reportScheduler.start();
+            this.alertManager.start();
+            this.handoffManager.start();
 
             // Inicia servidor Express
             this.app.listen(this.port, () => {
@@ -115,9 +188,19 @@ class WhatsAppAISystem {
         console.log('🛑 Encerrando sistema...');
         
         try {
-            if (this.whatsappBot) {
-                console.log('📱 Encerrando WhatsApp Bot...');
-                await this.whatsappBot.destroy();
+            if (this.reportScheduler) {
+                this.reportScheduler.stop();
+            }
+            if (this.alertManager) {
+                this.alertManager.stop();
+            }
+            if (this.handoffManager) {
+                this.handoffManager.stop();
+            }
+
+            for (const channel of this.channels) {
+                console.log(`🔌 Encerrando canal ${channel.name}...`);
+                await channel.destroy();
             }
             
             global.systemRunning = false;
@@ -9,6 +9,8 @@ const { Server } = require('@modelcontextprotocol/sdk/server/index.js');
 const { StdioServerTransport } = require('@modelcontextprotocol/sdk/server/stdio.js');
 const { CallToolRequestSchema, ListToolsRequestSchema } = require('@modelcontextprotocol/sdk/types.js');
 const { createClient } = require('@supabase/supabase-js');
+const SqlTranslator = require('../sql/sql-translator');
+const SqlGuard = require('../sql/sql-guard');
 
 class SupabaseMCPServer {
     constructor() {
@@ -29,6 +31,11 @@ class SupabaseMCPServer {
             process.env.SUPABASE_KEY
         );
 
+        // Tradução de SQL para a API REST quando a RPC execute_custom_query não existe
+        this.sqlTranslator = new SqlTranslator();
+        // Política de SQL somente leitura (instrução única, tabelas, funções, LIMIT, timeout)
+        this.sqlGuard = new SqlGuard({ translator: this.sqlTranslator });
+
         this.setupToolHandlers();
         this.setupResourceHandlers();
     }
@@ -91,7 +98,7 @@ class SupabaseMCPServer {
                                         type: 'object',
                                         properties: {
                                             column: { type: 'string' },
-                                            operator: { type: 'string', enum: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike'] },
+                                            operator: { type: 'string', enum: ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'in', 'is', 'or', 'not.in', 'not.is', 'not.like', 'not.ilike'] },
                                             value: { type: 'string' }
                                         }
                                     }
@@ -128,16 +135,26 @@ class SupabaseMCPServer {
                                     }
                                 },
                                 order_by: {
-                                    type: 'object',
-                                    properties: {
-                                        column: { type: 'string' },
-                                        ascending: { type: 'boolean', default: true }
+                                    type: 'array',
+                                    description: 'Ordenação por uma ou mais colunas',
+                                    items: {
+                                        type: 'object',
+                                        properties: {
+                                            column: { type: 'string' },
+                                            ascending: { type: 'boolean', default: true },
+                                            nullsFirst: { type: 'boolean' }
+                                        }
                                     }
                                 },
                                 limit: {
                                     type: 'integer',
                                     description: 'Número máximo de registros',
                                     default: 10
+                                },
+                                offset: {
+                                    type: 'integer',
+                                    description: 'Registros a pular (paginação)',
+                                    default: 0
                                 }
                             },
                             required: ['table_name'],
@@ -395,21 +412,17 @@ class SupabaseMCPServer {
 
     async queryRecords(args) {
         try {
-            const { table_name, columns, filters, order_by, limit } = args;
+            const { table_name, columns, filters, order_by, limit, offset } = args;
 
             let query = this.supabase.from(table_name);
 
             // Seleciona colunas - CORRIGIDO: valida colunas antes de usar
             if (columns && columns.length > 0) {
-                // Remove colunas com funções SQL que o Supabase não suporta via REST
-                const validColumns = columns.filter(col => {
-                    const cleanCol = col.trim();
-                    return !cleanCol.includes('(') &&
-                           !cleanCol.includes('count') &&
-                           !cleanCol.includes('case') &&
-                           !cleanCol.includes('when') &&
-                           cleanCol.length > 0;
-                });
+                // Só nomes de coluna (opcionalmente "alias:coluna" ou "dados->>campo");
+                // expressões SQL não existem na API REST
+                const validColumns = columns
+                    .map(col => col.trim())
+                    .filter(col => col === '*' || /^([a-z_]\w*:)?[a-z_]\w*((->>?)\w+)*$/i.test(col));
                 
                 if (validColumns.length > 0) {
                     query = query.select(validColumns.join(', '));
@@ -424,13 +437,21 @@ class SupabaseMCPServer {
             // Aplica filtros
             query = this.applyFilters(query, filters || []);
 
-            // Aplica ordenação
+            // Aplica ordenação (objeto ou lista para várias colunas)
             if (order_by) {
-                query = query.order(order_by.column, { ascending: order_by.ascending });
+                (Array.isArray(order_by) ? order_by : [order_by]).forEach(order => {
+                    const options = { ascending: order.ascending !== false };
+                    if (order.nullsFirst !== undefined) {
+                        options.nullsFirst = order.nullsFirst;
+                    }
+                    query = query.order(order.column, options);
+                });
             }
 
-            // Aplica limite
-            if (limit) {
+            // Aplica limite (com offset, usa range)
+            if (offset) {
+                query = query.range(offset, offset + (limit || 10) - 1);
+            } else if (limit) {
                 query = query.limit(limit);
             }
 
@@ -504,20 +525,21 @@ class SupabaseMCPServer {
 
     async executeSQL(query, parameters = []) {
         try {
-            // Validação básica de segurança
-            if (!query.toLowerCase().trim().startsWith('select')) {
-                throw new Error('Apenas queries SELECT são permitidas');
+            // Política de segurança: uma única consulta somente leitura
+            const guarded = this.sqlGuard.check(query, 'mcp');
+            if (!guarded.allowed) {
+                throw new Error(`SQL bloqueado: ${guarded.reason}`);
             }
 
             // Tenta usar RPC execute_custom_query primeiro
             try {
-                const { data, error } = await this.supabase.rpc('execute_custom_query', {
-                    query_text: query,
+                const { data, error } = await this.sqlGuard.withClientTimeout(this.supabase.rpc('execute_custom_query', {
+                    query_text: guarded.sql,
                     query_params: parameters
-                });
+                }), guarded.sql, 'mcp');
 
                 if (error) {
-                    throw new Error(error.message);
+                    throw Object.assign(new Error(error.message), { code: error.code });
                 }
 
                 return {
@@ -525,7 +547,7 @@ class SupabaseMCPServer {
                         {
                             type: 'text',
                             text: JSON.stringify({
-                                query: query,
+                                query: guarded.sql,
                                 parameters: parameters,
                                 result: Array.isArray(data) ? data : [data],
                                 method: 'rpc_execute_custom_query'
@@ -534,6 +556,11 @@ class SupabaseMCPServer {
                     ],
                 };
             } catch (rpcError) {
+                // Consulta lenta demais: não repete pela API REST
+                if (this.sqlGuard.isTimeout(rpcError)) {
+                    throw rpcError;
+                }
+
                 console.log('⚠️ RPC execute_custom_query falhou, tentando fallback...');
                 
                 // Fallback: Converte SQL simples para operações Supabase
@@ -545,63 +572,30 @@ class SupabaseMCPServer {
         }
     }
 
+    /**
+     * Sem a RPC: traduz o SQL para count_records / aggregate_data / query_records
+     * e recusa com o motivo o que a API REST não executa igual (JOIN, GROUP BY...)
+     */
     async executeSimpleSQLFallback(query) {
-        const sql = query.toLowerCase().trim();
-        
-        // Para COUNT simples
-        if (sql.includes('count(*)') && sql.includes('from')) {
-            const tableMatch = sql.match(/from\s+(\w+)/);
-            if (tableMatch) {
-                const tableName = tableMatch[1];
-                
-                // Detecta WHERE simples
-                let filters = [];
-                if (sql.includes('where')) {
-                    const whereMatch = sql.match(/where\s+(\w+)\s*=\s*'([^']+)'/);
-                    if (whereMatch) {
-                        filters = [{
-                            column: whereMatch[1],
-                            operator: 'eq',
-                            value: whereMatch[2]
-                        }];
-                    }
-                }
-                
-                return await this.countRecords(tableName, filters);
-            }
+        const translation = this.sqlTranslator.translate(query);
+        if (!translation.supported) {
+            throw new Error(`Query SQL não suportada pelo fallback: ${translation.reason}`);
         }
-        
-        // Para SELECT simples
-        if (sql.includes('select') && sql.includes('from')) {
-            const tableMatch = sql.match(/from\s+(\w+)/);
-            if (tableMatch) {
-                const tableName = tableMatch[1];
-                
-                const args = { table_name: tableName };
-                
-                // Detecta WHERE
-                if (sql.includes('where')) {
-                    const whereMatch = sql.match(/where\s+(\w+)\s*=\s*'([^']+)'/);
-                    if (whereMatch) {
-                        args.filters = [{
-                            column: whereMatch[1],
-                            operator: 'eq',
-                            value: whereMatch[2]
-                        }];
-                    }
-                }
-                
-                // Detecta LIMIT
-                const limitMatch = sql.match(/limit\s+(\d+)/);
-                if (limitMatch) {
-                    args.limit = parseInt(limitMatch[1]);
-                }
-                
+
+        const { operation, ...args } = translation.query;
+        if (operation === 'query_records') {
+            // Mesmo teto de linhas do SQL enviado à RPC
+            args.limit = Math.min(args.limit || this.sqlGuard.maxRows, this.sqlGuard.maxRows);
+        }
+
+        switch (operation) {
+            case 'count_records':
+                return await this.countRecords(args.table_name, args.filters);
+            case 'count_distinct':
+                return await this.aggregateData({ ...args, operation });
+            default:
                 return await this.queryRecords(args);
-            }
         }
-        
-        throw new Error('Query SQL não suportada pelo fallback');
     }
 
     applyFilters(query, filters) {
@@ -633,6 +627,24 @@ class SupabaseMCPServer {
                 case 'ilike':
                     query = query.ilike(column, value);
                     break;
+                case 'in':
+                    query = query.in(column, Array.isArray(value) ? value : [value]);
+                    break;
+                case 'is':
+                    query = query.is(column, value);
+                    break;
+                case 'or':
+                    // value no formato do PostgREST: "status.eq.novo,idade.gt.30"
+                    query = query.or(value);
+                    break;
+                case 'not.in':
+                    query = query.not(column, 'in', SqlTranslator.renderList(value));
+                    break;
+                case 'not.is':
+                case 'not.like':
+                case 'not.ilike':
+                    query = query.not(column, operator.substring(4), value);
+                    break;
                 default:
                     console.warn(`Operador não suportado: ${operator}`);
             }
@@ -0,0 +1,228 @@
+/**
+ * Expressão cron de 5 campos: minuto hora dia-do-mês mês dia-da-semana
+ * Suporta *, números, listas (1,15), intervalos (1-5) e passos (8-18/2).
+ * Avaliada no fuso informado (padrão America/Sao_Paulo).
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'dayOfWeek', min: 0, max: 7 } // 0 e 7 = domingo
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// Maior dia de cada mês que acontece todo ano (29/02 fica de fora: pode passar
+// mais de um ano sem acontecer e next() só procura até 366 dias à frente)
+const MONTH_DAYS = [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const MINUTE_MS = 60000;
+const SEARCH_LIMIT_MS = 366 * 24 * 60 * MINUTE_MS;
+
+// Intl.DateTimeFormat é caro de criar: um por fuso
+const FORMATTERS = new Map();
+
+class CronExpression {
+    constructor(expression) {
+        this.expression = String(expression || '').trim();
+        const parts = this.expression.split(/\s+/);
+
+        if (parts.length !== 5) {
+            throw new Error(`Expressão cron inválida (esperado 5 campos): "${this.expression}"`);
+        }
+
+        this.fields = {};
+        FIELDS.forEach((field, index) => {
+            this.fields[field.name] = this.parseField(parts[index], field);
+        });
+
+        // Domingo pode ser 0 ou 7
+        if (this.fields.dayOfWeek.has(7)) {
+            this.fields.dayOfWeek.add(0);
+        }
+
+        this.restrictedDayOfMonth = parts[2] !== '*';
+        this.restrictedDayOfWeek = parts[4] !== '*';
+
+        // "0 0 31 2 *" é sintaticamente válida, mas nunca executa
+        if (this.restrictedDayOfMonth && !this.restrictedDayOfWeek && !this.hasPossibleDay()) {
+            throw new Error(`Expressão cron sem data possível (dia ${parts[2]} no mês ${parts[3]}): "${this.expression}"`);
+        }
+    }
+
+    /**
+     * Algum dia do mês existe em algum dos meses da expressão
+     */
+    hasPossibleDay() {
+        const days = [...this.fields.dayOfMonth];
+        return [...this.fields.month].some(month => days.some(day => day <= MONTH_DAYS[month - 1]));
+    }
+
+    static isValid(expression) {
+        try {
+            new CronExpression(expression);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    parseField(text, { name, min, max }) {
+        const values = new Set();
+
+        for (const part of text.split(',')) {
+            const [range, stepText] = part.split('/');
+            const step = stepText !== undefined ? parseInt(stepText, 10) : 1;
+
+            let start;
+            let end;
+            if (range === '*') {
+                start = min;
+                end = max;
+            } else if (range.includes('-')) {
+                [start, end] = range.split('-').map(n => parseInt(n, 10));
+            } else {
+                start = parseInt(range, 10);
+                end = stepText !== undefined ? max : start;
+            }
+
+            if ([start, end, step].some(Number.isNaN) || start < min || end > max || start > end || step < 1) {
+                throw new Error(`Campo cron "${name}" inválido: "${part}"`);
+            }
+
+            for (let value = start; value <= end; value += step) {
+                values.add(value);
+            }
+        }
+
+        return values;
+    }
+
+    /**
+     * Verifica se a data (no fuso indicado) corresponde à expressão
+     */
+    matches(date = new Date(), timeZone = 'America/Sao_Paulo') {
+        const parts = CronExpression.getZonedParts(date, timeZone);
+        const { minute, hour } = this.fields;
+
+        return minute.has(parts.minute) && hour.has(parts.hour) && this.matchesDay(parts);
+    }
+
+    /**
+     * Mês e dia (do mês/da semana) dos componentes no fuso
+     */
+    matchesDay(parts) {
+        const { dayOfMonth, month, dayOfWeek } = this.fields;
+        if (!month.has(parts.month)) {
+            return false;
+        }
+
+        // Semântica padrão do cron: se ambos os dias são restritos, basta um casar
+        const domMatch = dayOfMonth.has(parts.dayOfMonth);
+        const dowMatch = dayOfWeek.has(parts.dayOfWeek);
+        if (this.restrictedDayOfMonth && this.restrictedDayOfWeek) {
+            return domMatch || dowMatch;
+        }
+        return domMatch && dowMatch;
+    }
+
+    /**
+     * Próxima execução a partir de "from" (até 366 dias à frente)
+     * Pula dias que não casam, depois horas, depois minutos
+     */
+    next(from = new Date(), timeZone = 'America/Sao_Paulo') {
+        const date = new Date(Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+        const limit = from.getTime() + SEARCH_LIMIT_MS;
+        const { minute, hour } = this.fields;
+
+        while (date.getTime() <= limit) {
+            const parts = CronExpression.getZonedParts(date, timeZone);
+            const minutesOfDay = parts.hour * 60 + parts.minute;
+
+            if (!this.matchesDay(parts)) {
+                // Vai para a meia-noite seguinte (no fuso)
+                this.advance(date, 24 * 60 - minutesOfDay, timeZone, parts.dayOfMonth);
+                continue;
+            }
+            if (!hour.has(parts.hour)) {
+                date.setTime(date.getTime() + (60 - parts.minute) * MINUTE_MS);
+                continue;
+            }
+            if (!minute.has(parts.minute)) {
+                const nextMinute = [...minute].filter(value => value > parts.minute).sort((a, b) => a - b)[0];
+                const step = nextMinute !== undefined ? nextMinute - parts.minute : 60 - parts.minute;
+                date.setTime(date.getTime() + step * MINUTE_MS);
+                continue;
+            }
+            return date;
+        }
+        return null;
+    }
+
+    /**
+     * Avança até a meia-noite seguinte; em dias com horário de verão o salto
+     * pode passar da meia-noite, e então volta para o início do novo dia
+     * (sem voltar ao dia anterior quando a meia-noite não existe no fuso)
+     */
+    advance(date, minutes, timeZone, fromDay) {
+        date.setTime(date.getTime() + minutes * MINUTE_MS);
+
+        const parts = CronExpression.getZonedParts(date, timeZone);
+        if (parts.dayOfMonth === fromDay || (parts.hour === 0 && parts.minute === 0)) {
+            return;
+        }
+
+        const start = new Date(date.getTime() - (parts.hour * 60 + parts.minute) * MINUTE_MS);
+        if (CronExpression.getZonedParts(start, timeZone).dayOfMonth === parts.dayOfMonth) {
+            date.setTime(start.getTime());
+        }
+    }
+
+    static getFormatter(timeZone) {
+        if (!FORMATTERS.has(timeZone)) {
+            FORMATTERS.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                weekday: 'short'
+            }));
+        }
+        return FORMATTERS.get(timeZone);
+    }
+
+    /**
+     * Componentes da data no fuso informado
+     */
+    static getZonedParts(date, timeZone) {
+        const parts = {};
+        CronExpression.getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+
+        return {
+            year: parseInt(parts.year, 10),
+            month: parseInt(parts.month, 10),
+            dayOfMonth: parseInt(parts.day, 10),
+            hour: parseInt(parts.hour, 10),
+            minute: parseInt(parts.minute, 10),
+            dayOfWeek: WEEKDAYS[parts.weekday]
+        };
+    }
+
+    /**
+     * Chave do minuto no fuso ("2025-01-31 08:00"), usada para não repetir execuções
+     */
+    static minuteKey(date, timeZone) {
+        const p = CronExpression.getZonedParts(date, timeZone);
+        const pad = n => String(n).padStart(2, '0');
+        return `${p.year}-${pad(p.month)}-${pad(p.dayOfMonth)} ${pad(p.hour)}:${pad(p.minute)}`;
+    }
+}
+
+module.exports = CronExpression;
@@ -0,0 +1,228 @@
+const fs = require('fs');
+const path = require('path');
+const CronExpression = require('./cron-expression');
+const { translate } = require('../i18n');
+
+/**
+ * Agendador de relatórios recorrentes
+ *
+ * Cada agendamento guarda a pergunta original, a expressão cron e o chat
+ * que recebe o resultado. A cada tick (padrão 30s) os agendamentos que
+ * casam com o minuto atual (fuso SCHEDULER_TIMEZONE) são executados pelo
+ * MultiAgentSystem e o resultado é enviado ao assinante.
+ *
+ * Persistência em JSON (SCHEDULES_FILE, padrão data/schedules.json), para
+ * sobreviver a reinícios do bot. O arquivo também pode ser editado à mão.
+ */
+class ReportScheduler {
+    constructor(options = {}) {
+        this.aiAgent = options.aiAgent;
+        this.userRegistry = options.userRegistry || null;
+        // Função de envio (chatId, texto, canal) → Promise<boolean>
+        this.sendMessage = options.sendMessage || (async () => false);
+
+        this.filePath = options.filePath || process.env.SCHEDULES_FILE || path.join(process.cwd(), 'data', 'schedules.json');
+        this.timeZone = options.timeZone || process.env.SCHEDULER_TIMEZONE || 'America/Sao_Paulo';
+        this.tickInterval = options.tickInterval || parseInt(process.env.SCHEDULER_TICK_INTERVAL) || 30000;
+        this.maxPerChat = options.maxPerChat || parseInt(process.env.SCHEDULER_MAX_PER_CHAT) || 10;
+
+        this.schedules = [];
+        this.timer = null;
+        this.running = new Set();
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.filePath)) {
+                const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+                this.schedules = (data.schedules || []).filter(schedule => {
+                    if (!CronExpression.isValid(schedule.cron)) {
+                        console.warn(`⚠️ Agendamento ${schedule.id} ignorado: cron inválido "${schedule.cron}"`);
+                        return false;
+                    }
+                    return true;
+                });
+            }
+        } catch (error) {
+            console.error(`❌ Erro ao ler ${this.filePath}:`, error.message);
+            this.schedules = [];
+        }
+
+        console.log(`⏰ Agendador: ${this.schedules.length} relatório(s) carregado(s)`);
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({ schedules: this.schedules }, null, 2));
+        } catch (error) {
+            console.error(`❌ Erro ao salvar ${this.filePath}:`, error.message);
+        }
+    }
+
+    /**
+     * Registra um novo agendamento
+     * Retorna { success, schedule } ou { success: false, error }
+     */
+    add({ chatId, channel, number, language, question, cron, description }) {
+        if (!CronExpression.isValid(cron)) {
+            return { success: false, error: translate(language, 'schedule_invalid_cron', { cron }) };
+        }
+        if (!question || !question.trim()) {
+            return { success: false, error: translate(language, 'schedule_no_question') };
+        }
+        if (this.list(chatId).length >= this.maxPerChat) {
+            return { success: false, error: translate(language, 'schedule_limit', { max: this.maxPerChat }) };
+        }
+
+        const schedule = {
+            id: this.generateId(),
+            chatId,
+            channel: channel || null,
+            number: number || null,
+            // Idioma do envio (o do pedido)
+            language: language || null,
+            question: question.trim(),
+            cron,
+            description: description || cron,
+            createdAt: new Date().toISOString(),
+            lastRunKey: null,
+            lastRunAt: null,
+            lastStatus: null
+        };
+
+        this.schedules.push(schedule);
+        this.save();
+        console.log(`⏰ Agendamento ${schedule.id} criado (${cron}) para ${chatId}: "${schedule.question}"`);
+
+        return { success: true, schedule };
+    }
+
+    /**
+     * Remove um agendamento do chat (um chat não cancela o de outro)
+     */
+    remove(id, chatId) {
+        const index = this.schedules.findIndex(s => s.id === id && (!chatId || s.chatId === chatId));
+        if (index === -1) {
+            return false;
+        }
+
+        this.schedules.splice(index, 1);
+        this.save();
+        console.log(`🗑️ Agendamento ${id} removido`);
+        return true;
+    }
+
+    list(chatId) {
+        return chatId ? this.schedules.filter(s => s.chatId === chatId) : [...this.schedules];
+    }
+
+    nextRun(schedule, from = new Date()) {
+        return new CronExpression(schedule.cron).next(from, this.timeZone);
+    }
+
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.tick().catch(error => console.error('❌ Erro no agendador:', error));
+        }, this.tickInterval);
+        console.log(`⏰ Agendador iniciado (fuso ${this.timeZone}, tick ${this.tickInterval}ms)`);
+    }
+
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('⏰ Agendador parado');
+        }
+    }
+
+    /**
+     * Executa os agendamentos do minuto atual
+     * lastRunKey evita repetir o mesmo minuto quando há mais de um tick por minuto
+     */
+    async tick(now = new Date()) {
+        const minuteKey = CronExpression.minuteKey(now, this.timeZone);
+
+        const due = this.schedules.filter(schedule =>
+            schedule.lastRunKey !== minuteKey &&
+            !this.running.has(schedule.id) &&
+            new CronExpression(schedule.cron).matches(now, this.timeZone)
+        );
+
+        for (const schedule of due) {
+            schedule.lastRunKey = minuteKey;
+            await this.runReport(schedule);
+        }
+
+        if (due.length > 0) {
+            this.save();
+        }
+    }
+
+    async runReport(schedule) {
+        this.running.add(schedule.id);
+        console.log(`⏰ Executando relatório ${schedule.id}: "${schedule.question}"`);
+
+        try {
+            // Permissões são verificadas na hora do envio (usuário pode ter perdido acesso)
+            // Sem número = criado por canal confiável (console local)
+            let access = null;
+            if (this.userRegistry && schedule.number) {
+                access = this.userRegistry.resolve(schedule.number);
+                if (!access) {
+                    console.log(`🚫 Relatório ${schedule.id} não enviado: ${schedule.number} sem acesso`);
+                    schedule.lastStatus = 'denied';
+                    return;
+                }
+            }
+
+            const result = await this.aiAgent.processMessage(schedule.question, {
+                name: access?.name || null,
+                number: schedule.number,
+                // Sessão própria para não misturar com a conversa do usuário
+                chatId: `${schedule.chatId}#report-${schedule.id}`,
+                channel: schedule.channel,
+                role: access?.role || null,
+                access,
+                timestamp: new Date().toISOString()
+            });
+
+            const response = result?.response || translate(schedule.language, 'report_failed');
+            const text = `${translate(schedule.language, 'report_title', { description: schedule.description })}\n` +
+                         `❓ _${schedule.question}_\n\n${response}`;
+
+            const sent = await this.sendMessage(schedule.chatId, text, schedule.channel);
+            schedule.lastStatus = sent ? 'sent' : 'send_failed';
+        } catch (error) {
+            console.error(`❌ Erro no relatório ${schedule.id}:`, error);
+            schedule.lastStatus = 'error';
+        } finally {
+            schedule.lastRunAt = new Date().toISOString();
+            this.running.delete(schedule.id);
+        }
+    }
+
+    generateId() {
+        let id;
+        do {
+            id = Math.random().toString(36).substring(2, 8);
+        } while (this.schedules.some(s => s.id === id));
+        return id;
+    }
+
+    getStats() {
+        return {
+            total: this.schedules.length,
+            timeZone: this.timeZone,
+            active: !!this.timer
+        };
+    }
+}
+
+module.exports = ReportScheduler;
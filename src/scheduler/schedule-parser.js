@@ -0,0 +1,163 @@
+const CronExpression = require('./cron-expression');
+
+const WEEKDAY_NAMES = {
+    domingo: 0,
+    segunda: 1,
+    terca: 2,
+    quarta: 3,
+    quinta: 4,
+    sexta: 5,
+    sabado: 6
+};
+
+// Verbos que indicam entrega ("me manda X", "envia X")
+const DELIVERY_PATTERN = /\b(me manda|me mande|me envia|me envie|me mostra|me mostre|me passa|me passe|manda|mande|envia|envie)\b/;
+
+// Recorrências reconhecidas
+const RECURRENCE_PATTERN = /\b(todo dia|todos os dias|diariamente|dias? ute?is|de segunda a sexta|toda semana|semanalmente|todo mes|mensalmente|a cada \d+ horas?|tod[ao]s? (?:as |os )?(domingo|segunda|terca|quarta|quinta|sexta|sabado)s?)\b/;
+
+// Trechos de agendamento removidos da pergunta ("todo dia 5 do mes" antes de "todo dia")
+const SCHEDULE_PHRASES = [
+    /,?\s*\btodo dia \d{1,2} (?:do mes|de cada mes)\b/g,
+    new RegExp(`,?\\s*(?:\\b(?:nos|em) )?${RECURRENCE_PATTERN.source}`, 'g')
+];
+
+const TIME_PATTERN = /\b(?:as|a)\s+(\d{1,2})(?:\s*(?:h|:)\s*(\d{2})?)?\s*(?:h|horas?)?\b/;
+const BARE_TIME_PATTERN = /\b(\d{1,2})\s*(?:h|:)\s*(\d{2})?\b/;
+
+/**
+ * Interpreta pedidos de relatório recorrente em linguagem natural
+ *
+ * "todo dia às 8h me manda leads qualificados de ontem"
+ *   → { cron: '0 8 * * *', question: 'leads qualificados de ontem' }
+ */
+class ScheduleParser {
+    constructor(options = {}) {
+        this.defaultHour = options.defaultHour !== undefined ? options.defaultHour : 8;
+    }
+
+    isScheduleRequest(text) {
+        const normalized = this.normalize(text);
+        return RECURRENCE_PATTERN.test(normalized) && DELIVERY_PATTERN.test(normalized);
+    }
+
+    /**
+     * Retorna { cron, question, description } ou null se não entender
+     * Aceita também uma expressão cron explícita: "0 8 * * 1-5 leads de ontem"
+     */
+    parse(text) {
+        const original = String(text || '').trim();
+
+        const explicit = original.match(/^((?:\S+\s+){4}\S+)\s+(.+)$/);
+        if (explicit && CronExpression.isValid(explicit[1])) {
+            return { cron: explicit[1], question: explicit[2].trim(), description: explicit[1] };
+        }
+
+        const normalized = this.normalize(original);
+        if (!RECURRENCE_PATTERN.test(normalized)) {
+            return null;
+        }
+
+        const { hour, minute } = this.parseTime(normalized);
+        let cron;
+
+        const everyHours = normalized.match(/a cada (\d+) horas?/);
+        const monthDay = normalized.match(/todo dia (\d{1,2}) (do mes|de cada mes)/);
+        const weekday = normalized.match(/tod[ao]s? (?:as |os )?(domingo|segunda|terca|quarta|quinta|sexta|sabado)/);
+
+        if (everyHours) {
+            const step = Math.min(Math.max(parseInt(everyHours[1], 10), 1), 23);
+            cron = `0 */${step} * * *`;
+        } else if (monthDay) {
+            cron = `${minute} ${hour} ${Math.min(parseInt(monthDay[1], 10), 31)} * *`;
+        } else if (/dias? ute?is|de segunda a sexta/.test(normalized)) {
+            cron = `${minute} ${hour} * * 1-5`;
+        } else if (weekday) {
+            cron = `${minute} ${hour} * * ${WEEKDAY_NAMES[weekday[1]]}`;
+        } else if (/toda semana|semanalmente/.test(normalized)) {
+            cron = `${minute} ${hour} * * 1`;
+        } else if (/todo mes|mensalmente/.test(normalized)) {
+            cron = `${minute} ${hour} 1 * *`;
+        } else {
+            cron = `${minute} ${hour} * * *`;
+        }
+
+        const question = this.extractQuestion(original);
+        if (!question) {
+            return null;
+        }
+
+        return { cron, question, description: original };
+    }
+
+    parseTime(normalized) {
+        const match = normalized.match(TIME_PATTERN) || normalized.match(BARE_TIME_PATTERN);
+
+        if (!match) {
+            return { hour: this.defaultHour, minute: 0 };
+        }
+
+        const hour = Math.min(parseInt(match[1], 10), 23);
+        const minute = match[2] ? Math.min(parseInt(match[2], 10), 59) : 0;
+        return { hour, minute };
+    }
+
+    /**
+     * Extrai a pergunta que será executada (texto após o verbo de entrega)
+     * "me manda todo dia às 7h os leads de ontem" → "leads de ontem"
+     */
+    extractQuestion(text) {
+        const normalized = this.normalize(text);
+        const match = DELIVERY_PATTERN.exec(normalized);
+        if (!match) {
+            return null;
+        }
+
+        // normalize() preserva o tamanho, então os índices valem para o original
+        const start = match.index + match[0].length;
+        const chars = text.substring(start).split('');
+        let rest = normalized.substring(start);
+
+        // Apaga só a recorrência e o horário, onde quer que estejam
+        const erase = (from, length) => {
+            for (let i = from; i < from + length; i++) {
+                chars[i] = ' ';
+            }
+            rest = rest.substring(0, from) + ' '.repeat(length) + rest.substring(from + length);
+        };
+
+        SCHEDULE_PHRASES.forEach(pattern => {
+            for (const phrase of rest.matchAll(pattern)) {
+                erase(phrase.index, phrase[0].length);
+            }
+        });
+
+        const time = TIME_PATTERN.exec(rest) || BARE_TIME_PATTERN.exec(rest);
+        if (time) {
+            erase(time.index, time[0].length);
+        }
+
+        const question = chars.join('')
+            .replace(/\s+/g, ' ')
+            .replace(/\s+,/g, ',')
+            .replace(/^[\s,]+|[\s,]+$/g, '')
+            .replace(/^(o|a|os|as)\s+/i, '')
+            .replace(/[.!]+$/, '')
+            .trim();
+
+        return question.length > 0 ? question : null;
+    }
+
+    /**
+     * Minúsculas sem acentos (mesmo comprimento do texto original)
+     */
+    normalize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .padEnd(String(text || '').length, ' ');
+    }
+}
+
+module.exports = ScheduleParser;
@@ -0,0 +1,197 @@
+const SqlTranslator = require('./sql-translator');
+
+// Funções que escrevem, travam, dormem ou leem o servidor (nome exato ou prefixo com *)
+const DEFAULT_FORBIDDEN_FUNCTIONS = [
+    'pg_sleep*', 'pg_read_*', 'pg_ls_*', 'pg_stat_file', 'pg_file_*', 'lo_*', 'dblink*',
+    'pg_terminate_backend', 'pg_cancel_backend', 'pg_reload_conf', 'pg_rotate_logfile', 'pg_switch_wal',
+    'pg_promote', 'pg_create_*', 'pg_drop_*', 'pg_replication_*', 'pg_logical_*', 'pg_advisory_*',
+    'pg_try_advisory_*', 'pg_notify', 'set_config', 'current_setting', 'nextval', 'setval',
+    'txid_current*', 'pg_current_xact_id*', 'query_to_xml*', 'table_to_xml*', 'cursor_to_xml*',
+    'schema_to_xml*', 'database_to_xml*', 'http*', 'net.*'
+];
+
+// Código do Postgres para consulta cancelada (statement_timeout)
+const TIMEOUT_CODE = '57014';
+
+/**
+ * Política de SQL somente leitura
+ *
+ * Aplicada antes de qualquer SQL chegar ao banco (executeSQL do MCP,
+ * executeCustomQuery do executor e executeSQLQuery do sistema multiagentes):
+ * - uma única instrução SELECT (WITH/UNION incluídos; escrita em CTE, FOR UPDATE
+ *   e SELECT INTO não passam no parser)
+ * - só tabelas dos schemas de SQL_ALLOWED_SCHEMAS e, se configurado, de
+ *   SQL_ALLOWED_TABLES; catálogos do sistema (pg_*) sempre bloqueados
+ * - sem funções perigosas (pg_sleep, pg_read_file, dblink... + SQL_FORBIDDEN_FUNCTIONS)
+ * - LIMIT de no máximo SQL_MAX_ROWS (acrescentado ou reduzido automaticamente)
+ * - tempo máximo de SQL_CLIENT_TIMEOUT ms de espera por consulta (withClientTimeout);
+ *   só no cliente: a consulta continua no Postgres até o statement_timeout do papel
+ *
+ * Violações são registradas no log e nas estatísticas (getStats).
+ */
+class SqlGuard {
+    constructor(options = {}) {
+        this.translator = options.translator || new SqlTranslator();
+
+        this.allowedSchemas = this.parseList(options.allowedSchemas || process.env.SQL_ALLOWED_SCHEMAS || 'public');
+        this.allowedTables = this.parseList(options.allowedTables || process.env.SQL_ALLOWED_TABLES || '');
+        this.forbiddenFunctions = [
+            ...DEFAULT_FORBIDDEN_FUNCTIONS,
+            ...this.parseList(options.forbiddenFunctions || process.env.SQL_FORBIDDEN_FUNCTIONS || '')
+        ];
+        this.maxRows = options.maxRows || parseInt(process.env.SQL_MAX_ROWS) || 1000;
+        this.clientTimeout = options.clientTimeout || parseInt(process.env.SQL_CLIENT_TIMEOUT) || 15000;
+
+        this.maxViolations = options.maxViolations || 100;
+        this.violations = [];
+        this.stats = { checked: 0, blocked: 0, limited: 0, timeouts: 0 };
+    }
+
+    parseList(value) {
+        return (Array.isArray(value) ? value : String(value).split(','))
+            .map(item => item.trim().toLowerCase())
+            .filter(Boolean);
+    }
+
+    /**
+     * Valida o SQL
+     * Retorna { allowed: true, sql, analysis } com o SQL a executar (com LIMIT)
+     * ou { allowed: false, rule, reason }
+     */
+    check(sql, source = 'sql') {
+        this.stats.checked++;
+
+        let statements;
+        try {
+            ({ statements } = this.translator.parser.parse(sql));
+        } catch (error) {
+            return this.block(source, sql, 'parse', error.message);
+        }
+
+        if (statements.length > 1) {
+            return this.block(source, sql, 'single_statement', `${statements.length} instruções na mesma consulta; só uma é permitida`);
+        }
+
+        const statement = statements[0];
+        if (statement.type === 'other') {
+            return this.block(source, sql, 'read_only', `${statement.keyword.toUpperCase()} não é permitido (somente leitura)`);
+        }
+
+        const analysis = this.translator.analyze(statement);
+
+        const deniedTable = analysis.tables.find(table => !this.isTableAllowed(table));
+        if (deniedTable) {
+            return this.block(source, sql, 'table', `tabela ${deniedTable} fora das tabelas permitidas`);
+        }
+
+        const deniedFunction = analysis.functions.find(name => this.isFunctionForbidden(name));
+        if (deniedFunction) {
+            return this.block(source, sql, 'function', `função ${deniedFunction}() não é permitida`);
+        }
+
+        return { allowed: true, sql: this.applyLimit(sql, statement), analysis };
+    }
+
+    isTableAllowed(table) {
+        const [schema, name] = table.includes('.') ? table.split('.') : ['public', table];
+
+        if (!this.allowedSchemas.includes(schema)) {
+            return false;
+        }
+        // Catálogos (pg_user, pg_shadow...) resolvem sem schema pelo search_path
+        if (name.startsWith('pg_')) {
+            return false;
+        }
+        if (this.allowedTables.length === 0) {
+            return true;
+        }
+        return this.allowedTables.includes(name) || this.allowedTables.includes(table);
+    }
+
+    isFunctionForbidden(name) {
+        const lower = name.toLowerCase();
+        // pg_catalog.pg_sleep → pg_sleep (net.http_get continua com o schema)
+        const bare = lower.startsWith('pg_catalog.') ? lower.substring('pg_catalog.'.length) : lower;
+
+        return this.forbiddenFunctions.some(pattern => (pattern.endsWith('*')
+            ? bare.startsWith(pattern.slice(0, -1))
+            : bare === pattern));
+    }
+
+    /**
+     * Sem LIMIT: acrescenta LIMIT SQL_MAX_ROWS
+     * LIMIT maior, LIMIT ALL ou não constante: envolve a consulta com o LIMIT máximo
+     */
+    applyLimit(sql, statement) {
+        const body = sql.substring(0, statement.sourceEnd);
+
+        if (!statement.limit && !statement.limitAll) {
+            this.stats.limited++;
+            return `${body}\nLIMIT ${this.maxRows}`;
+        }
+
+        const limit = statement.limit?.type === 'literal' ? statement.limit.value : null;
+        if (typeof limit === 'number' && limit <= this.maxRows) {
+            return body;
+        }
+
+        this.stats.limited++;
+        console.log(`🛡️ LIMIT reduzido para ${this.maxRows}`);
+        return `SELECT * FROM (\n${body}\n) AS limited LIMIT ${this.maxRows}`;
+    }
+
+    /**
+     * Executa uma chamada do supabase-js (rpc/from) com o tempo máximo de espera
+     * Retorna { data, error } como o supabase-js; no tempo esgotado, error
+     * com o mesmo código do statement_timeout do Postgres (isTimeout)
+     * O timeout é do cliente: aborta a requisição HTTP, mas não cancela a
+     * consulta no banco (para isso, statement_timeout no papel da API)
+     */
+    async withClientTimeout(request, sql = '', source = 'sql') {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.clientTimeout);
+
+        try {
+            const result = await request.abortSignal(controller.signal);
+            if (controller.signal.aborted) {
+                this.stats.timeouts++;
+                const reason = `consulta excedeu o tempo máximo de ${this.clientTimeout}ms`;
+                this.record(source, sql, 'timeout', reason);
+                return { data: null, error: { message: reason, code: TIMEOUT_CODE } };
+            }
+            return result;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    isTimeout(error) {
+        return !!error && error.code === TIMEOUT_CODE;
+    }
+
+    block(source, sql, rule, reason) {
+        this.stats.blocked++;
+        this.record(source, sql, rule, reason);
+        return { allowed: false, rule, reason };
+    }
+
+    record(source, sql, rule, reason) {
+        console.warn(`🛡️ Violação de SQL [${source}/${rule}]: ${reason} | ${String(sql).replace(/\s+/g, ' ').substring(0, 200)}`);
+
+        this.violations.push({ source, rule, reason, sql: String(sql), timestamp: new Date().toISOString() });
+        if (this.violations.length > this.maxViolations) {
+            this.violations.shift();
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            maxRows: this.maxRows,
+            clientTimeout: this.clientTimeout,
+            recentViolations: this.violations.slice(-5)
+        };
+    }
+}
+
+module.exports = SqlGuard;
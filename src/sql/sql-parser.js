@@ -0,0 +1,1028 @@
+/**
+ * Parser de SQL (dialeto PostgreSQL) para as queries geradas pelo queryAgent
+ *
+ * Tokenizador + descida recursiva produzindo uma AST das consultas:
+ * SELECT com DISTINCT, JOINs, subconsultas, CTEs (WITH), UNION/INTERSECT/
+ * EXCEPT, WHERE com AND/OR/NOT, IN, BETWEEN, LIKE/ILIKE, IS NULL, CASE,
+ * casts (::), funções e janelas (OVER), GROUP BY, HAVING, ORDER BY,
+ * LIMIT e OFFSET. Outros comandos (INSERT, UPDATE, DROP...) viram
+ * { type: 'other', keyword } para quem valida poder recusá-los.
+ *
+ * parse() lança Error com a posição do problema quando o SQL é inválido.
+ *
+ * Nós principais da AST:
+ *   select  { with, distinct, columns: [{ expr, alias }], from, where, groupBy, having, orderBy, limit, offset }
+ *   set     { op: union|intersect|except, all, left, right, orderBy, limit, offset }
+ *   (LIMIT ALL: limit null e limitAll true)
+ *   table   { schema, name, alias }      join { kind, left, right, on, using }
+ *   subquery { query, alias }            column { table, name }     star { table }
+ *   literal { valueType, value }         binary { op, left, right } unary { op, expr }
+ *   function { name, args, distinct, star, filter, over }           cast { expr, dataType }
+ *   in { expr, list | query, not }       between { expr, low, high, not }
+ *   like { op, expr, pattern, not }      is { expr, value, not }    exists { query }
+ *   case { operand, whens: [{ when, then }], else }                 interval { value }
+ *   typed_literal { dataType, value }    row { items }              param { index }
+ */
+
+// Palavras que não podem ser usadas como alias sem AS
+const RESERVED = new Set([
+    'select', 'from', 'where', 'group', 'order', 'by', 'having', 'limit', 'offset', 'fetch',
+    'join', 'inner', 'left', 'right', 'full', 'outer', 'cross', 'natural', 'on', 'using', 'lateral',
+    'union', 'intersect', 'except', 'and', 'or', 'not', 'as', 'case', 'when', 'then', 'else', 'end',
+    'is', 'in', 'between', 'like', 'ilike', 'similar', 'window', 'for', 'into', 'returning', 'values',
+    'with', 'distinct', 'all', 'asc', 'desc', 'nulls'
+]);
+
+// Operadores com mais de um caractere (mais longos primeiro)
+const OPERATORS = ['->>', '#>>', '!~*', '::', '<=', '>=', '<>', '!=', '||', '->', '#>', '~*', '!~', '@>', '<@', '&&',
+    '=', '<', '>', '+', '-', '*', '/', '%', '~', '^'];
+
+const COMPARISON_OPERATORS = ['=', '<>', '!=', '<', '<=', '>', '>=', '~', '~*', '!~', '!~*', '@>', '<@', '&&'];
+
+// Funções sem parênteses
+const NILADIC_FUNCTIONS = ['current_date', 'current_timestamp', 'current_time', 'localtimestamp', 'localtime'];
+
+// Tipos que aceitam literal tipado: date '2024-01-01'
+const TYPED_LITERALS = ['date', 'timestamp', 'timestamptz', 'time'];
+
+class SqlParser {
+    /**
+     * Retorna { statements: [ast, ...] }
+     */
+    parse(sql) {
+        this.sql = String(sql || '');
+        this.tokens = this.tokenize(this.sql);
+        this.pos = 0;
+
+        const statements = [];
+        while (!this.isEnd()) {
+            if (this.acceptPunct(';')) {
+                continue;
+            }
+            const statement = this.parseStatement();
+            // Posição final da instrução no texto (para acrescentar LIMIT, por exemplo)
+            statement.sourceEnd = this.tokens[this.pos - 1].end;
+            statements.push(statement);
+            if (!this.isEnd() && !this.acceptPunct(';')) {
+                this.fail('esperado fim da instrução');
+            }
+        }
+
+        if (statements.length === 0) {
+            throw new Error('SQL inválido: consulta vazia');
+        }
+        return { statements };
+    }
+
+    /**
+     * TOKENIZADOR
+     */
+    tokenize(sql) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < sql.length) {
+            const char = sql[i];
+
+            // Fim do token anterior (para recortar o SQL original)
+            if (tokens.length > 0 && tokens[tokens.length - 1].end === undefined) {
+                tokens[tokens.length - 1].end = i;
+            }
+
+            if (/\s/.test(char)) {
+                i++;
+                continue;
+            }
+
+            // Comentários
+            if (sql.startsWith('--', i)) {
+                const end = sql.indexOf('\n', i);
+                i = end === -1 ? sql.length : end + 1;
+                continue;
+            }
+            if (sql.startsWith('/*', i)) {
+                const end = sql.indexOf('*/', i + 2);
+                if (end === -1) {
+                    throw new Error(`SQL inválido: comentário não fechado (posição ${i})`);
+                }
+                i = end + 2;
+                continue;
+            }
+
+            // Strings ('...', com '' como escape; E'...' aceita \')
+            if (char === "'" || ((char === 'e' || char === 'E') && sql[i + 1] === "'")) {
+                const escaped = char !== "'";
+                const start = i;
+                i += escaped ? 2 : 1;
+                let value = '';
+                while (true) {
+                    if (i >= sql.length) {
+                        throw new Error(`SQL inválido: texto não fechado (posição ${start})`);
+                    }
+                    if (escaped && sql[i] === '\\' && i + 1 < sql.length) {
+                        value += sql[i + 1];
+                        i += 2;
+                        continue;
+                    }
+                    if (sql[i] === "'") {
+                        if (sql[i + 1] === "'") {
+                            value += "'";
+                            i += 2;
+                            continue;
+                        }
+                        i++;
+                        break;
+                    }
+                    value += sql[i++];
+                }
+                tokens.push({ type: 'string', value, position: start });
+                continue;
+            }
+
+            // Identificadores entre aspas preservam maiúsculas
+            if (char === '"') {
+                const start = i;
+                const end = sql.indexOf('"', i + 1);
+                if (end === -1) {
+                    throw new Error(`SQL inválido: identificador não fechado (posição ${start})`);
+                }
+                tokens.push({ type: 'word', value: sql.substring(i + 1, end), quoted: true, position: start });
+                i = end + 1;
+                continue;
+            }
+
+            const number = sql.substring(i).match(/^(\d+\.?\d*(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)/i);
+            if (number) {
+                tokens.push({ type: 'number', value: number[1], position: i });
+                i += number[1].length;
+                continue;
+            }
+
+            const word = sql.substring(i).match(/^[a-z_À-ɏ][a-z0-9_$À-ɏ]*/i);
+            if (word) {
+                tokens.push({ type: 'word', value: word[0].toLowerCase(), quoted: false, position: i });
+                i += word[0].length;
+                continue;
+            }
+
+            const param = sql.substring(i).match(/^\$(\d+)/);
+            if (param) {
+                tokens.push({ type: 'param', value: param[1], position: i });
+                i += param[0].length;
+                continue;
+            }
+
+            if ('(),;.[]'.includes(char)) {
+                tokens.push({ type: 'punct', value: char, position: i });
+                i++;
+                continue;
+            }
+
+            const operator = OPERATORS.find(op => sql.startsWith(op, i));
+            if (operator) {
+                tokens.push({ type: 'operator', value: operator, position: i });
+                i += operator.length;
+                continue;
+            }
+
+            throw new Error(`SQL inválido: caractere inesperado "${char}" (posição ${i})`);
+        }
+
+        if (tokens.length > 0 && tokens[tokens.length - 1].end === undefined) {
+            tokens[tokens.length - 1].end = sql.length;
+        }
+        tokens.push({ type: 'eof', value: null, position: sql.length, end: sql.length });
+        return tokens;
+    }
+
+    /**
+     * INSTRUÇÕES
+     */
+    parseStatement() {
+        if (this.isWord('select') || this.isWord('with') || this.isPunct('(')) {
+            return this.parseQuery();
+        }
+
+        // Outro comando: guarda só a palavra inicial e pula até o fim da instrução
+        const first = this.peek();
+        if (first.type !== 'word') {
+            this.fail('esperado SELECT');
+        }
+
+        let depth = 0;
+        while (!this.isEnd() && !(depth === 0 && this.isPunct(';'))) {
+            if (this.isPunct('(')) depth++;
+            if (this.isPunct(')')) depth--;
+            this.pos++;
+        }
+        return { type: 'other', keyword: first.value };
+    }
+
+    parseQuery() {
+        let ctes = null;
+        if (this.acceptWord('with')) {
+            const recursive = this.acceptWord('recursive');
+            ctes = [];
+            do {
+                const name = this.expectIdentifier();
+                let columns = null;
+                if (this.acceptPunct('(')) {
+                    columns = this.parseIdentifierList();
+                    this.expectPunct(')');
+                }
+                this.expectWord('as');
+                this.acceptWord('not');
+                this.acceptWord('materialized');
+                this.expectPunct('(');
+                const query = this.parseQuery();
+                this.expectPunct(')');
+                ctes.push({ name, columns, query, recursive });
+            } while (this.acceptPunct(','));
+        }
+
+        let node = this.parseSetOperand();
+        while (this.isWord('union') || this.isWord('intersect') || this.isWord('except')) {
+            const op = this.next().value;
+            const all = this.acceptWord('all');
+            if (!all) {
+                this.acceptWord('distinct');
+            }
+            node = { type: 'set', op, all, left: node, right: this.parseSetOperand(), orderBy: [], limit: null, offset: null };
+        }
+
+        this.parseQueryTail(node);
+        if (ctes) {
+            node.with = ctes;
+        }
+        return node;
+    }
+
+    parseSetOperand() {
+        if (this.acceptPunct('(')) {
+            const query = this.parseQuery();
+            this.expectPunct(')');
+            return query;
+        }
+        return this.parseSelect();
+    }
+
+    /**
+     * ORDER BY / LIMIT / OFFSET / FETCH FIRST (valem para o SELECT ou para o UNION inteiro)
+     */
+    parseQueryTail(node) {
+        if (this.acceptWord('order')) {
+            this.expectWord('by');
+            node.orderBy = this.parseOrderList();
+        }
+
+        while (true) {
+            if (this.acceptWord('limit')) {
+                node.limitAll = this.acceptWord('all');
+                node.limit = node.limitAll ? null : this.parseExpression();
+            } else if (this.acceptWord('offset')) {
+                node.offset = this.parseExpression();
+                if (!this.acceptWord('rows')) {
+                    this.acceptWord('row');
+                }
+            } else if (this.acceptWord('fetch')) {
+                if (!this.acceptWord('first')) {
+                    this.expectWord('next');
+                }
+                node.limit = this.isWord('row') || this.isWord('rows')
+                    ? { type: 'literal', valueType: 'number', value: 1 }
+                    : this.parseExpression();
+                if (!this.acceptWord('rows')) {
+                    this.expectWord('row');
+                }
+                this.expectWord('only');
+            } else {
+                break;
+            }
+        }
+    }
+
+    parseSelect() {
+        this.expectWord('select');
+
+        let distinct = false;
+        if (this.acceptWord('distinct')) {
+            distinct = true;
+            if (this.acceptWord('on')) {
+                this.expectPunct('(');
+                distinct = { on: this.parseExpressionList() };
+                this.expectPunct(')');
+            }
+        } else {
+            this.acceptWord('all');
+        }
+
+        const columns = [];
+        do {
+            columns.push(this.parseSelectItem());
+        } while (this.acceptPunct(','));
+
+        const node = {
+            type: 'select',
+            distinct,
+            columns,
+            from: [],
+            where: null,
+            groupBy: [],
+            having: null,
+            orderBy: [],
+            limit: null,
+            offset: null
+        };
+
+        if (this.acceptWord('into')) {
+            this.fail('SELECT INTO não é uma consulta');
+        }
+
+        if (this.acceptWord('from')) {
+            do {
+                node.from.push(this.parseJoinedTable());
+            } while (this.acceptPunct(','));
+        }
+
+        if (this.acceptWord('where')) {
+            node.where = this.parseExpression();
+        }
+
+        if (this.acceptWord('group')) {
+            this.expectWord('by');
+            node.groupBy = this.parseExpressionList();
+        }
+
+        if (this.acceptWord('having')) {
+            node.having = this.parseExpression();
+        }
+
+        return node;
+    }
+
+    parseSelectItem() {
+        if (this.acceptOperator('*')) {
+            return { expr: { type: 'star', table: null }, alias: null };
+        }
+
+        const expr = this.parseExpression();
+        return { expr, alias: this.parseAlias() };
+    }
+
+    parseAlias() {
+        if (this.acceptWord('as')) {
+            return this.expectIdentifier();
+        }
+        const token = this.peek();
+        if (token.type === 'word' && (token.quoted || !RESERVED.has(token.value))) {
+            this.pos++;
+            return token.value;
+        }
+        return null;
+    }
+
+    parseOrderList() {
+        const items = [];
+        do {
+            const expr = this.parseExpression();
+            let direction = 'asc';
+            if (this.acceptWord('desc')) {
+                direction = 'desc';
+            } else {
+                this.acceptWord('asc');
+            }
+
+            let nulls = null;
+            if (this.acceptWord('nulls')) {
+                if (this.acceptWord('first')) {
+                    nulls = 'first';
+                } else {
+                    this.expectWord('last');
+                    nulls = 'last';
+                }
+            }
+            items.push({ expr, direction, nulls });
+        } while (this.acceptPunct(','));
+        return items;
+    }
+
+    /**
+     * FROM
+     */
+    parseJoinedTable() {
+        let left = this.parseTableFactor();
+
+        while (true) {
+            const natural = this.acceptWord('natural');
+            let kind = null;
+
+            if (this.acceptWord('join')) {
+                kind = 'inner';
+            } else if (this.isWord('inner') || this.isWord('cross')) {
+                kind = this.next().value;
+                this.expectWord('join');
+            } else if (this.isWord('left') || this.isWord('right') || this.isWord('full')) {
+                kind = this.next().value;
+                this.acceptWord('outer');
+                this.expectWord('join');
+            } else if (natural) {
+                this.fail('esperado JOIN após NATURAL');
+            } else {
+                break;
+            }
+
+            const right = this.parseTableFactor();
+            const join = { type: 'join', kind, natural, left, right, on: null, using: null };
+
+            if (kind !== 'cross' && !natural) {
+                if (this.acceptWord('on')) {
+                    join.on = this.parseExpression();
+                } else if (this.acceptWord('using')) {
+                    this.expectPunct('(');
+                    join.using = this.parseIdentifierList();
+                    this.expectPunct(')');
+                } else {
+                    this.fail('esperado ON ou USING no JOIN');
+                }
+            }
+            left = join;
+        }
+
+        return left;
+    }
+
+    parseTableFactor() {
+        const lateral = this.acceptWord('lateral');
+
+        if (this.acceptPunct('(')) {
+            if (this.isWord('select') || this.isWord('with')) {
+                const query = this.parseQuery();
+                this.expectPunct(')');
+                const alias = this.parseAlias();
+                this.parseColumnAliases();
+                return { type: 'subquery', query, alias, lateral };
+            }
+
+            const inner = this.parseJoinedTable();
+            this.expectPunct(')');
+            return inner;
+        }
+
+        let name = this.expectIdentifier();
+        let schema = null;
+        if (this.acceptPunct('.')) {
+            schema = name;
+            name = this.expectIdentifier();
+        }
+
+        if (this.acceptPunct('(')) {
+            const args = this.isPunct(')') ? [] : this.parseExpressionList();
+            this.expectPunct(')');
+            const alias = this.parseAlias();
+            this.parseColumnAliases();
+            return { type: 'function_table', schema, name, args, alias };
+        }
+
+        const alias = this.parseAlias();
+        return { type: 'table', schema, name, alias };
+    }
+
+    parseColumnAliases() {
+        if (this.acceptPunct('(')) {
+            const names = this.parseIdentifierList();
+            this.expectPunct(')');
+            return names;
+        }
+        return null;
+    }
+
+    /**
+     * EXPRESSÕES (precedência: OR < AND < NOT < comparação < || < + - < * / % < unário < ::)
+     */
+    parseExpression() {
+        return this.parseOr();
+    }
+
+    parseExpressionList() {
+        const items = [];
+        do {
+            items.push(this.parseExpression());
+        } while (this.acceptPunct(','));
+        return items;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.acceptWord('or')) {
+            left = { type: 'binary', op: 'or', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.acceptWord('and')) {
+            left = { type: 'binary', op: 'and', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.acceptWord('not')) {
+            return { type: 'unary', op: 'not', expr: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        let left = this.parseConcat();
+
+        while (true) {
+            if (this.acceptWord('is')) {
+                const not = this.acceptWord('not');
+                if (this.acceptWord('distinct')) {
+                    this.expectWord('from');
+                    left = { type: 'binary', op: not ? 'is not distinct from' : 'is distinct from', left, right: this.parseConcat() };
+                    continue;
+                }
+                const token = this.next();
+                if (token.type !== 'word' || !['null', 'true', 'false', 'unknown'].includes(token.value)) {
+                    this.fail('esperado NULL, TRUE ou FALSE após IS', token);
+                }
+                left = { type: 'is', expr: left, value: token.value === 'unknown' ? 'null' : token.value, not };
+                continue;
+            }
+
+            const negated = this.isWord('not') && ['in', 'between', 'like', 'ilike', 'similar'].includes(this.peek(1).value);
+            if (negated) {
+                this.pos++;
+            }
+
+            if (this.acceptWord('in')) {
+                this.expectPunct('(');
+                if (this.isWord('select') || this.isWord('with')) {
+                    left = { type: 'in', expr: left, query: this.parseQuery(), not: negated };
+                } else {
+                    left = { type: 'in', expr: left, list: this.parseExpressionList(), not: negated };
+                }
+                this.expectPunct(')');
+                continue;
+            }
+
+            if (this.acceptWord('between')) {
+                this.acceptWord('symmetric');
+                const low = this.parseConcat();
+                this.expectWord('and');
+                left = { type: 'between', expr: left, low, high: this.parseConcat(), not: negated };
+                continue;
+            }
+
+            if (this.isWord('like') || this.isWord('ilike')) {
+                const op = this.next().value;
+                const pattern = this.parseConcat();
+                const escape = this.acceptWord('escape') ? this.parseConcat() : null;
+                left = { type: 'like', op, expr: left, pattern, escape, not: negated };
+                continue;
+            }
+
+            if (this.acceptWord('similar')) {
+                this.expectWord('to');
+                left = { type: 'like', op: 'similar', expr: left, pattern: this.parseConcat(), escape: null, not: negated };
+                continue;
+            }
+
+            if (negated) {
+                this.fail('esperado IN, BETWEEN ou LIKE após NOT');
+            }
+
+            const token = this.peek();
+            if (token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+                this.pos++;
+                const op = token.value === '!=' ? '<>' : token.value;
+                // = ANY(...) / = ALL(...) viram função no lado direito
+                left = { type: 'binary', op, left, right: this.parseConcat() };
+                continue;
+            }
+
+            return left;
+        }
+    }
+
+    parseConcat() {
+        let left = this.parseAdditive();
+        while (this.isOperator('||') || this.isOperator('->') || this.isOperator('->>') || this.isOperator('#>') || this.isOperator('#>>')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseAdditive() };
+        }
+        return left;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isOperator('+') || this.isOperator('-')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        while (this.isOperator('*') || this.isOperator('/') || this.isOperator('%') || this.isOperator('^')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.isOperator('-') || this.isOperator('+')) {
+            const op = this.next().value;
+            const expr = this.parseUnary();
+            if (op === '-' && expr.type === 'literal' && expr.valueType === 'number') {
+                return { ...expr, value: -expr.value };
+            }
+            return op === '-' ? { type: 'unary', op: '-', expr } : expr;
+        }
+        return this.parsePostfix();
+    }
+
+    parsePostfix() {
+        let expr = this.parsePrimary();
+        while (true) {
+            if (this.acceptOperator('::')) {
+                expr = { type: 'cast', expr, dataType: this.parseTypeName() };
+            } else if (this.acceptPunct('[')) {
+                const index = this.parseExpression();
+                this.expectPunct(']');
+                expr = { type: 'binary', op: '[]', left: expr, right: index };
+            } else {
+                return expr;
+            }
+        }
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        if (token.type === 'number') {
+            this.pos++;
+            return { type: 'literal', valueType: 'number', value: Number(token.value) };
+        }
+
+        if (token.type === 'string') {
+            this.pos++;
+            return { type: 'literal', valueType: 'string', value: token.value };
+        }
+
+        if (token.type === 'param') {
+            this.pos++;
+            return { type: 'param', index: parseInt(token.value) };
+        }
+
+        if (this.acceptPunct('(')) {
+            if (this.isWord('select') || this.isWord('with')) {
+                const query = this.parseQuery();
+                this.expectPunct(')');
+                return { type: 'subquery', query, alias: null };
+            }
+
+            const first = this.parseExpression();
+            if (this.acceptPunct(',')) {
+                const items = [first, ...this.parseExpressionList()];
+                this.expectPunct(')');
+                return { type: 'row', items };
+            }
+            this.expectPunct(')');
+            return first;
+        }
+
+        if (token.type !== 'word') {
+            this.fail('esperado valor ou coluna', token);
+        }
+
+        if (!token.quoted) {
+            switch (token.value) {
+                case 'null':
+                    this.pos++;
+                    return { type: 'literal', valueType: 'null', value: null };
+                case 'true':
+                case 'false':
+                    this.pos++;
+                    return { type: 'literal', valueType: 'boolean', value: token.value === 'true' };
+                case 'case':
+                    return this.parseCase();
+                case 'exists':
+                    this.pos++;
+                    this.expectPunct('(');
+                    const query = this.parseQuery();
+                    this.expectPunct(')');
+                    return { type: 'exists', query };
+                case 'cast': {
+                    this.pos++;
+                    this.expectPunct('(');
+                    const expr = this.parseExpression();
+                    this.expectWord('as');
+                    const dataType = this.parseTypeName();
+                    this.expectPunct(')');
+                    return { type: 'cast', expr, dataType };
+                }
+                case 'extract': {
+                    if (this.peek(1).value !== '(') break;
+                    this.pos += 2;
+                    const field = this.next();
+                    this.expectWord('from');
+                    const source = this.parseExpression();
+                    this.expectPunct(')');
+                    return {
+                        type: 'function',
+                        name: 'extract',
+                        args: [{ type: 'literal', valueType: 'string', value: String(field.value).toLowerCase() }, source],
+                        distinct: false,
+                        star: false,
+                        filter: null,
+                        over: null
+                    };
+                }
+                case 'interval':
+                    if (this.peek(1).type === 'string') {
+                        this.pos++;
+                        const value = this.next().value;
+                        // interval '1' day
+                        const unit = this.peek().type === 'word' && /^(year|month|week|day|hour|minute|second)s?$/.test(this.peek().value)
+                            ? ` ${this.next().value}`
+                            : '';
+                        return { type: 'interval', value: value + unit };
+                    }
+                    break;
+                default:
+                    if (NILADIC_FUNCTIONS.includes(token.value) && this.peek(1).value !== '(') {
+                        this.pos++;
+                        return { type: 'function', name: token.value, args: [], distinct: false, star: false, filter: null, over: null };
+                    }
+                    if (TYPED_LITERALS.includes(token.value) && this.peek(1).type === 'string') {
+                        this.pos++;
+                        return { type: 'typed_literal', dataType: token.value, value: this.next().value };
+                    }
+            }
+        }
+
+        this.pos++;
+
+        if (this.isPunct('(')) {
+            return this.parseFunctionCall(token.value);
+        }
+
+        if (!token.quoted && RESERVED.has(token.value)) {
+            this.fail('esperado valor ou coluna', token);
+        }
+
+        // Coluna: coluna | tabela.coluna | schema.tabela.coluna | tabela.*
+        const parts = [token.value];
+        while (this.acceptPunct('.')) {
+            if (this.acceptOperator('*')) {
+                return { type: 'star', table: parts[parts.length - 1] };
+            }
+            parts.push(this.expectIdentifier());
+        }
+
+        if (parts.length > 1 && this.isPunct('(')) {
+            // schema.funcao(...)
+            return this.parseFunctionCall(parts.join('.'));
+        }
+
+        return {
+            type: 'column',
+            table: parts.length > 1 ? parts[parts.length - 2] : null,
+            name: parts[parts.length - 1]
+        };
+    }
+
+    parseFunctionCall(name) {
+        this.expectPunct('(');
+        const node = { type: 'function', name, args: [], distinct: false, star: false, filter: null, over: null };
+
+        if (this.acceptOperator('*')) {
+            node.star = true;
+        } else if (!this.isPunct(')')) {
+            node.distinct = this.acceptWord('distinct');
+            if (!node.distinct) {
+                this.acceptWord('all');
+            }
+            node.args = this.parseExpressionList();
+            // string_agg(x, ',' ORDER BY y)
+            if (this.acceptWord('order')) {
+                this.expectWord('by');
+                node.orderBy = this.parseOrderList();
+            }
+        }
+        this.expectPunct(')');
+
+        if (this.acceptWord('within')) {
+            this.expectWord('group');
+            this.expectPunct('(');
+            this.expectWord('order');
+            this.expectWord('by');
+            node.orderBy = this.parseOrderList();
+            this.expectPunct(')');
+        }
+
+        if (this.acceptWord('filter')) {
+            this.expectPunct('(');
+            this.expectWord('where');
+            node.filter = this.parseExpression();
+            this.expectPunct(')');
+        }
+
+        if (this.acceptWord('over')) {
+            node.over = this.parseWindow();
+        }
+
+        return node;
+    }
+
+    parseWindow() {
+        if (!this.acceptPunct('(')) {
+            return { name: this.expectIdentifier() };
+        }
+
+        const window = { partitionBy: [], orderBy: [] };
+        if (this.acceptWord('partition')) {
+            this.expectWord('by');
+            window.partitionBy = this.parseExpressionList();
+        }
+        if (this.acceptWord('order')) {
+            this.expectWord('by');
+            window.orderBy = this.parseOrderList();
+        }
+
+        // Frame (ROWS BETWEEN ...): guardado só como presença
+        let depth = 0;
+        while (!this.isEnd() && !(depth === 0 && this.isPunct(')'))) {
+            if (this.isPunct('(')) depth++;
+            if (this.isPunct(')')) depth--;
+            window.frame = true;
+            this.pos++;
+        }
+        this.expectPunct(')');
+        return window;
+    }
+
+    parseCase() {
+        this.expectWord('case');
+        const node = { type: 'case', operand: null, whens: [], else: null };
+
+        if (!this.isWord('when')) {
+            node.operand = this.parseExpression();
+        }
+
+        while (this.acceptWord('when')) {
+            const when = this.parseExpression();
+            this.expectWord('then');
+            node.whens.push({ when, then: this.parseExpression() });
+        }
+
+        if (node.whens.length === 0) {
+            this.fail('esperado WHEN no CASE');
+        }
+
+        if (this.acceptWord('else')) {
+            node.else = this.parseExpression();
+        }
+        this.expectWord('end');
+        return node;
+    }
+
+    /**
+     * Nome de tipo: integer, varchar(255), double precision, timestamp with time zone, text[]
+     */
+    parseTypeName() {
+        let name = this.expectIdentifier();
+
+        const compound = {
+            double: ['precision'],
+            character: ['varying'],
+            timestamp: ['with', 'without'],
+            time: ['with', 'without']
+        };
+        if (compound[name] && this.peek().type === 'word' && compound[name].includes(this.peek().value)) {
+            const word = this.next().value;
+            name += ` ${word}`;
+            if (word === 'with' || word === 'without') {
+                this.expectWord('time');
+                this.expectWord('zone');
+                name += ' time zone';
+            }
+        }
+
+        if (this.acceptPunct('(')) {
+            const args = [];
+            do {
+                args.push(this.next().value);
+            } while (this.acceptPunct(','));
+            this.expectPunct(')');
+            name += `(${args.join(',')})`;
+        }
+
+        while (this.acceptPunct('[')) {
+            this.expectPunct(']');
+            name += '[]';
+        }
+
+        return name;
+    }
+
+    parseIdentifierList() {
+        const names = [];
+        do {
+            names.push(this.expectIdentifier());
+        } while (this.acceptPunct(','));
+        return names;
+    }
+
+    /**
+     * NAVEGAÇÃO
+     */
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') {
+            this.pos++;
+        }
+        return token;
+    }
+
+    isEnd() {
+        return this.peek().type === 'eof';
+    }
+
+    isWord(value) {
+        const token = this.peek();
+        return token.type === 'word' && !token.quoted && token.value === value;
+    }
+
+    isPunct(value) {
+        const token = this.peek();
+        return token.type === 'punct' && token.value === value;
+    }
+
+    isOperator(value) {
+        const token = this.peek();
+        return token.type === 'operator' && token.value === value;
+    }
+
+    acceptWord(value) {
+        if (this.isWord(value)) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    acceptPunct(value) {
+        if (this.isPunct(value)) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    acceptOperator(value) {
+        if (this.isOperator(value)) {
+            this.pos++;
+            return true;
+        }
+        return false;
+    }
+
+    expectWord(value) {
+        if (!this.acceptWord(value)) {
+            this.fail(`esperado ${value.toUpperCase()}`);
+        }
+    }
+
+    expectPunct(value) {
+        if (!this.acceptPunct(value)) {
+            this.fail(`esperado "${value}"`);
+        }
+    }
+
+    expectIdentifier() {
+        const token = this.peek();
+        if (token.type !== 'word') {
+            this.fail('esperado nome de tabela ou coluna');
+        }
+        this.pos++;
+        return token.value;
+    }
+
+    fail(message, token = this.peek()) {
+        const near = token.type === 'eof' ? 'fim da consulta' : `"${this.sql.substring(token.position, token.position + 20)}"`;
+        throw new Error(`SQL inválido: ${message} perto de ${near} (posição ${token.position})`);
+    }
+}
+
+module.exports = SqlParser;
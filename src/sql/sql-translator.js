@@ -0,0 +1,993 @@
+const SqlParser = require('./sql-parser');
+
+// Agregações reconhecidas na análise (as demais funções são só "functions")
+const AGGREGATES = ['count', 'sum', 'avg', 'min', 'max', 'array_agg', 'string_agg', 'json_agg', 'jsonb_agg',
+    'bool_and', 'bool_or', 'every', 'stddev', 'variance', 'percentile_cont', 'percentile_disc', 'mode'];
+
+// Operador SQL → operador do filtro PostgREST
+const COMPARISONS = { '=': 'eq', '<>': 'neq', '<': 'lt', '<=': 'lte', '>': 'gt', '>=': 'gte' };
+
+// Operador equivalente com os lados trocados (10 < idade → idade > 10)
+const SWAPPED = { '=': '=', '<>': '<>', '<': '>', '<=': '>=', '>': '<', '>=': '<=' };
+
+// Negação de cada comparação (NOT a < b → a >= b)
+const NEGATED = { '=': '<>', '<>': '=', '<': '>=', '<=': '>', '>': '<=', '>=': '<' };
+
+const DATE_TYPES = ['date'];
+const TIMESTAMP_TYPES = ['timestamp', 'timestamptz', 'timestamp with time zone', 'timestamp without time zone'];
+const TEXT_TYPES = /^(text|varchar|character varying|char|character)(\(\d+\))?$/;
+
+const INTERVAL_UNITS = {
+    year: { months: 12 }, month: { months: 1 }, week: { ms: 604800000 }, day: { ms: 86400000 },
+    hour: { ms: 3600000 }, minute: { ms: 60000 }, min: { ms: 60000 }, second: { ms: 1000 }, sec: { ms: 1000 }
+};
+
+/**
+ * Tradução de SQL para operações da API REST do Supabase (PostgREST)
+ *
+ * translate(sql) → { supported, query, reason, analysis }
+ * - analysis: tabelas lidas e construções usadas (JOIN, CTE, GROUP BY...)
+ * - query: operação equivalente para o MCP/executor
+ *     count_records  { table_name, filters }
+ *     count_distinct { table_name, column, filters }
+ *     query_records  { table_name, columns, filters, order_by, limit, offset }
+ * - reason: por que o SQL não tem equivalente exato (só com supported = false)
+ *
+ * Só traduz o que a API REST executa com o mesmo resultado: uma tabela,
+ * colunas simples ou COUNT, WHERE com AND/OR/NOT, ORDER BY, LIMIT e OFFSET.
+ * O resto é recusado com o motivo em vez de virar uma consulta parecida.
+ * Datas relativas (NOW() - INTERVAL '7 days') são calculadas em UTC na hora.
+ */
+class SqlTranslator {
+    constructor(options = {}) {
+        this.parser = options.parser || new SqlParser();
+    }
+
+    /**
+     * AST da única instrução do SQL (lança Error se inválido ou se houver mais de uma)
+     */
+    parse(sql) {
+        const { statements } = this.parser.parse(sql);
+        if (statements.length > 1) {
+            throw new Error(`SQL com ${statements.length} instruções; envie uma consulta por vez`);
+        }
+        return statements[0];
+    }
+
+    translate(sql) {
+        let statement;
+        try {
+            statement = this.parse(sql);
+        } catch (error) {
+            return { supported: false, query: null, reason: error.message, analysis: null };
+        }
+
+        const analysis = this.analyze(statement);
+        try {
+            return { supported: true, query: this.toPostgrest(statement), reason: null, analysis };
+        } catch (error) {
+            return { supported: false, query: null, reason: error.message, analysis };
+        }
+    }
+
+    /**
+     * Tabelas lidas pelo SQL (sem os nomes de CTEs); [] se o SQL é inválido
+     */
+    extractTables(sql) {
+        try {
+            return this.analyze(this.parse(sql)).tables;
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * ANÁLISE
+     * { statement, tables, constructs, functions, aggregates }
+     */
+    analyze(statement) {
+        const tables = new Set();
+        const cteNames = new Set();
+        const constructs = new Set();
+        const functions = new Set();
+        const aggregates = new Set();
+
+        const visit = node => {
+            if (Array.isArray(node)) {
+                node.forEach(visit);
+                return;
+            }
+            if (!node || typeof node !== 'object') {
+                return;
+            }
+
+            switch (node.type) {
+                case 'table':
+                    tables.add(node.schema && node.schema !== 'public' ? `${node.schema}.${node.name}` : node.name);
+                    break;
+                case 'function_table':
+                    constructs.add('function_table');
+                    functions.add(node.name);
+                    break;
+                case 'join':
+                    constructs.add('join');
+                    break;
+                case 'subquery':
+                case 'exists':
+                    constructs.add('subquery');
+                    break;
+                case 'in':
+                    if (node.query) {
+                        constructs.add('subquery');
+                    }
+                    break;
+                case 'set':
+                    constructs.add(node.op);
+                    break;
+                case 'case':
+                    constructs.add('case');
+                    break;
+                case 'cast':
+                    constructs.add('cast');
+                    break;
+                case 'binary':
+                    if (node.op === 'or') {
+                        constructs.add('or');
+                    }
+                    break;
+                case 'function':
+                    functions.add(node.name);
+                    if (node.over) {
+                        constructs.add('window');
+                    } else if (AGGREGATES.includes(node.name)) {
+                        constructs.add('aggregate');
+                        aggregates.add(node.distinct ? `${node.name} distinct` : node.name);
+                    }
+                    break;
+                case 'select':
+                    if (node.distinct) constructs.add('distinct');
+                    if (node.groupBy.length > 0) constructs.add('group_by');
+                    if (node.having) constructs.add('having');
+                    if (node.where) constructs.add('where');
+                    break;
+            }
+
+            if (node.with) {
+                constructs.add('cte');
+                node.with.forEach(cte => cteNames.add(cte.name));
+            }
+            if (node.orderBy && node.orderBy.length > 0 && (node.type === 'select' || node.type === 'set')) {
+                constructs.add('order_by');
+            }
+            if (node.limit) constructs.add('limit');
+            if (node.offset) constructs.add('offset');
+
+            for (const [key, value] of Object.entries(node)) {
+                if (key !== 'type' && value && typeof value === 'object') {
+                    visit(value);
+                }
+            }
+        };
+
+        visit(statement);
+
+        return {
+            statement: statement.type === 'other' ? statement.keyword : statement.type,
+            tables: [...tables].filter(table => !cteNames.has(table)),
+            constructs: [...constructs],
+            functions: [...functions],
+            aggregates: [...aggregates]
+        };
+    }
+
+    /**
+     * TRADUÇÃO (lança Error com o motivo quando não há equivalente)
+     */
+    toPostgrest(statement) {
+        if (statement.type === 'other') {
+            throw new Error(`${statement.keyword.toUpperCase()} não é uma consulta (somente SELECT)`);
+        }
+        if (statement.type === 'set') {
+            throw new Error(`${statement.op.toUpperCase()} não é suportado pela API REST`);
+        }
+        if (statement.with) {
+            throw new Error('CTE (WITH) não é suportada pela API REST');
+        }
+        if (statement.from.length === 0) {
+            throw new Error('consulta sem tabela (FROM)');
+        }
+        if (statement.from.length > 1) {
+            throw new Error('várias tabelas no FROM (JOIN implícito) não são suportadas pela API REST');
+        }
+
+        const source = statement.from[0];
+        if (source.type === 'join') {
+            throw new Error(`${source.kind.toUpperCase()} JOIN não é suportado pela API REST`);
+        }
+        if (source.type === 'subquery') {
+            throw new Error('subconsulta no FROM não é suportada pela API REST');
+        }
+        if (source.type === 'function_table') {
+            throw new Error(`função ${source.name}() no FROM não é suportada pela API REST`);
+        }
+        if (source.schema && source.schema !== 'public') {
+            throw new Error(`schema ${source.schema} não é acessível pela API REST`);
+        }
+        if (statement.groupBy.length > 0) {
+            throw new Error('GROUP BY não é suportado pela API REST');
+        }
+        if (statement.having) {
+            throw new Error('HAVING não é suportado pela API REST');
+        }
+        if (statement.distinct) {
+            throw new Error('SELECT DISTINCT não é suportado pela API REST');
+        }
+
+        const scope = { table: source.name, alias: source.alias };
+        const filters = statement.where ? this.translateWhere(statement.where, scope) : [];
+
+        const aggregate = this.translateAggregate(statement.columns, scope);
+        if (aggregate) {
+            const query = { operation: aggregate.operation, table_name: source.name, filters };
+            if (aggregate.column) {
+                // COUNT(coluna) e COUNT(DISTINCT coluna) ignoram nulos
+                filters.push({ column: aggregate.column, operator: 'not.is', value: null });
+            }
+            if (aggregate.operation === 'count_distinct') {
+                query.column = aggregate.column;
+            }
+            return query;
+        }
+
+        const query = { operation: 'query_records', table_name: source.name };
+        const columns = this.translateColumns(statement.columns, scope);
+        if (columns) {
+            query.columns = columns;
+        }
+        if (filters.length > 0) {
+            query.filters = filters;
+        }
+        if (statement.orderBy.length > 0) {
+            query.order_by = statement.orderBy.map(item => this.translateOrder(item, statement.columns, scope));
+        }
+        if (statement.limit) {
+            query.limit = this.constantInteger(statement.limit, 'LIMIT');
+        }
+        if (statement.offset) {
+            query.offset = this.constantInteger(statement.offset, 'OFFSET');
+        }
+        return query;
+    }
+
+    /**
+     * SELECT COUNT(*) / COUNT(coluna) / COUNT(DISTINCT coluna); null se não é agregação
+     */
+    translateAggregate(columns, scope) {
+        const functions = columns.filter(item => item.expr.type === 'function' && AGGREGATES.includes(item.expr.name));
+        if (functions.length === 0) {
+            return null;
+        }
+        if (columns.length > 1) {
+            throw new Error('agregação junto com outras colunas exige GROUP BY, não suportado pela API REST');
+        }
+
+        const expr = functions[0].expr;
+        if (expr.over) {
+            throw new Error('funções de janela (OVER) não são suportadas pela API REST');
+        }
+        if (expr.name !== 'count') {
+            throw new Error(`agregação ${expr.name.toUpperCase()} não é suportada pela API REST`);
+        }
+        if (expr.filter) {
+            throw new Error('COUNT com FILTER não é suportado pela API REST');
+        }
+
+        // COUNT(*) ou COUNT(1)
+        if (expr.star || (expr.args.length === 1 && expr.args[0].type === 'literal' && expr.args[0].value !== null)) {
+            return { operation: 'count_records' };
+        }
+
+        if (expr.args.length !== 1) {
+            throw new Error('COUNT com mais de um argumento');
+        }
+
+        const column = this.columnName(expr.args[0], scope, 'COUNT');
+        return { operation: expr.distinct ? 'count_distinct' : 'count_records', column };
+    }
+
+    translateColumns(columns, scope) {
+        const names = [];
+        let star = false;
+
+        for (const { expr, alias } of columns) {
+            if (expr.type === 'star') {
+                if (expr.table && !this.isScope(expr.table, scope)) {
+                    throw new Error(`${expr.table}.* não pertence à tabela ${scope.table}`);
+                }
+                star = true;
+                names.push('*');
+                continue;
+            }
+
+            if (expr.type !== 'column' && !this.isJsonPath(expr)) {
+                throw new Error(`expressão no SELECT (${this.describe(expr)}) não é suportada pela API REST`);
+            }
+
+            const name = this.columnName(expr, scope, 'SELECT');
+            names.push(alias && alias !== name ? `${alias}:${name}` : name);
+        }
+
+        // SELECT * sozinho = todas as colunas (sem "columns")
+        if (star && names.length === 1) {
+            return null;
+        }
+        return names;
+    }
+
+    translateOrder(item, columns, scope) {
+        let expr = item.expr;
+
+        // ORDER BY 2 → segunda coluna do SELECT
+        if (expr.type === 'literal' && expr.valueType === 'number') {
+            const selected = columns[expr.value - 1];
+            if (!selected || selected.expr.type === 'star') {
+                throw new Error(`ORDER BY ${expr.value} não corresponde a uma coluna do SELECT`);
+            }
+            expr = selected.expr;
+        }
+
+        // ORDER BY alias do SELECT
+        if (expr.type === 'column' && !expr.table) {
+            const aliased = columns.find(selected => selected.alias === expr.name);
+            if (aliased) {
+                expr = aliased.expr;
+            }
+        }
+
+        const order = {
+            column: this.columnName(expr, scope, 'ORDER BY'),
+            ascending: item.direction !== 'desc'
+        };
+        if (item.nulls) {
+            order.nullsFirst = item.nulls === 'first';
+        }
+        return order;
+    }
+
+    /**
+     * WHERE → lista de filtros (AND); grupos com OR viram { operator: 'or', value }
+     */
+    translateWhere(where, scope) {
+        const condition = this.translateCondition(this.pushNot(where), scope);
+        const items = condition.kind === 'and' ? condition.items : [condition];
+
+        return items.map(item => {
+            if (item.kind === 'filter') {
+                return { column: item.column, operator: item.operator, value: item.value };
+            }
+            return { operator: 'or', value: this.renderLogic(item.items) };
+        });
+    }
+
+    /**
+     * Empurra NOT para dentro (De Morgan e operadores invertidos)
+     */
+    pushNot(expr, negate = false) {
+        if (expr.type === 'unary' && expr.op === 'not') {
+            return this.pushNot(expr.expr, !negate);
+        }
+
+        if (expr.type === 'binary' && (expr.op === 'and' || expr.op === 'or')) {
+            const op = negate ? (expr.op === 'and' ? 'or' : 'and') : expr.op;
+            return { type: 'binary', op, left: this.pushNot(expr.left, negate), right: this.pushNot(expr.right, negate) };
+        }
+
+        if (!negate) {
+            return expr;
+        }
+
+        switch (expr.type) {
+            case 'binary':
+                if (NEGATED[expr.op]) {
+                    return { ...expr, op: NEGATED[expr.op] };
+                }
+                break;
+            case 'in':
+            case 'between':
+            case 'like':
+            case 'is':
+                return { ...expr, not: !expr.not };
+            case 'column':
+                return { type: 'binary', op: '=', left: expr, right: { type: 'literal', valueType: 'boolean', value: false } };
+            case 'literal':
+                if (expr.valueType === 'boolean') {
+                    return { ...expr, value: !expr.value };
+                }
+                break;
+        }
+
+        throw new Error(`NOT (${this.describe(expr)}) não é suportado pela API REST`);
+    }
+
+    /**
+     * Condição → árvore { kind: filter | and | or }
+     * and sem itens = sempre verdadeiro
+     */
+    translateCondition(expr, scope) {
+        if (expr.type === 'binary' && (expr.op === 'and' || expr.op === 'or')) {
+            const items = [];
+            for (const side of [expr.left, expr.right]) {
+                const condition = this.translateCondition(side, scope);
+                if (condition.kind === expr.op) {
+                    items.push(...condition.items);
+                } else {
+                    items.push(condition);
+                }
+            }
+
+            if (expr.op === 'and') {
+                return { kind: 'and', items: items.filter(item => !(item.kind === 'and' && item.items.length === 0)) };
+            }
+            // Um lado sempre verdadeiro torna o OR inteiro verdadeiro
+            if (items.some(item => item.kind === 'and' && item.items.length === 0)) {
+                return { kind: 'and', items: [] };
+            }
+            return { kind: 'or', items };
+        }
+
+        switch (expr.type) {
+            case 'binary':
+                return this.translateComparison(expr, scope);
+            case 'in':
+                return this.translateIn(expr, scope);
+            case 'between':
+                return this.translateBetween(expr, scope);
+            case 'like':
+                return this.translateLike(expr, scope);
+            case 'is':
+                return this.filter(this.columnName(expr.expr, scope, 'IS'), expr.not ? 'not.is' : 'is', expr.value === 'null' ? null : expr.value === 'true');
+            case 'column':
+                // WHERE ativo → ativo = true
+                return this.filter(this.columnName(expr, scope, 'WHERE'), 'eq', true);
+            case 'literal':
+                if (expr.valueType === 'boolean') {
+                    return this.constantCondition(expr.value);
+                }
+                break;
+            case 'subquery':
+            case 'exists':
+                throw new Error('subconsulta no WHERE não é suportada pela API REST');
+        }
+
+        throw new Error(`condição ${this.describe(expr)} não é suportada pela API REST`);
+    }
+
+    translateComparison(expr, scope) {
+        if (!COMPARISONS[expr.op]) {
+            throw new Error(`operador ${expr.op} não é suportado pela API REST`);
+        }
+
+        let { left, right } = expr;
+        let op = expr.op;
+
+        const leftValue = this.evaluate(left);
+        const rightValue = this.evaluate(right);
+
+        // 1 = 1, TRUE = TRUE...
+        if (leftValue !== undefined && rightValue !== undefined) {
+            return this.constantCondition(this.compare(leftValue, op, rightValue));
+        }
+
+        // 10 < idade → idade > 10
+        if (leftValue !== undefined) {
+            [left, right] = [right, left];
+            op = SWAPPED[op];
+        }
+
+        const value = leftValue !== undefined ? leftValue : rightValue;
+        if (value === undefined) {
+            if (this.isColumnLike(left) && this.isColumnLike(right)) {
+                throw new Error('comparação entre colunas não é suportada pela API REST');
+            }
+            throw new Error(`valor de ${this.describe(right)} não pôde ser calculado`);
+        }
+        if (value === null) {
+            throw new Error('comparação com NULL é sempre nula; use IS NULL');
+        }
+
+        // data::date = '2024-01-15' → intervalo do dia inteiro
+        const dateColumn = this.dateCastColumn(left, scope);
+        if (dateColumn) {
+            return this.translateDateComparison(dateColumn, op, this.toDate(value));
+        }
+
+        return this.filter(this.columnName(left, scope, 'WHERE'), COMPARISONS[op], this.format(value));
+    }
+
+    /**
+     * Compara a data (sem hora) de um timestamp com um dia: vira intervalo [dia, dia + 1)
+     */
+    translateDateComparison(column, op, day) {
+        if (!day) {
+            throw new Error(`valor comparado com ${column}::date não é uma data`);
+        }
+
+        const start = this.format(day);
+        const next = this.format(this.addInterval(day, { months: 0, ms: 86400000 }, 1));
+
+        switch (op) {
+            case '=':
+                return { kind: 'and', items: [this.filter(column, 'gte', start), this.filter(column, 'lt', next)] };
+            case '<>':
+                return { kind: 'or', items: [this.filter(column, 'lt', start), this.filter(column, 'gte', next)] };
+            case '>=':
+                return this.filter(column, 'gte', start);
+            case '>':
+                return this.filter(column, 'gte', next);
+            case '<':
+                return this.filter(column, 'lt', start);
+            case '<=':
+                return this.filter(column, 'lt', next);
+        }
+        throw new Error(`operador ${op} não é suportado em datas`);
+    }
+
+    translateIn(expr, scope) {
+        if (expr.query) {
+            throw new Error('IN com subconsulta não é suportado pela API REST');
+        }
+
+        const column = this.columnName(expr.expr, scope, 'IN');
+        const values = expr.list.map(item => {
+            const value = this.evaluate(item);
+            if (value === undefined) {
+                throw new Error(`valor de ${this.describe(item)} na lista do IN não pôde ser calculado`);
+            }
+            if (value === null) {
+                throw new Error('NULL dentro de IN não é suportado; use IS NULL');
+            }
+            return this.format(value);
+        });
+
+        return this.filter(column, expr.not ? 'not.in' : 'in', values);
+    }
+
+    translateBetween(expr, scope) {
+        const low = this.evaluate(expr.low);
+        const high = this.evaluate(expr.high);
+        if (low === undefined || high === undefined || low === null || high === null) {
+            throw new Error('BETWEEN só é suportado com limites constantes');
+        }
+
+        const dateColumn = this.dateCastColumn(expr.expr, scope);
+        if (dateColumn) {
+            const from = this.translateDateComparison(dateColumn, expr.not ? '<' : '>=', this.toDate(low));
+            const to = this.translateDateComparison(dateColumn, expr.not ? '>' : '<=', this.toDate(high));
+            return { kind: expr.not ? 'or' : 'and', items: [from, to] };
+        }
+
+        const column = this.columnName(expr.expr, scope, 'BETWEEN');
+        if (expr.not) {
+            return { kind: 'or', items: [this.filter(column, 'lt', this.format(low)), this.filter(column, 'gt', this.format(high))] };
+        }
+        return { kind: 'and', items: [this.filter(column, 'gte', this.format(low)), this.filter(column, 'lte', this.format(high))] };
+    }
+
+    translateLike(expr, scope) {
+        if (expr.op === 'similar') {
+            throw new Error('SIMILAR TO não é suportado pela API REST');
+        }
+        if (expr.escape) {
+            throw new Error('LIKE com ESCAPE não é suportado pela API REST');
+        }
+
+        const pattern = this.evaluate(expr.pattern);
+        if (typeof pattern !== 'string') {
+            throw new Error('LIKE só é suportado com padrão de texto constante');
+        }
+
+        let op = expr.op;
+        let target = expr.expr;
+
+        // LOWER(nome) LIKE '%joao%' equivale a nome ILIKE '%joao%' quando o padrão já está minúsculo
+        if (target.type === 'function' && ['lower', 'upper'].includes(target.name) && target.args.length === 1) {
+            const folded = target.name === 'lower' ? pattern.toLowerCase() : pattern.toUpperCase();
+            if (folded !== pattern) {
+                throw new Error(`${target.name.toUpperCase()}() com padrão em outra caixa nunca casa`);
+            }
+            op = 'ilike';
+            target = target.args[0];
+        }
+
+        return this.filter(this.columnName(target, scope, 'LIKE'), expr.not ? `not.${op}` : op, pattern);
+    }
+
+    filter(column, operator, value) {
+        return { kind: 'filter', column, operator, value };
+    }
+
+    constantCondition(value) {
+        if (value === true) {
+            return { kind: 'and', items: [] };
+        }
+        throw new Error('condição do WHERE nunca é verdadeira');
+    }
+
+    /**
+     * Itens de um OR no formato do PostgREST: "status.eq.ativo,and(idade.gte.18,idade.lt.30)"
+     */
+    renderLogic(items) {
+        return items.map(item => {
+            if (item.kind === 'filter') {
+                return `${SqlTranslator.quote(item.column)}.${item.operator}.${this.renderValue(item.operator, item.value)}`;
+            }
+            return `${item.kind}(${this.renderLogic(item.items)})`;
+        }).join(',');
+    }
+
+    renderValue(operator, value) {
+        if (operator === 'in' || operator === 'not.in') {
+            return SqlTranslator.renderList(value);
+        }
+        if (value === null) {
+            return 'null';
+        }
+        return SqlTranslator.quote(String(value));
+    }
+
+    /**
+     * Lista de um filtro in/not.in: "(ativo,"em andamento")"
+     */
+    static renderList(values) {
+        return `(${(Array.isArray(values) ? values : [values]).map(item => SqlTranslator.quote(String(item))).join(',')})`;
+    }
+
+    /**
+     * Aspas para valores com caracteres reservados do PostgREST (, . : ( ) " espaço)
+     */
+    static quote(value) {
+        if (/[,.:()"\s\\]/.test(value)) {
+            return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+        }
+        return value;
+    }
+
+    /**
+     * COLUNAS
+     */
+    isScope(qualifier, scope) {
+        return qualifier === scope.table || qualifier === scope.alias;
+    }
+
+    isJsonPath(expr) {
+        return expr.type === 'binary' && (expr.op === '->' || expr.op === '->>')
+            && (expr.left.type === 'column' || this.isJsonPath(expr.left))
+            && expr.right.type === 'literal';
+    }
+
+    isColumnLike(expr) {
+        return expr.type === 'column' || expr.type === 'cast' || expr.type === 'function' || this.isJsonPath(expr);
+    }
+
+    /**
+     * Nome da coluna no PostgREST (aceita tabela.coluna, casts para texto/timestamp e dados->>'campo')
+     */
+    columnName(expr, scope, context) {
+        if (expr.type === 'column') {
+            if (expr.table && !this.isScope(expr.table, scope)) {
+                throw new Error(`coluna ${expr.table}.${expr.name} não pertence à tabela ${scope.table}`);
+            }
+            return expr.name;
+        }
+
+        if (this.isJsonPath(expr)) {
+            return `${this.columnName(expr.left, scope, context)}${expr.op}${expr.right.value}`;
+        }
+
+        if (expr.type === 'cast' && (TEXT_TYPES.test(expr.dataType) || TIMESTAMP_TYPES.includes(expr.dataType))) {
+            return this.columnName(expr.expr, scope, context);
+        }
+
+        throw new Error(`expressão ${this.describe(expr)} em ${context} não é suportada pela API REST`);
+    }
+
+    /**
+     * Coluna de "coluna::date", "CAST(coluna AS date)" ou "DATE(coluna)"; null se não é isso
+     */
+    dateCastColumn(expr, scope) {
+        const isCast = expr.type === 'cast' && DATE_TYPES.includes(expr.dataType);
+        const isFunction = expr.type === 'function' && expr.name === 'date' && expr.args.length === 1;
+        if (!isCast && !isFunction) {
+            return null;
+        }
+        return this.columnName(isCast ? expr.expr : expr.args[0], scope, 'WHERE');
+    }
+
+    /**
+     * CONSTANTES
+     * evaluate() → número, texto, boolean, null, { temporal: 'date'|'timestamp', date }
+     * ou { interval } ; undefined quando a expressão depende de colunas
+     */
+    evaluate(expr) {
+        switch (expr.type) {
+            case 'literal':
+                return expr.value;
+            case 'typed_literal':
+                return this.toTemporal(expr.value, DATE_TYPES.includes(expr.dataType) ? 'date' : 'timestamp');
+            case 'interval':
+                return this.parseInterval(expr.value);
+            case 'unary': {
+                const value = this.evaluate(expr.expr);
+                return expr.op === '-' && typeof value === 'number' ? -value : undefined;
+            }
+            case 'cast':
+                return this.castValue(this.evaluate(expr.expr), expr.dataType);
+            case 'function':
+                return this.evaluateFunction(expr);
+            case 'binary':
+                return this.evaluateArithmetic(expr);
+        }
+        return undefined;
+    }
+
+    evaluateFunction(expr) {
+        if (expr.over || expr.distinct || expr.star) {
+            return undefined;
+        }
+
+        const now = new Date();
+        switch (expr.name) {
+            case 'now':
+            case 'current_timestamp':
+            case 'localtimestamp':
+                return expr.args.length === 0 ? { temporal: 'timestamp', date: now } : undefined;
+            case 'current_date':
+                return expr.args.length === 0 ? this.truncate({ temporal: 'date', date: now }, 'day') : undefined;
+            case 'date': {
+                const value = expr.args.length === 1 ? this.evaluate(expr.args[0]) : undefined;
+                return value === undefined ? undefined : this.castValue(value, 'date');
+            }
+            case 'date_trunc': {
+                if (expr.args.length !== 2) {
+                    return undefined;
+                }
+                const unit = this.evaluate(expr.args[0]);
+                const value = this.castValue(this.evaluate(expr.args[1]), 'timestamp');
+                return typeof unit === 'string' && value ? this.truncate(value, unit.toLowerCase()) : undefined;
+            }
+            case 'lower':
+            case 'upper': {
+                const value = expr.args.length === 1 ? this.evaluate(expr.args[0]) : undefined;
+                if (typeof value !== 'string') {
+                    return undefined;
+                }
+                return expr.name === 'lower' ? value.toLowerCase() : value.toUpperCase();
+            }
+        }
+        return undefined;
+    }
+
+    evaluateArithmetic(expr) {
+        if (!['+', '-', '*', '/', '||'].includes(expr.op)) {
+            return undefined;
+        }
+
+        const left = this.evaluate(expr.left);
+        const right = this.evaluate(expr.right);
+        if (left === undefined || right === undefined || left === null || right === null) {
+            return undefined;
+        }
+
+        if (expr.op === '||') {
+            return typeof left === 'object' || typeof right === 'object' ? undefined : `${left}${right}`;
+        }
+
+        if (typeof left === 'number' && typeof right === 'number') {
+            switch (expr.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return Number.isInteger(left) && Number.isInteger(right) ? Math.trunc(left / right) : left / right;
+            }
+        }
+
+        if (expr.op !== '+' && expr.op !== '-') {
+            return undefined;
+        }
+        const sign = expr.op === '+' ? 1 : -1;
+
+        // timestamp ± interval
+        if (left.temporal && right.interval) {
+            return { temporal: 'timestamp', date: this.addInterval(left, right.interval, sign).date };
+        }
+        if (expr.op === '+' && left.interval && right.temporal) {
+            return { temporal: 'timestamp', date: this.addInterval(right, left.interval, 1).date };
+        }
+
+        // date ± dias
+        if (left.temporal === 'date' && Number.isInteger(right)) {
+            return this.addInterval(left, { months: 0, ms: right * 86400000 }, sign);
+        }
+
+        return undefined;
+    }
+
+    castValue(value, dataType) {
+        if (value === undefined || value === null) {
+            return value;
+        }
+
+        if (DATE_TYPES.includes(dataType) || TIMESTAMP_TYPES.includes(dataType)) {
+            const temporal = DATE_TYPES.includes(dataType) ? 'date' : 'timestamp';
+            if (value.temporal) {
+                return temporal === 'date' ? this.truncate(value, 'day') : { temporal, date: value.date };
+            }
+            return typeof value === 'string' ? this.toTemporal(value, temporal) : undefined;
+        }
+
+        if (dataType === 'interval') {
+            return typeof value === 'string' ? this.parseInterval(value) : undefined;
+        }
+
+        if (TEXT_TYPES.test(dataType)) {
+            return value.temporal ? this.format(value) : String(value);
+        }
+
+        if (/^(int|integer|bigint|smallint|int2|int4|int8|numeric|decimal|real|float|float4|float8|double precision)(\(.*\))?$/.test(dataType)) {
+            const number = Number(value);
+            return Number.isNaN(number) ? undefined : number;
+        }
+
+        if (dataType === 'boolean' || dataType === 'bool') {
+            return typeof value === 'boolean' ? value : ['true', 't', '1'].includes(String(value).toLowerCase());
+        }
+
+        return undefined;
+    }
+
+    toTemporal(text, temporal) {
+        const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00Z` : text);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`data inválida: '${text}'`);
+        }
+        return temporal === 'date' ? this.truncate({ temporal, date }, 'day') : { temporal, date };
+    }
+
+    toDate(value) {
+        if (value && value.temporal) {
+            return this.truncate(value, 'day');
+        }
+        return typeof value === 'string' ? this.toTemporal(value, 'date') : null;
+    }
+
+    /**
+     * '7 days', '1 month', '2 hours 30 minutes' → { months, ms }
+     */
+    parseInterval(text) {
+        const interval = { months: 0, ms: 0 };
+        const pattern = /(-?\d+(?:\.\d+)?)\s*(year|month|week|day|hour|minute|min|second|sec)s?\b/gi;
+        let matched = false;
+        let match;
+
+        while ((match = pattern.exec(text)) !== null) {
+            const unit = INTERVAL_UNITS[match[2].toLowerCase()];
+            const amount = parseFloat(match[1]);
+            interval.months += (unit.months || 0) * amount;
+            interval.ms += (unit.ms || 0) * amount;
+            matched = true;
+        }
+
+        if (!matched) {
+            throw new Error(`intervalo inválido: '${text}'`);
+        }
+        return { interval };
+    }
+
+    addInterval(value, interval, sign) {
+        const date = new Date(value.date.getTime());
+        if (interval.months) {
+            date.setUTCMonth(date.getUTCMonth() + sign * interval.months);
+        }
+        date.setTime(date.getTime() + sign * interval.ms);
+        return { temporal: value.temporal, date };
+    }
+
+    truncate(value, unit) {
+        const date = new Date(value.date.getTime());
+        switch (unit) {
+            case 'year':
+                date.setUTCMonth(0, 1);
+                date.setUTCHours(0, 0, 0, 0);
+                break;
+            case 'quarter':
+                date.setUTCMonth(Math.floor(date.getUTCMonth() / 3) * 3, 1);
+                date.setUTCHours(0, 0, 0, 0);
+                break;
+            case 'month':
+                date.setUTCDate(1);
+                date.setUTCHours(0, 0, 0, 0);
+                break;
+            case 'week':
+                // Semana ISO começa na segunda
+                date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+                date.setUTCHours(0, 0, 0, 0);
+                break;
+            case 'day':
+                date.setUTCHours(0, 0, 0, 0);
+                break;
+            case 'hour':
+                date.setUTCMinutes(0, 0, 0);
+                break;
+            case 'minute':
+                date.setUTCSeconds(0, 0);
+                break;
+            default:
+                throw new Error(`unidade de date_trunc não suportada: '${unit}'`);
+        }
+        return { temporal: unit === 'day' ? 'date' : value.temporal, date };
+    }
+
+    compare(left, op, right) {
+        const a = left && left.temporal ? left.date.getTime() : left;
+        const b = right && right.temporal ? right.date.getTime() : right;
+        if (a === null || b === null || typeof a === 'object' || typeof b === 'object') {
+            throw new Error('comparação entre constantes não suportada');
+        }
+        switch (op) {
+            case '=': return a === b;
+            case '<>': return a !== b;
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+        }
+        return false;
+    }
+
+    /**
+     * Valor no formato aceito pelo PostgREST (datas em ISO)
+     */
+    format(value) {
+        if (value && value.interval) {
+            throw new Error('intervalo não pode ser comparado diretamente com uma coluna');
+        }
+        if (value && value.temporal) {
+            return value.temporal === 'date' ? value.date.toISOString().substring(0, 10) : value.date.toISOString();
+        }
+        return value;
+    }
+
+    constantInteger(expr, clause) {
+        const value = this.evaluate(expr);
+        if (!Number.isInteger(value) || value < 0) {
+            throw new Error(`${clause} precisa ser um número inteiro constante`);
+        }
+        return value;
+    }
+
+    /**
+     * Descrição curta de uma expressão para mensagens de erro
+     */
+    describe(expr) {
+        switch (expr.type) {
+            case 'column':
+                return expr.table ? `${expr.table}.${expr.name}` : expr.name;
+            case 'function':
+                return `${expr.name.toUpperCase()}()`;
+            case 'literal':
+                return String(expr.value);
+            case 'cast':
+                return `${this.describe(expr.expr)}::${expr.dataType}`;
+            case 'case':
+                return 'CASE';
+            case 'subquery':
+                return 'subconsulta';
+            case 'binary':
+                return `${this.describe(expr.left)} ${expr.op} ${this.describe(expr.right)}`;
+            default:
+                return expr.type;
+        }
+    }
+}
+
+module.exports = SqlTranslator;
@@ -1,4 +1,6 @@
 const { createClient } = require('@supabase/supabase-js');
+const SqlGuard = require('../sql/sql-guard');
+const SqlTranslator = require('../sql/sql-translator');
 
 class SupabaseExecutor {
     constructor() {
@@ -11,6 +13,8 @@ class SupabaseExecutor {
         }
 
         this.supabase = createClient(this.supabaseUrl, this.supabaseKey);
+        // Política de SQL somente leitura para executeCustomQuery
+        this.sqlGuard = new SqlGuard();
         console.log('🗄️ Cliente Supabase inicializado');
     }
 
@@ -311,6 +315,7 @@ class SupabaseExecutor {
             const {
                 filters = [],
                 limit = 10,
+                offset = 0,
                 orderBy = null,
                 columns = null
             } = options;
@@ -328,12 +333,12 @@ class SupabaseExecutor {
             query = this.applyFilters(query, filters);
 
             // Aplica ordenação
-            if (orderBy) {
-                query = query.order(orderBy.column, { ascending: orderBy.ascending });
-            }
+            query = this.applyOrder(query, orderBy);
 
-            // Aplica limite
-            if (limit) {
+            // Aplica limite (com offset, busca a "página" seguinte)
+            if (offset > 0) {
+                query = query.range(offset, offset + (limit || 10) - 1);
+            } else if (limit) {
                 query = query.limit(limit);
             }
 
@@ -409,6 +414,18 @@ class SupabaseExecutor {
                 case 'is':
                     query = query.is(column, value);
                     break;
+                case 'or':
+                    // value no formato do PostgREST: "status.eq.novo,idade.gt.30"
+                    query = query.or(value);
+                    break;
+                case 'not.in':
+                    query = query.not(column, 'in', SqlTranslator.renderList(value));
+                    break;
+                case 'not.is':
+                case 'not.like':
+                case 'not.ilike':
+                    query = query.not(column, operator.substring(4), value);
+                    break;
                 default:
                     console.warn(`⚠️ Operador não suportado: ${operator}`);
             }
@@ -417,12 +434,40 @@ class SupabaseExecutor {
         return query;
     }
 
+    /**
+     * orderBy: { column, ascending } ou lista deles (ORDER BY com várias colunas)
+     */
+    applyOrder(query, orderBy) {
+        if (!orderBy) {
+            return query;
+        }
+
+        (Array.isArray(orderBy) ? orderBy : [orderBy]).forEach(order => {
+            const options = { ascending: order.ascending !== false };
+            if (order.nullsFirst !== undefined) {
+                options.nullsFirst = order.nullsFirst;
+            }
+            query = query.order(order.column, options);
+        });
+
+        return query;
+    }
+
     // Método para executar queries SQL customizadas (uso avançado)
     async executeCustomQuery(sqlQuery) {
         try {
-            const { data, error } = await this.supabase.rpc('execute_sql', {
-                query: sqlQuery
-            });
+            const guarded = this.sqlGuard.check(sqlQuery, 'executor');
+            if (!guarded.allowed) {
+                return {
+                    success: false,
+                    error: `SQL bloqueado: ${guarded.reason}`,
+                    message: 'Query recusada pela política de segurança'
+                };
+            }
+
+            const { data, error } = await this.sqlGuard.withClientTimeout(this.supabase.rpc('execute_sql', {
+                query: guarded.sql
+            }), guarded.sql, 'executor');
 
             if (error) {
                 console.error('❌ Erro ao executar query customizada:', error);
@@ -546,7 +591,7 @@ class SupabaseExecutor {
                     query = this.applyFilters(query, filters);
                 }
 
-                const { data, error } = await query;
+                const { data, error } = await this.sqlGuard.withClientTimeout(query, `${tableName}.${column} (página ${Math.floor(from / pageSize) + 1})`, 'executor');
 
                 if (error) {
                     return {
@@ -585,6 +630,79 @@ class SupabaseExecutor {
         }
     }
 
+    /**
+     * Busca todos os registros de uma consulta (sem limite de exibição)
+     * Usado em exportações - pagina de 1000 em 1000 até maxRows
+     */
+    async getAllRecords(tableName, options = {}) {
+        try {
+            const {
+                filters = [],
+                columns = null,
+                orderBy = null,
+                maxRows = 50000
+            } = options;
+
+            const allData = [];
+            const pageSize = 1000; // Limite do Supabase
+            let from = 0;
+            let truncated = false;
+
+            console.log(`📄 Buscando todos os registros de ${tableName} (máx ${maxRows})...`);
+
+            while (true) {
+                let query = this.supabase
+                    .from(tableName)
+                    .select(columns && columns.length > 0 ? columns.join(', ') : '*');
+
+                query = this.applyFilters(query, filters);
+
+                query = this.applyOrder(query, orderBy);
+
+                const { data, error } = await query.range(from, from + pageSize - 1);
+
+                if (error) {
+                    return {
+                        success: false,
+                        error: error.message,
+                        message: `Erro ao buscar registros da tabela ${tableName}`
+                    };
+                }
+
+                allData.push(...(data || []));
+
+                if (!data || data.length < pageSize) {
+                    break;
+                }
+
+                if (allData.length >= maxRows) {
+                    truncated = true;
+                    break;
+                }
+
+                from += pageSize;
+            }
+
+            const rows = allData.slice(0, maxRows);
+            console.log(`✅ ${rows.length} registros coletados de ${tableName}${truncated ? ' (limite atingido)' : ''}`);
+
+            return {
+                success: true,
+                data: rows,
+                count: rows.length,
+                truncated,
+                message: `Encontrados ${rows.length} registros na tabela ${tableName}`
+            };
+
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                message: 'Erro ao buscar registros'
+            };
+        }
+    }
+
     // Método utilitário para verificar se uma tabela existe
     async tableExists(tableName) {
         try {
@@ -249,6 +249,20 @@ class Helpers {
         }
     }
 
+    /**
+     * Extrai as linhas (array de objetos) de um resultado de query
+     * Aceita os formatos retornados pelo executor e pelo servidor MCP
+     */
+    static extractRows(result) {
+        if (!result) return [];
+
+        const data = result.data;
+        const candidates = [data, data?.result, data?.records, data?.data];
+        const rows = candidates.find(candidate => Array.isArray(candidate)) || [];
+
+        return rows.filter(row => row && typeof row === 'object' && !Array.isArray(row));
+    }
+
     /**
      * Log formatado com timestamp
      */
@@ -1,25 +1,46 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
+const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
 const qrcode = require('qrcode-terminal');
+const Channel = require('../channels/channel');
+const ConnectionSupervisor = require('./connection-supervisor');
 
-class WhatsAppBot {
-    constructor(aiAgent, responseFormatter) {
-        this.aiAgent = aiAgent;
-        this.responseFormatter = responseFormatter;
+// Tipos de mensagem de áudio (voice note e arquivo de áudio)
+const AUDIO_TYPES = ['ptt', 'audio'];
+
+// Tempo máximo para destruir um cliente travado antes de criar outro
+const CLIENT_DESTROY_TIMEOUT = 15000;
+
+/**
+ * Canal WhatsApp (whatsapp-web.js / Puppeteer)
+ *
+ * Só cuida da conexão e do transporte: as mensagens recebidas são
+ * convertidas para o formato comum e processadas pelo MessageHandler.
+ * A conexão é mantida pelo ConnectionSupervisor; enquanto o WhatsApp está
+ * fora, mensagens enviadas ficam numa fila (outbox) e saem ao reconectar.
+ */
+class WhatsAppBot extends Channel {
+    constructor(options = {}) {
+        super('whatsapp');
         this.client = null;
-        this.isReady = false;
-        this.sessionPath = process.env.WHATSAPP_SESSION_PATH || './whatsapp-session';
-        this.clientId = process.env.WHATSAPP_CLIENT_ID || 'whatsapp-ai-bot';
-        this.initTimeout = null;
+        this.sessionPath = options.sessionPath || process.env.WHATSAPP_SESSION_PATH || './whatsapp-session';
+        this.clientId = options.clientId || process.env.WHATSAPP_CLIENT_ID || 'whatsapp-ai-bot';
+
+        // Mensagens aguardando reconexão
+        this.outbox = [];
+        this.outboxLimit = options.outboxLimit || parseInt(process.env.WHATSAPP_OUTBOX_LIMIT) || 100;
+        this.outboxTTL = options.outboxTTL || parseInt(process.env.WHATSAPP_OUTBOX_TTL) || 3600000; // 1 hora
+
+        this.supervisor = new ConnectionSupervisor(this, options.supervisor);
     }
 
     async initialize() {
         console.log('📱 Inicializando WhatsApp Bot...');
+        await this.supervisor.start();
+    }
 
-        // Limpa sessão se existir problema
-        if (this.initTimeout) {
-            clearTimeout(this.initTimeout);
-        }
-
+    /**
+     * Cria e inicializa um cliente novo (chamado pelo supervisor a cada conexão)
+     */
+    async startClient() {
         this.client = new Client({
             authStrategy: new LocalAuth({
                 clientId: this.clientId,
@@ -42,232 +63,362 @@ class WhatsAppBot {
             }
         });
 
-        this.setupEventHandlers();
-        
-        // Timeout de segurança para forçar ready
-        this.initTimeout = setTimeout(() => {
-            if (!this.isReady) {
-                console.log('⚠️ Timeout atingido, forçando estado ready...');
-                this.forceReady();
-            }
-        }, 45000); // 45 segundos
-        
+        this.setupEventHandlers(this.client);
         await this.client.initialize();
     }
 
-    forceReady() {
-        this.isReady = true;
-        console.log('✅ WhatsApp Bot conectado e pronto! (forçado)');
-        console.log('📱 WhatsApp Web conectado com sucesso!');
-        console.log('🔔 Bot está aguardando mensagens...');
-        console.log('🧪 Testando listeners de eventos...');
-        console.log(`📊 Eventos 'message': ${this.client.listenerCount('message')}`);
-        console.log(`📊 Eventos 'ready': ${this.client.listenerCount('ready')}`);
-        console.log('⏳ Envie uma mensagem para testar...');
+    /**
+     * Destrói o cliente atual (o navegador pode já estar morto)
+     */
+    async stopClient() {
+        const client = this.client;
+        this.client = null;
+        this.isReady = false;
+
+        if (!client) {
+            return;
+        }
+
+        let timer;
+        try {
+            await Promise.race([
+                client.destroy(),
+                new Promise((resolve) => {
+                    timer = setTimeout(resolve, CLIENT_DESTROY_TIMEOUT);
+                })
+            ]);
+        } catch (error) {
+            console.warn('⚠️ Erro ao destruir cliente WhatsApp:', error.message);
+        } finally {
+            clearTimeout(timer);
+        }
     }
 
-    setupEventHandlers() {
+    setupEventHandlers(client) {
+        // Eventos de um cliente já substituído são ignorados
+        const current = handler => (...args) => {
+            if (client === this.client) {
+                return handler(...args);
+            }
+        };
+
         // QR Code para autenticação
-        this.client.on('qr', (qr) => {
+        client.on('qr', current((qr) => {
             console.log('📱 Escaneie o QR Code abaixo com seu WhatsApp:');
             qrcode.generate(qr, { small: true });
-        });
+            this.supervisor.onQR();
+        }));
 
-        // Cliente pronto
-        this.client.on('ready', () => {
-            if (this.initTimeout) {
-                clearTimeout(this.initTimeout);
-                this.initTimeout = null;
-            }
-            console.log('✅ WhatsApp Bot conectado e pronto!');
-            console.log('📱 WhatsApp Web conectado com sucesso!');
-            console.log('🔔 Bot está aguardando mensagens...');
-            this.isReady = true;
-            
-            // Testa listeners
-            console.log('🧪 Testando listeners de eventos...');
-            console.log(`📊 Eventos 'message': ${this.client.listenerCount('message')}`);
-            console.log(`📊 Eventos 'ready': ${this.client.listenerCount('ready')}`);
-            console.log('⏳ Envie uma mensagem para testar...');
-        });
+        // Cliente pronto (confirmado pelo supervisor via getState)
+        client.on('ready', current(() => this.supervisor.onReady()));
 
         // Estado de autenticação
-        this.client.on('authenticated', () => {
+        client.on('authenticated', current(() => {
             console.log('🔐 WhatsApp autenticado com sucesso!');
-        });
+            this.supervisor.onAuthenticated();
+        }));
 
         // Estado de carregamento
-        this.client.on('loading_screen', (percent, message) => {
+        client.on('loading_screen', current((percent, message) => {
             console.log(`⏳ Carregando WhatsApp: ${percent}% - ${message}`);
-        });
+        }));
 
         // Mensagem recebida - HANDLER PRINCIPAL
-        this.client.on('message', async (message) => {
+        client.on('message', current(async (message) => {
             console.log('🔔 EVENTO MESSAGE DISPARADO!');
             await this.handleMessage(message);
-        });
+        }));
+
+        // Reações (👍/👎) às respostas do bot viram avaliação
+        client.on('message_reaction', current(async (reaction) => {
+            await this.handleReaction(reaction);
+        }));
 
         // Desconectado
-        this.client.on('disconnected', (reason) => {
+        client.on('disconnected', current((reason) => {
             console.log('❌ WhatsApp desconectado:', reason);
-            this.isReady = false;
-        });
+            this.supervisor.onDisconnected(reason);
+        }));
 
         // Erro de autenticação
-        this.client.on('auth_failure', (msg) => {
+        client.on('auth_failure', current((msg) => {
             console.error('❌ Falha na autenticação:', msg);
-        });
+            this.supervisor.onAuthFailure(msg);
+        }));
 
         // Erro geral
-        this.client.on('error', (error) => {
+        client.on('error', current((error) => {
             console.error('❌ Erro no cliente WhatsApp:', error);
-        });
+        }));
     }
 
+    /**
+     * Converte a mensagem do whatsapp-web.js para o formato comum dos canais
+     */
     async handleMessage(message) {
         try {
-            console.log('📨 PROCESSANDO MENSAGEM...');
-            
             // Ignora mensagens próprias
             if (message.fromMe) {
                 console.log('🔄 Ignorando mensagem própria');
                 return;
             }
 
-            // FILTRO DE SEGURANÇA: Só processa mensagens de números autorizados
-            const authorizedNumbers = (process.env.AUTHORIZED_NUMBERS || '').split(',').filter(n => n.trim());
-            const senderNumber = message.from.split('@')[0];
-            const isAuthorized = authorizedNumbers.some(num => senderNumber.includes(num.trim()));
-            
-            if (!isAuthorized && authorizedNumbers.length > 0) {
-                console.log(`🚫 Mensagem de número não autorizado: ${senderNumber} - ignorando`);
-                return;
-            }
-            
-            const chat = await message.getChat();
-            
             const contact = await message.getContact();
-            
-            console.log(`📨 Mensagem recebida de ${contact.name || contact.number}: "${message.body}"`);
-            console.log(`📋 Tipo da mensagem: ${message.type}`);
-
-            // Verifica se é uma mensagem de texto
-            if (message.type !== 'chat') {
-                console.log(`⚠️ Tipo de mensagem não suportado: ${message.type} - ignorando silenciosamente`);
-                // Não tenta responder para evitar timeout do Puppeteer
-                return;
-            }
-
-            // Mostra que está processando
-            console.log('⏳ Iniciando processamento da mensagem...');
-            try {
-                await chat.sendStateTyping();
-            } catch (e) {
-                // Ignora erro de typing - não é crítico
-            }
 
-            // Processa mensagem com IA
-            console.log('🧠 Enviando para IA...');
-            const response = await this.processMessageWithAI(message.body, contact);
-            
-            // Envia resposta
-            if (response) {
-                console.log(`📤 Enviando resposta: "${response.substring(0, 100)}..."`);
-                await message.reply(response);
-                console.log(`✅ Resposta enviada com sucesso para ${contact.name || contact.number}`);
-            } else {
-                console.log('⚠️ Nenhuma resposta gerada pela IA');
-                await message.reply('🤖 Desculpe, não consegui processar sua mensagem no momento.');
-            }
+            // Em grupos, from é o grupo e author o participante que escreveu
+            const isGroup = message.from.endsWith('@g.us');
+            const senderId = isGroup ? message.author || message.from : message.from;
+            const mentioned = isGroup && this.isMentioned(message);
 
+            await this.emitMessage({
+                id: message.id?._serialized || null,
+                chatId: message.from,
+                sender: {
+                    id: senderId,
+                    number: await this.resolveNumber(senderId, contact),
+                    name: contact.name || contact.pushname || null
+                },
+                type: this.normalizeType(message.type),
+                text: mentioned ? this.stripOwnMention(message.body) : message.body,
+                quoted: await this.getQuoted(message),
+                group: isGroup ? { id: message.from, mentioned } : null,
+                timestamp: message.timestamp ? new Date(message.timestamp * 1000).toISOString() : new Date().toISOString(),
+                downloadMedia: () => this.downloadMedia(message),
+                raw: message
+            });
         } catch (error) {
-            console.error('❌ Erro ao processar mensagem:', error);
-            console.error('Stack trace:', error.stack);
-            try {
-                await message.reply('🤖 Desculpe, ocorreu um erro ao processar sua mensagem. Tente novamente.');
-            } catch (replyError) {
-                console.error('❌ Erro ao enviar mensagem de erro:', replyError);
-            }
+            console.error('❌ Erro ao receber mensagem do WhatsApp:', error);
         }
     }
 
-    async processMessageWithAI(messageText, contact) {
+    /**
+     * Converte uma reação para o formato comum (type "reaction")
+     * Só interessam reações de outras pessoas a mensagens enviadas pelo bot
+     */
+    async handleReaction(reaction) {
         try {
-            console.log('🧠 Iniciando processamento com IA...');
-            
-            // Contexto do usuário
-            const userContext = {
-                name: contact.name || 'Usuário',
-                number: contact.number,
-                timestamp: new Date().toISOString()
-            };
-            console.log('👤 Contexto do usuário:', userContext);
-
-            // Verifica se aiAgent existe
-            if (!this.aiAgent) {
-                console.error('❌ aiAgent não está inicializado!');
-                return '🤖 Sistema de IA não está disponível. Tente novamente em alguns instantes.';
-            }
-
-            console.log('🔄 Chamando aiAgent.processMessage...');
-            // Processa com IA
-            const aiResponse = await this.aiAgent.processMessage(messageText, userContext);
-            console.log('✅ Resposta da IA recebida:', aiResponse ? 'Sucesso' : 'Vazia');
-            
-            // Verifica se responseFormatter existe
-            if (!this.responseFormatter) {
-                console.error('❌ responseFormatter não está inicializado!');
-                return aiResponse?.response || '🤖 Erro na formatação da resposta.';
+            if (reaction.id?.fromMe || !reaction.msgId?.fromMe) {
+                return;
             }
 
-            console.log('🎨 Formatando resposta...');
-            // Formata resposta
-            const formattedResponse = this.responseFormatter.format(aiResponse);
-            console.log('✅ Resposta formatada:', formattedResponse ? 'Sucesso' : 'Vazia');
-            
-            return formattedResponse;
+            const remote = reaction.msgId.remote;
+            const chatId = typeof remote === 'string' ? remote : remote?._serialized;
+            const senderId = reaction.senderId || chatId;
 
+            await this.emitMessage({
+                id: reaction.id?._serialized || null,
+                chatId,
+                sender: {
+                    id: senderId,
+                    number: await this.resolveNumber(senderId),
+                    name: null
+                },
+                type: 'reaction',
+                // Vazio quando a reação foi removida
+                text: reaction.reaction || '',
+                reaction: { emoji: reaction.reaction || '', messageId: reaction.msgId._serialized },
+                timestamp: reaction.timestamp ? new Date(reaction.timestamp * 1000).toISOString() : new Date().toISOString(),
+                raw: reaction
+            });
         } catch (error) {
-            console.error('❌ Erro no processamento IA:', error);
-            console.error('Stack trace completo:', error.stack);
-            return '🤖 Desculpe, não consegui processar sua solicitação. Verifique se sua mensagem está clara e tente novamente.';
+            console.error('❌ Erro ao receber reação do WhatsApp:', error);
         }
     }
 
-    async sendMessage(number, message) {
+    /**
+     * Telefone do remetente
+     * IDs @lid não contêm o telefone: usa o número do contato (buscado pelo id
+     * quando não veio junto, como nas reações)
+     */
+    async resolveNumber(senderId, contact = null) {
+        if (senderId.endsWith('@c.us')) {
+            return senderId.split('@')[0];
+        }
+
         try {
-            if (!this.isReady) {
-                throw new Error('WhatsApp Bot não está pronto');
-            }
+            const resolved = contact || await this.client.getContactById(senderId);
+            return resolved?.number || null;
+        } catch (error) {
+            console.error(`❌ Erro ao buscar o contato ${senderId}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Mensagem citada (reply) - usada como contexto da pergunta
+     */
+    async getQuoted(message) {
+        if (!message.hasQuotedMsg) {
+            return null;
+        }
 
-            const chatId = number.includes('@c.us') ? number : `${number}@c.us`;
-            await this.client.sendMessage(chatId, message);
-            
-            return true;
+        try {
+            const quoted = await message.getQuotedMessage();
+            return quoted
+                ? { id: quoted.id?._serialized || null, text: quoted.body || null, fromMe: !!quoted.fromMe }
+                : null;
         } catch (error) {
-            console.error('❌ Erro ao enviar mensagem:', error);
+            console.warn('⚠️ Não foi possível obter a mensagem citada:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * O bot foi mencionado (@) na mensagem de grupo
+     */
+    isMentioned(message) {
+        const ownId = this.client?.info?.wid?._serialized;
+        if (!ownId) {
             return false;
         }
+
+        const mentionedIds = (message.mentionedIds || []).map(id => (typeof id === 'string' ? id : id?._serialized));
+        return mentionedIds.includes(ownId) || (message.body || '').includes(`@${ownId.split('@')[0]}`);
     }
 
-    async destroy() {
-        if (this.initTimeout) {
-            clearTimeout(this.initTimeout);
+    /**
+     * Remove o "@<número do bot>" do texto da pergunta
+     */
+    stripOwnMention(text) {
+        const ownNumber = this.client?.info?.wid?.user;
+        if (!ownNumber || !text) {
+            return text;
+        }
+        return text.split(`@${ownNumber}`).join(' ').replace(/ {2,}/g, ' ').trim();
+    }
+
+    normalizeType(type) {
+        if (type === 'chat') return 'text';
+        if (AUDIO_TYPES.includes(type)) return 'audio';
+        return type;
+    }
+
+    async downloadMedia(message) {
+        const media = await message.downloadMedia();
+        if (!media || !media.data) {
+            return null;
+        }
+
+        return {
+            buffer: Buffer.from(media.data, 'base64'),
+            mimetype: media.mimetype,
+            filename: media.filename
+        };
+    }
+
+    async sendText(chatId, text, options = {}) {
+        if (!this.isReady) {
+            return this.enqueue(chatId, text);
+        }
+
+        const sent = options.replyTo?.raw
+            ? await options.replyTo.raw.reply(text)
+            : await this.client.sendMessage(this.toChatId(chatId), text);
+
+        return { id: sent?.id?._serialized || null };
+    }
+
+    async sendMedia(chatId, media, options = {}) {
+        const messageMedia = new MessageMedia(media.mimetype, media.buffer.toString('base64'), media.filename);
+        const sendOptions = {
+            caption: options.caption,
+            sendMediaAsDocument: !!options.asDocument
+        };
+
+        if (!this.isReady) {
+            return this.enqueue(chatId, messageMedia, sendOptions);
+        }
+
+        const sent = options.replyTo?.raw
+            ? await options.replyTo.raw.reply(messageMedia, options.replyTo.raw.from, sendOptions)
+            : await this.client.sendMessage(this.toChatId(chatId), messageMedia, sendOptions);
+
+        return { id: sent?.id?._serialized || null };
+    }
+
+    async sendTyping(chatId) {
+        if (!this.isReady) {
+            return;
+        }
+        const chat = await this.client.getChatById(this.toChatId(chatId));
+        await chat.sendStateTyping();
+    }
+
+    /**
+     * Guarda a mensagem para envio após reconectar (sem citação: a mensagem
+     * original pertence ao cliente antigo)
+     */
+    enqueue(chatId, content, sendOptions = {}) {
+        if (this.outbox.length >= this.outboxLimit) {
+            const dropped = this.outbox.shift();
+            console.warn(`⚠️ Fila de saída cheia, descartando mensagem para ${dropped.chatId}`);
+        }
+
+        this.outbox.push({ chatId: this.toChatId(chatId), content, sendOptions, queuedAt: Date.now() });
+        console.log(`📥 WhatsApp offline: mensagem para ${chatId} na fila (${this.outbox.length} pendente(s))`);
+
+        return { id: null, queued: true };
+    }
+
+    /**
+     * Envia as mensagens pendentes em ordem (chamado ao ficar pronto)
+     */
+    async flushOutbox() {
+        const now = Date.now();
+        const pending = this.outbox.filter(item => now - item.queuedAt <= this.outboxTTL);
+        const expired = this.outbox.length - pending.length;
+        this.outbox = [];
+
+        if (expired > 0) {
+            console.warn(`⚠️ ${expired} mensagem(ns) expirada(s) na fila de saída`);
+        }
+        if (pending.length === 0) {
+            return;
         }
-        if (this.client) {
-            await this.client.destroy();
-            console.log('🛑 WhatsApp Bot encerrado');
+
+        console.log(`📤 Enviando ${pending.length} mensagem(ns) pendente(s)...`);
+        while (pending.length > 0) {
+            if (!this.isReady) {
+                // Caiu de novo: o restante volta para a fila
+                this.outbox = pending.concat(this.outbox);
+                return;
+            }
+
+            const item = pending[0];
+            try {
+                await this.client.sendMessage(item.chatId, item.content, item.sendOptions);
+                pending.shift();
+            } catch (error) {
+                console.error(`❌ Erro ao enviar mensagem pendente para ${item.chatId}:`, error.message);
+                this.outbox = pending.concat(this.outbox);
+                return;
+            }
         }
     }
 
+    /**
+     * Aceita número puro ou id completo ("5511...@c.us", "...@lid")
+     */
+    toChatId(id) {
+        return id.includes('@') ? id : `${id}@c.us`;
+    }
+
+    async destroy() {
+        await this.supervisor.stop();
+        await this.stopClient();
+        console.log('🛑 WhatsApp Bot encerrado');
+    }
+
     // Métodos utilitários
     getStatus() {
         return {
-            ready: this.isReady,
+            ...super.getStatus(),
+            connection: this.supervisor.getStatus(),
+            outbox: this.outbox.length,
             clientId: this.clientId,
             sessionPath: this.sessionPath
         };
     }
 }
 
-module.exports = WhatsAppBot;
\ No newline at end of file
+module.exports = WhatsAppBot;
@@ -0,0 +1,272 @@
+/**
+ * Supervisor da conexão com o WhatsApp Web
+ *
+ * - Prontidão real: o bot só fica "ready" quando client.getState() === 'CONNECTED'
+ *   (também cobre o caso de travar em 99% sem disparar o evento ready)
+ * - Reconexão com backoff exponencial após desconexão, crash do navegador,
+ *   falha na inicialização ou health check negativo
+ * - Cada reconexão destrói o cliente e cria um novo (novo Puppeteer)
+ * - Histórico das transições de estado para diagnóstico (/health)
+ */
+
+const STATE_CHECK_TIMEOUT = 10000;
+
+class ConnectionSupervisor {
+    constructor(bot, options = {}) {
+        this.bot = bot;
+        this.readyTimeout = options.readyTimeout || parseInt(process.env.WHATSAPP_READY_TIMEOUT) || 60000;
+        this.healthInterval = options.healthInterval || parseInt(process.env.WHATSAPP_HEALTH_INTERVAL) || 30000;
+        this.baseDelay = options.baseDelay || parseInt(process.env.WHATSAPP_RECONNECT_BASE_DELAY) || 5000;
+        this.maxDelay = options.maxDelay || parseInt(process.env.WHATSAPP_RECONNECT_MAX_DELAY) || 300000;
+        // 0 = tenta para sempre
+        this.maxAttempts = options.maxAttempts !== undefined
+            ? options.maxAttempts
+            : parseInt(process.env.WHATSAPP_RECONNECT_MAX_ATTEMPTS || '0');
+        this.historyLimit = options.historyLimit || 50;
+
+        this.state = 'idle';
+        this.since = new Date();
+        this.history = [];
+        this.attempts = 0;
+        this.reconnects = 0;
+        this.stopped = true;
+
+        this.readyTimer = null;
+        this.reconnectTimer = null;
+        this.healthTimer = null;
+    }
+
+    async start() {
+        this.stopped = false;
+        await this.connect();
+
+        this.healthTimer = setInterval(() => {
+            this.healthCheck().catch(error => console.error('❌ Erro no health check do WhatsApp:', error));
+        }, this.healthInterval);
+    }
+
+    async stop() {
+        this.stopped = true;
+        this.clearTimers();
+        this.bot.isReady = false;
+        this.transition('stopped');
+    }
+
+    /**
+     * Cria um cliente novo e inicializa; falhas viram reconexão
+     */
+    async connect() {
+        this.clearReadyTimer();
+        this.transition('connecting', this.attempts > 0 ? `tentativa ${this.attempts}` : null);
+
+        // Armado antes do initialize(), que pode travar (ex: carregamento em 99%)
+        this.armReadyTimer();
+
+        try {
+            await this.bot.startClient();
+            this.watchBrowser();
+        } catch (error) {
+            console.error('❌ Erro ao inicializar cliente WhatsApp:', error.message);
+            this.handleFailure(`falha ao iniciar: ${error.message}`);
+        }
+    }
+
+    /**
+     * EVENTOS DO CLIENTE (chamados pelo WhatsAppBot)
+     */
+    onQR() {
+        // Aguardando leitura do QR: não há timeout, depende do usuário
+        this.clearReadyTimer();
+        this.transition('qr');
+    }
+
+    onAuthenticated() {
+        this.transition('authenticated');
+        this.armReadyTimer();
+    }
+
+    async onReady() {
+        const state = await this.checkState();
+        if (state === 'CONNECTED') {
+            this.markReady();
+        } else {
+            console.log(`⚠️ Evento ready com estado ${state}, aguardando confirmação...`);
+            this.armReadyTimer();
+        }
+    }
+
+    onDisconnected(reason) {
+        this.handleFailure(`desconectado: ${reason}`);
+    }
+
+    onAuthFailure(message) {
+        this.handleFailure(`falha na autenticação: ${message}`);
+    }
+
+    markReady() {
+        this.clearReadyTimer();
+        this.attempts = 0;
+        this.bot.isReady = true;
+        this.transition('ready');
+
+        console.log('✅ WhatsApp Bot conectado e pronto!');
+        console.log('🔔 Bot está aguardando mensagens...');
+
+        this.bot.flushOutbox().catch(error => console.error('❌ Erro ao enviar mensagens pendentes:', error));
+    }
+
+    /**
+     * Derruba o estado atual e agenda reconexão (ignora chamadas repetidas)
+     */
+    handleFailure(reason) {
+        if (this.stopped || this.reconnectTimer) {
+            return;
+        }
+
+        this.clearReadyTimer();
+        this.bot.isReady = false;
+        this.transition('disconnected', reason);
+        this.scheduleReconnect();
+    }
+
+    scheduleReconnect() {
+        this.attempts++;
+
+        if (this.maxAttempts > 0 && this.attempts > this.maxAttempts) {
+            this.transition('failed', `${this.maxAttempts} tentativas sem sucesso`);
+            console.error('❌ WhatsApp: limite de reconexões atingido. Reinicie o processo.');
+            return;
+        }
+
+        const delay = this.getDelay(this.attempts);
+        this.transition('reconnecting', `tentativa ${this.attempts} em ${Math.round(delay / 1000)}s`);
+
+        this.reconnectTimer = setTimeout(async () => {
+            this.reconnectTimer = null;
+            this.reconnects++;
+            await this.bot.stopClient();
+            if (!this.stopped) {
+                await this.connect();
+            }
+        }, delay);
+    }
+
+    /**
+     * Backoff exponencial: base, 2x base, 4x base... até maxDelay
+     */
+    getDelay(attempt) {
+        return Math.min(this.baseDelay * Math.pow(2, attempt - 1), this.maxDelay);
+    }
+
+    armReadyTimer() {
+        this.clearReadyTimer();
+        this.readyTimer = setTimeout(async () => {
+            this.readyTimer = null;
+            if (this.bot.isReady || this.state === 'qr' || this.stopped) {
+                return;
+            }
+
+            const state = await this.checkState();
+            if (state === 'CONNECTED') {
+                console.log('✅ Conexão confirmada por getState() (evento ready não chegou)');
+                this.markReady();
+            } else {
+                this.handleFailure(`sem conexão após ${Math.round(this.readyTimeout / 1000)}s (estado ${state})`);
+            }
+        }, this.readyTimeout);
+    }
+
+    async healthCheck() {
+        if (!this.bot.isReady || this.stopped) {
+            return;
+        }
+
+        const state = await this.checkState();
+        if (state !== 'CONNECTED') {
+            this.handleFailure(`health check: estado ${state}`);
+        }
+    }
+
+    /**
+     * Estado real do WhatsApp Web ou null se o cliente não respondeu
+     */
+    async checkState() {
+        const client = this.bot.client;
+        if (!client) {
+            return null;
+        }
+
+        let timer;
+        try {
+            return await Promise.race([
+                client.getState(),
+                new Promise((resolve) => {
+                    timer = setTimeout(() => resolve(null), STATE_CHECK_TIMEOUT);
+                })
+            ]);
+        } catch (error) {
+            return null;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Crash do Chromium não gera "disconnected" no cliente: observa o navegador
+     */
+    watchBrowser() {
+        const client = this.bot.client;
+        const browser = client?.pupBrowser;
+        if (!browser || typeof browser.once !== 'function') {
+            return;
+        }
+
+        browser.once('disconnected', () => {
+            // Ignora o navegador de um cliente que já foi substituído
+            if (client === this.bot.client) {
+                this.handleFailure('navegador encerrado inesperadamente');
+            }
+        });
+    }
+
+    transition(state, reason = null) {
+        this.state = state;
+        this.since = new Date();
+        this.history.push({ state, reason, at: this.since.toISOString() });
+        if (this.history.length > this.historyLimit) {
+            this.history.shift();
+        }
+        console.log(`📶 WhatsApp: ${state}${reason ? ` (${reason})` : ''}`);
+    }
+
+    clearReadyTimer() {
+        if (this.readyTimer) {
+            clearTimeout(this.readyTimer);
+            this.readyTimer = null;
+        }
+    }
+
+    clearTimers() {
+        this.clearReadyTimer();
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
+        }
+    }
+
+    getStatus(historySize = 10) {
+        return {
+            state: this.state,
+            since: this.since.toISOString(),
+            attempts: this.attempts,
+            reconnects: this.reconnects,
+            history: this.history.slice(-historySize)
+        };
+    }
+}
+
+module.exports = ConnectionSupervisor;